@@ -0,0 +1,37 @@
+// Import React hooks for managing state and side effects
+import { useEffect, useState } from "react";
+
+// Turn a number of milliseconds into "m:ss" (e.g., 272000 becomes "4:32")
+const formatRemaining = ms => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+};
+
+// AbortCountdown component - shows how long is left to confirm an abort request
+// It updates every second, and calls onExpire once the time has run out
+const AbortCountdown = props => {
+  const { expiresAt, onExpire } = props;
+
+  // Milliseconds left until the request expires
+  const [remaining, setRemaining] = useState(() => new Date(expiresAt) - Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const left = new Date(expiresAt) - Date.now();
+      setRemaining(left);
+      if (left <= 0) {
+        clearInterval(timer);
+        onExpire && onExpire();
+      }
+    }, 1000);
+
+    // Stop the timer when the component is removed (e.g., the request was confirmed)
+    return () => clearInterval(timer);
+  }, [expiresAt, onExpire]);
+
+  return <span>{remaining > 0 ? formatRemaining(remaining) : "expired"}</span>;
+};
+
+export default AbortCountdown;
@@ -0,0 +1,28 @@
+// Import Arwes UI components for sci-fi styling
+import { Link, Words } from "arwes";
+
+// Import Clickable component that adds sound effects to clicks
+import Clickable from "./Clickable";
+
+// ErrorMessage component - shows why a request failed, with a button to hide it
+// Props:
+//   - message: The message to show (nothing is shown when it's empty)
+//   - onDismiss: Function called when the user closes the message
+const ErrorMessage = props => {
+  const { message, onDismiss } = props;
+
+  if (!message) {
+    return null;
+  }
+
+  return (
+    <div role="alert" style={{marginBottom: "1rem"}}>
+      <Words animate layer="alert">{message}</Words>
+      <Clickable style={{marginLeft: "1rem"}}>
+        <Link title="Dismiss" onClick={onDismiss}>✖</Link>
+      </Clickable>
+    </div>
+  );
+};
+
+export default ErrorMessage;
@@ -71,8 +71,9 @@ const styles = theme => ({
 
 // Header component - displays navigation menu and branding
 // onNav prop is called when user clicks a navigation link (for animation)
+// user prop is the logged-in user (or null), shown on the login link
 const Header = props => {
-  const { classes, onNav, ...rest } = props;
+  const { classes, onNav, user, ...rest } = props;
   return (
     <ArwesHeader animate>
     <Centered className={classes.root} {...rest}>
@@ -105,6 +106,15 @@ const Header = props => {
           </Highlight>
         </Clickable>
         
+        {/* Calendar page link */}
+        <Clickable className={classes.clickable} onClick={onNav}>
+          <Highlight className={classes.button} animate layer="header">
+            <Link className={classes.link} to="/calendar">
+              <i className="material-icons">calendar_today</i>Calendar
+            </Link>
+          </Highlight>
+        </Clickable>
+
         {/* History page link */}
         <Clickable className={classes.clickable} onClick={onNav}>
           <Highlight className={classes.button} animate layer="header">
@@ -113,6 +123,15 @@ const Header = props => {
             </Link>
           </Highlight>
         </Clickable>
+
+        {/* Login page link - shows the username once logged in */}
+        <Clickable className={classes.clickable} onClick={onNav}>
+          <Highlight className={classes.button} animate layer="header">
+            <Link className={classes.link} to="/login">
+              <i className="material-icons">account_circle</i>{user ? user.username : "Log In"}
+            </Link>
+          </Highlight>
+        </Clickable>
       </nav>
     </Centered>
   </ArwesHeader>
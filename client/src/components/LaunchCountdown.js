@@ -0,0 +1,43 @@
+// Import React hooks for managing state and side effects
+import { useEffect, useState } from "react";
+
+// Add a leading zero to single digit numbers (e.g., 4 becomes "04")
+const pad = number => String(number).padStart(2, "0");
+
+// Turn a number of milliseconds into "2d 04:12:33" (or "04:12:33" when less than a day)
+const formatDuration = ms => {
+  const totalSeconds = Math.floor(Math.abs(ms) / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const time = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  return days > 0 ? `${days}d ${time}` : time;
+};
+
+// LaunchCountdown component - shows the time until a launch as "T-2d 04:12:33"
+// It updates every second; once the launch date has passed it counts up as "T+00:00:05"
+// until the server's launch scheduler moves the launch out of Upcoming
+const LaunchCountdown = props => {
+  const { launchDate } = props;
+
+  // Milliseconds until launch (negative once the launch date has passed)
+  const [remaining, setRemaining] = useState(() => new Date(launchDate) - Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setRemaining(new Date(launchDate) - Date.now());
+    }, 1000);
+
+    // Stop the timer when the component is removed (e.g., the launch left the Upcoming page)
+    return () => clearInterval(timer);
+  }, [launchDate]);
+
+  return (
+    <span style={{fontFamily: "monospace"}}>
+      {remaining > 0 ? "T-" : "T+"}{formatDuration(remaining)}
+    </span>
+  );
+};
+
+export default LaunchCountdown;
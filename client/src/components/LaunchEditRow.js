@@ -0,0 +1,150 @@
+// Import React hooks for managing state
+import { Fragment, useState } from "react";
+
+// Import Arwes UI components for sci-fi styling
+import { Link } from "arwes";
+
+// Import Clickable component that adds sound effects to clicks
+import Clickable from "./Clickable";
+
+// Import LaunchStatus component that colours and labels each launch status
+import LaunchStatus from "./LaunchStatus";
+
+// Import RocketSelector component, a searchable list of the registered rockets
+import RocketSelector, { findRocket } from "./RocketSelector";
+
+// Import the launch validation helpers, which use the same schema as the server
+import { validateFields, getInputProps } from "../hooks/validation";
+
+// Turn a launch date from the API into the YYYY-MM-DD format used by date inputs
+const toDateInput = date => new Date(date).toISOString().split("T")[0];
+
+// LaunchEditRow component - the inline edit mode of one row of the Upcoming table
+// Replaces the launch's row with inputs, plus a second row for the reason and Save/Cancel
+// Props:
+//   - launch: The launch being edited
+//   - planets: The habitable planets the target can be changed to
+//   - rockets: The active rockets the launch can be moved to
+//   - pads: The open launch pads the launch can be moved to
+//   - launchSchema: The server's launch validation rules (from GET /launches/schema)
+//   - colSpan: How many columns the table has
+//   - onSave: Function (flightNumber, changes) => Promise of null or an error message
+//   - onClose: Function called when editing is finished or cancelled
+const LaunchEditRow = props => {
+  const { launch, planets, rockets, pads, launchSchema, colSpan, onSave, onClose } = props;
+
+  // One piece of state per input, starting with the launch's current values
+  const [launchDate, setLaunchDate] = useState(toDateInput(launch.launchDate));
+  const [mission, setMission] = useState(launch.mission);
+  const [rocket, setRocket] = useState(launch.rocket);
+  const [pad, setPad] = useState(launch.pad || "");
+  const [target, setTarget] = useState(launch.target);
+  const [reason, setReason] = useState("");
+
+  // The error message from the server after a failed save
+  const [error, setError] = useState(null);
+  const [isSaving, setSaving] = useState(false);
+
+  // Only send the fields that were actually changed
+  const save = async () => {
+    const changes = {};
+    if (launchDate !== toDateInput(launch.launchDate)) changes.launchDate = launchDate;
+    if (mission !== launch.mission) changes.mission = mission;
+    if (rocket !== launch.rocket) changes.rocket = rocket;
+    if (pad && pad !== launch.pad) changes.pad = pad;
+    if (target !== launch.target) changes.target = target;
+
+    if (Object.keys(changes).length === 0) {
+      onClose();
+      return;
+    }
+
+    // Check the changes with the same rules the server uses, before sending them
+    const errors = validateFields(launchSchema, { ...changes, reason }, { partial: true });
+    if (changes.rocket && rockets?.length > 0 && !findRocket(rockets, changes.rocket)) {
+      errors.push({ field: "rocket", message: "Choose a rocket from the list" });
+    }
+    if (errors.length > 0) {
+      setError(errors.map(error => error.message).join(". "));
+      return;
+    }
+
+    setSaving(true);
+    const saveError = await onSave(launch.flightNumber, { ...changes, reason: reason || undefined });
+    setSaving(false);
+
+    if (saveError) {
+      setError(saveError);
+    } else {
+      onClose();
+    }
+  };
+
+  // The rules for each field, or {} while the schema is loading
+  const schema = launchSchema || {};
+
+  return (
+    <Fragment>
+      <tr>
+        <td></td>
+        <td>
+          <LaunchStatus launch={launch} />
+        </td>
+        <td>{launch.flightNumber}</td>
+        <td>
+          <input type="date" {...getInputProps(schema.launchDate)} value={launchDate}
+            onChange={e => setLaunchDate(e.target.value)} />
+        </td>
+        <td></td>
+        <td>
+          <input type="text" {...getInputProps(schema.mission)} value={mission} onChange={e => setMission(e.target.value)} />
+        </td>
+        <td>
+          <RocketSelector id={`rocket-${launch.flightNumber}`} rockets={rockets} {...getInputProps(schema.rocket)}
+            value={rocket} onChange={e => setRocket(e.target.value)} />
+        </td>
+        <td>
+          {/* A launch keeps its pad reservation; it can move to another pad, but not give it up */}
+          <select value={pad} onChange={e => setPad(e.target.value)}>
+            {!launch.pad && <option value="">No pad</option>}
+            {/* Keep the current pad in the list even if it has been closed */}
+            {launch.pad && !pads?.some(option => option.name === launch.pad) && (
+              <option value={launch.pad}>{launch.pad}</option>
+            )}
+            {pads?.map(option =>
+              <option value={option.name} key={option.id}>{option.name}</option>
+            )}
+          </select>
+        </td>
+        <td>
+          <select value={target} onChange={e => setTarget(e.target.value)}>
+            {/* Keep the current target in the list even if it's no longer a habitable planet */}
+            {!planets?.some(planet => planet.keplerName === launch.target) && (
+              <option value={launch.target}>{launch.target}</option>
+            )}
+            {planets?.map(planet =>
+              <option value={planet.keplerName} key={planet.keplerName}>{planet.keplerName}</option>
+            )}
+          </select>
+        </td>
+      </tr>
+      <tr>
+        <td colSpan={colSpan}>
+          <label>
+            Reason for the change (required when moving the date):{" "}
+            <input type="text" {...getInputProps(schema.reason)} value={reason} onChange={e => setReason(e.target.value)} />
+          </label>
+          <Clickable style={{marginLeft: "1rem"}}>
+            <Link onClick={isSaving ? undefined : save}>Save ✔</Link>
+          </Clickable>
+          <Clickable style={{marginLeft: "1rem"}}>
+            <Link onClick={onClose}>Cancel</Link>
+          </Clickable>
+          {error && <span style={{color: "red", marginLeft: "1rem"}}>{error}</span>}
+        </td>
+      </tr>
+    </Fragment>
+  );
+};
+
+export default LaunchEditRow;
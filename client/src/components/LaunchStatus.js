@@ -0,0 +1,30 @@
+// Colours and labels for each launch lifecycle status
+// The statuses come from the server (see server/src/models/launches.status.js)
+const LAUNCH_STATUSES = {
+  "scheduled":     { label: "Scheduled",     color: "#a1ecfb" },
+  "go-for-launch": { label: "Go for launch", color: "#00ff99" },
+  "scrubbed":      { label: "Scrubbed",      color: "orange" },
+  "launched":      { label: "Launched",      color: "#ffe066" },
+  "pending-outcome": { label: "Pending outcome", color: "#cccccc" },
+  "succeeded":     { label: "Succeeded",     color: "greenyellow" },
+  "failed":        { label: "Failed",        color: "red" },
+  "aborted":       { label: "Aborted",       color: "#b266ff" },
+};
+
+// LaunchStatus component - shows a coloured block and the name of a launch's status
+// Older launches without a status fall back to the success flag (green or red)
+const LaunchStatus = props => {
+  const { launch, showLabel = true } = props;
+
+  const status = LAUNCH_STATUSES[launch.status] || (launch.success
+    ? LAUNCH_STATUSES.succeeded
+    : LAUNCH_STATUSES.failed);
+
+  return (
+    <span style={{ color: status.color, whiteSpace: "nowrap" }} title={status.label}>
+      █{showLabel && ` ${status.label}`}
+    </span>
+  );
+};
+
+export default LaunchStatus;
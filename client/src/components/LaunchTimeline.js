@@ -0,0 +1,62 @@
+// Import React hooks for managing state and side effects
+import { useEffect, useState } from "react";
+
+// Import the API function to fetch a launch's audit trail
+import { httpGetLaunchHistory } from "../hooks/requests";
+
+// Readable names for the actions recorded in the audit trail
+const ACTION_LABELS = {
+  "create": "Created",
+  "abort-request": "Abort requested",
+  "abort-cancel": "Abort request cancelled",
+  "abort": "Aborted",
+  "status-change": "Status changed",
+  "launch-window-passed": "Launch date passed",
+};
+
+// LaunchTimeline component - an extra table row that lists every change to a launch
+// It is only rendered when the user expands a row, so the history is fetched on demand
+const LaunchTimeline = props => {
+  const { flightNumber, colSpan } = props;
+
+  // null while loading, then an array of events (or [] if the request failed)
+  const [events, setEvents] = useState(null);
+
+  // Fetch the history when the row is expanded
+  useEffect(() => {
+    let cancelled = false;
+    httpGetLaunchHistory(flightNumber).then(fetchedEvents => {
+      // Ignore the result if the row was collapsed before the request finished
+      if (!cancelled) {
+        setEvents(fetchedEvents || []);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [flightNumber]);
+
+  return (
+    <tr>
+      <td colSpan={colSpan}>
+        {events === null && "Loading history..."}
+        {events && events.length === 0 && "No recorded changes for this launch."}
+        {events && events.length > 0 && (
+          <ul style={{ margin: 0 }}>
+            {events.map((event, index) => (
+              <li key={index}>
+                {new Date(event.timestamp).toLocaleString()} — {ACTION_LABELS[event.action] || event.action}
+                {event.before?.status && event.after?.status && event.before.status !== event.after.status
+                  && ` (${event.before.status} → ${event.after.status})`}
+                {` by ${event.actor}`}
+                {event.reason && `: ${event.reason}`}
+              </li>
+            ))}
+          </ul>
+        )}
+      </td>
+    </tr>
+  );
+};
+
+export default LaunchTimeline;
@@ -0,0 +1,87 @@
+// Import Arwes UI components for sci-fi styling
+import { Link } from "arwes";
+
+// Import Clickable component that adds sound effects to clicks
+import Clickable from "./Clickable";
+
+// Import the helper that turns schema rules into input attributes (required, maxLength, min, max)
+import { getInputProps } from "../hooks/validation";
+
+// Style for one payload's inputs, side by side
+const rowStyle = { display: "flex", flexWrap: "wrap", gap: "6px", marginBottom: "6px" };
+
+// Style for the error messages under a payload
+const errorStyle = { color: "red", fontSize: "12px", flexBasis: "100%" };
+
+// PayloadManifest component - edits the list of payloads a launch carries
+// Each payload has a name, a mass in kilograms, an orbit or destination, and an owner,
+// who must be one of the launch's customers
+// Props:
+//   - payloads: Array of { name, massKg, orbit, customer }, with the values as typed
+//   - customers: The names of the launch's customers (the owners to choose from)
+//   - schema: The rules for the payloads field from the launch schema
+//   - errors: Error messages by field (e.g., { "payloads[0].massKg": "..." }), from getFieldErrors()
+//   - onChange: Function called with the new array of payloads
+const PayloadManifest = props => {
+  const { payloads, customers, schema, errors, onChange } = props;
+
+  // The rules for each field of a payload, or {} while the schema is loading
+  const fields = schema?.items?.fields || {};
+
+  // Change one field of one payload
+  const updatePayload = (index, field, value) => {
+    onChange(payloads.map((payload, i) => i === index ? { ...payload, [field]: value } : payload));
+  };
+
+  // Add an empty payload, owned by the first customer
+  const addPayload = () => {
+    onChange([...payloads, { name: "", massKg: "", orbit: "", customer: customers[0] || "" }]);
+  };
+
+  const removePayload = index => {
+    onChange(payloads.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      {payloads.map((payload, index) => {
+        // Errors for this payload's fields, e.g. "payloads[1].massKg"
+        const payloadErrors = Object.entries(errors || {})
+          .filter(([field]) => field.startsWith(`payloads[${index}]`))
+          .map(([, message]) => message);
+
+        return (
+          <div key={index} style={rowStyle}>
+            <input type="text" placeholder="Payload name" aria-label={`Payload ${index + 1} name`}
+              {...getInputProps(fields.name)} value={payload.name}
+              onChange={e => updatePayload(index, "name", e.target.value)} />
+            <input type="number" placeholder="Mass (kg)" aria-label={`Payload ${index + 1} mass in kilograms`}
+              style={{width: "7rem"}} {...getInputProps(fields.massKg)} value={payload.massKg}
+              onChange={e => updatePayload(index, "massKg", e.target.value)} />
+            <input type="text" placeholder="Orbit or destination" aria-label={`Payload ${index + 1} orbit or destination`}
+              {...getInputProps(fields.orbit)} value={payload.orbit}
+              onChange={e => updatePayload(index, "orbit", e.target.value)} />
+            <select aria-label={`Payload ${index + 1} owner`} value={payload.customer}
+              onChange={e => updatePayload(index, "customer", e.target.value)}>
+              <option value="">Owner...</option>
+              {/* Keep an owner that's no longer a customer, so the error explains what's wrong */}
+              {payload.customer && !customers.includes(payload.customer) && (
+                <option value={payload.customer}>{payload.customer}</option>
+              )}
+              {customers.map(name => <option value={name} key={name}>{name}</option>)}
+            </select>
+            <Clickable>
+              <Link title="Remove payload" onClick={() => removePayload(index)}>✖</Link>
+            </Clickable>
+            {payloadErrors.map(message => <span key={message} style={errorStyle}>{message}</span>)}
+          </div>
+        );
+      })}
+      <Clickable>
+        <Link onClick={addPayload}>+ Add payload</Link>
+      </Clickable>
+    </div>
+  );
+};
+
+export default PayloadManifest;
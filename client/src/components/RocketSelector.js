@@ -0,0 +1,39 @@
+// Find a rocket by name, ignoring upper/lower case like the server does
+// Returns: The rocket, or undefined if there's no rocket with this name
+export function findRocket(rockets, name) {
+  const wanted = name?.trim().toLowerCase();
+  return rockets?.find(rocket => rocket.name.toLowerCase() === wanted);
+}
+
+// RocketSelector component - a searchable text input for picking a registered rocket
+// Typing filters the suggestions by rocket name, manufacturer, or any of the details shown
+// Uses a <datalist>, so the browser does the searching and keyboard navigation
+// Props:
+//   - id: The input's id (also used to name the list of suggestions)
+//   - rockets: The active rockets from GET /rockets
+//   - Any other props (name, value, onChange, required, ...) are passed on to the <input>
+const RocketSelector = props => {
+  const { id, rockets, ...inputProps } = props;
+  const listId = `${id}-options`;
+
+  return (
+    <>
+      <input
+        type="text"
+        id={id}
+        list={listId}
+        placeholder="Search rockets..."
+        autoComplete="off"
+        {...inputProps} />
+      <datalist id={listId}>
+        {rockets?.map(rocket =>
+          <option value={rocket.name} key={rocket.id}>
+            {rocket.manufacturer} · {rocket.stages} stages · {rocket.payloadCapacityKg.toLocaleString()} kg
+          </option>
+        )}
+      </datalist>
+    </>
+  );
+};
+
+export default RocketSelector;
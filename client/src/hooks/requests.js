@@ -5,6 +5,127 @@
 // Example: REACT_APP_API_URL=https://api.yourdomain.com
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000';
 
+// Every endpoint lives under a version prefix, so the server can add a new version
+// without breaking this app (see /v1/docs on the server for the full list)
+const API_V1_URL = `${API_URL}/v1`;
+
+// Address of the iCalendar feed of upcoming launches
+// Calendar apps subscribe to this link themselves, so the app only shows it (it never fetches it)
+const LAUNCH_CALENDAR_URL = `${API_V1_URL}/launches/calendar.ics`;
+
+// Key used to keep the login token in the browser's localStorage
+// Keeping it there means the user stays logged in after refreshing the page
+const TOKEN_STORAGE_KEY = 'authToken';
+
+// Function to build the Authorization header for requests that change data
+// Returns: { Authorization: "Bearer <token>" } when logged in, or {} when not
+function getAuthHeaders() {
+  const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Function to read the error the server sent with a failed response
+// The server describes every error as "problem details" (RFC 7807), for example:
+//   { "title": "Not Found", "status": 404, "detail": "Launch not found", "code": "launch-not-found",
+//     "requestId": "4f6c2e9a-...", "errors": [{ "field": "mission", "message": "..." }] }
+// Parameters:
+//   - response: The failed Response from fetch(), or { ok: false } after a network error
+// Returns: { message, code, errors, requestId }
+//   - message: Text to show to the user (for server errors it includes the request id, to quote when reporting it)
+//   - errors: Field-level errors ({ field, message }) for forms, or [] if there aren't any
+async function readProblem(response) {
+  // The request functions below return { ok: false } (without a body) if the server couldn't be reached
+  if (!response.json) {
+    return {
+      message: 'Could not reach the server. Check your connection and try again.',
+      code: 'network-error',
+      errors: [],
+      requestId: null,
+    };
+  }
+
+  const problem = await response.json().catch(() => ({}));
+
+  let message = problem.detail || problem.title || `Request failed (HTTP ${response.status})`;
+  if (response.status >= 500 && problem.requestId) {
+    message += ` (request id ${problem.requestId})`;
+  }
+
+  return {
+    message,
+    code: problem.code,
+    errors: problem.errors || [],
+    requestId: problem.requestId || null,
+  };
+}
+
+// Function to log in with a username and password
+// On success the token is saved, so later requests are sent as this user
+// Parameters:
+//   - username: The username typed into the login form
+//   - password: The password typed into the login form
+// Returns: { user } with the user ({ username, role }), or { error } with the reason the login failed
+async function httpLogin(username, password) {
+  let response;
+  try {
+    response = await fetch(`${API_V1_URL}/auth/login`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ username, password }),
+    });
+  } catch (error) {
+    console.error('Network error logging in:', error);
+    response = { ok: false };
+  }
+
+  if (!response.ok) {
+    const { message } = await readProblem(response);
+    return { error: message };
+  }
+
+  const { token, user } = await response.json();
+  localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  return { user };
+}
+
+// Function to log out
+// The server doesn't keep track of logins, so forgetting the token is all we need to do
+function httpLogout() {
+  localStorage.removeItem(TOKEN_STORAGE_KEY);
+}
+
+// Function to find out who the saved login token belongs to
+// Used when the app starts, so a user who logged in earlier stays logged in
+// Returns: The user ({ username, role }), or null if not logged in or the token has expired
+async function httpGetCurrentUser() {
+  if (!localStorage.getItem(TOKEN_STORAGE_KEY)) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(`${API_V1_URL}/auth/me`, {
+      headers: getAuthHeaders(),
+    });
+
+    // The token is invalid or expired - forget it so the user can log in again
+    if (response.status === 401) {
+      httpLogout();
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    return null;
+  }
+}
+
 // Function to fetch all planets from the API
 // This is an async function, which means it returns a Promise
 // When you call this function, you need to use await or .then() to get the result
@@ -14,7 +135,7 @@ async function httpGetPlanets() {
     // Make a GET request to the /planets endpoint
     // fetch() is a built-in browser function for making HTTP requests
     // It returns a Promise that resolves to a Response object
-    const response = await fetch(`${API_URL}/planets`);
+    const response = await fetch(`${API_V1_URL}/planets`);
     
     // Check if the response was successful (status code 200-299)
     // If not, throw an error so we can catch it below
@@ -36,33 +157,132 @@ async function httpGetPlanets() {
   }
 }
 
-// Function to fetch all launches from the API
-// This gets both upcoming and past launches
-// Returns: A sorted array of launch objects, sorted by flight number
-async function httpGetLaunches() {
+// Function to fetch the habitability criteria profiles from the API
+// The Launch page uses the active profile to show which planets are available
+// Returns: An object like { active: "conservative", profiles: [...] }, or null if the request fails
+async function httpGetHabitabilityProfiles() {
   try {
-    // Make a GET request to the /launches endpoint
-    const response = await fetch(`${API_URL}/launches`);
-    
-    // Check if the response was successful
+    const response = await fetch(`${API_V1_URL}/planets/profiles`);
+
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
-    
-    // Parse the JSON response into a JavaScript array
-    const fetchedLaunches = await response.json();
-    
-    // Sort launches by flight number in ascending order (100, 101, 102, ...)
-    // This ensures launches are displayed in chronological order
-    // The sort() function compares two launches and returns:
-    //   - negative number if a should come before b
-    //   - positive number if a should come after b
-    //   - 0 if they're equal
-    const sortedLaunches = fetchedLaunches.sort((a, b) => {
-      return a.flightNumber - b.flightNumber;
-    });
-    
-    return sortedLaunches;
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching habitability profiles:', error);
+    return null;
+  }
+}
+
+// Function to fetch the rockets that can fly new launches
+// The launch forms offer these in their rocket selector
+// Returns: An array of rockets like [{ id, name: "Explorer IS1", manufacturer: "NASA", stages, ... }]
+async function httpGetRockets() {
+  try {
+    // Retired rockets (active=false) can't be picked for new launches, so leave them out
+    const response = await fetch(`${API_V1_URL}/rockets?active=true`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching rockets:', error);
+    return [];
+  }
+}
+
+// Function to fetch the registered customers
+// The launch form offers these in its customers selector
+// Returns: An array of customers like [{ id, name: "NASA" }], sorted by name
+async function httpGetCustomers() {
+  try {
+    const response = await fetch(`${API_V1_URL}/customers`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching customers:', error);
+    return [];
+  }
+}
+
+// Function to fetch the launch pads that launches can reserve
+// The launch form offers these in its pad selector, and the Upcoming page groups launches by pad
+// Returns: An array of open pads like [{ id, name: "LC-39A", site: "Kennedy Space Center", active: true }], sorted by name
+async function httpGetPads() {
+  try {
+    // Closed pads (active=false) can't be reserved, so leave them out
+    const response = await fetch(`${API_V1_URL}/pads?active=true`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching launch pads:', error);
+    return [];
+  }
+}
+
+// Function to fetch the rules a launch must follow
+// The launch forms check these before sending, so they show the same errors as the server
+// Returns: An object with the rules for each field, e.g. { mission: { type: "string", label, required, maxLength }, ... }
+async function httpGetLaunchSchema() {
+  try {
+    const response = await fetch(`${API_V1_URL}/launches/schema`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching launch schema:', error);
+    return null;
+  }
+}
+
+// Function to fetch all launches from the API
+// This gets both upcoming and past launches
+// The API returns launches one page at a time, so we follow the "next" links until we have them all
+// The server already sorts them by flight number, so we don't need to sort them here
+// Parameters:
+//   - fractionOfC: The cruise speed the server estimates each launch's trip at (e.g., 0.1)
+// Returns: An array of launch objects (each with its trajectory), sorted by flight number
+async function httpGetLaunches(fractionOfC) {
+  try {
+    const launches = [];
+
+    // Start with the first page, sorted by flight number (100, 101, 102, ...)
+    // The next links keep the cruise speed, so every page comes with trip estimates
+    let nextPage = `/v1/launches?sort=flightNumber&limit=500&fractionOfC=${fractionOfC}`;
+
+    while (nextPage) {
+      // Make a GET request for the current page
+      // nextPage is a relative link like "/v1/launches?sort=flightNumber&page=2"
+      const response = await fetch(`${API_URL}${nextPage}`);
+
+      // Check if the response was successful
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      // Each page looks like { total, page, limit, next, prev, launches }
+      const body = await response.json();
+      launches.push(...body.launches);
+
+      // next is null on the last page, which ends the loop
+      nextPage = body.next;
+    }
+
+    return launches;
   } catch (error) {
     // If something goes wrong, log it and return empty array
     console.error('Error fetching launches:', error);
@@ -70,6 +290,107 @@ async function httpGetLaunches() {
   }
 }
 
+// Function to fetch one launch with the estimate of its trip
+// Live updates don't carry the estimate, so this fills it in for a launch that just changed
+// Parameters:
+//   - id: The flight number of the launch (e.g., 100)
+//   - fractionOfC: The cruise speed to estimate the trip at (e.g., 0.1)
+// Returns: The launch with its trajectory, or null if the request fails
+async function httpGetLaunch(id, fractionOfC) {
+  try {
+    const response = await fetch(`${API_V1_URL}/launches/${id}?fractionOfC=${fractionOfC}`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching launch:', error);
+    return null;
+  }
+}
+
+// The live update events the server sends on GET /launches/events
+const LAUNCH_EVENT_TYPES = [
+  'launch-created',
+  'launch-updated',
+  'launch-aborted',
+  'abort-request-updated',
+];
+
+// Longest wait between reconnect attempts when the server is down, in milliseconds
+const MAX_RECONNECT_DELAY = 30000;
+
+// Function to receive live launch updates from the server (Server-Sent Events)
+// The browser's EventSource reconnects by itself after most network hiccups; if it gives up
+// (e.g., the server was down), we open a new connection, waiting a little longer each time
+// Parameters:
+//   - onEvent: Function called with (type, data) for every event, e.g. ("launch-created", launch)
+//   - onReconnect: Function called when the connection comes back, to catch up on missed events
+// Returns: A function that closes the connection
+function subscribeToLaunchEvents(onEvent, onReconnect) {
+  let source = null;
+  let reconnectTimer = null;
+  let reconnectDelay = 1000;
+  let hasConnected = false;
+  let isClosed = false;
+
+  const connect = () => {
+    source = new EventSource(`${API_V1_URL}/launches/events`);
+
+    source.onopen = () => {
+      reconnectDelay = 1000;
+      // Events sent while we were disconnected are lost, so reload everything
+      if (hasConnected) {
+        onReconnect();
+      }
+      hasConnected = true;
+    };
+
+    LAUNCH_EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, event => onEvent(type, JSON.parse(event.data)));
+    });
+
+    source.onerror = () => {
+      // CONNECTING means the browser is already retrying; CLOSED means it gave up
+      if (source.readyState === EventSource.CLOSED && !isClosed) {
+        reconnectTimer = setTimeout(connect, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+      }
+    };
+  };
+
+  connect();
+
+  return () => {
+    isClosed = true;
+    clearTimeout(reconnectTimer);
+    source.close();
+  };
+}
+
+// Function to fetch the audit trail of one launch
+// This lists every change to the launch (create, abort, status changes) with who, when and why
+// Parameters:
+//   - id: The flight number of the launch (e.g., 100)
+// Returns: An array of events, oldest first, or null if the request fails
+async function httpGetLaunchHistory(id) {
+  try {
+    const response = await fetch(`${API_V1_URL}/launches/${id}/history`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const history = await response.json();
+    return history.events;
+  } catch (error) {
+    console.error('Error fetching launch history:', error);
+    return null;
+  }
+}
+
 // Function to submit a new launch to the API
 // This creates a new launch in the database
 // Parameters:
@@ -79,12 +400,14 @@ async function httpSubmitLaunch(launch) {
   try {
     // Make a POST request to the /launches endpoint
     // POST is the HTTP method used for creating new resources
-    const response = await fetch(`${API_URL}/launches`, {
+    const response = await fetch(`${API_V1_URL}/launches`, {
       method: "POST", // HTTP method for creating new resources
       headers: {
         // Tell the server we're sending JSON data
         // The server needs to know this so it can parse the data correctly
         "Content-Type": "application/json",
+        // Send the login token - only planners and flight directors can schedule launches
+        ...getAuthHeaders(),
       },
       // Convert the launch object to a JSON string
       // fetch() requires the body to be a string, not an object
@@ -103,8 +426,51 @@ async function httpSubmitLaunch(launch) {
   }
 }
 
-// Function to abort (cancel) a launch
-// This marks a launch as aborted in the database (doesn't actually delete it)
+// Function to edit or reschedule an upcoming launch
+// Parameters:
+//   - id: The flight number of the launch
+//   - changes: The fields to change ({ mission, rocket, launchDate, target }) and the reason
+// Returns: A Response object from the fetch API
+async function httpUpdateLaunch(id, changes) {
+  try {
+    const response = await fetch(`${API_V1_URL}/launches/${id}`, {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/json",
+        // Send the login token - only planners and flight directors can change launches
+        ...getAuthHeaders(),
+      },
+      body: JSON.stringify(changes),
+    });
+
+    return response;
+  } catch (error) {
+    console.error('Network error updating launch:', error);
+    return {
+      ok: false,
+    };
+  }
+}
+
+// Function to fetch the abort requests that are waiting for a second flight director
+// Returns: An array of requests like [{ flightNumber, requestedBy, reason, expiresAt }, ...]
+async function httpGetAbortRequests() {
+  try {
+    const response = await fetch(`${API_V1_URL}/launches/abort-requests`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching abort requests:', error);
+    return [];
+  }
+}
+
+// Function to ask for a launch to be aborted (cancelled)
+// The launch isn't aborted yet: a second flight director has to confirm it with httpConfirmAbort()
 // Parameters:
 //   - id: The flight number of the launch to abort (e.g., 100, 101, 102)
 // Returns: A Response object from the fetch API
@@ -114,8 +480,10 @@ async function httpAbortLaunch(id) {
     // DELETE is the standard HTTP method for removing/canceling resources
     // The :id in the URL is replaced with the actual flight number
     // Example: DELETE http://localhost:8000/launches/100
-    const response = await fetch(`${API_URL}/launches/${id}`, {
+    const response = await fetch(`${API_V1_URL}/launches/${id}`, {
       method: "DELETE",
+      // Send the login token - only flight directors can abort launches
+      headers: getAuthHeaders(),
     });
     
     return response;
@@ -128,13 +496,71 @@ async function httpAbortLaunch(id) {
   } 
 }
 
+// Function to confirm another flight director's abort request
+// This is the step that actually aborts the launch
+// Parameters:
+//   - id: The flight number of the launch
+// Returns: A Response object from the fetch API
+async function httpConfirmAbort(id) {
+  try {
+    const response = await fetch(`${API_V1_URL}/launches/${id}/abort-request/confirm`, {
+      method: "POST",
+      headers: getAuthHeaders(),
+    });
+
+    return response;
+  } catch (error) {
+    console.error('Network error confirming abort:', error);
+    return {
+      ok: false,
+    };
+  }
+}
+
+// Function to call off a pending abort request, so the launch goes ahead
+// Parameters:
+//   - id: The flight number of the launch
+// Returns: A Response object from the fetch API
+async function httpCancelAbort(id) {
+  try {
+    const response = await fetch(`${API_V1_URL}/launches/${id}/abort-request`, {
+      method: "DELETE",
+      headers: getAuthHeaders(),
+    });
+
+    return response;
+  } catch (error) {
+    console.error('Network error cancelling abort:', error);
+    return {
+      ok: false,
+    };
+  }
+}
+
 // Export all functions so they can be imported in other files
 // When you import this file, you can use these functions like:
 //   import { httpGetPlanets, httpGetLaunches } from './requests';
 export {
+  LAUNCH_CALENDAR_URL,
+  readProblem,
+  httpLogin,
+  httpLogout,
+  httpGetCurrentUser,
   httpGetPlanets,
+  httpGetHabitabilityProfiles,
+  httpGetRockets,
+  httpGetCustomers,
+  httpGetPads,
+  httpGetLaunchSchema,
   httpGetLaunches,
+  httpGetLaunch,
+  httpGetLaunchHistory,
+  subscribeToLaunchEvents,
   httpSubmitLaunch,
+  httpUpdateLaunch,
+  httpGetAbortRequests,
   httpAbortLaunch,
+  httpConfirmAbort,
+  httpCancelAbort,
 };
 
@@ -0,0 +1,19 @@
+// Trip estimate helpers for the Upcoming and Launch pages
+// The server works out the trips (see server/src/services/trajectory.js): GET /launches sends
+// each launch's estimate for the cruise speed the page asks for
+
+// The cruise speed trips are estimated at until the planner picks another one: 10%, like the server
+export const DEFAULT_FRACTION_OF_C = 0.1;
+
+// The cruise speeds planners can pick from, as fractions of the speed of light
+export const CRUISE_SPEEDS = [
+  { fractionOfC: 0.01, label: "1% of light speed" },
+  { fractionOfC: 0.1, label: "10% of light speed" },
+  { fractionOfC: 0.5, label: "50% of light speed" },
+];
+
+// Show a number of light-years or years rounded to a whole number, with thousands separators
+// Example: 12577.3 becomes "12,577"
+export function formatWholeNumber(value) {
+  return Math.round(value).toLocaleString("en-US");
+}
@@ -0,0 +1,50 @@
+// Import React hooks for managing state and side effects
+import { useCallback, useEffect, useState } from "react";
+
+// Import the API functions for logging in and out
+import {
+  httpLogin,
+  httpLogout,
+  httpGetCurrentUser,
+} from "./requests";
+
+// Which roles can do what - these match the roles checked by the server
+const PLANNER_ROLES = ["planner", "flight-director"];
+const FLIGHT_DIRECTOR_ROLES = ["flight-director"];
+
+// Custom React hook to manage the logged-in user
+// Returns:
+//   - user: The logged-in user ({ username, role }), or null when logged out
+//   - canSchedule: true if the user may schedule launches
+//   - canAbort: true if the user may abort launches
+//   - login: Function (username, password) => Promise of null if it worked, or the reason it failed
+//   - logout: Function that logs out
+function useAuth() {
+  const [user, saveUser] = useState(null);
+
+  // Check whether a token saved by an earlier visit is still valid
+  useEffect(() => {
+    httpGetCurrentUser().then(saveUser);
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const { user: loggedInUser, error } = await httpLogin(username, password);
+    saveUser(loggedInUser || null);
+    return error || null;
+  }, []);
+
+  const logout = useCallback(() => {
+    httpLogout();
+    saveUser(null);
+  }, []);
+
+  return {
+    user,
+    canSchedule: Boolean(user && PLANNER_ROLES.includes(user.role)),
+    canAbort: Boolean(user && FLIGHT_DIRECTOR_ROLES.includes(user.role)),
+    login,
+    logout,
+  };
+}
+
+export default useAuth;
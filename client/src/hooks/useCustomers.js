@@ -0,0 +1,25 @@
+// Import React hooks for managing state and side effects
+import { useCallback, useEffect, useState } from "react";
+
+// Import the API function to fetch the customer registry from the backend
+import { httpGetCustomers } from "./requests";
+
+// Custom React hook to fetch the customers that launches can be booked for
+// Returns: An array of customers, sorted by name (empty while loading)
+function useCustomers() {
+  const [customers, saveCustomers] = useState([]);
+
+  const getCustomers = useCallback(async () => {
+    const fetchedCustomers = await httpGetCustomers();
+    saveCustomers(fetchedCustomers);
+  }, []);
+
+  // Fetch the customers when the component using this hook mounts
+  useEffect(() => {
+    getCustomers();
+  }, [getCustomers]);
+
+  return customers;
+}
+
+export default useCustomers;
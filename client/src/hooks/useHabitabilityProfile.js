@@ -0,0 +1,31 @@
+// Import React hooks for managing state and side effects
+import { useCallback, useEffect, useState } from "react";
+
+// Import the API function to fetch habitability profiles from the backend
+import { httpGetHabitabilityProfiles } from "./requests";
+
+// Custom React hook to fetch the active habitability criteria profile
+// The server decides which profile is active, so the Launch page shows the real criteria
+// Returns: The active profile ({ name, description, dispositions, rules }), or null while loading
+function useHabitabilityProfile() {
+  const [profile, saveProfile] = useState(null);
+
+  const getProfile = useCallback(async () => {
+    const fetchedProfiles = await httpGetHabitabilityProfiles();
+
+    // Pick the profile the server marked as active
+    const activeProfile = fetchedProfiles?.profiles.find(
+      (profile) => profile.name === fetchedProfiles.active
+    );
+    saveProfile(activeProfile || null);
+  }, []);
+
+  // Fetch the profile when the component using this hook mounts
+  useEffect(() => {
+    getProfile();
+  }, [getProfile]);
+
+  return profile;
+}
+
+export default useHabitabilityProfile;
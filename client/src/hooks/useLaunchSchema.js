@@ -0,0 +1,26 @@
+// Import React hooks for managing state and side effects
+import { useCallback, useEffect, useState } from "react";
+
+// Import the API function to fetch the launch validation schema from the backend
+import { httpGetLaunchSchema } from "./requests";
+
+// Custom React hook to fetch the rules a launch must follow (required fields, lengths, date limits)
+// The server checks every launch against the same rules, so the forms show the same errors it would
+// Returns: The launch schema ({ mission: { type, label, required, maxLength }, ... }), or null while loading
+function useLaunchSchema() {
+  const [schema, saveSchema] = useState(null);
+
+  const getSchema = useCallback(async () => {
+    const fetchedSchema = await httpGetLaunchSchema();
+    saveSchema(fetchedSchema);
+  }, []);
+
+  // Fetch the schema when the component using this hook mounts
+  useEffect(() => {
+    getSchema();
+  }, [getSchema]);
+
+  return schema;
+}
+
+export default useLaunchSchema;
@@ -1,52 +1,120 @@
 import { useCallback, useEffect, useState } from "react";
 import {
   httpGetLaunches,
+  httpGetLaunch,
   httpSubmitLaunch,
+  httpUpdateLaunch,
+  httpGetAbortRequests,
   httpAbortLaunch,
+  httpConfirmAbort,
+  httpCancelAbort,
+  subscribeToLaunchEvents,
+  readProblem,
 } from './requests';
+import { DEFAULT_FRACTION_OF_C } from './trajectory';
+
+// Function to add a launch to the list, or replace it if it's already there
+// Keeps the list sorted by flight number, like the server sends it
+function mergeLaunch(launches, launch) {
+  const others = launches.filter(existing => existing.flightNumber !== launch.flightNumber);
+  return [...others, launch].sort((a, b) => a.flightNumber - b.flightNumber);
+}
+
+// Function to update the list of pending abort requests with a changed request
+// Confirmed, cancelled and expired requests are removed from the list
+function mergeAbortRequest(abortRequests, abortRequest) {
+  const others = abortRequests.filter(existing => existing.flightNumber !== abortRequest.flightNumber);
+  return abortRequest.status === 'pending' ? [...others, abortRequest] : others;
+}
+
+// Function to read the field errors from a failed response, for showing on a form
+// Problems that aren't about one field (e.g., the server couldn't be reached) get field: null
+// Returns: An array of { field, message }
+async function getResponseErrors(response) {
+  const { message, errors } = await readProblem(response);
+  return errors.length > 0 ? errors : [{ field: null, message }];
+}
 
 // Custom hook for managing launches state and operations
 // Handles fetching, submitting, and aborting launches
+// Launches come with the server's estimate of their trip at the chosen cruise speed (launch.trajectory)
+// Aborting takes two flight directors: abortLaunch() only requests it, confirmAbort() carries it out
 // Sound callbacks are passed from parent for better UX feedback
 function useLaunches(onSuccessSound, onAbortSound, onFailureSound) {
   const [launches, saveLaunches] = useState([]);
+  const [abortRequests, saveAbortRequests] = useState([]);
   const [isPendingLaunch, setPendingLaunch] = useState(false);
 
+  // The cruise speed the trips are estimated at, as a fraction of the speed of light
+  // Picking another one fetches the launches again
+  const [fractionOfC, setFractionOfC] = useState(DEFAULT_FRACTION_OF_C);
+
+  // The message from the last failed abort, confirm or cancel, shown until it's dismissed
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  // Function to play the warning sound and show why a request failed
+  const showError = useCallback(async (response) => {
+    onFailureSound();
+    const { message } = await readProblem(response);
+    setErrorMessage(message);
+  }, [onFailureSound]);
+
+  // Hides the error message
+  const clearError = useCallback(() => {
+    setErrorMessage(null);
+  }, []);
+
   // Memoized to prevent unnecessary re-renders
+  // Abort requests are fetched together with launches, so both always match
   const getLaunches = useCallback(async () => {
     try {
-      const fetchedLaunches = await httpGetLaunches();
+      const [fetchedLaunches, fetchedAbortRequests] = await Promise.all([
+        httpGetLaunches(fractionOfC),
+        httpGetAbortRequests(),
+      ]);
       saveLaunches(fetchedLaunches);
+      saveAbortRequests(fetchedAbortRequests);
     } catch (error) {
       console.error('Error in getLaunches:', error);
-      // Keep empty array on error to prevent crashes
+      // Keep empty arrays on error to prevent crashes
       saveLaunches([]);
+      saveAbortRequests([]);
     }
-  }, []);
+  }, [fractionOfC]);
 
   // Fetch launches on mount
   useEffect(() => {
     getLaunches();
   }, [getLaunches]);
 
-  // Handles form submission - extracts data and sends to API
-  const submitLaunch = useCallback(async (e) => {
-    e.preventDefault();
+  // Receive live updates, so changes made by other people show up without reloading
+  // The connection is closed when the component using this hook unmounts
+  useEffect(() => {
+    return subscribeToLaunchEvents((type, data) => {
+      if (type === 'abort-request-updated') {
+        saveAbortRequests(abortRequests => mergeAbortRequest(abortRequests, data));
+      } else {
+        // The event has no trip estimate: keep showing the old one until the launch is fetched
+        // again with its estimate (its date or destination may have changed)
+        saveLaunches(launches => {
+          const trajectory = launches.find(launch => launch.flightNumber === data.flightNumber)?.trajectory;
+          return mergeLaunch(launches, { trajectory, ...data });
+        });
+        httpGetLaunch(data.flightNumber, fractionOfC).then(launch => {
+          if (launch) {
+            saveLaunches(launches => mergeLaunch(launches, launch));
+          }
+        });
+      }
+    }, getLaunches);
+  }, [getLaunches, fractionOfC]);
+
+  // Sends a new launch from the launch form to the API
+  // Returns: null if it worked, or an array of { field, message } errors to show on the form
+  const submitLaunch = useCallback(async (launch) => {
     setPendingLaunch(true);
-    
-    // Extract form values
-    const data = new FormData(e.target);
-    const launchDate = new Date(data.get("launch-day"));
-    const mission = data.get("mission-name");
-    const rocket = data.get("rocket-name");
-    const target = data.get("planets-selector");
-    
-    const response = await httpSubmitLaunch({
-      launchDate,
-      mission,
-      rocket,
-      target,
-    });
+
+    const response = await httpSubmitLaunch(launch);
 
     if (response.ok) {
       getLaunches();
@@ -55,13 +123,32 @@ function useLaunches(onSuccessSound, onAbortSound, onFailureSound) {
         setPendingLaunch(false);
         onSuccessSound();
       }, 800);
-    } else {
-      setPendingLaunch(false);
-      onFailureSound();
+      return null;
     }
+
+    setPendingLaunch(false);
+    onFailureSound();
+    return getResponseErrors(response);
   }, [getLaunches, onSuccessSound, onFailureSound]);
 
-  // Aborts a launch and refreshes the list
+  // Saves changes to an upcoming launch (new date, rocket, ...)
+  // Returns: null if it worked, or the error message from the server
+  const editLaunch = useCallback(async (id, changes) => {
+    const response = await httpUpdateLaunch(id, changes);
+
+    if (response.ok) {
+      getLaunches();
+      onSuccessSound();
+      return null;
+    }
+
+    onFailureSound();
+    // The server explains what was wrong (e.g., "A reason is required to reschedule a launch")
+    const errors = await getResponseErrors(response);
+    return errors.map(error => error.message).join(". ");
+  }, [getLaunches, onSuccessSound, onFailureSound]);
+
+  // Requests an abort and refreshes the list, so the pending request shows up
   const abortLaunch = useCallback(async (id) => {
     const response = await httpAbortLaunch(id);
 
@@ -69,15 +156,48 @@ function useLaunches(onSuccessSound, onAbortSound, onFailureSound) {
       getLaunches();
       onAbortSound();
     } else {
-      onFailureSound();
+      showError(response);
+    }
+  }, [getLaunches, onAbortSound, showError]);
+
+  // Confirms another flight director's abort request, which aborts the launch
+  const confirmAbort = useCallback(async (id) => {
+    const response = await httpConfirmAbort(id);
+
+    if (response.ok) {
+      getLaunches();
+      onAbortSound();
+    } else {
+      showError(response);
+    }
+  }, [getLaunches, onAbortSound, showError]);
+
+  // Calls off a pending abort request
+  const cancelAbort = useCallback(async (id) => {
+    const response = await httpCancelAbort(id);
+
+    if (response.ok) {
+      getLaunches();
+      onSuccessSound();
+    } else {
+      showError(response);
     }
-  }, [getLaunches, onAbortSound, onFailureSound]);
+  }, [getLaunches, onSuccessSound, showError]);
 
   return {
     launches,
+    abortRequests,
     isPendingLaunch,
     submitLaunch,
+    editLaunch,
     abortLaunch,
+    confirmAbort,
+    cancelAbort,
+    refreshLaunches: getLaunches,
+    fractionOfC,
+    setFractionOfC,
+    errorMessage,
+    clearError,
   };
 }
 
@@ -0,0 +1,25 @@
+// Import React hooks for managing state and side effects
+import { useCallback, useEffect, useState } from "react";
+
+// Import the API function to fetch the pad registry from the backend
+import { httpGetPads } from "./requests";
+
+// Custom React hook to fetch the launch pads that launches can reserve
+// Returns: An array of open pads, sorted by name (empty while loading)
+function usePads() {
+  const [pads, savePads] = useState([]);
+
+  const getPads = useCallback(async () => {
+    const fetchedPads = await httpGetPads();
+    savePads(fetchedPads);
+  }, []);
+
+  // Fetch the pads when the component using this hook mounts
+  useEffect(() => {
+    getPads();
+  }, [getPads]);
+
+  return pads;
+}
+
+export default usePads;
@@ -0,0 +1,25 @@
+// Import React hooks for managing state and side effects
+import { useCallback, useEffect, useState } from "react";
+
+// Import the API function to fetch the rocket registry from the backend
+import { httpGetRockets } from "./requests";
+
+// Custom React hook to fetch the rockets that can fly new launches
+// Returns: An array of active rockets, sorted by name (empty while loading)
+function useRockets() {
+  const [rockets, saveRockets] = useState([]);
+
+  const getRockets = useCallback(async () => {
+    const fetchedRockets = await httpGetRockets();
+    saveRockets(fetchedRockets);
+  }, []);
+
+  // Fetch the rockets when the component using this hook mounts
+  useEffect(() => {
+    getRockets();
+  }, [getRockets]);
+
+  return rockets;
+}
+
+export default useRockets;
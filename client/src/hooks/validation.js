@@ -0,0 +1,163 @@
+// Launch form validation, using the same schema as the server
+// The server sends its launch schema from GET /launches/schema (see server/src/routes/launches/launches.schema.js)
+// and these functions apply its rules in the browser, so the form shows the same errors
+// the server would give, before anything is sent.
+// Keep these rules in step with server/src/services/validation.js
+
+// Turn a date rule ('today' or 'YYYY-MM-DD') into the YYYY-MM-DD format used by date inputs
+export function toDateLimit(value) {
+  return value === "today" ? new Date().toISOString().split("T")[0] : value;
+}
+
+// Turn a date rule into the first (min) or last (max) moment of that day
+function getDateLimit(value, endOfDay) {
+  const day = new Date(toDateLimit(value));
+  return endOfDay ? new Date(day.getTime() + 24 * 60 * 60 * 1000 - 1) : day;
+}
+
+// Check one field against its rules
+// Parameters:
+//   - field: Where the value is (e.g., "mission" or "payloads[0]"), used for errors inside arrays and objects
+//   - rules: The field's rules from the schema
+//   - raw: The value from the form (never empty here)
+// Returns: An error message, an array of { field, message } for errors inside arrays and objects,
+//   or null if the value is valid
+function validateField(field, rules, raw) {
+  const label = rules.label;
+
+  if (rules.type === "string") {
+    const value = rules.trim === false ? raw : raw.trim();
+    if (rules.minLength !== undefined && value.length < rules.minLength) {
+      return `${label} must be at least ${rules.minLength} characters`;
+    }
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+      return `${label} must be at most ${rules.maxLength} characters`;
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+      return `${label} must be one of: ${rules.enum.join(", ")}`;
+    }
+    return null;
+  }
+
+  if (rules.type === "date") {
+    const value = new Date(raw);
+    if (isNaN(value)) {
+      return `${label} must be a valid date`;
+    }
+    if (rules.min !== undefined && value < getDateLimit(rules.min, false)) {
+      return `${label} cannot be before ${rules.min}`;
+    }
+    if (rules.max !== undefined && value > getDateLimit(rules.max, true)) {
+      return `${label} cannot be after ${rules.max}`;
+    }
+    return null;
+  }
+
+  if (rules.type === "integer") {
+    // Number inputs give text, so "1200" is accepted as 1200
+    const value = typeof raw === "string" ? Number(raw) : raw;
+    if (!Number.isInteger(value)) {
+      return `${label} must be a whole number`;
+    }
+    if (rules.min !== undefined && value < rules.min) {
+      return `${label} must be at least ${rules.min}`;
+    }
+    if (rules.max !== undefined && value > rules.max) {
+      return `${label} must be at most ${rules.max}`;
+    }
+    return null;
+  }
+
+  if (rules.type === "array") {
+    if (rules.maxItems !== undefined && raw.length > rules.maxItems) {
+      return `${label} can have at most ${rules.maxItems} items`;
+    }
+    // Check every item, numbering them from 1 in messages (e.g., "Payload 2: Mass (kg) is required")
+    return raw.flatMap((item, index) => checkValue(
+      `${field}[${index}]`,
+      { ...rules.items, label: `${rules.items.label} ${index + 1}`, required: true },
+      item
+    ));
+  }
+
+  if (rules.type === "object") {
+    return validateFields(rules.fields, raw).map(error => ({
+      field: `${field}.${error.field}`,
+      message: `${label}: ${error.message}`,
+    }));
+  }
+
+  return null;
+}
+
+// Check one value, which may be missing or empty
+// Returns: An array of { field, message }, empty if the value is valid
+function checkValue(field, rules, raw, partial = false) {
+  const isEmpty = raw === undefined || raw === null || String(raw).trim() === "";
+
+  if (isEmpty) {
+    if (rules.required && !(partial && raw === undefined)) {
+      return [{ field, message: `${rules.label} is required` }];
+    }
+    return [];
+  }
+
+  const result = validateField(field, rules, raw);
+  if (Array.isArray(result)) {
+    return result;
+  }
+  return result ? [{ field, message: result }] : [];
+}
+
+// Check form values against a schema
+// Parameters:
+//   - schema: The schema from GET /launches/schema (or null while it's loading)
+//   - values: The form values, e.g. { mission: "Kepler X", launchDate: "2030-01-04", ... }
+//   - partial: true when editing, so fields that aren't in values are skipped
+// Returns: An array of { field, message }, the same shape as the server's "errors", empty if valid
+export function validateFields(schema, values, { partial = false } = {}) {
+  const errors = [];
+
+  for (const [field, rules] of Object.entries(schema || {})) {
+    errors.push(...checkValue(field, rules, values[field], partial));
+  }
+
+  return errors;
+}
+
+// Turn an errors array into an object with one message per field
+// Errors that aren't about one field (e.g., "Failed to add launch") are kept under "form"
+// Example: [{ field: "mission", message: "..." }] becomes { mission: "..." }
+export function getFieldErrors(errors) {
+  const byField = {};
+  errors?.forEach(({ field, message }) => {
+    const key = field || "form";
+    byField[key] = byField[key] || message;
+  });
+  return byField;
+}
+
+// Get the HTML input attributes (required, maxLength, min, max) for one field's rules
+// so the browser enforces the rules too
+export function getInputProps(rules) {
+  const props = {};
+  if (rules?.required) {
+    props.required = true;
+  }
+  if (rules?.maxLength !== undefined) {
+    props.maxLength = rules.maxLength;
+  }
+  if (rules?.type === "date" && rules.min !== undefined) {
+    props.min = toDateLimit(rules.min);
+  }
+  if (rules?.type === "date" && rules.max !== undefined) {
+    props.max = toDateLimit(rules.max);
+  }
+  if (rules?.type === "integer" && rules.min !== undefined) {
+    props.min = rules.min;
+  }
+  if (rules?.type === "integer" && rules.max !== undefined) {
+    props.max = rules.max;
+  }
+  return props;
+}
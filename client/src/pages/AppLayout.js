@@ -20,17 +20,26 @@ import {
 
 // Import custom hooks that fetch data from the API
 import usePlanets from "../hooks/usePlanets";
+import useRockets from "../hooks/useRockets";
+import useCustomers from "../hooks/useCustomers";
+import usePads from "../hooks/usePads";
 import useLaunches from "../hooks/useLaunches";
+import useHabitabilityProfile from "../hooks/useHabitabilityProfile";
+import useLaunchSchema from "../hooks/useLaunchSchema";
+import useAuth from "../hooks/useAuth";
 
 // Import reusable UI components
 import Centered from "../components/Centered";
 import Header from "../components/Header";
 import Footer from "../components/Footer";
+import ErrorMessage from "../components/ErrorMessage";
 
 // Import page components
 import Launch from "./Launch";
 import History from "./History";
 import Upcoming from "./Upcoming";
+import Calendar from "./Calendar";
+import Login from "./Login";
 
 // Define CSS styles using a function (required by Arwes withStyles)
 const styles = () => ({
@@ -72,22 +81,56 @@ const AppLayout = props => {
   const onFailureSound = () => sounds.warning && sounds.warning.play();
 
   // Custom hook to manage launches data and operations
-  // This hook fetches launches from the API and provides functions to add/abort launches
+  // This hook fetches launches (and pending abort requests) from the API
+  // and provides functions to add launches and to request, confirm or cancel aborts
   const {
     launches,
+    abortRequests,
     isPendingLaunch,
     submitLaunch,
+    editLaunch,
     abortLaunch,
+    confirmAbort,
+    cancelAbort,
+    refreshLaunches,
+    fractionOfC,
+    setFractionOfC,
+    errorMessage,
+    clearError,
   } = useLaunches(onSuccessSound, onAbortSound, onFailureSound);
 
   // Custom hook to fetch planets data from the API
   // This hook automatically loads planets when the component mounts
   const planets = usePlanets();
+
+  // Custom hook to fetch the active rockets from the registry
+  // Launches can only be scheduled on (or moved to) one of these rockets
+  const rockets = useRockets();
+
+  // Custom hook to fetch the customer registry
+  // The launch form lists these in its customers selector
+  const customers = useCustomers();
+
+  // Custom hook to fetch the open launch pads
+  // Launches can reserve one of these, and the Upcoming page can group launches by pad
+  const pads = usePads();
+
+  // Custom hook to fetch the active habitability criteria from the API
+  // The Launch page lists these criteria above the form
+  const habitabilityProfile = useHabitabilityProfile();
+
+  // Custom hook to fetch the rules a launch must follow
+  // The launch form and the edit row check these, so they show the same errors as the server
+  const launchSchema = useLaunchSchema();
+
+  // Custom hook to manage the logged-in user
+  // Pages use canSchedule and canAbort to hide actions the user isn't allowed to take
+  const { user, canSchedule, canAbort, login, logout } = useAuth();
   
   return (
     <div className={classes.content}>
       {/* Header component with navigation links */}
-      <Header onNav={animateFrame} />
+      <Header onNav={animateFrame} user={user} />
       
       {/* Centered content area */}
       <Centered className={classes.centered}>
@@ -99,6 +142,9 @@ const AppLayout = props => {
           {/* Frame uses render prop pattern - passes animation state */}
           {anim => (
             <div style={{padding: "20px"}}>
+              {/* Why the last launch action failed (e.g., "Insufficient role"), until it's dismissed */}
+              <ErrorMessage message={errorMessage} onDismiss={clearError} />
+
               {/* Switch renders the first matching Route */}
               <Switch>
                 {/* Route for home page and launch page - shows the launch form */}
@@ -106,6 +152,12 @@ const AppLayout = props => {
                   <Launch 
                     entered={anim.entered}
                     planets={planets}
+                    rockets={rockets}
+                    customers={customers}
+                    pads={pads}
+                    habitabilityProfile={habitabilityProfile}
+                    launchSchema={launchSchema}
+                    canSchedule={canSchedule}
                     submitLaunch={submitLaunch}
                     isPendingLaunch={isPendingLaunch} />
                 </Route>
@@ -113,6 +165,12 @@ const AppLayout = props => {
                   <Launch
                     entered={anim.entered}
                     planets={planets}
+                    rockets={rockets}
+                    customers={customers}
+                    pads={pads}
+                    habitabilityProfile={habitabilityProfile}
+                    launchSchema={launchSchema}
+                    canSchedule={canSchedule}
                     submitLaunch={submitLaunch}
                     isPendingLaunch={isPendingLaunch} />
                 </Route>
@@ -122,13 +180,41 @@ const AppLayout = props => {
                   <Upcoming
                     entered={anim.entered}
                     launches={launches}
-                    abortLaunch={abortLaunch} />
+                    user={user}
+                    canAbort={canAbort}
+                    canSchedule={canSchedule}
+                    planets={planets}
+                    rockets={rockets}
+                    pads={pads}
+                    launchSchema={launchSchema}
+                    editLaunch={editLaunch}
+                    abortLaunch={abortLaunch}
+                    abortRequests={abortRequests}
+                    confirmAbort={confirmAbort}
+                    cancelAbort={cancelAbort}
+                    refreshLaunches={refreshLaunches}
+                    fractionOfC={fractionOfC}
+                    setFractionOfC={setFractionOfC} />
                 </Route>
                 
+                {/* Route for calendar page - shows every launch on the day it launches */}
+                <Route exact path="/calendar">
+                  <Calendar entered={anim.entered} launches={launches} />
+                </Route>
+
                 {/* Route for history page - shows all past launches */}
                 <Route exact path="/history">
                   <History entered={anim.entered} launches={launches} />
                 </Route>
+
+                {/* Route for the login page - log in, or see who is logged in and log out */}
+                <Route exact path="/login">
+                  <Login
+                    entered={anim.entered}
+                    user={user}
+                    login={login}
+                    logout={logout} />
+                </Route>
               </Switch>
             </div>
           )}
@@ -0,0 +1,207 @@
+// Import React hooks
+// useMemo groups the launches by day only when they change
+// useState keeps track of the view (month or week) and the day being looked at
+import { useMemo, useState } from "react";
+
+// Import Arwes UI components for sci-fi styling
+import {
+  withStyles,
+  Appear,
+  Button,
+  Link,
+  Paragraph,
+  Table,
+  Words,
+} from "arwes";
+
+// Import Clickable component for sound effects
+import Clickable from "../components/Clickable";
+
+// Import LaunchStatus component that colours each launch by its status
+import LaunchStatus from "../components/LaunchStatus";
+
+// Import the address of the server's calendar feed, for the subscribe link
+import { LAUNCH_CALENDAR_URL } from "../hooks/requests";
+
+// Define CSS styles for the component
+const styles = () => ({
+  toolbar: {
+    display: "flex",
+    alignItems: "center",
+    flexWrap: "wrap",
+    "& > *": {
+      marginRight: "1rem",
+    },
+  },
+  day: {
+    verticalAlign: "top",
+    height: "6rem",
+  },
+  otherMonth: {
+    opacity: 0.4, // Days from the months before and after, shown to fill the first and last weeks
+  },
+  today: {
+    fontWeight: "bold",
+    textDecoration: "underline",
+  },
+  launch: {
+    fontSize: "0.85rem",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
+});
+
+// The names of the days, in the order the calendar shows them (weeks start on Sunday)
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Turn a date into a key for its day in the browser's time zone
+// Example: a launch at 2030-01-04T23:30:00Z is "2030-0-4" in London and "2030-0-5" in Tokyo
+const toDayKey = date => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+
+// Get a new date a number of days after (or before, for negative numbers) a date, at midnight
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Get the Sunday that starts a date's week
+const startOfWeek = date => addDays(date, -date.getDay());
+
+// Work out the days the calendar shows, as rows of 7 days
+// Parameters:
+//   - view: "month" or "week"
+//   - focus: Any day in the month or week to show
+// Returns: An array of weeks, each an array of 7 dates
+const getWeeks = (view, focus) => {
+  if (view === "week") {
+    const start = startOfWeek(focus);
+    return [WEEKDAYS.map((_, index) => addDays(start, index))];
+  }
+
+  // A month view starts on the Sunday before the 1st and ends on the Saturday after the last day
+  const firstOfMonth = new Date(focus.getFullYear(), focus.getMonth(), 1);
+  const weeks = [];
+  let start = startOfWeek(firstOfMonth);
+  while (weeks.length === 0 || start.getMonth() === focus.getMonth()) {
+    const weekStart = start;
+    weeks.push(WEEKDAYS.map((_, index) => addDays(weekStart, index)));
+    start = addDays(start, 7);
+  }
+  return weeks;
+};
+
+// Calendar page component
+// Shows the launches on a month or week calendar, each on the (local) day of its launch date
+const Calendar = props => {
+  const {
+    entered,   // Animation state from parent
+    launches,  // Array of all launches from API
+    classes,   // CSS classes from withStyles
+  } = props;
+
+  // "month" shows every week of a month, "week" shows one week
+  const [view, setView] = useState("month");
+
+  // A day in the month or week being shown (starts with today)
+  const [focus, setFocus] = useState(() => new Date());
+
+  // Group the launches by the day they launch on, each day's launches in time order
+  const launchesByDay = useMemo(() => {
+    const byDay = {};
+    const sorted = [...(launches || [])]
+      .sort((a, b) => new Date(a.launchDate) - new Date(b.launchDate));
+    for (const launch of sorted) {
+      const key = toDayKey(new Date(launch.launchDate));
+      (byDay[key] = byDay[key] || []).push(launch);
+    }
+    return byDay;
+  }, [launches]);
+
+  const weeks = getWeeks(view, focus);
+  const todayKey = toDayKey(new Date());
+
+  // Move back or forward by one month or one week
+  const move = step => {
+    setFocus(view === "week"
+      ? addDays(focus, 7 * step)
+      : new Date(focus.getFullYear(), focus.getMonth() + step, 1));
+  };
+
+  // The title above the calendar, e.g. "January 2030" or "Week of Sun Dec 29 2029"
+  const title = view === "week"
+    ? `Week of ${weeks[0][0].toDateString()}`
+    : focus.toLocaleDateString("en-US", { month: "long", year: "numeric" });
+
+  return (
+    <Appear id="calendar" animate show={entered}>
+      {/* Description text */}
+      <Paragraph>
+        Launches by date. Subscribe to the upcoming launches in your calendar app with{" "}
+        <Link href={LAUNCH_CALENDAR_URL}>this iCalendar feed</Link>.
+      </Paragraph>
+
+      {/* Switch between views, and move between months or weeks */}
+      <div className={classes.toolbar}>
+        <Clickable>
+          <Button animate show={entered} onClick={() => move(-1)}>◀</Button>
+        </Clickable>
+        <Clickable>
+          <Button animate show={entered} onClick={() => setFocus(new Date())}>Today</Button>
+        </Clickable>
+        <Clickable>
+          <Button animate show={entered} onClick={() => move(1)}>▶</Button>
+        </Clickable>
+        <label>
+          View{" "}
+          <select value={view} onChange={e => setView(e.target.value)}>
+            <option value="month">Month</option>
+            <option value="week">Week</option>
+          </select>
+        </label>
+        <Words animate>{title}</Words>
+      </div>
+
+      {/* One column per day of the week, one row per week */}
+      <Table animate show={entered}>
+        <table style={{tableLayout: "fixed"}}>
+          <thead>
+            <tr>
+              {WEEKDAYS.map(weekday => <th key={weekday}>{weekday}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {weeks.map(week => (
+              <tr key={toDayKey(week[0])}>
+                {week.map(day => {
+                  const key = toDayKey(day);
+                  const dayClasses = [classes.day];
+                  if (view === "month" && day.getMonth() !== focus.getMonth()) {
+                    dayClasses.push(classes.otherMonth);
+                  }
+                  return (
+                    <td key={key} className={dayClasses.join(" ")}>
+                      {/* Day of the month - underlined for today */}
+                      <div className={key === todayKey ? classes.today : undefined}>{day.getDate()}</div>
+                      {/* The day's launches: status colour, local time, flight number and mission */}
+                      {launchesByDay[key]?.map(launch => (
+                        <div
+                          key={String(launch.flightNumber)}
+                          className={classes.launch}
+                          title={`${launch.mission} · ${launch.rocket}${launch.target ? ` → ${launch.target}` : ""}`}>
+                          <LaunchStatus launch={launch} showLabel={false} />
+                          {" "}{new Date(launch.launchDate).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                          {" "}#{launch.flightNumber} {launch.mission}
+                        </div>
+                      ))}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Table>
+    </Appear>
+  );
+};
+
+// Export component wrapped with withStyles HOC for CSS-in-JS styling
+export default withStyles(styles)(Calendar);
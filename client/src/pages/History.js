@@ -1,44 +1,93 @@
-// Import useMemo hook from React
+// Import React hooks
 // useMemo prevents unnecessary recalculations of the table rows
-import { useMemo } from "react";
+// useState and useCallback keep track of which rows are expanded
+import { Fragment, useCallback, useMemo, useState } from "react";
 
 // Import Arwes UI components for sci-fi styling
 import { Appear, Table, Paragraph } from "arwes";
 
+// Import LaunchStatus component that colours and labels each launch status
+import LaunchStatus from "../components/LaunchStatus";
+
+// Import Clickable component for sound effects
+import Clickable from "../components/Clickable";
+
+// Import LaunchTimeline component that shows a launch's history when its row is expanded
+import LaunchTimeline from "../components/LaunchTimeline";
+
+// Turn one payload from the manifest into readable text
+// Example: { name: "FalconSAT-2", massKg: 20, orbit: "LEO", customer: "DARPA" }
+// becomes "FalconSAT-2 · 20 kg · LEO (DARPA)"
+// Historical payloads don't always have a mass or orbit, so those parts are left out
+const describePayload = payload => {
+  const parts = [payload.name];
+  if (payload.massKg !== undefined && payload.massKg !== null) {
+    parts.push(`${payload.massKg.toLocaleString()} kg`);
+  }
+  if (payload.orbit) {
+    parts.push(payload.orbit);
+  }
+  return payload.customer ? `${parts.join(" · ")} (${payload.customer})` : parts.join(" · ");
+};
+
 // History page component
 // Displays all past launches (both successful and failed)
 const History = props => {
+  // Which rows are expanded to show their history, keyed by flight number
+  const [expandedRows, setExpandedRows] = useState({});
+
+  // Expand a collapsed row, or collapse an expanded one
+  const toggleRow = useCallback((flightNumber) => {
+    setExpandedRows(rows => ({ ...rows, [flightNumber]: !rows[flightNumber] }));
+  }, []);
+
   // Memoize the table body to avoid recalculating on every render
-  // Only recalculates when props.launches changes
+  // Only recalculates when props.launches or the expanded rows change
   const tableBody = useMemo(() => {
     // Filter to get only past launches (launch.upcoming === false)
     // Then map each launch to a table row
     return props.launches?.filter((launch) => !launch.upcoming)
       .map((launch) => {
         return (
-          <tr key={String(launch.flightNumber)}>
-            {/* Status indicator - green for success, red for failure */}
-            <td>
-              <span style={{
-                color: launch.success ? "greenyellow" : "red"
-              }}>
-                █
-              </span>
-            </td>
-            {/* Flight number */}
-            <td>{launch.flightNumber}</td>
-            {/* Launch date formatted as readable string */}
-            <td>{new Date(launch.launchDate).toDateString()}</td>
-            {/* Mission name */}
-            <td>{launch.mission}</td>
-            {/* Rocket type */}
-            <td>{launch.rocket}</td>
-            {/* Customers - join array with comma and space */}
-            <td>{launch.customers?.join(", ")}</td>
-          </tr>
+          <Fragment key={String(launch.flightNumber)}>
+            <tr>
+              {/* Status indicator - a different colour and label for each status */}
+              {/* (launched, succeeded, failed, aborted) */}
+              <td>
+                <LaunchStatus launch={launch} />
+              </td>
+              {/* Flight number - click it to show or hide the launch's history */}
+              <td>
+                <Clickable
+                  style={{cursor: "pointer"}}
+                  title="Show history"
+                  onClick={() => toggleRow(launch.flightNumber)}>
+                  {expandedRows[launch.flightNumber] ? "▾" : "▸"} {launch.flightNumber}
+                </Clickable>
+              </td>
+              {/* Launch date formatted as readable string */}
+              <td>{new Date(launch.launchDate).toDateString()}</td>
+              {/* Mission name */}
+              <td>{launch.mission}</td>
+              {/* Rocket type */}
+              <td>{launch.rocket}</td>
+              {/* Customers - join array with comma and space */}
+              <td>{launch.customers?.join(", ")}</td>
+              {/* Payload manifest - one line per payload */}
+              <td>
+                {launch.payloads?.map((payload, index) =>
+                  <div key={index}>{describePayload(payload)}</div>
+                )}
+              </td>
+            </tr>
+            {/* Timeline of every change to this launch (only when expanded) */}
+            {expandedRows[launch.flightNumber] && (
+              <LaunchTimeline flightNumber={launch.flightNumber} colSpan={7} />
+            )}
+          </Fragment>
         );
       });
-  }, [props.launches]);
+  }, [props.launches, expandedRows, toggleRow]);
 
   return (
     <article id="history">
@@ -52,12 +101,13 @@ const History = props => {
             {/* Table header with column names */}
             <thead>
               <tr>
-                <th style={{width: "2rem"}}></th> {/* Status indicator column */}
-                <th style={{width: "3rem"}}>No.</th>
+                <th style={{width: "7rem"}}>Status</th>
+                <th style={{width: "4.5rem"}}>No.</th>
                 <th style={{width: "9rem"}}>Date</th>
                 <th>Mission</th>
                 <th style={{width: "7rem"}}>Rocket</th>
                 <th>Customers</th>
+                <th>Payloads</th>
               </tr>
             </thead>
             {/* Table body with launch data */}
@@ -1,6 +1,10 @@
-// Import useMemo hook from React
+// Import useMemo and useState hooks from React
 // useMemo is used to memoize (cache) computed values to avoid unnecessary recalculations
-import { useMemo } from "react";
+// useState keeps the error messages shown next to the form fields
+import { useMemo, useState } from "react";
+
+// Import Link component from React Router for the login link
+import { Link } from "react-router-dom";
 
 // Import Arwes UI components for sci-fi styling
 import { Appear, Button, Loading, Paragraph } from "arwes";
@@ -8,6 +12,38 @@ import { Appear, Button, Loading, Paragraph } from "arwes";
 // Import Clickable component that adds sound effects to clicks
 import Clickable from "../components/Clickable";
 
+// Import RocketSelector component, a searchable list of the registered rockets
+import RocketSelector, { findRocket } from "../components/RocketSelector";
+
+// Import PayloadManifest component, which edits the payloads a launch carries
+import PayloadManifest from "../components/PayloadManifest";
+
+// Import the launch validation helpers, which use the same schema as the server
+import { validateFields, getFieldErrors, getInputProps } from "../hooks/validation";
+
+// Import the helper that shows a planet's distance as a whole number of light-years
+import { formatWholeNumber } from "../hooks/trajectory";
+
+// Style for the error message shown under a form field
+const fieldErrorStyle = { color: "red", fontSize: "12px", gridColumn: "2" };
+
+// The customers selected when the form opens (the server's default customers for new launches)
+const DEFAULT_CUSTOMERS = ["Zero to Mastery", "NASA"];
+
+// Turn one habitability rule from the API into readable text
+// Example: { label: "Planetary radius", unit: "times Earth's radius", max: 1.6 }
+// becomes "Planetary radius < 1.6 times Earth's radius"
+const describeRule = rule => {
+  const parts = [];
+  if (rule.min !== undefined) {
+    parts.push(`> ${rule.min} ${rule.unit}`);
+  }
+  if (rule.max !== undefined) {
+    parts.push(`< ${rule.max} ${rule.unit}`);
+  }
+  return `${rule.label} ${parts.join(" and ")}`;
+};
+
 // Launch page component - displays a form to schedule new mission launches
 const Launch = props => {
   // Memoize the planets dropdown options
@@ -16,94 +52,204 @@ const Launch = props => {
   const selectorBody = useMemo(() => {
     // Map each planet to an <option> element for the dropdown
     // The key prop helps React efficiently update the list
+    // The estimated distance is shown next to the name, so planners know how far each planet is
     return props.planets?.map(planet => 
       <option value={planet.keplerName} key={planet.keplerName}>
         {planet.keplerName}
+        {typeof planet.distanceLightYears === "number" && ` · ${formatWholeNumber(planet.distanceLightYears)} light-years`}
       </option>
     );
   }, [props.planets]);
 
-  // Get today's date in YYYY-MM-DD format for the date input
-  // This is used to set the minimum date (can't schedule launches in the past)
+  // Get today's date in YYYY-MM-DD format, used as the default launch date
   const today = new Date().toISOString().split("T")[0];
 
+  // Error messages for each field, e.g. { mission: "Mission name is required" }
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  // The selected customers and the payload manifest
+  // Unlike the other fields these are kept in state, because the payload owners depend on the customers
+  const [customers, setCustomers] = useState(DEFAULT_CUSTOMERS);
+  const [payloads, setPayloads] = useState([]);
+
+  // The server's rules for each field (required, max length, date limits), or {} while loading
+  const schema = props.launchSchema || {};
+
+  // Check the form with the launch schema, then send it
+  // The server checks the same rules, so its errors are shown in the same places
+  const handleSubmit = async e => {
+    e.preventDefault();
+
+    // Extract form values
+    const data = new FormData(e.target);
+    const launch = {
+      launchDate: data.get("launch-day"),
+      mission: data.get("mission-name"),
+      rocket: data.get("rocket-name"),
+      pad: data.get("pad-selector") || undefined,
+      target: data.get("planets-selector"),
+      customers,
+      payloads,
+    };
+
+    let errors = validateFields(props.launchSchema, launch);
+
+    // Launches can only fly on active rockets from the registry
+    // Once the rockets have loaded, catch a misspelled or retired rocket before asking the server
+    const rocket = findRocket(props.rockets, launch.rocket);
+    if (launch.rocket && props.rockets?.length > 0 && !rocket) {
+      errors.push({ field: "rocket", message: "Choose a rocket from the list" });
+    }
+
+    // The rocket has to be able to carry all the payloads together
+    const totalMassKg = payloads.reduce((total, payload) => total + (Number(payload.massKg) || 0), 0);
+    if (rocket && totalMassKg > rocket.payloadCapacityKg) {
+      errors.push({
+        field: "payloads",
+        message: `The payloads weigh ${totalMassKg} kg, but ${rocket.name} can carry at most ${rocket.payloadCapacityKg} kg`,
+      });
+    }
+
+    if (errors.length === 0) {
+      errors = await props.submitLaunch({ ...launch, launchDate: new Date(launch.launchDate) });
+    }
+    setFieldErrors(getFieldErrors(errors));
+  };
+
   return (
     <Appear id="launch" animate show={props.entered}>
       {/* Description text explaining what this page does */}
       <Paragraph>Schedule a mission launch for interstellar travel to one of the Kepler Exoplanets.</Paragraph>
-      <Paragraph>Only confirmed planets matching the following criteria are available for the earliest scheduled missions:</Paragraph>
-      
-      {/* List of criteria for habitable planets */}
-      <ul>
-        <li>Planetary radius &lt; 1.6 times Earth's radius</li>
-        <li>Effective stellar flux &gt; 0.36 times Earth's value and &lt; 1.11 times Earth's value</li>
-      </ul>
+      {/* Criteria for habitable planets, from the server's active habitability profile */}
+      {props.habitabilityProfile && (
+        <>
+          <Paragraph>
+            Only {props.habitabilityProfile.dispositions.join(" or ").toLowerCase()} planets
+            matching the following criteria are available for the earliest scheduled missions:
+          </Paragraph>
+          <ul>
+            {props.habitabilityProfile.rules.map(rule =>
+              <li key={rule.field}>{describeRule(rule)}</li>
+            )}
+          </ul>
+        </>
+      )}
+
+      {/* Only planners and flight directors can schedule launches */}
+      {!props.canSchedule && (
+        <Paragraph>
+          <Link to="/login">Log in</Link> as a planner or flight director to schedule a launch.
+        </Paragraph>
+      )}
 
       {/* Form to submit a new launch */}
       {/* onSubmit handler is called when the form is submitted */}
-      <form onSubmit={props.submitLaunch} style={{
-        display: "inline-grid", 
-        gridTemplateColumns: "auto auto", 
-        gridGap: "10px 20px"
-      }}>
-        {/* Launch date input - must be today or in the future */}
-        <label htmlFor="launch-day">Launch Date</label>
-        <input 
-          type="date" 
-          id="launch-day" 
-          name="launch-day" 
-          min={today} 
-          max="2040-12-31" 
-          defaultValue={today} 
-        />
-        
-        {/* Mission name input */}
-        <label htmlFor="mission-name">Mission Name</label>
-        <input 
-          type="text" 
-          id="mission-name" 
-          name="mission-name" 
-          required
-        />
-        
-        {/* Rocket type input - has a default value */}
-        <label htmlFor="rocket-name">Rocket Type</label>
-        <input 
-          type="text" 
-          id="rocket-name" 
-          name="rocket-name" 
-          defaultValue="Explorer IS1" 
-        />
-        
-        {/* Planet selector dropdown - populated with habitable planets */}
-        <label htmlFor="planets-selector">Destination Exoplanet</label>
-        <select id="planets-selector" name="planets-selector" required>
-          <option value="">Select a planet...</option>
-          {selectorBody}
-        </select>
-        {props.planets && props.planets.length === 0 && (
-          <span style={{color: 'red', fontSize: '12px', gridColumn: '2'}}>
-            No planets available. Make sure backend server is running.
-          </span>
-        )}
-        
-        {/* Submit button - disabled while launch is being processed */}
-        <Clickable>
-          <Button 
-            animate 
-            show={props.entered} 
-            type="submit" 
-            layer="success" 
-            disabled={props.isPendingLaunch}>
-            Launch Mission ✔
-          </Button>
-        </Clickable>
-        
-        {/* Loading spinner shown while launch is being submitted */}
-        {props.isPendingLaunch && (
-          <Loading animate small />
-        )}
-      </form>
+      {props.canSchedule && (
+        <form onSubmit={handleSubmit} noValidate style={{
+          display: "inline-grid", 
+          gridTemplateColumns: "auto auto", 
+          gridGap: "10px 20px"
+        }}>
+          {/* Launch date input - must be between today and the schema's latest date */}
+          <label htmlFor="launch-day">Launch Date</label>
+          <input 
+            type="date" 
+            id="launch-day" 
+            name="launch-day" 
+            defaultValue={today} 
+            {...getInputProps(schema.launchDate)}
+          />
+          {fieldErrors.launchDate && <span style={fieldErrorStyle}>{fieldErrors.launchDate}</span>}
+          
+          {/* Mission name input */}
+          <label htmlFor="mission-name">Mission Name</label>
+          <input 
+            type="text" 
+            id="mission-name" 
+            name="mission-name" 
+            {...getInputProps(schema.mission)}
+          />
+          {fieldErrors.mission && <span style={fieldErrorStyle}>{fieldErrors.mission}</span>}
+          
+          {/* Rocket selector - type to search the active rockets in the registry */}
+          <label htmlFor="rocket-name">Rocket Type</label>
+          <RocketSelector
+            id="rocket-name"
+            name="rocket-name"
+            rockets={props.rockets}
+            defaultValue="Explorer IS1"
+            {...getInputProps(schema.rocket)}
+          />
+          {fieldErrors.rocket && <span style={fieldErrorStyle}>{fieldErrors.rocket}</span>}
+
+          {/* Launch pad selector - the pad is reserved for the launch day, and another launch can't have it then */}
+          <label htmlFor="pad-selector">Launch Pad</label>
+          <select id="pad-selector" name="pad-selector">
+            <option value="">No pad</option>
+            {props.pads?.map(pad =>
+              <option value={pad.name} key={pad.id}>{pad.name} · {pad.site}</option>
+            )}
+          </select>
+          {fieldErrors.pad && <span style={fieldErrorStyle}>{fieldErrors.pad}</span>}
+          
+          {/* Planet selector dropdown - populated with habitable planets */}
+          <label htmlFor="planets-selector">Destination Exoplanet</label>
+          <select id="planets-selector" name="planets-selector" required={schema.target?.required}>
+            <option value="">Select a planet...</option>
+            {selectorBody}
+          </select>
+          {fieldErrors.target && <span style={fieldErrorStyle}>{fieldErrors.target}</span>}
+          {props.planets && props.planets.length === 0 && (
+            <span style={{color: 'red', fontSize: '12px', gridColumn: '2'}}>
+              No planets available. Make sure backend server is running.
+            </span>
+          )}
+
+          {/* Customers multi-select - hold Ctrl (or Cmd) to pick several */}
+          <label htmlFor="customers-selector">Customers</label>
+          <select
+            id="customers-selector"
+            multiple
+            size={4}
+            value={customers}
+            onChange={e => setCustomers(Array.from(e.target.selectedOptions, option => option.value))}>
+            {props.customers?.map(customer =>
+              <option value={customer.name} key={customer.id}>{customer.name}</option>
+            )}
+          </select>
+          {fieldErrors.customers && <span style={fieldErrorStyle}>{fieldErrors.customers}</span>}
+
+          {/* Payload manifest - what the launch carries, and which customer owns each payload */}
+          <label>Payloads</label>
+          <PayloadManifest
+            payloads={payloads}
+            customers={customers}
+            schema={schema.payloads}
+            errors={fieldErrors}
+            onChange={setPayloads} />
+          {fieldErrors.payloads && <span style={fieldErrorStyle}>{fieldErrors.payloads}</span>}
+          
+          {/* Submit button - disabled while launch is being processed */}
+          <Clickable>
+            <Button 
+              animate 
+              show={props.entered} 
+              type="submit" 
+              layer="success" 
+              disabled={props.isPendingLaunch}>
+              Launch Mission ✔
+            </Button>
+          </Clickable>
+          
+          {/* Loading spinner shown while launch is being submitted */}
+          {props.isPendingLaunch && (
+            <Loading animate small />
+          )}
+
+          {/* Errors that aren't about one field (e.g., the server couldn't be reached) */}
+          {fieldErrors.form && <span style={fieldErrorStyle}>{fieldErrors.form}</span>}
+        </form>
+      )}
     </Appear>
   );
 };
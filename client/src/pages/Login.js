@@ -0,0 +1,84 @@
+// Import React hooks for managing state
+import { useCallback, useState } from "react";
+
+// Import useHistory to go to another page after logging in
+import { useHistory } from "react-router-dom";
+
+// Import Arwes UI components for sci-fi styling
+import { Appear, Button, Paragraph, Words } from "arwes";
+
+// Import Clickable component that adds sound effects to clicks
+import Clickable from "../components/Clickable";
+
+// Login page component - displays a form to log in with a username and password
+// Or, if someone is already logged in, who they are and a button to log out
+const Login = props => {
+  const { entered, user, login, logout } = props;
+  const history = useHistory();
+
+  // The reason the last login failed (e.g., "Invalid username or password"), or null
+  const [error, setError] = useState(null);
+
+  // True while the login request is in flight, to disable the button
+  const [isPending, setPending] = useState(false);
+
+  // Handles form submission - sends the username and password to the API
+  const onSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    setPending(true);
+
+    const data = new FormData(e.target);
+    const loginError = await login(data.get("username"), data.get("password"));
+
+    setPending(false);
+    setError(loginError);
+    if (!loginError) {
+      // Go to the launch form once logged in
+      history.push("/launch");
+    }
+  }, [login, history]);
+
+  if (user) {
+    return (
+      <Appear id="login" animate show={entered}>
+        <Paragraph>Logged in as {user.username} ({user.role}).</Paragraph>
+        <Clickable>
+          <Button animate show={entered} layer="alert" onClick={logout}>
+            Log Out
+          </Button>
+        </Clickable>
+      </Appear>
+    );
+  }
+
+  return (
+    <Appear id="login" animate show={entered}>
+      <Paragraph>Log in to schedule or abort missions. Anyone can view upcoming and past launches.</Paragraph>
+
+      <form onSubmit={onSubmit} style={{
+        display: "inline-grid",
+        gridTemplateColumns: "auto auto",
+        gridGap: "10px 20px"
+      }}>
+        <label htmlFor="username">Username</label>
+        <input type="text" id="username" name="username" autoComplete="username" required />
+
+        <label htmlFor="password">Password</label>
+        <input type="password" id="password" name="password" autoComplete="current-password" required />
+
+        {/* Submit button - disabled while the login is being checked */}
+        <Clickable>
+          <Button animate show={entered} type="submit" layer="success" disabled={isPending}>
+            Log In
+          </Button>
+        </Clickable>
+
+        {error && (
+          <Words animate layer="alert">{error}</Words>
+        )}
+      </form>
+    </Appear>
+  );
+};
+
+export default Login;
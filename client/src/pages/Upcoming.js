@@ -1,6 +1,7 @@
-// Import useMemo hook from React
+// Import React hooks
 // useMemo prevents unnecessary recalculations of the table rows
-import { useMemo } from "react";
+// useState and useCallback keep track of which rows are expanded
+import { Fragment, useCallback, useMemo, useState } from "react";
 
 // Import Arwes UI components for sci-fi styling
 import { 
@@ -15,58 +16,228 @@ import {
 // Import Clickable component for sound effects
 import Clickable from "../components/Clickable";
 
+// Import LaunchStatus component that colours and labels each launch status
+import LaunchStatus from "../components/LaunchStatus";
+
+// Import LaunchTimeline component that shows a launch's history when its row is expanded
+import LaunchTimeline from "../components/LaunchTimeline";
+
+// Import AbortCountdown component that shows how long is left to confirm an abort
+import AbortCountdown from "../components/AbortCountdown";
+
+// Import LaunchCountdown component that shows the live T-minus countdown to each launch
+import LaunchCountdown from "../components/LaunchCountdown";
+
+// Import LaunchEditRow component that turns a row into inputs for editing the launch
+import LaunchEditRow from "../components/LaunchEditRow";
+
+// Import the cruise speeds to pick from and the number format for trip estimates
+import { CRUISE_SPEEDS, formatWholeNumber } from "../hooks/trajectory";
+
 // Define CSS styles for the component
 const styles = () => ({
   link: {
     color: "red", // Red color for abort button
     textDecoration: "none",
   },
+  groupHeader: {
+    fontWeight: "bold", // Heading row above each pad's launches
+    paddingTop: "1rem",
+  },
 });
 
+// Put launches in pad order for grouping: by pad name (launches without a pad last), then by date
+const compareByPad = (a, b) => {
+  if ((a.pad || "") !== (b.pad || "")) {
+    if (!a.pad) return 1;
+    if (!b.pad) return -1;
+    return a.pad.localeCompare(b.pad);
+  }
+  return new Date(a.launchDate) - new Date(b.launchDate);
+};
+
 // Upcoming launches page component
 // Displays all scheduled launches that haven't happened yet
 const Upcoming = props => {
   const { 
     entered,        // Animation state from parent
-    launches,       // Array of all launches from API
+    launches,       // Array of all launches from API, with trip estimates at the chosen cruise speed
     classes,        // CSS classes from withStyles
-    abortLaunch,    // Function to abort a launch
+    abortLaunch,    // Function to request that a launch is aborted
+    abortRequests,  // Array of abort requests waiting for a second flight director
+    confirmAbort,   // Function to confirm another flight director's abort request
+    cancelAbort,    // Function to call off an abort request
+    refreshLaunches,// Function to reload launches (used when an abort request expires)
+    canAbort,       // true if the logged-in user may abort launches
+    canSchedule,    // true if the logged-in user may edit launches
+    editLaunch,     // Function to save changes to a launch
+    planets,        // Habitable planets, for changing a launch's destination
+    rockets,        // Active rockets, for changing a launch's rocket
+    pads,           // Open launch pads, for changing a launch's pad and naming each pad's site
+    launchSchema,   // The server's launch validation rules, used when editing
+    user,           // The logged-in user, or null
+    fractionOfC,    // The cruise speed the server estimates the trips at, as a fraction of the speed of light
+    setFractionOfC, // Function to pick another cruise speed (the launches are fetched again)
   } = props;
 
+  // The flight number of the launch being edited, or null when no row is being edited
+  const [editingRow, setEditingRow] = useState(null);
+
+  // Look up pending abort requests by flight number
+  const abortRequestsByFlight = useMemo(() => {
+    const byFlight = {};
+    abortRequests?.forEach(abortRequest => {
+      byFlight[abortRequest.flightNumber] = abortRequest;
+    });
+    return byFlight;
+  }, [abortRequests]);
+
+  // Whether the launches are grouped by the pad they reserve, to see each pad's schedule at a glance
+  const [groupByPad, setGroupByPad] = useState(false);
+
+  // Which rows are expanded to show their history, keyed by flight number
+  const [expandedRows, setExpandedRows] = useState({});
+
+  // Expand a collapsed row, or collapse an expanded one
+  const toggleRow = useCallback((flightNumber) => {
+    setExpandedRows(rows => ({ ...rows, [flightNumber]: !rows[flightNumber] }));
+  }, []);
+
   // Memoize the table body to avoid recalculating on every render
-  // Only recalculates when launches, abortLaunch, or classes.link changes
+  // Only recalculates when launches, abort requests, the user, classes, the grouping,
+  // or the expanded rows change
   const tableBody = useMemo(() => {
     // Filter to get only upcoming launches (launch.upcoming === true)
+    // When grouping, sort them so each pad's launches are together
+    const upcomingLaunches = launches?.filter((launch) => launch.upcoming) || [];
+    if (groupByPad) {
+      upcomingLaunches.sort(compareByPad);
+    }
+
     // Then map each launch to a table row
-    return launches?.filter((launch) => launch.upcoming)
-      .map((launch) => {
+    return upcomingLaunches
+      .map((launch, index) => {
+        const abortRequest = abortRequestsByFlight[launch.flightNumber];
+        // When grouping, the first launch on each pad gets a heading row with the pad's name and site
+        const startsGroup = groupByPad && (index === 0 || upcomingLaunches[index - 1].pad !== launch.pad);
+        const site = pads?.find(pad => pad.name === launch.pad)?.site;
+        // The server's trip estimate, null when the destination's distance isn't known
+        // (undefined for a moment after a live update, until the launch is fetched again with it)
+        const trip = launch.trajectory;
         return (
-          <tr key={String(launch.flightNumber)}>
-            {/* Abort button - clicking this cancels the launch */}
-            <td>
-              <Clickable style={{color:"red"}}>
-                <Link 
-                  className={classes.link} 
-                  onClick={() => abortLaunch(launch.flightNumber)}
-                >
-                  ✖
-                </Link>
-              </Clickable>
-            </td>
-            {/* Flight number */}
-            <td>{launch.flightNumber}</td>
-            {/* Launch date formatted as readable string */}
-            <td>{new Date(launch.launchDate).toDateString()}</td>
-            {/* Mission name */}
-            <td>{launch.mission}</td>
-            {/* Rocket type */}
-            <td>{launch.rocket}</td>
-            {/* Destination planet */}
-            <td>{launch.target}</td>
-          </tr>
+          <Fragment key={String(launch.flightNumber)}>
+            {startsGroup && (
+              <tr>
+                <td colSpan={12} className={classes.groupHeader}>
+                  {launch.pad ? `${launch.pad}${site ? ` · ${site}` : ""}` : "No pad"}
+                </td>
+              </tr>
+            )}
+            {/* Inline edit mode replaces the row with inputs */}
+            {editingRow === launch.flightNumber ? (
+              <LaunchEditRow
+                launch={launch}
+                planets={planets}
+                rockets={rockets}
+                pads={pads}
+                launchSchema={launchSchema}
+                colSpan={12}
+                onSave={editLaunch}
+                onClose={() => setEditingRow(null)} />
+            ) : (
+              <tr>
+                {/* Abort button - clicking this asks for the launch to be aborted (flight directors only) */}
+                {/* Hidden while an abort request is already waiting for confirmation */}
+                <td>
+                  {canAbort && !abortRequest && (
+                    <Clickable style={{color:"red"}}>
+                      <Link 
+                        className={classes.link} 
+                        onClick={() => abortLaunch(launch.flightNumber)}
+                      >
+                        ✖
+                      </Link>
+                    </Clickable>
+                  )}
+                  {/* Edit button - switches the row to inline edit mode (planners and flight directors) */}
+                  {canSchedule && (
+                    <Clickable style={{marginLeft: "0.5rem"}}>
+                      <Link title="Edit launch" onClick={() => setEditingRow(launch.flightNumber)}>
+                        ✎
+                      </Link>
+                    </Clickable>
+                  )}
+                </td>
+                {/* Status (scheduled, go for launch or scrubbed) */}
+                <td>
+                  <LaunchStatus launch={launch} />
+                </td>
+                {/* Flight number - click it to show or hide the launch's history */}
+                <td>
+                  <Clickable
+                    style={{cursor: "pointer"}}
+                    title="Show history"
+                    onClick={() => toggleRow(launch.flightNumber)}>
+                    {expandedRows[launch.flightNumber] ? "▾" : "▸"} {launch.flightNumber}
+                  </Clickable>
+                </td>
+                {/* Launch date formatted as readable string */}
+                <td>{new Date(launch.launchDate).toDateString()}</td>
+                {/* Live countdown to the launch date */}
+                <td>
+                  <LaunchCountdown launchDate={launch.launchDate} />
+                </td>
+                {/* Mission name */}
+                <td>{launch.mission}</td>
+                {/* Rocket type */}
+                <td>{launch.rocket}</td>
+                {/* Launch pad (if it reserves one) */}
+                <td>{launch.pad || "—"}</td>
+                {/* Destination planet */}
+                <td>{launch.target}</td>
+                {/* Estimated distance, travel time and arrival at the chosen cruise speed */}
+                <td>{trip ? `${formatWholeNumber(trip.distanceLightYears)} ly` : "—"}</td>
+                <td>{trip ? `${formatWholeNumber(trip.travelYears)} years` : "—"}</td>
+                <td>{trip ? (trip.arrivalDate ? new Date(trip.arrivalDate).toDateString() : "After 275760") : "—"}</td>
+              </tr>
+            )}
+            {/* Pending abort request, with a countdown until it expires */}
+            {abortRequest && (
+              <tr style={{color: "red"}}>
+                <td colSpan={12}>
+                  Abort requested by {abortRequest.requestedBy}
+                  {abortRequest.reason && ` (${abortRequest.reason})`} — expires
+                  in <AbortCountdown expiresAt={abortRequest.expiresAt} onExpire={refreshLaunches} />
+                  {/* A different flight director must confirm the abort */}
+                  {canAbort && user?.username !== abortRequest.requestedBy && (
+                    <Clickable style={{marginLeft: "1rem"}}>
+                      <Link className={classes.link} onClick={() => confirmAbort(launch.flightNumber)}>
+                        Confirm abort
+                      </Link>
+                    </Clickable>
+                  )}
+                  {canAbort && (
+                    <Clickable style={{marginLeft: "1rem"}}>
+                      <Link onClick={() => cancelAbort(launch.flightNumber)}>
+                        Cancel
+                      </Link>
+                    </Clickable>
+                  )}
+                </td>
+              </tr>
+            )}
+            {/* Timeline of every change to this launch (only when expanded) */}
+            {expandedRows[launch.flightNumber] && (
+              <LaunchTimeline flightNumber={launch.flightNumber} colSpan={12} />
+            )}
+          </Fragment>
         );
       });
-  }, [launches, abortLaunch, classes.link]);
+  }, [
+    launches, abortRequestsByFlight, abortLaunch, confirmAbort, cancelAbort, refreshLaunches,
+    canAbort, canSchedule, editLaunch, planets, rockets, pads, launchSchema, editingRow, user,
+    classes.link, classes.groupHeader, groupByPad, expandedRows, toggleRow,
+  ]);
 
   return (
     <Appear id="upcoming" animate show={entered}>
@@ -74,7 +245,26 @@ const Upcoming = props => {
       <Paragraph>Upcoming missions including both SpaceX launches and newly scheduled Zero to Mastery rockets.</Paragraph>
       
       {/* Warning message about aborting missions */}
-      <Words animate>Warning! Clicking on the ✖ aborts the mission.</Words>
+      {canAbort && (
+        <Words animate>Warning! Clicking on the ✖ requests an abort. A second flight director must confirm it.</Words>
+      )}
+
+      {/* Switch between one list by date and one group per launch pad */}
+      <Paragraph>
+        <label>
+          <input type="checkbox" checked={groupByPad} onChange={e => setGroupByPad(e.target.checked)} />
+          {" "}Group by launch pad
+        </label>
+        {/* The travel times and arrival dates below are worked out for this speed */}
+        <label style={{marginLeft: "2rem"}}>
+          Cruise speed{" "}
+          <select value={fractionOfC} onChange={e => setFractionOfC(Number(e.target.value))}>
+            {CRUISE_SPEEDS.map(speed => (
+              <option value={speed.fractionOfC} key={speed.fractionOfC}>{speed.label}</option>
+            ))}
+          </select>
+        </label>
+      </Paragraph>
       
       {/* Table displaying upcoming launches */}
       <Table animate show={entered}>
@@ -82,12 +272,18 @@ const Upcoming = props => {
           {/* Table header with column names */}
           <thead>
             <tr>
-              <th style={{width: "3rem"}}></th> {/* Abort button column */}
-              <th style={{width: "3rem"}}>No.</th>
+              <th style={{width: "4rem"}}></th> {/* Abort and edit buttons column */}
+              <th style={{width: "8rem"}}>Status</th>
+              <th style={{width: "4.5rem"}}>No.</th>
               <th style={{width: "10rem"}}>Date</th>
+              <th style={{width: "10rem"}}>Countdown</th>
               <th style={{width: "11rem"}}>Mission</th>
               <th style={{width: "11rem"}}>Rocket</th>
-              <th>Destination</th>
+              <th style={{width: "7rem"}}>Pad</th>
+              <th style={{width: "9rem"}}>Destination</th>
+              <th style={{width: "7rem"}}>Distance</th>
+              <th style={{width: "8rem"}}>Travel time</th>
+              <th>Arrival</th>
             </tr>
           </thead>
           {/* Table body with launch data */}
@@ -16,9 +16,19 @@ const path = require('path');
 const morgan = require('morgan');
 
 // Import our route handlers
-// These files contain the logic for handling different API endpoints
-const planetsRouter = require('./routes/planets/planets.router');
-const launchesRouter = require('./routes/launches/launches.router');
+// The v1 router groups the auth, planets, launches, rockets, customers and pads routers, plus the OpenAPI document
+const v1Router = require('./routes/v1.router');
+
+// Import the health check and metrics routes (/healthz, /readyz and /metrics)
+const healthRouter = require('./routes/health/health.router');
+
+// Import the middleware that gives every request an id, and the middleware that sends errors
+// as problem+json responses (see services/errors.js for the error classes)
+const { assignRequestId } = require('./middleware/requestId');
+const { handleNotFound, handleErrors } = require('./middleware/errors');
+
+// Import the middleware that times every request for /metrics
+const { recordRequestMetrics } = require('./middleware/metrics');
 
 // Create an Express application
 // This is the main app object that we'll configure
@@ -32,8 +42,15 @@ const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
 
 app.use(cors({
     origin: CLIENT_URL, // Only allow requests from this origin
+    exposedHeaders: ['X-Request-Id'], // Let the frontend read the request id of each response
 }));
 
+// Give every request an id (sent back in the X-Request-Id header and in error responses)
+app.use(assignRequestId);
+
+// Time every request (reported per route at /metrics)
+app.use(recordRequestMetrics);
+
 // Morgan middleware for logging HTTP requests
 // This logs every request to the console (useful for debugging)
 // Uncomment the line below if you want to see all API requests in the console
@@ -44,32 +61,51 @@ app.use(cors({
 // Without this, req.body would be undefined
 app.use(express.json());
 
+// Folder with the built React app (npm run build in the client folder puts it here)
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
 // Serve static files from the public directory
 // Static files are files that don't change (like images, CSS, JavaScript)
 // In production, the built React app is in the public directory
 // This allows users to access files like /img/background.jpg
-app.use(express.static(path.join(__dirname, '..', 'public')));
+app.use(express.static(PUBLIC_DIR));
 
-// Fallback route for client-side routing
-// React Router handles routing on the frontend, but when you refresh the page or type a URL directly,
-// the browser makes a request to the server. This route serves the React app's index.html
-// so React Router can take over and show the correct page
-app.get('/index.html', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
-});
+// Health checks and metrics
+// Orchestration and monitoring tools call these: GET /healthz, GET /readyz and GET /metrics
+app.use(healthRouter);
 
 // API Routes
-// These routes handle requests to our API endpoints
-// When someone visits /planets, the planetsRouter handles it
-// When someone visits /launches, the launchesRouter handles it
+// Every API endpoint is versioned: it lives under /v1
+// When someone visits /v1/planets, the planets router handles it
+// When someone visits /v1/launches, the launches router handles it
+// The OpenAPI document describing them is at /v1/openapi.json, with a viewer at /v1/docs
+app.use('/v1', v1Router);
 
-// Mount the planets router at /planets
-// This means GET /planets will be handled by planetsRouter
-app.use('/planets', planetsRouter);
+// Fallback route for client-side routing
+// React Router handles routing on the frontend, but when you refresh the page or open a bookmark
+// like /upcoming, the browser asks the server for that URL. This route serves the React app's
+// index.html for any such page, so React Router can take over and show the correct one
+// It must come after the API routes and the static files, so it only gets requests they didn't handle
+// '/{*path}' matches every path, including '/'
+app.get('/{*path}', (req, res, next) => {
+    // Unknown API paths and missing files (like /img/missing.png) are real 404s,
+    // so pass them on to the error handling below instead of sending the app
+    if (req.path === '/v1' || req.path.startsWith('/v1/') || path.extname(req.path)) {
+        return next();
+    }
+
+    // no-cache makes browsers check for a new index.html after every deploy,
+    // so they always load the current JavaScript bundle
+    return res.sendFile(path.join(PUBLIC_DIR, 'index.html'), {
+        headers: { 'Cache-Control': 'no-cache' },
+    });
+});
 
-// Mount the launches router at /launches
-// This means GET /launches, POST /launches, DELETE /launches/:id will be handled by launchesRouter
-app.use('/launches', launchesRouter);
+// Error handling
+// These must come after all the routes: requests that no route handled get a 404,
+// and every error thrown by a route is sent as a problem+json response
+app.use(handleNotFound);
+app.use(handleErrors);
 
 // Export the app so it can be used in server.js
 // This is how we share the Express app with other files
@@ -0,0 +1,78 @@
+// Import supertest to make HTTP requests against our Express app without starting a real server
+const request = require('supertest');
+
+// Import the Express app
+// None of these tests touch the database, so no MongoDB is needed
+const app = require('./app');
+
+describe('Serving the React app', () => {
+    describe('Deep links', () => {
+        // Every page React Router knows about, as a user would bookmark or reload it
+        test.each(['/', '/launch', '/upcoming', '/history'])('It should serve index.html for %s', async (page) => {
+            const response = await request(app)
+                .get(page)
+                .expect('Content-Type', /html/)
+                .expect(200);
+
+            expect(response.text).toContain('<div id="root">');
+        });
+
+        test('It should serve index.html for paths React Router handles with its own 404', async () => {
+            await request(app)
+                .get('/no-such-page/deeper')
+                .expect('Content-Type', /html/)
+                .expect(200);
+        });
+
+        test('It should tell browsers to check for a new index.html', async () => {
+            await request(app)
+                .get('/upcoming')
+                .expect('Cache-Control', 'no-cache')
+                .expect(200);
+        });
+    });
+
+    describe('Assets', () => {
+        test('It should serve files from the public folder', async () => {
+            await request(app)
+                .get('/favicon.png')
+                .expect('Content-Type', /image\/png/)
+                .expect(200);
+        });
+
+        test('It should answer missing files with a 404 instead of the app', async () => {
+            const response = await request(app)
+                .get('/img/missing.png')
+                .expect('Content-Type', /application\/problem\+json/)
+                .expect(404);
+
+            expect(response.body.code).toBe('route-not-found');
+        });
+    });
+
+    describe('Unknown API paths', () => {
+        test.each(['/v1', '/v1/no-such-endpoint', '/v1/launches/100/no-such-action'])(
+            'It should answer %s with a JSON 404',
+            async (apiPath) => {
+                const response = await request(app)
+                    .get(apiPath)
+                    .expect('Content-Type', /application\/problem\+json/)
+                    .expect(404);
+
+                expect(response.body).toMatchObject({
+                    status: 404,
+                    code: 'route-not-found',
+                });
+            }
+        );
+
+        test('It should not serve the app for requests other than GET', async () => {
+            const response = await request(app)
+                .post('/upcoming')
+                .expect('Content-Type', /application\/problem\+json/)
+                .expect(404);
+
+            expect(response.body.code).toBe('route-not-found');
+        });
+    });
+});
@@ -0,0 +1,182 @@
+// Habitability criteria profiles
+// A profile is a named set of rules that decides which Kepler planets count as "habitable"
+// The server uses the active profile to pick planets for GET /planets and to validate launch targets
+//
+// Each profile has:
+//   - description: A short explanation shown to mission planners
+//   - dispositions: Which Exoplanet Archive dispositions are allowed (e.g., only "CONFIRMED")
+//   - rules: Ranges that a numeric KOI column must fall inside
+//       - field: The KOI column name (e.g., "koi_prad")
+//       - label: Human-readable name of the column
+//       - unit: Unit shown after the numbers (e.g., "times Earth's radius")
+//       - min: The value must be greater than this (optional)
+//       - max: The value must be less than this (optional)
+//
+// Extra profiles (or a custom version of the ones below) can be loaded from a JSON file:
+// set HABITABILITY_PROFILES_FILE in your .env file to the path of a file like
+//   { "my-profile": { "description": "...", "dispositions": ["CONFIRMED"], "rules": [...] } }
+
+// Import fs and path (built into Node.js) to read the optional custom profiles file
+const fs = require('fs');
+const path = require('path');
+
+// Import the KOI columns we store, the only ones a rule can check
+const { NUMERIC_PLANET_FIELDS } = require('../models/planets.fields');
+
+// Built-in profiles
+const BUILT_IN_PROFILES = {
+    // The original criteria: Earth-like energy and a rocky size, confirmed planets only
+    conservative: {
+        description: 'Confirmed planets with Earth-like stellar flux and a rocky size.',
+        dispositions: ['CONFIRMED'],
+        rules: [
+            {
+                field: 'koi_prad',
+                label: 'Planetary radius',
+                unit: "times Earth's radius",
+                max: 1.6,
+            },
+            {
+                field: 'koi_insol',
+                label: 'Effective stellar flux',
+                unit: "times Earth's value",
+                min: 0.36,
+                max: 1.11,
+            },
+        ],
+    },
+    // A wider habitable zone and larger "super-Earths", including unconfirmed candidates
+    optimistic: {
+        description: 'Confirmed and candidate planets in a wider habitable zone, including super-Earths.',
+        dispositions: ['CONFIRMED', 'CANDIDATE'],
+        rules: [
+            {
+                field: 'koi_prad',
+                label: 'Planetary radius',
+                unit: "times Earth's radius",
+                max: 2.5,
+            },
+            {
+                field: 'koi_insol',
+                label: 'Effective stellar flux',
+                unit: "times Earth's value",
+                min: 0.25,
+                max: 1.5,
+            },
+        ],
+    },
+};
+
+// The dispositions the NASA Exoplanet Archive gives a Kepler Object of Interest
+const KEPLER_DISPOSITIONS = ['CONFIRMED', 'CANDIDATE', 'FALSE POSITIVE'];
+
+// Function to find what is wrong with a profile
+// Custom profiles come from a file anyone can edit, so a typo there must stop the server
+// with a clear message instead of quietly matching no planets (or every planet)
+// Parameters:
+//   - profile: A profile object (see the top of this file)
+// Returns: A description of the first problem, or null if the profile is valid
+function findProfileProblem(profile) {
+    if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) {
+        return 'must be an object with description, dispositions and rules';
+    }
+    if (typeof profile.description !== 'string') {
+        return 'needs a description (text)';
+    }
+    if (!Array.isArray(profile.dispositions) || profile.dispositions.length === 0) {
+        return 'needs at least one disposition';
+    }
+    const unknownDisposition = profile.dispositions.find((disposition) => !KEPLER_DISPOSITIONS.includes(disposition));
+    if (unknownDisposition !== undefined) {
+        return `has an unknown disposition "${unknownDisposition}" (allowed: ${KEPLER_DISPOSITIONS.join(', ')})`;
+    }
+    if (!Array.isArray(profile.rules)) {
+        return 'needs a list of rules (it can be empty)';
+    }
+
+    for (const [index, rule] of profile.rules.entries()) {
+        const problem = findRuleProblem(rule);
+        if (problem) {
+            return `rule ${index + 1} ${problem}`;
+        }
+    }
+
+    return null;
+}
+
+// Function to find what is wrong with one rule of a profile
+// Returns: A description of the problem, or null if the rule is valid
+function findRuleProblem(rule) {
+    if (typeof rule !== 'object' || rule === null) {
+        return 'must be an object with field, label, unit, min and max';
+    }
+    for (const key of ['field', 'label', 'unit']) {
+        if (typeof rule[key] !== 'string' || rule[key] === '') {
+            return `needs a ${key} (text)`;
+        }
+    }
+    // A misspelled column (e.g., "koi_prd") would match no planets, and every later CSV import
+    // would require a column that doesn't exist
+    if (!NUMERIC_PLANET_FIELDS.includes(rule.field)) {
+        return `checks the unknown field "${rule.field}" (allowed: ${NUMERIC_PLANET_FIELDS.join(', ')})`;
+    }
+    if (rule.min === undefined && rule.max === undefined) {
+        return 'needs a min, a max or both';
+    }
+    for (const key of ['min', 'max']) {
+        if (rule[key] !== undefined && !Number.isFinite(rule[key])) {
+            return `has a ${key} that is not a number`;
+        }
+    }
+    if (rule.min !== undefined && rule.max !== undefined && rule.min >= rule.max) {
+        return 'has a min that is not below its max';
+    }
+    return null;
+}
+
+// Function to read the custom profiles file (if one is configured)
+// Returns: An object of extra profiles, or an empty object if no file is configured
+function loadCustomProfiles() {
+    const profilesFile = process.env.HABITABILITY_PROFILES_FILE;
+    if (!profilesFile) {
+        return {};
+    }
+
+    // Relative paths are resolved from the directory the server was started in
+    const profiles = JSON.parse(fs.readFileSync(path.resolve(profilesFile), 'utf8'));
+    if (typeof profiles !== 'object' || profiles === null || Array.isArray(profiles)) {
+        throw new Error(`${profilesFile} must hold an object of profiles, keyed by profile name`);
+    }
+
+    for (const [name, profile] of Object.entries(profiles)) {
+        const problem = findProfileProblem(profile);
+        if (problem) {
+            throw new Error(`Habitability profile "${name}" in ${profilesFile} ${problem}`);
+        }
+    }
+
+    return profiles;
+}
+
+// All available profiles (custom profiles replace built-in ones with the same name)
+const HABITABILITY_PROFILES = {
+    ...BUILT_IN_PROFILES,
+    ...loadCustomProfiles(),
+};
+
+// Name of the profile the server uses by default
+// Set HABITABILITY_PROFILE in your .env file to change it (e.g., HABITABILITY_PROFILE=optimistic)
+const ACTIVE_PROFILE = process.env.HABITABILITY_PROFILE || 'conservative';
+
+// Object.hasOwn() only looks at the profiles themselves, so names every object has
+// (like "toString" or "constructor") aren't mistaken for profiles
+if (!Object.hasOwn(HABITABILITY_PROFILES, ACTIVE_PROFILE)) {
+    throw new Error(
+        `Unknown HABITABILITY_PROFILE "${ACTIVE_PROFILE}" (available: ${Object.keys(HABITABILITY_PROFILES).join(', ')})`
+    );
+}
+
+module.exports = {
+    HABITABILITY_PROFILES,
+    ACTIVE_PROFILE,
+};
@@ -0,0 +1,50 @@
+// Express middleware for authentication (who are you?) and authorization (what may you do?)
+// Usage in a router:
+//   launchesRouter.delete('/:id', authenticate, requireRole('flight-director'), httpAbortLaunch);
+
+// Import the function that checks login tokens
+const { verifyToken } = require('../services/auth');
+
+// Import the error classes for 401 and 403 responses
+const { UnauthorizedError, ForbiddenError } = require('../services/errors');
+
+// Middleware that requires a valid login token
+// The client sends it in the Authorization header: "Authorization: Bearer <token>"
+// If the token is valid, the user is stored in req.user for the next handlers
+function authenticate(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    const user = scheme === 'Bearer' && token ? verifyToken(token) : null;
+    if (!user) {
+        // Status 401 means "Unauthorized" (we don't know who you are)
+        return next(new UnauthorizedError('Authentication required', { code: 'authentication-required' }));
+    }
+
+    req.user = user;
+    return next();
+}
+
+// Function that creates middleware allowing only certain roles through
+// Must be used after authenticate, which sets req.user
+// Parameters:
+//   - roles: The roles that are allowed (e.g., 'planner', 'flight-director')
+// Returns: An Express middleware function
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            // Status 403 means "Forbidden" (we know who you are, but you can't do this)
+            return next(new ForbiddenError('Insufficient role', {
+                code: 'insufficient-role',
+                requiredRoles: roles,
+            }));
+        }
+
+        return next();
+    };
+}
+
+module.exports = {
+    authenticate,
+    requireRole,
+};
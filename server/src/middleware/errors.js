@@ -0,0 +1,69 @@
+// Express middleware that sends every error as a problem+json response (RFC 7807)
+// See services/errors.js for the error classes controllers throw
+// Both handlers must be added in app.js after all the routers
+
+// Import the error classes
+const { ApiError, BadRequestError, NotFoundError } = require('../services/errors');
+
+// Middleware for requests that no route handled
+// Usage in app.js: app.use(handleNotFound);
+function handleNotFound(req, res, next) {
+    return next(new NotFoundError(`No route for ${req.method} ${req.path}`, { code: 'route-not-found' }));
+}
+
+// Function to turn any error into an ApiError
+// Errors from our code are already ApiErrors; errors from Express itself (like a body that isn't
+// valid JSON) are converted; anything else is an unexpected server error
+function toApiError(error) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    // express.json() sets type 'entity.parse.failed' when the body isn't valid JSON
+    if (error.type === 'entity.parse.failed') {
+        return new BadRequestError('Request body is not valid JSON', { code: 'invalid-json' });
+    }
+
+    // Other client errors from Express and its body parsers (e.g., 413 body too large)
+    // expose is true when the message is safe to show to the client
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        return new ApiError(error.status, error.type || 'bad-request', error.message);
+    }
+
+    return new ApiError(500, 'internal-error', 'Something went wrong on the server');
+}
+
+// Error-handling middleware (Express knows it's one because it has 4 parameters)
+// Usage in app.js: app.use(handleErrors);
+function handleErrors(error, req, res, next) {
+    // If the response has already started (e.g., an event stream), Express has to close the connection
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    const apiError = toApiError(error);
+
+    // Server errors are bugs or outages, so log everything we know about them
+    if (apiError.status >= 500) {
+        console.error(`❌ Error handling ${req.method} ${req.originalUrl} (request ${req.id}):`, error);
+    }
+
+    return res
+        .status(apiError.status)
+        .type('application/problem+json')
+        .json({
+            type: `urn:problem:${apiError.code}`,
+            title: apiError.title,
+            status: apiError.status,
+            detail: apiError.message,
+            instance: req.originalUrl,
+            code: apiError.code,
+            requestId: req.id,
+            ...apiError.extensions,
+        });
+}
+
+module.exports = {
+    handleNotFound,
+    handleErrors,
+};
@@ -0,0 +1,54 @@
+// Express middleware that times every request for the /metrics endpoint
+// See services/metrics.js for the metrics themselves
+
+// Import the function that records a request duration
+const { observeRequestDuration } = require('../services/metrics');
+
+// Function to find the route pattern that handled a request
+// We use the pattern (e.g., /v1/launches/:id) instead of the real URL (e.g., /v1/launches/100),
+// otherwise every flight number would become its own time series in Prometheus
+// Returns: The route pattern, or 'unmatched' for static files and 404s
+function getRouteLabel(req) {
+    if (!req.route) {
+        return 'unmatched';
+    }
+
+    // Wildcard routes (like the React app fallback) match any number of segments, so use them as they are
+    const routePath = req.route.path;
+    if (routePath.includes('*')) {
+        return routePath;
+    }
+
+    // req.route.path is the path inside the router (e.g., /:id/history), without where the router is mounted
+    // Express resets req.baseUrl when a router passes an error on, so work the mount path out from the URL:
+    // /v1/launches/abc/history minus the 2 segments of /:id/history leaves /v1/launches
+    const urlSegments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+    const routeSegments = routePath.split('/').filter(Boolean);
+    const mountSegments = urlSegments.slice(0, urlSegments.length - routeSegments.length);
+
+    return `/${[...mountSegments, ...routeSegments].join('/')}`;
+}
+
+// Middleware to time every request
+// Usage in app.js: app.use(recordRequestMetrics); (before the routes)
+function recordRequestMetrics(req, res, next) {
+    const start = process.hrtime.bigint();
+
+    // 'finish' fires once the whole response has been sent
+    // By then Express has found the route, so req.route is set
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+        observeRequestDuration({
+            method: req.method,
+            route: getRouteLabel(req),
+            status_code: res.statusCode,
+        }, seconds);
+    });
+
+    return next();
+}
+
+module.exports = {
+    recordRequestMetrics,
+};
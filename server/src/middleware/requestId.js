@@ -0,0 +1,21 @@
+// Express middleware that gives every request an id
+// The id is sent back in the X-Request-Id header and in error responses, and written to the
+// server logs, so a user reporting an error can be matched to the log entry for it.
+// If a proxy or the client already sent an X-Request-Id header, that id is kept.
+
+// Import crypto (built into Node.js) to generate random ids
+const crypto = require('crypto');
+
+// Ids from clients must be short and simple, so they can't be used to inject text into the logs
+const VALID_REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+function assignRequestId(req, res, next) {
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    return next();
+}
+
+module.exports = {
+    assignRequestId,
+};
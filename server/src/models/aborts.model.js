@@ -0,0 +1,201 @@
+// Import the AbortRequest model (MongoDB schema) to store abort requests
+const AbortRequest = require('./aborts.mongo');
+
+// Import the launch functions we need: looking a launch up and actually aborting it
+const {
+    existsLaunchWithId,
+    abortLaunchById,
+} = require('./launches.model');
+
+// Import the state machine so we only accept aborts the launch's status allows
+const { STATUS_TRANSITIONS } = require('./launches.status');
+
+// Import the function that records changes in a launch's audit trail
+const { recordLaunchAudit } = require('./audits.model');
+
+// Import the function that pushes live updates to everyone watching the launches
+const { publishLaunchEvent } = require('../services/events');
+
+// How long a second flight director has to confirm an abort, in seconds (default: 5 minutes)
+// Set ABORT_CONFIRMATION_SECONDS in your .env file to change it
+// It's read when needed (not when the file loads) so tests can change it
+const DEFAULT_ABORT_CONFIRMATION_SECONDS = 300;
+
+function getConfirmationWindowMs() {
+    const seconds = Number(process.env.ABORT_CONFIRMATION_SECONDS) || DEFAULT_ABORT_CONFIRMATION_SECONDS;
+    return seconds * 1000;
+}
+
+// Fields we never send to clients
+const HIDDEN_FIELDS = { '_id': 0, '__v': 0 };
+
+// Function to turn a saved request into a plain object for API responses
+function toResponse(abortRequest) {
+    const response = abortRequest.toObject();
+    delete response._id;
+    delete response.__v;
+    return response;
+}
+
+// Function to mark pending requests whose time ran out as expired
+// Expired requests would be ignored anyway, but marking them keeps the "one pending
+// request per launch" rule from blocking a new request
+async function expireAbortRequests() {
+    await AbortRequest.updateMany(
+        { status: 'pending', expiresAt: { $lte: new Date() } },
+        { status: 'expired' }
+    );
+}
+
+// Function to get every abort request that is waiting for confirmation
+// This is used by the GET /launches/abort-requests endpoint (and the Upcoming page)
+// Returns: An array of pending requests, the ones expiring soonest first
+async function getPendingAbortRequests() {
+    await expireAbortRequests();
+    return await AbortRequest
+        .find({ status: 'pending' }, HIDDEN_FIELDS)
+        .sort({ expiresAt: 1 });
+}
+
+// Function to get the pending abort request of one launch
+// Parameters:
+//   - launchId: The flight number of the launch
+// Returns: The pending request, or null if there isn't one (or it has expired)
+async function getPendingAbortRequest(launchId) {
+    return await AbortRequest.findOne({
+        flightNumber: launchId,
+        status: 'pending',
+        expiresAt: { $gt: new Date() },
+    }, HIDDEN_FIELDS);
+}
+
+// Function to ask for a launch to be aborted
+// The launch is NOT aborted yet: a different flight director has to confirm the request
+// Parameters:
+//   - launchId: The flight number of the launch to abort
+//   - audit: Who is asking and why ({ actor, reason })
+// Returns: { abortRequest } on success, or { error } if the launch can't be aborted
+//   or already has a pending request
+async function requestLaunchAbort(launchId, { actor, reason } = {}) {
+    const launch = await existsLaunchWithId(launchId);
+    if (!launch) {
+        return { error: 'Launch not found' };
+    }
+
+    // Check the state machine now, so nobody waits for a confirmation that can never work
+    if (!STATUS_TRANSITIONS[launch.status].includes('aborted')) {
+        return { error: `A launch with status "${launch.status}" cannot be aborted` };
+    }
+
+    await expireAbortRequests();
+
+    const now = new Date();
+    let abortRequest;
+    try {
+        abortRequest = await AbortRequest.create({
+            flightNumber: launchId,
+            requestedBy: actor || 'anonymous',
+            reason: reason || null,
+            requestedAt: now,
+            expiresAt: new Date(now.getTime() + getConfirmationWindowMs()),
+        });
+    } catch (error) {
+        // 11000 is MongoDB's "duplicate key" error: the unique index found another pending request
+        if (error.code === 11000) {
+            return { error: 'An abort has already been requested for this launch' };
+        }
+        throw error;
+    }
+
+    // The launch itself doesn't change, so before and after are the same
+    await recordLaunchAudit({
+        flightNumber: launchId,
+        action: 'abort-request',
+        actor,
+        reason,
+        before: launch,
+        after: launch,
+    });
+
+    publishLaunchEvent('abort-request-updated', abortRequest);
+
+    return { abortRequest: toResponse(abortRequest) };
+}
+
+// Function to confirm a pending abort request, which aborts the launch
+// Parameters:
+//   - launchId: The flight number of the launch
+//   - audit: Who is confirming ({ actor }) - must not be the person who asked for the abort
+// Returns: { abortRequest } on success, or { error } if there was nothing to confirm
+//   or the launch could no longer be aborted
+async function confirmLaunchAbort(launchId, { actor } = {}) {
+    // Claim the request in one step: it must still be pending, not expired,
+    // and asked for by someone else. If two people confirm at once, only one wins.
+    const abortRequest = await AbortRequest.findOneAndUpdate(
+        {
+            flightNumber: launchId,
+            status: 'pending',
+            expiresAt: { $gt: new Date() },
+            requestedBy: { $ne: actor },
+        },
+        { status: 'confirmed', resolvedBy: actor, resolvedAt: new Date() },
+        { new: true }
+    );
+
+    if (!abortRequest) {
+        return { error: 'There is no pending abort request that you can confirm' };
+    }
+
+    // Only now is the launch actually aborted
+    // The abort is recorded in the audit trail with the confirming user and the original reason
+    const aborted = await abortLaunchById(launchId, { actor, reason: abortRequest.reason });
+    if (!aborted) {
+        // The launch moved on (e.g., it launched) while the request was waiting
+        await AbortRequest.updateOne({ _id: abortRequest._id }, { status: 'cancelled' });
+        publishLaunchEvent('abort-request-updated', { ...toResponse(abortRequest), status: 'cancelled' });
+        return { error: 'Launch could no longer be aborted' };
+    }
+
+    publishLaunchEvent('abort-request-updated', abortRequest);
+
+    return { abortRequest: toResponse(abortRequest) };
+}
+
+// Function to call off a pending abort request
+// Parameters:
+//   - launchId: The flight number of the launch
+//   - audit: Who is cancelling and why ({ actor, reason })
+// Returns: The cancelled request, or null if there was no pending request
+async function cancelLaunchAbort(launchId, { actor, reason } = {}) {
+    const abortRequest = await AbortRequest.findOneAndUpdate(
+        { flightNumber: launchId, status: 'pending', expiresAt: { $gt: new Date() } },
+        { status: 'cancelled', resolvedBy: actor, resolvedAt: new Date() },
+        { new: true }
+    );
+
+    if (!abortRequest) {
+        return null;
+    }
+
+    const launch = await existsLaunchWithId(launchId);
+    await recordLaunchAudit({
+        flightNumber: launchId,
+        action: 'abort-cancel',
+        actor,
+        reason,
+        before: launch,
+        after: launch,
+    });
+
+    publishLaunchEvent('abort-request-updated', abortRequest);
+
+    return toResponse(abortRequest);
+}
+
+module.exports = {
+    getPendingAbortRequests,
+    getPendingAbortRequest,
+    requestLaunchAbort,
+    confirmLaunchAbort,
+    cancelLaunchAbort,
+};
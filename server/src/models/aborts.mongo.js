@@ -0,0 +1,66 @@
+// Import mongoose library to interact with MongoDB database
+const mongoose = require('mongoose');
+
+// Define the schema (structure) for abort requests in our database
+// Aborting a launch takes two people: one flight director requests the abort,
+// and a different flight director must confirm it before the request expires
+const abortRequestSchema = new mongoose.Schema({
+    // The flight number of the launch to abort
+    flightNumber: {
+        type: Number,
+        required: true,
+    },
+    // Where the request is in its life:
+    // - pending:   Waiting for a second flight director (until expiresAt)
+    // - confirmed: A second flight director confirmed it and the launch was aborted
+    // - cancelled: Someone called the abort off
+    // - expired:   Nobody confirmed it in time
+    status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'cancelled', 'expired'],
+        required: true,
+        default: 'pending',
+    },
+    // Who asked for the abort, and why
+    requestedBy: {
+        type: String,
+        required: true,
+    },
+    reason: {
+        type: String,
+        default: null,
+    },
+    requestedAt: {
+        type: Date,
+        required: true,
+        default: Date.now,
+    },
+    // After this time the request can no longer be confirmed
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    // Who confirmed or cancelled the request, and when
+    resolvedBy: {
+        type: String,
+        default: null,
+    },
+    resolvedAt: {
+        type: Date,
+        default: null,
+    },
+});
+
+// Only one pending request per launch
+// If two people request an abort at the same moment, MongoDB rejects the second one
+abortRequestSchema.index(
+    { flightNumber: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Create a model called "AbortRequest" based on the schema
+// This model will be used to interact with the "abortrequests" collection in MongoDB
+const AbortRequest = mongoose.model('AbortRequest', abortRequestSchema);
+
+// Export the AbortRequest model so other files can use it
+module.exports = AbortRequest;
@@ -0,0 +1,55 @@
+// Import the Audit model (MongoDB schema) so we can record changes to launches
+const Audit = require('./audits.mongo');
+
+// Function to turn a launch into a plain snapshot for the audit trail
+// Parameters:
+//   - launch: A launch document or plain object (or null)
+// Returns: A plain object without MongoDB's internal fields, or null
+function toSnapshot(launch) {
+    if (!launch) {
+        return null;
+    }
+
+    // Mongoose documents have toObject(); plain objects are copied as they are
+    const snapshot = typeof launch.toObject === 'function' ? launch.toObject() : { ...launch };
+    delete snapshot._id;
+    delete snapshot.__v;
+    return snapshot;
+}
+
+// Function to add a record to the audit trail of a launch
+// This is called every time a launch is created or changed
+// Parameters:
+//   - entry: An object describing the change
+//       - flightNumber: The flight number of the launch
+//       - action: What happened (e.g., "create", "abort", "status-change")
+//       - actor: Who made the change (defaults to "anonymous")
+//       - reason: Why the change was made (optional)
+//       - before: The launch before the change (null for a new launch)
+//       - after: The launch after the change
+async function recordLaunchAudit({ flightNumber, action, actor, reason, before, after }) {
+    await Audit.create({
+        flightNumber,
+        action,
+        actor: actor || 'anonymous',
+        reason: reason || null,
+        before: toSnapshot(before),
+        after: toSnapshot(after),
+    });
+}
+
+// Function to get the audit trail of a launch
+// This is used by the GET /launches/:id/history endpoint
+// Parameters:
+//   - flightNumber: The flight number of the launch
+// Returns: An array of audit records, oldest first
+async function getLaunchAudits(flightNumber) {
+    return await Audit
+        .find({ flightNumber }, { '_id': 0, '__v': 0 })
+        .sort({ timestamp: 1, _id: 1 });  // _id breaks ties between records made in the same millisecond
+}
+
+module.exports = {
+    recordLaunchAudit,
+    getLaunchAudits,
+};
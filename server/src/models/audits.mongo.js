@@ -0,0 +1,68 @@
+// Import mongoose library to interact with MongoDB database
+const mongoose = require('mongoose');
+
+// Define the schema (structure) for launch audit records in our database
+// Every change to a launch (create, abort, status change, ...) adds one record
+// Records are never changed or deleted, so together they are the full history of a launch
+const auditSchema = new mongoose.Schema({
+    // The flight number of the launch that changed
+    flightNumber: {
+        type: Number,
+        required: true,
+        index: true, // We always look records up by flight number
+    },
+    // What happened (e.g., "create", "abort", "status-change")
+    action: {
+        type: String,
+        required: true,
+    },
+    // Who made the change (a username, or "anonymous" if we don't know)
+    actor: {
+        type: String,
+        required: true,
+    },
+    // Why the change was made (optional, e.g., "Weather over the launch site")
+    reason: {
+        type: String,
+        default: null,
+    },
+    // When the change was made
+    timestamp: {
+        type: Date,
+        required: true,
+        default: Date.now,
+    },
+    // The launch as it was before the change (null for a newly created launch)
+    before: {
+        type: Object,
+        default: null,
+    },
+    // The launch as it was after the change
+    after: {
+        type: Object,
+        default: null,
+    },
+});
+
+// Make the collection append-only
+// Any attempt to update or delete audit records through Mongoose fails with an error
+const blockedOperations = [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+];
+auditSchema.pre(blockedOperations, function () {
+    throw new Error('Launch audit records are append-only and cannot be changed or deleted');
+});
+
+// Create a model called "Audit" based on the schema
+// This model will be used to interact with the "audits" collection in MongoDB
+const Audit = mongoose.model('Audit', auditSchema);
+
+// Export the Audit model so other files can use it
+module.exports = Audit;
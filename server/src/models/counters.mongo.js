@@ -0,0 +1,28 @@
+// Import mongoose library to interact with MongoDB database
+const mongoose = require('mongoose');
+
+// Define the schema (structure) for counters in our database
+// A counter is a single document that holds the last number handed out for a sequence
+// We use it to give every new launch a unique flight number, even when two launches
+// are created at exactly the same time
+const counterSchema = new mongoose.Schema({
+    // The name of the sequence (e.g., "flightNumber")
+    // Using it as the _id means there can only ever be one document per sequence
+    _id: {
+        type: String,
+        required: true,
+    },
+    // The last number that was handed out for this sequence
+    seq: {
+        type: Number,
+        required: true,
+        default: 0,
+    },
+});
+
+// Create a model called "Counter" based on the schema
+// This model will be used to interact with the "counters" collection in MongoDB
+const Counter = mongoose.model('Counter', counterSchema);
+
+// Export the Counter model so other files can use it
+module.exports = Counter;
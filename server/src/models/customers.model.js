@@ -0,0 +1,138 @@
+// Import mongoose to check customer ids before looking them up
+const mongoose = require('mongoose');
+
+// Import the Customer model (MongoDB schema)
+const Customer = require('./customers.mongo');
+
+// Import the helpers every registry shares (case-insensitive names, API responses, searching)
+const {
+    NAME_COLLATION,
+    DUPLICATE_KEY_ERROR,
+    toResponse,
+    escapeRegExp,
+} = require('./registry.helpers');
+
+// Import the Launch model (MongoDB schema), to report on the launches a customer is on
+const Launch = require('./launches.mongo');
+
+// Default customers for new launches that don't name their own
+// These are the organizations that have paid for our missions from the start
+const DEFAULT_CUSTOMERS = ['Zero to Mastery', 'NASA'];
+
+// Function to register the default customers and every customer named on a launch
+// Historical SpaceX launches come with their own customers (e.g., "DARPA"), so they get
+// registered too and their launches show up in GET /customers/:id/launches
+// This runs when the server starts up, after the launches are loaded, and only adds missing customers
+async function loadCustomersData() {
+    const launchCustomers = await Launch.distinct('customers');
+    const names = [...new Set([...DEFAULT_CUSTOMERS, ...launchCustomers])].filter(Boolean);
+
+    let added = 0;
+    for (const name of names) {
+        // $setOnInsert only sets the name when the customer is new, so existing customers are left alone
+        const result = await Customer.updateOne(
+            { name },
+            { $setOnInsert: { name } },
+            { upsert: true, collation: NAME_COLLATION }
+        );
+        added += result.upsertedCount;
+    }
+
+    console.log(`✅ Customers loaded (${added} added, ${names.length - added} already registered).`);
+}
+
+// Function to get customers from the database
+// This is used by the GET /customers API endpoint (and the customer selector of the launch form)
+// Parameters:
+//   - options:
+//       - search: Text to look for in the name (e.g., "nasa"), ignoring case
+// Returns: An array of customers, sorted by name
+async function getAllCustomers({ search } = {}) {
+    const filter = search ? { name: new RegExp(escapeRegExp(search), 'i') } : {};
+
+    const customers = await Customer.find(filter).collation(NAME_COLLATION).sort({ name: 1 });
+    return customers.map(toResponse);
+}
+
+// Function to get one customer by id
+// Parameters:
+//   - id: The customer's id (as sent in GET /customers)
+// Returns: The customer, or null if there's no customer with this id
+async function getCustomerById(id) {
+    // Anything that isn't a valid MongoDB id can't be a customer
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+
+    const customer = await Customer.findById(id);
+    return customer && toResponse(customer);
+}
+
+// Function to find registered customers by name
+// This is used to make sure launches only list customers from the registry
+// Parameters:
+//   - names: The customer names sent by the client (e.g., ["nasa", "ESA"]), any upper/lower case
+// Returns: { names, unknown }
+//   - names: The registered spelling of every name that was found, in the order they were sent
+//   - unknown: The names that aren't registered (empty if every customer exists)
+async function findCustomersByName(names) {
+    const customers = await Customer.find({ name: { $in: names } }).collation(NAME_COLLATION);
+
+    const registeredNames = new Map(customers.map((customer) => [customer.name.toLowerCase(), customer.name]));
+
+    return {
+        names: [...new Set(names.map((name) => registeredNames.get(name.toLowerCase())).filter(Boolean))],
+        unknown: names.filter((name) => !registeredNames.has(name.toLowerCase())),
+    };
+}
+
+// Function to add a customer to the registry
+// Parameters:
+//   - customer: { name, contactEmail }
+// Returns: { customer } with the saved customer, or { error } if the name is already taken
+async function addCustomer(customer) {
+    try {
+        const savedCustomer = await Customer.create(customer);
+        return { customer: toResponse(savedCustomer) };
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY_ERROR) {
+            return { error: `A customer named "${customer.name}" already exists` };
+        }
+        throw error;
+    }
+}
+
+// Function to sum up the payloads a customer owns across all its launches
+// This is used by GET /customers/:id/launches for customer-facing reports
+// Parameters:
+//   - name: The customer's registered name
+// Returns: { launches, payloads, payloadMassKg }
+async function getCustomerSummary(name) {
+    // One result with the number of payloads and their total mass, e.g. { payloads: 3, payloadMassKg: 5200 }
+    // $unwind turns each launch into one document per payload, so we can keep only this customer's payloads
+    const [launches, [totals]] = await Promise.all([
+        Launch.countDocuments({ customers: name }),
+        Launch.aggregate([
+            { $match: { customers: name } },
+            { $unwind: '$payloads' },
+            { $match: { 'payloads.customer': name } },
+            { $group: { _id: null, payloads: { $sum: 1 }, payloadMassKg: { $sum: '$payloads.massKg' } } },
+        ]),
+    ]);
+
+    return {
+        launches,
+        payloads: totals ? totals.payloads : 0,
+        payloadMassKg: totals ? totals.payloadMassKg : 0,
+    };
+}
+
+module.exports = {
+    DEFAULT_CUSTOMERS,     // Customers of new launches that don't name their own
+    loadCustomersData,     // Register the default customers and the customers named on launches
+    getAllCustomers,       // Get customers, optionally matching a search
+    getCustomerById,       // Get one customer
+    findCustomersByName,   // Find the registered customers of a launch
+    addCustomer,           // Register a new customer
+    getCustomerSummary,    // Count a customer's launches and payloads
+};
@@ -0,0 +1,31 @@
+// Import mongoose library to interact with MongoDB database
+const mongoose = require('mongoose');
+
+// Import the case-insensitive way registry names are compared ("nasa" is the same customer as "NASA")
+const { NAME_COLLATION } = require('./registry.helpers');
+
+// Define the schema (structure) for customers in our database
+// Customers are the organizations paying for launches; each launch lists its customers by name
+// and every payload on a launch belongs to one of them
+const customerSchema = new mongoose.Schema({
+    // The customer's name, as shown on launches (e.g., "NASA")
+    // Names are never changed, so launches can keep referring to customers by name
+    name: {
+        type: String,
+        required: true,
+    },
+    // Who to contact about the customer's launches (optional)
+    contactEmail: {
+        type: String,
+    },
+});
+
+// Two customers can't have the same name, whatever the upper/lower case
+customerSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+// Create a model called "Customer" based on the schema
+// This model will be used to interact with the "customers" collection in MongoDB
+const Customer = mongoose.model('Customer', customerSchema);
+
+// Export the Customer model so other files can use it
+module.exports = Customer;
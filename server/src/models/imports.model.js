@@ -0,0 +1,66 @@
+// Import randomUUID (built into Node.js) to give every import job a unique id
+const { randomUUID } = require('crypto');
+
+// In-memory store of planet import jobs, keyed by job id
+// Jobs only need to live long enough for the client to check on them,
+// so we keep them in memory instead of in MongoDB
+const importJobs = new Map();
+
+// How many finished jobs we remember before forgetting the oldest ones
+// This stops the Map from growing forever on a long-running server
+const MAX_STORED_JOBS = 50;
+
+// Function to create a new import job
+// Parameters:
+//   - fileName: The name of the uploaded file (e.g., "kepler_2025.csv")
+// Returns: The job object, which the importer updates as it makes progress
+function createImportJob(fileName) {
+    const job = {
+        id: randomUUID(),
+        fileName,
+        status: 'processing',      // processing -> saving -> completed (or failed)
+        createdAt: new Date(),
+        finishedAt: null,
+        progress: {
+            rowsRead: 0,           // CSV rows read so far
+            accepted: 0,           // Rows that are habitable planets and will be saved
+            skipped: 0,            // Valid rows that don't match any habitability profile
+            rejected: 0,           // Rows with missing or invalid values
+        },
+        rejections: [],            // One entry per rejected row: { line, kepoi_name, reason }
+        result: null,              // { added, updated, removed, total } once saved
+        error: null,               // Error message if the job failed
+    };
+
+    importJobs.set(job.id, job);
+
+    // Forget the oldest jobs once we have too many
+    // A Map remembers insertion order, so the first key is the oldest job
+    while (importJobs.size > MAX_STORED_JOBS) {
+        importJobs.delete(importJobs.keys().next().value);
+    }
+
+    return job;
+}
+
+// Function to find the import job that is still reading or saving its file, if any
+// Only one import may run at a time: each import removes the planets missing from its own file,
+// so two imports at the same time could remove each other's planets
+// Returns: The running job, or undefined if no import is running
+function getRunningImportJob() {
+    return [...importJobs.values()].find((job) => job.status === 'processing' || job.status === 'saving');
+}
+
+// Function to get an import job by id
+// Parameters:
+//   - jobId: The id returned when the import was started
+// Returns: The job object, or undefined if there is no such job
+function getImportJob(jobId) {
+    return importJobs.get(jobId);
+}
+
+module.exports = {
+    createImportJob,
+    getImportJob,
+    getRunningImportJob,
+};
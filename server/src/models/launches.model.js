@@ -4,10 +4,264 @@ const Launch = require('./launches.mongo');
 // Import the Planet model to validate that target planets exist
 const Planet = require('./planets.mongo');
 
-// Default customers for all new launches
-// These are the organizations that are paying for the mission
-// Every new launch automatically gets these customers assigned
-const DEFAULT_CUSTOMERS = ['Zero to Mastery', 'NASA'];
+// Import the Rocket model, and the case-insensitive way rocket names are compared
+const Rocket = require('./rockets.mongo');
+const { NAME_COLLATION } = require('./registry.helpers');
+
+// Import the habitability profile helpers so targets are checked against the active criteria
+const {
+    getHabitabilityProfile,
+    getProfileFilter,
+} = require('./planets.model');
+
+// Import the launch lifecycle statuses and the allowed transitions between them
+const {
+    LAUNCH_STATUSES,
+    STATUS_TRANSITIONS,
+    UPCOMING_STATUSES,
+    COUNTDOWN_STATUSES,
+    UNSUCCESSFUL_STATUSES,
+} = require('./launches.status');
+
+// Import the audit trail functions so every change to a launch is recorded
+const { recordLaunchAudit } = require('./audits.model');
+
+// Import the Counter model to hand out unique flight numbers
+const Counter = require('./counters.mongo');
+
+// Import the pad lock, so two launches can't reserve the same pad at the same moment
+const { withPadLock } = require('./pads.model');
+
+// Import the function that pushes live updates to everyone watching the launches
+const { publishLaunchEvent } = require('../services/events');
+
+// Default base URL of the SpaceX API (version 4)
+// This is where we download historical SpaceX launches from
+// Set SPACEX_API_URL in your .env file to point at a different server
+// (for example a local fixture server when running tests)
+const DEFAULT_SPACEX_API_URL = 'https://api.spacexdata.com/v4';
+
+// How many launches we ask the SpaceX API for in each page
+// The API paginates its results, so we keep asking for the next page until there are none left
+const SPACEX_PAGE_SIZE = 50;
+
+// Function to find a launch that matches a filter
+// This is used to check whether the SpaceX data has already been imported
+// Parameters:
+//   - filter: A MongoDB filter object (e.g., { spacexId: { $exists: true } })
+// Returns: The launch document if found, or null if not found
+async function findLaunch(filter) {
+    return await Launch.findOne(filter);
+}
+
+// Function to get the fields that change together with a launch's status
+// The upcoming and success flags are worked out from the status, so they can never disagree
+// Parameters:
+//   - status: One of LAUNCH_STATUSES (e.g., "aborted")
+// Returns: An object like { status: 'aborted', upcoming: false, success: false }
+function getStatusFields(status) {
+    return {
+        status,
+        upcoming: UPCOMING_STATUSES.includes(status),
+        success: !UNSUCCESSFUL_STATUSES.includes(status),
+    };
+}
+
+// Function to work out the status of a launch from the SpaceX API
+// SpaceX only tells us upcoming (true/false) and success (true/false/null)
+// Parameters:
+//   - launchDoc: One launch object returned by the SpaceX API
+// Returns: One of LAUNCH_STATUSES
+function getSpaceXStatus(launchDoc) {
+    if (launchDoc.upcoming) {
+        return 'scheduled';
+    }
+    if (launchDoc.success === true) {
+        return 'succeeded';
+    }
+    if (launchDoc.success === false) {
+        return 'failed';
+    }
+    // It has launched, but SpaceX hasn't recorded the outcome
+    return 'launched';
+}
+
+// Function to convert one launch from the SpaceX API into our launch format
+// The SpaceX API uses different field names (snake_case) and nests rocket and payload data
+// SpaceX numbers its flights from 1, which would clash with our own flight numbers,
+// so the launch gets no flight number here (the import gives it one from our counter)
+// Parameters:
+//   - launchDoc: One launch object returned by the SpaceX API (with rocket and payloads populated)
+// Returns: A launch object that matches our launches.mongo.js schema (without flightNumber)
+function mapSpaceXLaunch(launchDoc) {
+    // Each payload can have its own list of customers
+    // flatMap() combines all those lists into a single array of customer names
+    const customers = launchDoc.payloads.flatMap((payload) => payload.customers);
+
+    // Each SpaceX payload becomes one entry in our payload manifest, owned by its first customer
+    // SpaceX doesn't know everything about every payload, so missing values are left out
+    const payloads = launchDoc.payloads.map((payload) => ({
+        name: payload.name,                      // e.g., "FalconSAT-2"
+        massKg: payload.mass_kg ?? undefined,    // e.g., 20
+        orbit: payload.orbit ?? undefined,       // e.g., "LEO"
+        customer: payload.customers[0],          // e.g., "DARPA"
+    }));
+
+    return {
+        spacexId: launchDoc.id,                  // e.g., "5eb87cd9ffd86e000604b32a"
+        mission: launchDoc.name,                 // e.g., "FalconSat"
+        rocket: launchDoc.rocket.name,           // e.g., "Falcon 1"
+        launchDate: launchDoc.date_local,        // e.g., "2006-03-25T10:30:00+12:00"
+        customers,                               // e.g., ["DARPA"]
+        payloads,                                // e.g., [{ name: "FalconSAT-2", massKg: 20, ... }]
+        ...getStatusFields(getSpaceXStatus(launchDoc)),  // e.g., status: "failed", upcoming: false, success: false
+    };
+}
+
+// Function to save a SpaceX launch, unless it has been saved before
+// Parameters:
+//   - launch: A launch from mapSpaceXLaunch (with its spacexId)
+// Returns: true if the launch was added, false if it was already in the database
+async function saveSpaceXLaunch(launch) {
+    if (await findLaunch({ spacexId: launch.spacexId })) {
+        return false;
+    }
+
+    // The flight number comes from the same counter as launches created through the API,
+    // so a SpaceX launch can never take (and overwrite) the number of another launch
+    const flightNumber = await getNextFlightNumber();
+
+    // $setOnInsert only writes when no launch has this SpaceX id yet, so a launch that another
+    // import saved in the meantime is left as it is (the flight number is then simply not used)
+    const result = await Launch.updateOne(
+        { spacexId: launch.spacexId },
+        { $setOnInsert: { ...launch, flightNumber } },
+        { upsert: true }
+    );
+    return result.upsertedCount > 0;
+}
+
+// Function to download all launches from the SpaceX API and save them to the database
+// The API returns launches one page at a time, so we loop until there are no pages left
+async function populateLaunches() {
+    // Read the base URL when the function runs (not when the file loads)
+    // so tests can change SPACEX_API_URL before calling loadLaunchesData()
+    const spaceXApiUrl = process.env.SPACEX_API_URL || DEFAULT_SPACEX_API_URL;
+
+    let page = 1;
+    let hasNextPage = true;
+    let launchCount = 0;
+
+    while (hasNextPage) {
+        // POST /launches/query lets us ask for specific fields and "populate" related documents
+        // populate replaces the rocket id and payload ids with the actual rocket and payload data
+        const response = await fetch(`${spaceXApiUrl}/launches/query`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                query: {},
+                options: {
+                    page,
+                    limit: SPACEX_PAGE_SIZE,
+                    // Oldest first, so our flight numbers follow the order SpaceX flew them in
+                    sort: { flight_number: 'asc' },
+                    populate: [
+                        {
+                            path: 'rocket',
+                            select: { name: 1 },
+                        },
+                        {
+                            path: 'payloads',
+                            select: { name: 1, mass_kg: 1, orbit: 1, customers: 1 },
+                        },
+                    ],
+                },
+            }),
+        });
+
+        // If the API returns an error status, stop the import
+        if (!response.ok) {
+            throw new Error(`SpaceX API request failed with status ${response.status}`);
+        }
+
+        // The response contains the launches for this page (docs) and pagination info
+        const { docs, hasNextPage: morePages } = await response.json();
+
+        // Save every launch on this page
+        // Launches that are already saved are skipped, so running the import twice doesn't create duplicates
+        for (const launchDoc of docs) {
+            if (await saveSpaceXLaunch(mapSpaceXLaunch(launchDoc))) {
+                launchCount += 1;
+            }
+        }
+
+        hasNextPage = Boolean(morePages);
+        page += 1;
+    }
+
+    console.log(`✅ Loaded ${launchCount} SpaceX launches into database.`);
+}
+
+// Function to give a status to launches saved before statuses existed
+// Older launches only have the upcoming and success flags, so we work the status out from them
+// This runs when the server starts up, and does nothing once every launch has a status
+async function backfillLaunchStatuses() {
+    const missingStatus = { status: { $exists: false } };
+
+    // Launches that haven't happened yet
+    await Launch.updateMany({ ...missingStatus, upcoming: true }, getStatusFields('scheduled'));
+
+    // Past launches that went well
+    await Launch.updateMany({ ...missingStatus, upcoming: false, success: true }, getStatusFields('succeeded'));
+
+    // Past launches that didn't go well
+    // Launches created through our API have a target planet and could only end this way by being
+    // aborted; historical SpaceX launches have no target, so for them it means the flight failed
+    await Launch.updateMany(
+        { ...missingStatus, upcoming: false, success: false, target: { $exists: true } },
+        getStatusFields('aborted')
+    );
+    await Launch.updateMany({ ...missingStatus, upcoming: false, success: false }, getStatusFields('failed'));
+}
+
+// Function to link launches to the registered rocket with the same name
+// Historical SpaceX launches (and launches saved before the rocket registry existed) only have
+// a rocket name; this gives them the rocket's id, and the registry's spelling of the name
+// This runs when the server starts up, and only touches launches that aren't linked yet
+async function linkLaunchRockets() {
+    const rockets = await Rocket.find();
+
+    for (const rocket of rockets) {
+        await Launch.updateMany(
+            { rocket: rocket.name, rocketId: { $exists: false } },
+            { rocket: rocket.name, rocketId: rocket._id },
+            { collation: NAME_COLLATION }   // "falcon 9" matches "Falcon 9"
+        );
+    }
+}
+
+// Function to load historical SpaceX launches into the database
+// This runs when the server starts up, after the planets are loaded
+// It only downloads data if it hasn't been imported before
+async function loadLaunchesData() {
+    // Every imported launch has a SpaceX id; if there is one, the import has already been done
+    // Databases imported before SpaceX ids were stored have FalconSat (on a Falcon 1) at flight number 1
+    const importedLaunch = await findLaunch({
+        $or: [
+            { spacexId: { $exists: true } },
+            { flightNumber: 1, rocket: 'Falcon 1', mission: 'FalconSat' },
+        ],
+    });
+
+    if (importedLaunch) {
+        console.log('✅ SpaceX launch data already loaded.');
+        return;
+    }
+
+    await populateLaunches();
+}
 
 // Function to get the highest flight number currently in the database
 // This is used to auto-increment flight numbers for new launches
@@ -21,7 +275,7 @@ async function getLatestFlightNumber() {
         .sort('-flightNumber');       // Sort by flightNumber descending
     
     // If no launches exist yet (database is empty), start from 100
-    // We start from 100 to leave room for historical SpaceX data (if we add it later)
+    // (historical SpaceX launches get their numbers from the counter too, so they don't need room below it)
     if (!latestLaunch) {
         return 100;
     }
@@ -31,6 +285,32 @@ async function getLatestFlightNumber() {
     return latestLaunch.flightNumber;
 }
 
+// Function to reserve the next flight number for a new launch
+// Reading the latest flight number and adding 1 is not safe on its own: two requests that
+// arrive at the same time would both read the same number and one launch would overwrite
+// the other. Instead we keep a counter document and increment it with a single atomic
+// $inc, so MongoDB guarantees every caller gets a different number.
+// Returns: The reserved flight number (e.g., 101)
+async function getNextFlightNumber() {
+    // Step 1: Make sure the counter is never behind the launches already in the database
+    // (e.g., after the SpaceX import, or on a database created before the counter existed)
+    // $max only ever raises the value, so running this at the same time as step 2 is safe
+    await Counter.updateOne(
+        { _id: 'flightNumber' },
+        { $max: { seq: await getLatestFlightNumber() } },
+        { upsert: true }
+    );
+
+    // Step 2: Atomically add 1 to the counter and read back the new value
+    const counter = await Counter.findOneAndUpdate(
+        { _id: 'flightNumber' },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }   // new: true returns the document after the update
+    );
+
+    return counter.seq;
+}
+
 // Function to check if a launch with a specific flight number exists
 // This is used to validate that a launch exists before trying to abort it
 // Parameters:
@@ -44,94 +324,459 @@ async function existsLaunchWithId(launchId) {
     });
 }
 
-// Function to get all launches from the database
+// Function to get one launch together with the planet it's heading to
+// This is used by the GET /launches/:id endpoint, which adds a trip estimate to the launch
+// Parameters:
+//   - launchId: The flight number (e.g., 100)
+// Returns: { launch, planet } with plain objects, or null if there's no launch with this flight number
+//   planet is null for launches without a target in our planets collection (e.g., historical SpaceX launches)
+async function getLaunchWithPlanet(launchId) {
+    const launch = await Launch.findOne({ flightNumber: launchId }, { '_id': 0, '__v': 0 }).lean();
+    if (!launch) {
+        return null;
+    }
+
+    // New launches point to their planet; look older ones up by the target's name
+    let planet = null;
+    if (launch.planet) {
+        planet = await Planet.findById(launch.planet).lean();
+    } else if (launch.target) {
+        planet = await Planet.findOne({ keplerName: launch.target }).lean();
+    }
+
+    return { launch, planet };
+}
+
+// Function to find the planets a page of launches is heading to
+// This is used by GET /launches to estimate each launch's trip, with one query for the whole page
+// Parameters:
+//   - launches: The launches (from getAllLaunches)
+// Returns: A Map from flight number to planet (launches whose planet isn't in the database are left out)
+async function getPlanetsForLaunches(launches) {
+    // Like getLaunchWithPlanet: new launches point to their planet, older ones only have the target's name
+    const planetIds = launches.filter((launch) => launch.planet).map((launch) => launch.planet);
+    const targets = launches.filter((launch) => !launch.planet && launch.target).map((launch) => launch.target);
+
+    const planets = await Planet.find({
+        $or: [{ _id: { $in: planetIds } }, { keplerName: { $in: targets } }],
+    }).lean();
+
+    const planetsByFlight = new Map();
+    for (const launch of launches) {
+        const planet = planets.find((candidate) => (launch.planet
+            ? candidate._id.equals(launch.planet)
+            : candidate.keplerName === launch.target));
+        if (planet) {
+            planetsByFlight.set(launch.flightNumber, planet);
+        }
+    }
+    return planetsByFlight;
+}
+
+// Function to find the habitable planet that a launch is heading to
+// This is used to make sure new launches only target planets from our planets collection
+// that also meet the active habitability profile (the same planets GET /planets returns)
+// Parameters:
+//   - target: The planet name sent by the client (e.g., "Kepler-442 b")
+// Returns: The planet document if found, or null if not found
+async function findTargetPlanet(target) {
+    return await Planet.findOne({
+        ...getProfileFilter(getHabitabilityProfile()),
+        keplerName: target,
+    });
+}
+
+// Function to find the launches that hold a pad during a time window
+// Two launches can't reserve the same pad at the same time: the pad has to be cleared and
+// prepared between launches, and the range can only support one countdown at a time
+// Aborted launches won't fly, so they give their pad back
+// Parameters:
+//   - padId: The pad's id
+//   - start, end: The time window (start included, end not included)
+//   - excludeFlightNumber: A launch to leave out (the one being rescheduled), or undefined
+// Returns: An array of the overlapping reservations, earliest first
+//   (e.g., [{ flightNumber: 105, mission: "Kepler X", pad: "LC-39A", padWindowStart, padWindowEnd }])
+async function findPadConflicts(padId, start, end, excludeFlightNumber) {
+    const filter = {
+        padId,
+        status: { $ne: 'aborted' },
+        // Two windows overlap when each one starts before the other one ends
+        padWindowStart: { $lt: end },
+        padWindowEnd: { $gt: start },
+    };
+    if (excludeFlightNumber !== undefined) {
+        filter.flightNumber = { $ne: excludeFlightNumber };
+    }
+
+    return await Launch
+        .find(filter, { '_id': 0, flightNumber: 1, mission: 1, pad: 1, padWindowStart: 1, padWindowEnd: 1 })
+        .sort({ padWindowStart: 1 })
+        .lean();
+}
+
+// Function to explain why a pad can't be reserved
+// Parameters:
+//   - conflicts: The overlapping reservations from findPadConflicts (at least one)
+// Returns: A message like 'Pad LC-39A is already reserved by flight 105 ("Kepler X") from ... until ...'
+function describePadConflicts(conflicts) {
+    const reservations = conflicts.map((conflict) =>
+        `flight ${conflict.flightNumber} ("${conflict.mission}") from ${conflict.padWindowStart.toISOString()}`
+        + ` until ${conflict.padWindowEnd.toISOString()}`);
+    return `Pad ${conflicts[0].pad} is already reserved by ${reservations.join(', and by ')}`;
+}
+
+// Function to get launches from the database
 // This is used by the /launches API endpoint
 // Parameters:
-//   - skip: Number of documents to skip (for pagination) - not currently used
-//   - limit: Maximum number of documents to return (for pagination) - not currently used
-// Returns: An array of all launch objects, sorted by flight number
-async function getAllLaunches(skip, limit) {
-    // Query the database for all launches
+//   - filter: A MongoDB filter object (e.g., { upcoming: true }) - empty object means all launches
+//   - options: An object with pagination and sort settings
+//       - skip: Number of documents to skip (for pagination)
+//       - limit: Maximum number of documents to return (for pagination)
+//       - sort: A MongoDB sort object (e.g., { flightNumber: 1 })
+// Returns: An array of launch objects for the requested page
+async function getAllLaunches(filter = {}, { skip = 0, limit = 0, sort = { flightNumber: 1 } } = {}) {
+    // Query the database for launches that match the filter
     return await Launch
-        .find({}, { '_id': 0, '__v': 0 })  // Find all, exclude MongoDB internal fields
-        .sort({ flightNumber: 1 })          // Sort by flightNumber ascending (100, 101, 102...)
-        .skip(skip)                         // Skip first N documents (for pagination)
-        .limit(limit);                      // Return maximum N documents (for pagination)
-    // Note: skip and limit are included for future pagination support
-    // Currently, we pass undefined for both, which means "get all launches"
-}
-
-// Helper function to save or update a launch in the database
-// This uses "upsert" which means "update if exists, insert if doesn't exist"
-// Parameters:
-//   - launch: A launch object with all the launch data
-async function saveLaunch(launch) {
-    // findOneAndUpdate() finds a document and updates it, or creates it if it doesn't exist
-    await Launch.findOneAndUpdate(
-        { flightNumber: launch.flightNumber },  // Find a launch with this flight number
-        launch,                                 // Update it with this data (or create if not found)
-        { upsert: true }                        // upsert: true means "create if doesn't exist"
-    );
-    // This is useful because we can call this function whether the launch exists or not
+        .find(filter, { '_id': 0, '__v': 0 })  // Find matching launches, exclude MongoDB internal fields
+        .sort(sort)                             // Sort by the requested fields (flightNumber ascending by default)
+        .skip(skip)                             // Skip first N documents (for pagination)
+        .limit(limit);                          // Return maximum N documents (0 means no limit)
+}
+
+// Function to count how many launches match a filter
+// This is used to tell the client how many launches there are in total (across all pages)
+// Parameters:
+//   - filter: A MongoDB filter object (same as the one passed to getAllLaunches)
+// Returns: The number of matching launches
+async function countLaunches(filter = {}) {
+    return await Launch.countDocuments(filter);
+}
+
+// Function to count launches in each lifecycle status
+// This is used by the /metrics endpoint
+// Returns: An object with a count for every status, e.g. { scheduled: 3, succeeded: 120, ... }
+async function countLaunchesByStatus() {
+    // Start every status at 0, so statuses without any launches are reported too
+    const counts = Object.fromEntries(LAUNCH_STATUSES.map((status) => [status, 0]));
+
+    // Let MongoDB do the counting: one result per status, like { _id: 'scheduled', count: 3 }
+    const groups = await Launch.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+
+    for (const { _id: status, count } of groups) {
+        if (status in counts) {
+            counts[status] = count;
+        }
+    }
+
+    return counts;
 }
 
 // Function to create a new launch
 // This is called when the frontend submits the launch form
 // Parameters:
-//   - launch: An object with mission, rocket, launchDate, and target
-// Returns: The created launch object with flight number and default values
-async function addNewLaunch(launch) {
-    // Step 1: Get the latest flight number and add 1 to get the next number
-    // This ensures each launch gets a unique, sequential flight number
-    const newFlightNumber = await getLatestFlightNumber() + 1;
+//   - launch: An object with mission, rocket, launchDate, target, customers and payloads
+//       (the customers' registered names, and payloads owned by those customers),
+//       and padWindowStart and padWindowEnd when it reserves a pad
+//   - references: The documents the launch points to
+//       - planet: The planet document for launch.target (from findTargetPlanet)
+//       - rocket: The rocket document for launch.rocket (from findActiveRocket in rockets.model.js)
+//       - pad: The pad document for launch.pad (from findActivePad in pads.model.js), or undefined for no pad
+//   - audit: Who is creating the launch and why, for the audit trail ({ actor, reason })
+// Returns: { launch } with the created launch (flight number and default values included),
+//   or { error, conflicts } if another launch holds the pad during the window
+//   (conflicts is empty when another booking of the pad took too long to finish)
+async function addNewLaunch(launch, references, audit = {}) {
+    // Steps 1 to 4 run while holding the pad's lock (see withPadLock in pads.model.js),
+    // so no other booking can reserve the pad between the check and the insert
+    let saved;
+    if (references.pad) {
+        const { result, error } = await withPadLock(
+            references.pad._id,
+            () => insertLaunch(launch, references)
+        );
+        if (error) {
+            return { error, conflicts: [] };
+        }
+        saved = result;
+    } else {
+        saved = await insertLaunch(launch, references);
+    }
+    if (saved.error) {
+        return saved;
+    }
+    const newLaunch = saved.launch;
+
+    // Step 5: Record the new launch in its audit trail
+    await recordLaunchAudit({
+        ...audit,
+        flightNumber: newLaunch.flightNumber,
+        action: 'create',
+        before: null,
+        after: newLaunch,
+    });
+
+    // Step 6: Tell everyone watching the launches about the new one
+    publishLaunchEvent('launch-created', newLaunch);
     
-    // Step 2: Create a new launch object with all required fields
+    // Step 7: Return the created launch (so the API can send it back to the frontend)
+    return { launch: newLaunch };
+}
+
+// Function to check the pad and insert a new launch (steps 1 to 4 of addNewLaunch)
+// Parameters: The launch and its references, as passed to addNewLaunch
+// Returns: { launch } with the inserted launch, or { error, conflicts } if the pad is taken
+async function insertLaunch(launch, { planet, rocket, pad }) {
+    // Step 1: Make sure nobody else holds the pad during the window
+    // This is checked before the flight number is reserved, so a rejected launch doesn't use one up
+    if (pad) {
+        const conflicts = await findPadConflicts(pad._id, launch.padWindowStart, launch.padWindowEnd);
+        if (conflicts.length > 0) {
+            return { error: describePadConflicts(conflicts), conflicts };
+        }
+    }
+
+    // Step 2: Reserve the next flight number from the counter
+    // This ensures each launch gets a unique, sequential flight number, even under concurrent requests
+    const newFlightNumber = await getNextFlightNumber();
+    
+    // Step 3: Create a new launch object with all required fields
     // Object.assign() copies all properties from 'launch' and adds/overwrites with the second object
     const newLaunch = Object.assign(launch, {
         flightNumber: newFlightNumber,      // Auto-assigned sequential number
-        customers: DEFAULT_CUSTOMERS,       // Default customers (Zero to Mastery, NASA)
-        upcoming: true,                     // New launches are always upcoming
-        success: true,                      // New launches are assumed successful (until aborted)
+        planet: planet._id,                 // Reference to the target planet document
+        rocket: rocket.name,                // The registered spelling of the rocket name
+        rocketId: rocket._id,               // Reference to the rocket document
+        ...getStatusFields('scheduled'),    // New launches start out scheduled (upcoming, successful)
     });
+    if (pad) {
+        newLaunch.pad = pad.name;           // The registered spelling of the pad name
+        newLaunch.padId = pad._id;          // Reference to the pad document
+    }
     
-    // Step 3: Save the launch to the database
-    await saveLaunch(newLaunch);
-    
-    // Step 4: Return the created launch (so the API can send it back to the frontend)
-    return newLaunch;
+    // Step 4: Insert the launch into the database
+    // We use create() instead of an upsert because a new launch must never replace an existing one
+    // If the flight number were somehow taken, the unique index makes this fail instead of overwriting
+    await Launch.create(newLaunch);
+
+    return { launch: newLaunch };
+}
+
+// Function to edit a launch that hasn't happened yet
+// This lets planners fix a launch (new date, different rocket, ...) without aborting it
+// and creating a new one, which would use up a flight number
+// Parameters:
+//   - launchId: The flight number of the launch
+//   - changes: The fields to change ({ mission, rocket, launchDate, target, customers, payloads,
+//       padWindowStart, padWindowEnd }, all optional)
+//   - references: The documents the launch points to, only needed when they change
+//       - planet: The new target planet document
+//       - rocket: The new rocket document
+//       - pad: The new pad document
+//   - audit: Who is making the change and why, for the audit trail ({ actor, reason })
+// Returns: { launch } with the updated launch, { error, conflicts } if another launch holds the pad
+//   during the new window (conflicts is empty when another booking of the pad took too long to finish),
+//   or { error } if the launch isn't upcoming any more
+async function updateLaunch(launchId, changes, references = {}, audit = {}) {
+    const launch = await existsLaunchWithId(launchId);
+    if (!launch) {
+        return { error: 'Launch not found' };
+    }
+
+    // A new pad or a new window (e.g., after a reschedule) is a new reservation: like a new launch,
+    // it's checked and saved while holding the pad's lock, so no other booking can get in between
+    const padId = references.pad ? references.pad._id : launch.padId;
+    const movesReservation = padId && (references.pad || changes.padWindowStart || changes.padWindowEnd);
+    let saved;
+    if (movesReservation) {
+        const { result, error } = await withPadLock(
+            padId,
+            () => saveLaunchChanges(launch, changes, references, padId)
+        );
+        if (error) {
+            return { error, conflicts: [] };
+        }
+        saved = result;
+    } else {
+        saved = await saveLaunchChanges(launch, changes, references);
+    }
+    if (saved.error) {
+        return saved;
+    }
+    const updatedLaunch = saved.launch;
+
+    // A new launch date is a reschedule; anything else is an edit
+    const isReschedule = changes.launchDate !== undefined
+        && new Date(changes.launchDate).getTime() !== new Date(launch.launchDate).getTime();
+
+    await recordLaunchAudit({
+        ...audit,
+        flightNumber: launchId,
+        action: isReschedule ? 'reschedule' : 'edit',
+        before: launch,
+        after: updatedLaunch,
+    });
+
+    // Tell everyone watching the launches about the change
+    publishLaunchEvent('launch-updated', updatedLaunch);
+
+    return { launch: updatedLaunch };
+}
+
+// Function to check the pad and save the changes to a launch (the database part of updateLaunch)
+// Parameters:
+//   - launch: The launch as it is now
+//   - changes, references: As passed to updateLaunch
+//   - padId: The pad to check the new window against, or undefined when the reservation doesn't move
+// Returns: { launch } with the updated launch, { error, conflicts } if another launch holds the pad
+//   during the new window, or { error } if the launch isn't upcoming any more
+async function saveLaunchChanges(launch, changes, { planet, rocket, pad }, padId) {
+    const launchId = launch.flightNumber;
+
+    // The new window must not overlap another launch's reservation
+    if (padId) {
+        const conflicts = await findPadConflicts(
+            padId,
+            changes.padWindowStart ?? launch.padWindowStart,
+            changes.padWindowEnd ?? launch.padWindowEnd,
+            launchId
+        );
+        if (conflicts.length > 0) {
+            return { error: describePadConflicts(conflicts), conflicts };
+        }
+    }
+
+    const update = { ...changes };
+    if (planet) {
+        update.planet = planet._id;
+    }
+    if (rocket) {
+        update.rocket = rocket.name;
+        update.rocketId = rocket._id;
+    }
+    if (pad) {
+        update.pad = pad.name;
+        update.padId = pad._id;
+    }
+
+    // Only update the launch if it's still upcoming
+    // If it launched (or was aborted) in the meantime, nothing is updated and we report it
+    const updatedLaunch = await Launch.findOneAndUpdate(
+        { flightNumber: launchId, status: { $in: UPCOMING_STATUSES } },
+        { $set: update },
+        { new: true, projection: { '_id': 0, '__v': 0 } }
+    );
+
+    if (!updatedLaunch) {
+        return { error: 'Only upcoming launches can be edited' };
+    }
+
+    return { launch: updatedLaunch };
+}
+
+// Function to move a launch to a new lifecycle status
+// Only the transitions listed in STATUS_TRANSITIONS are allowed (e.g., a launch that
+// already succeeded can't be aborted, and an aborted launch can't be launched)
+// Parameters:
+//   - launchId: The flight number of the launch
+//   - newStatus: One of LAUNCH_STATUSES (e.g., "go-for-launch")
+//   - audit: Who is making the change and why, for the audit trail ({ actor, reason })
+//       action can be set to record something more specific than "status-change" (e.g., "abort")
+// Returns: { launch } with the updated launch, or { error, allowed } if the change isn't allowed
+async function changeLaunchStatus(launchId, newStatus, { action = 'status-change', ...audit } = {}) {
+    if (!LAUNCH_STATUSES.includes(newStatus)) {
+        return { error: `Unknown launch status "${newStatus}"`, allowed: [] };
+    }
+
+    const launch = await existsLaunchWithId(launchId);
+    if (!launch) {
+        return { error: 'Launch not found', allowed: [] };
+    }
+
+    // Check the transition against the state machine
+    const allowed = STATUS_TRANSITIONS[launch.status];
+    if (!allowed.includes(newStatus)) {
+        return {
+            error: `Cannot change launch status from "${launch.status}" to "${newStatus}"`,
+            allowed,
+        };
+    }
+
+    // Only update the launch if its status is still the one we checked
+    // If someone else changed it in the meantime, nothing is updated and we report it
+    const updatedLaunch = await Launch.findOneAndUpdate(
+        { flightNumber: launchId, status: launch.status },
+        getStatusFields(newStatus),
+        { new: true, projection: { '_id': 0, '__v': 0 } }
+    );
+
+    if (!updatedLaunch) {
+        return { error: 'Launch status was changed by someone else. Please try again.', allowed };
+    }
+
+    // Record the change (with the launch before and after) in the audit trail
+    await recordLaunchAudit({
+        ...audit,
+        flightNumber: launchId,
+        action,
+        before: launch,
+        after: updatedLaunch,
+    });
+
+    // Tell everyone watching the launches about the change
+    publishLaunchEvent(newStatus === 'aborted' ? 'launch-aborted' : 'launch-updated', updatedLaunch);
+
+    return { launch: updatedLaunch };
+}
+
+// Function to find launches that are counting down to a launch date in a time range
+// This is used by the launch scheduler to find launches that reached a T-minus mark or their launch date
+// Parameters:
+//   - from: Only launches after this time (or null for no lower limit)
+//   - to: Only launches at or before this time
+// Returns: An array of scheduled and go-for-launch launches, earliest first
+async function getCountdownLaunches(from, to) {
+    const launchDate = { $lte: to };
+    if (from) {
+        launchDate.$gt = from;
+    }
+
+    return await Launch
+        .find({ status: { $in: COUNTDOWN_STATUSES }, launchDate }, { '_id': 0, '__v': 0 })
+        .sort({ launchDate: 1 });
 }
 
 // Function to abort (cancel) a launch
-// This doesn't delete the launch, just marks it as aborted
+// This doesn't delete the launch, just moves it to the "aborted" status
 // Parameters:
 //   - launchId: The flight number of the launch to abort
+//   - audit: Who is aborting the launch and why, for the audit trail ({ actor, reason })
 // Returns: true if the launch was successfully aborted, false otherwise
-async function abortLaunchById(launchId) {
-    // Use updateOne() to update a single document in the database
-    // First parameter: find the launch with this flight number
-    // Second parameter: update it with these new values
-    const aborted = await Launch.updateOne(
-        { flightNumber: launchId },  // Find launch with this flight number
-        {
-            upcoming: false,         // Mark as not upcoming (it's been canceled)
-            success: false,           // Mark as unsuccessful (it was aborted)
-        }
-    );
-    
-    // updateOne() returns an object with information about the update
-    // modifiedCount tells us how many documents were actually updated
-    // If modifiedCount is 1, the launch was found and updated (success)
-    // If modifiedCount is 0, the launch wasn't found (failure)
-    return aborted.modifiedCount === 1;
+//   (e.g., false if the launch has already launched, succeeded or been aborted)
+async function abortLaunchById(launchId, audit = {}) {
+    const { error } = await changeLaunchStatus(launchId, 'aborted', { ...audit, action: 'abort' });
+    return !error;
 }
 
 // Export all functions so other files can import and use them
 // When you do: const { getAllLaunches } = require('./launches.model');
 // You can then call getAllLaunches() in that file
 module.exports = {
-    getAllLaunches,        // Get all launches from database
+    loadLaunchesData,      // Import historical SpaceX launches
+    backfillLaunchStatuses,// Give older launches a lifecycle status
+    linkLaunchRockets,     // Link older launches to their registered rocket
+    getAllLaunches,        // Get a page of launches from database
+    countLaunches,         // Count launches matching a filter
+    countLaunchesByStatus, // Count launches in each lifecycle status
     addNewLaunch,          // Create a new launch
     existsLaunchWithId,    // Check if a launch exists
+    getLaunchWithPlanet,   // Get one launch and the planet it's heading to
+    getPlanetsForLaunches, // Get the planets a page of launches is heading to
+    findTargetPlanet,      // Find the planet a launch is heading to
+    updateLaunch,          // Edit or reschedule an upcoming launch
+    changeLaunchStatus,    // Move a launch to a new lifecycle status
+    getCountdownLaunches,  // Find launches counting down to a date in a time range
     abortLaunchById,       // Abort a launch
 };
 
@@ -1,6 +1,33 @@
 // Import mongoose library to interact with MongoDB database
 const mongoose = require('mongoose');
 
+// Import the list of launch lifecycle statuses (scheduled, go-for-launch, ...)
+const { LAUNCH_STATUSES } = require('./launches.status');
+
+// Define the schema for one payload in a launch's manifest
+// Payloads are stored inside their launch (not in a collection of their own), so _id is turned off
+const payloadSchema = new mongoose.Schema({
+    // What is being carried (e.g., "Kepler Relay Satellite")
+    name: {
+        type: String,
+        required: true,
+    },
+    // The payload's mass in kilograms
+    // Not required because the SpaceX API doesn't know the mass of every historical payload
+    massKg: {
+        type: Number,
+        min: 0,
+    },
+    // Where the payload is going (e.g., "LEO", "GTO" or the target planet)
+    orbit: {
+        type: String,
+    },
+    // The customer that owns the payload (one of the launch's customers)
+    customer: {
+        type: String,
+    },
+}, { _id: false });
+
 // Define the schema (structure) for launches in our database
 // This tells MongoDB what fields each launch document should have
 const launchesSchema = new mongoose.Schema({
@@ -8,6 +35,16 @@ const launchesSchema = new mongoose.Schema({
     flightNumber: {
         type: Number,
         required: true, // This field must be provided
+        unique: true,   // Creates a unique index so two launches can never share a flight number
+    },
+    // The id of the launch in the SpaceX API (e.g., "5eb87cd9ffd86e000604b32a")
+    // Only historical SpaceX launches have one; it's how the import recognises launches it has
+    // already saved, since their flight numbers come from our own counter (see launches.model.js)
+    // sparse: the unique index ignores launches without a SpaceX id
+    spacexId: {
+        type: String,
+        unique: true,
+        sparse: true,
     },
     // The date when the launch is scheduled or occurred
     launchDate: {
@@ -19,19 +56,65 @@ const launchesSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
-    // The type of rocket being used (e.g., "Explorer IS1", "Falcon 9")
+    // The name of the rocket being used (e.g., "Explorer IS1", "Falcon 9")
+    // New launches always use the spelling from the rocket registry
     rocket: {
         type: String,
         required: true,
     },
+    // Reference to the matching document in the rockets collection (see rockets.mongo.js)
+    // Every new launch has one; historical launches get one when their rocket is registered
+    rocketId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rocket',
+    },
+    // The name of the launch pad the launch reserves (e.g., "LC-39A"), from the pad registry
+    // Not required because historical SpaceX launches (and older launches) have no pad
+    pad: {
+        type: String,
+    },
+    // Reference to the matching document in the pads collection (see pads.mongo.js)
+    padId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Pad',
+    },
+    // The time window the pad is reserved for (start included, end not included)
+    // It always contains the launch date, and no other launch can hold the pad during it
+    padWindowStart: {
+        type: Date,
+    },
+    padWindowEnd: {
+        type: Date,
+    },
     // The destination planet (must be a habitable planet from our database)
+    // Not required because historical SpaceX launches don't have an exoplanet target
     target: {
         type: String,
-        required: true,
     },
-    // Array of customer names who are paying for this launch
-    // Default customers are "Zero to Mastery" and "NASA"
+    // Reference to the matching document in the planets collection
+    // Storing the planet's _id lets us join launch and planet data with populate()
+    // instead of matching on the target name string
+    planet: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Planet',
+    },
+    // Array of customer names who are paying for this launch (see customers.mongo.js)
+    // New launches that don't name their customers get "Zero to Mastery" and "NASA"
     customers: [String],
+    // The payload manifest: everything the launch carries, and who owns it
+    payloads: {
+        type: [payloadSchema],
+        default: [],
+    },
+    // Where the launch is in its lifecycle (see launches.status.js for the allowed transitions)
+    status: {
+        type: String,
+        enum: LAUNCH_STATUSES, // Only these values are allowed
+        required: true,
+        default: 'scheduled',  // New launches start out scheduled
+    },
+    // The upcoming and success flags below are kept in step with status,
+    // so older clients and the ?upcoming= / ?success= filters keep working
     // Whether this launch is upcoming (true) or has already happened (false)
     upcoming: {
         type: Boolean,
@@ -46,6 +129,9 @@ const launchesSchema = new mongoose.Schema({
     },
 });
 
+// Pad conflicts are found by looking up the other reservations of the same pad by time
+launchesSchema.index({ padId: 1, padWindowStart: 1 });
+
 // Create a model called "Launch" based on the schema
 // This model will be used to interact with the "launches" collection in MongoDB
 const Launch = mongoose.model('Launch', launchesSchema);
@@ -0,0 +1,59 @@
+// Launch lifecycle statuses and the transitions between them
+// Every launch is always in exactly one of these statuses
+//
+//   scheduled ──► go-for-launch ──► launched ──► succeeded
+//      │  ▲            │                  └────► failed
+//      │  └─ scrubbed ◄┘
+//      └──────┴────────┴──► aborted
+//
+//   scheduled / go-for-launch ──► pending-outcome ──► succeeded / failed / scrubbed
+//   (moved there automatically by the launch scheduler once the launch date has passed)
+//
+// - scheduled:      On the calendar, preparations under way
+// - go-for-launch:  Final checks passed, cleared to launch
+// - scrubbed:       Launch attempt called off for now (weather, technical issue); can be rescheduled
+// - launched:       The rocket has left the pad, outcome not known yet
+// - pending-outcome: The launch date passed without anyone recording what happened
+// - succeeded:      The mission reached its goal
+// - failed:         The mission was lost or did not reach its goal
+// - aborted:        The mission was cancelled before launch and will not fly
+const LAUNCH_STATUSES = [
+    'scheduled',
+    'go-for-launch',
+    'scrubbed',
+    'launched',
+    'pending-outcome',
+    'succeeded',
+    'failed',
+    'aborted',
+];
+
+// Which statuses a launch is allowed to move to from each status
+// succeeded, failed and aborted are final: nothing can follow them
+const STATUS_TRANSITIONS = {
+    'scheduled': ['go-for-launch', 'scrubbed', 'aborted', 'pending-outcome'],
+    'go-for-launch': ['launched', 'scrubbed', 'aborted', 'pending-outcome'],
+    'scrubbed': ['scheduled', 'aborted'],
+    'launched': ['succeeded', 'failed'],
+    'pending-outcome': ['succeeded', 'failed', 'scrubbed'],
+    'succeeded': [],
+    'failed': [],
+    'aborted': [],
+};
+
+// Statuses that mean the launch hasn't happened yet (shown on the Upcoming page)
+const UPCOMING_STATUSES = ['scheduled', 'go-for-launch', 'scrubbed'];
+
+// Statuses the launch scheduler watches: counting down to launch, and moved on once the date passes
+const COUNTDOWN_STATUSES = ['scheduled', 'go-for-launch'];
+
+// Statuses that count as unsuccessful in the older success flag
+const UNSUCCESSFUL_STATUSES = ['failed', 'aborted'];
+
+module.exports = {
+    LAUNCH_STATUSES,
+    STATUS_TRANSITIONS,
+    UPCOMING_STATUSES,
+    COUNTDOWN_STATUSES,
+    UNSUCCESSFUL_STATUSES,
+};
@@ -0,0 +1,192 @@
+// Import mongoose to check pad ids before looking them up
+const mongoose = require('mongoose');
+
+// Import randomUUID (built into Node.js) to tell reservation locks apart
+const { randomUUID } = require('crypto');
+
+// Import the Pad model (MongoDB schema)
+const Pad = require('./pads.mongo');
+
+// Import the helpers every registry shares (case-insensitive names, API responses, searching)
+const {
+    NAME_COLLATION,
+    DUPLICATE_KEY_ERROR,
+    toResponse,
+    escapeRegExp,
+} = require('./registry.helpers');
+
+// Import the Launch model (MongoDB schema), to keep launches in step with the pads they reserve
+const Launch = require('./launches.mongo');
+
+// The pads added when the registry is empty
+const DEFAULT_PADS = [
+    { name: 'LC-39A', site: 'Kennedy Space Center', active: true },
+    { name: 'SLC-40', site: 'Cape Canaveral Space Force Station', active: true },
+    { name: 'SLC-4E', site: 'Vandenberg Space Force Base', active: true },
+];
+
+// How long a booking can hold a pad's reservation lock before another booking may take it over
+// Booking a launch takes milliseconds; this only matters when the holder crashed
+const PAD_LOCK_TTL_MS = 10 * 1000;
+
+// How long a booking waits for another booking of the same pad to finish before giving up
+const PAD_LOCK_WAIT_MS = 5 * 1000;
+
+// How long to wait between two tries to take the lock
+const PAD_LOCK_RETRY_MS = 25;
+
+// Function to add the default pads to an empty registry
+// This runs when the server starts up, and does nothing once there are pads
+async function loadPadsData() {
+    const count = await Pad.countDocuments();
+    if (count > 0) {
+        console.log(`✅ Launch pads already loaded (${count} pads).`);
+        return;
+    }
+
+    await Pad.insertMany(DEFAULT_PADS);
+    console.log(`✅ Launch pads loaded with ${DEFAULT_PADS.length} pads.`);
+}
+
+// Function to get pads from the database
+// This is used by the GET /pads API endpoint (and the pad selector of the launch form)
+// Parameters:
+//   - options:
+//       - active: true or false to only get open or closed pads, undefined for all
+//       - search: Text to look for in the name or site (e.g., "kennedy"), ignoring case
+// Returns: An array of pads, sorted by name
+async function getAllPads({ active, search } = {}) {
+    const filter = {};
+    if (active !== undefined) {
+        filter.active = active;
+    }
+    if (search) {
+        const pattern = new RegExp(escapeRegExp(search), 'i');
+        filter.$or = [{ name: pattern }, { site: pattern }];
+    }
+
+    const pads = await Pad.find(filter).collation(NAME_COLLATION).sort({ name: 1 });
+    return pads.map(toResponse);
+}
+
+// Function to get one pad by id
+// Parameters:
+//   - id: The pad's id (as sent in GET /pads)
+// Returns: The pad, or null if there's no pad with this id
+async function getPadById(id) {
+    // Anything that isn't a valid MongoDB id can't be a pad
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+
+    const pad = await Pad.findById(id);
+    return pad && toResponse(pad);
+}
+
+// Function to find the active pad with a name
+// This is used to make sure launches only reserve registered pads that are open
+// Parameters:
+//   - name: The pad name sent by the client (e.g., "lc-39a"), any upper/lower case
+// Returns: The pad document (with the registered spelling of the name), or null if not found
+async function findActivePad(name) {
+    return await Pad.findOne({ name, active: true }).collation(NAME_COLLATION);
+}
+
+// Function to add a pad to the registry
+// Parameters:
+//   - pad: { name, site, active }
+// Returns: { pad } with the saved pad, or { error } if the name is already taken
+async function addPad(pad) {
+    try {
+        const savedPad = await Pad.create(pad);
+        return { pad: toResponse(savedPad) };
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY_ERROR) {
+            return { error: `A pad named "${pad.name}" already exists` };
+        }
+        throw error;
+    }
+}
+
+// Function to change a pad
+// When the name changes, launches reserving the pad get the new name too,
+// so the whole history uses one spelling
+// Parameters:
+//   - id: The pad's id
+//   - changes: The fields to change (any of the fields of addPad)
+// Returns: { pad } with the updated pad, { error } if the new name is taken, or null if not found
+async function updatePad(id, changes) {
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+
+    let pad;
+    try {
+        pad = await Pad.findByIdAndUpdate(id, { $set: changes }, { new: true, runValidators: true });
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY_ERROR) {
+            return { error: `A pad named "${changes.name}" already exists` };
+        }
+        throw error;
+    }
+
+    if (!pad) {
+        return null;
+    }
+
+    if (changes.name) {
+        await Launch.updateMany({ padId: pad._id }, { pad: pad.name });
+    }
+
+    return { pad: toResponse(pad) };
+}
+
+// Function to run a task while holding a pad's reservation lock
+// Checking that a pad is free and saving the reservation are two separate steps, so two bookings
+// for the same pad at the very same moment could both find it free and both save.
+// The lock makes them take turns: MongoDB changes a single document atomically, so only one
+// booking at a time can set the lock on the pad document, and the others wait until it's given back.
+// Parameters:
+//   - padId: The pad's id
+//   - task: An async function that checks and saves the reservation
+// Returns: { result } with what the task returned, or { error } if another booking kept the pad
+//   locked for too long
+async function withPadLock(padId, task) {
+    const token = randomUUID();
+    const giveUpAt = Date.now() + PAD_LOCK_WAIT_MS;
+
+    // Step 1: Take the lock, if nobody holds it (or the holder's lock ran out)
+    // lockExpiresAt: null matches pads that have never been locked, or whose lock was given back
+    for (;;) {
+        const now = new Date();
+        const lockedPad = await Pad.findOneAndUpdate(
+            { _id: padId, $or: [{ lockExpiresAt: null }, { lockExpiresAt: { $lte: now } }] },
+            { $set: { lockToken: token, lockExpiresAt: new Date(now.getTime() + PAD_LOCK_TTL_MS) } }
+        );
+        if (lockedPad) {
+            break;
+        }
+        if (Date.now() >= giveUpAt) {
+            return { error: 'The pad is busy with another booking, please try again' };
+        }
+        await new Promise((resolve) => setTimeout(resolve, PAD_LOCK_RETRY_MS));
+    }
+
+    // Step 2: Run the task, and give the lock back even if it fails
+    // The token makes sure we only remove our own lock (not one taken over after ours ran out)
+    try {
+        return { result: await task() };
+    } finally {
+        await Pad.updateOne({ _id: padId, lockToken: token }, { $unset: { lockToken: 1, lockExpiresAt: 1 } });
+    }
+}
+
+module.exports = {
+    loadPadsData,    // Add the default pads to an empty registry
+    getAllPads,      // Get pads, optionally only open ones or matching a search
+    getPadById,      // Get one pad
+    findActivePad,   // Find the open pad a launch reserves
+    addPad,          // Register a new pad
+    updatePad,       // Change or close a pad
+    withPadLock,     // Check and save a pad reservation without another booking getting in between
+};
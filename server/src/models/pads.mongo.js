@@ -0,0 +1,51 @@
+// Import mongoose library to interact with MongoDB database
+const mongoose = require('mongoose');
+
+// Import the case-insensitive way registry names are compared ("lc-39a" is the same pad as "LC-39A")
+const { NAME_COLLATION } = require('./registry.helpers');
+
+// Define the schema (structure) for launch pads in our database
+// A launch can reserve one of these pads for a time window; two launches can't hold
+// the same pad at the same time
+const padSchema = new mongoose.Schema({
+    // The pad's name, as shown on launches (e.g., "LC-39A")
+    name: {
+        type: String,
+        required: true,
+    },
+    // The launch site (range) the pad belongs to (e.g., "Kennedy Space Center")
+    site: {
+        type: String,
+        required: true,
+    },
+    // Whether the pad can be reserved
+    // Pads that are closed (e.g., for rebuilding) stay in the registry for past launches
+    active: {
+        type: Boolean,
+        required: true,
+        default: true,
+    },
+    // The reservation lock: while a launch is being booked on the pad, the booking's random
+    // token is stored here so no other booking can reserve the pad at the same moment
+    // (see withPadLock in pads.model.js)
+    // select: false leaves these out of every query unless asked for, so they never reach the API
+    lockToken: {
+        type: String,
+        select: false,
+    },
+    // When the lock runs out, in case its holder never gives it back (e.g., the server crashed)
+    lockExpiresAt: {
+        type: Date,
+        select: false,
+    },
+});
+
+// Two pads can't have the same name, whatever the upper/lower case
+padSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+// Create a model called "Pad" based on the schema
+// This model will be used to interact with the "pads" collection in MongoDB
+const Pad = mongoose.model('Pad', padSchema);
+
+// Export the Pad model so other files can use it
+module.exports = Pad;
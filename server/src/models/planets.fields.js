@@ -0,0 +1,25 @@
+// The numeric KOI columns we store for every planet
+// These describe the planet and its star, so mission planners can see why a planet qualifies
+// They are also the fields that GET /planets can filter on (e.g., ?koi_prad_max=1.2)
+// and the only fields a habitability profile rule can check
+//
+// This list lives in its own file so the planets model and the habitability profiles
+// (which the planets model loads) can both use it
+const NUMERIC_PLANET_FIELDS = [
+    'kepid',
+    'koi_score',
+    'koi_period',
+    'koi_prad',
+    'koi_teq',
+    'koi_insol',
+    'koi_steff',
+    'koi_slogg',
+    'koi_srad',
+    'ra',
+    'dec',
+    'koi_kepmag',
+];
+
+module.exports = {
+    NUMERIC_PLANET_FIELDS,
+};
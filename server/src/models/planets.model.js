@@ -11,137 +11,478 @@ const fs = require('fs');
 // Import the Planet model (MongoDB schema) so we can save planets to the database
 const Planet = require('./planets.mongo');
 
-// Temporary storage for CSV parsing
-// This array stores all rows from the CSV file as we read them
-// We don't actually need this after saving to DB, but it's useful for debugging
-const results = [];
+// Import the Launch model so we never remove a planet that a launch is heading to
+const Launch = require('./launches.mongo');
 
-// Function to check if a planet is habitable (could support life)
-// This uses scientific criteria based on real research about what makes a planet habitable
+// Import the in-memory store for planet import jobs (uploads through POST /planets/import)
+const { createImportJob } = require('./imports.model');
+
+// Import the function that estimates how far away a star is from its brightness, size and temperature
+const { estimateDistance } = require('../services/trajectory');
+
+// Import the habitability criteria profiles (see src/config/habitability.profiles.js)
+const {
+    HABITABILITY_PROFILES,
+    ACTIVE_PROFILE,
+} = require('../config/habitability.profiles');
+
+// Import the numeric KOI columns from the CSV file that we store for every planet
+const { NUMERIC_PLANET_FIELDS } = require('./planets.fields');
+
+// Function to convert one CSV value into a number
+// Empty cells mean "no measurement", so they become null instead of 0
+// Parameters:
+//   - value: The raw text from the CSV cell (e.g., "1.23" or "")
+// Returns: The number, or null if the cell is empty or not a number
+function toNumber(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+}
+
+// Function to convert one CSV row into a planet object that matches our schema
+// Parameters:
+//   - data: An object representing one row from the CSV file
+// Returns: A planet object ready to be saved to the database
+function toPlanet(data) {
+    const planet = {
+        // Use kepler_name if available, otherwise fall back to kepoi_name
+        keplerName: data.kepler_name || data.kepoi_name,
+        kepoi_name: data.kepoi_name,
+        koi_disposition: data.koi_disposition,
+    };
+
+    // Copy every numeric column, converting the text to numbers
+    for (const field of NUMERIC_PLANET_FIELDS) {
+        planet[field] = toNumber(data[field]);
+    }
+
+    // The Kepler data has no distance column, so store an estimate made from the star's measurements
+    planet.distanceLightYears = estimateDistance(planet)?.lightYears ?? null;
+
+    return planet;
+}
+
+// Function to get one habitability profile by name
+// Parameters:
+//   - name: The profile name (e.g., "conservative") - defaults to the active profile
+// Returns: The profile object with its name added, or null if there is no such profile
+function getHabitabilityProfile(name = ACTIVE_PROFILE) {
+    if (!Object.hasOwn(HABITABILITY_PROFILES, name)) {
+        return null;
+    }
+
+    return {
+        name,
+        active: name === ACTIVE_PROFILE,
+        ...HABITABILITY_PROFILES[name],
+    };
+}
+
+// Function to list every habitability profile
+// This is used by the GET /planets/profiles endpoint
+// Returns: An array of profile objects (each with its name)
+function getHabitabilityProfiles() {
+    return Object.keys(HABITABILITY_PROFILES).map((name) => getHabitabilityProfile(name));
+}
+
+// Function to check if a planet meets the criteria of one profile
+// Parameters:
+//   - planet: A planet object with numeric KOI values (from toPlanet)
+//   - profile: A habitability profile (from getHabitabilityProfile)
+// Returns: true if the planet meets all of the profile's criteria, false otherwise
+function matchesProfile(planet, profile) {
+    // The planet's disposition must be one of the allowed ones (e.g., CONFIRMED)
+    // This ensures we only use planets that scientists are confident exist
+    if (!profile.dispositions.includes(planet.koi_disposition)) {
+        return false;
+    }
+
+    // Every rule must pass: the value must be above min and below max
+    // A missing measurement (null) never passes, because we can't tell if it's habitable
+    return profile.rules.every((rule) => {
+        const value = planet[rule.field];
+        if (value === null || value === undefined) {
+            return false;
+        }
+        const aboveMin = rule.min === undefined || value > rule.min;
+        const belowMax = rule.max === undefined || value < rule.max;
+        return aboveMin && belowMax;
+    });
+}
+
+// Function to check if a planet is habitable (could support life) under any profile
+// We store every planet that at least one profile accepts, so switching profiles
+// doesn't require reloading the CSV file
 // Parameters:
-//   - planet: An object representing one row from the CSV file
-// Returns: true if the planet meets all criteria, false otherwise
+//   - planet: A planet object with numeric KOI values (from toPlanet)
+// Returns: true if any profile accepts the planet, false otherwise
 function isHabitablePlanet(planet) {
-  // Criteria 1: Planet must be CONFIRMED (not a false positive or candidate)
-  // This ensures we only use planets that scientists are confident exist
-  const isConfirmed = planet['koi_disposition'] === 'CONFIRMED';
-  
-  // Criteria 2: Stellar flux (koi_insol) must be between 0.36 and 1.11
-  // Stellar flux = how much energy the planet receives from its star
-  // 0.36 to 1.11 means the planet gets similar energy to Earth (not too hot, not too cold)
-  // This is the "Goldilocks zone" - just right for liquid water
-  const hasRightStellarFlux = planet['koi_insol'] > 0.36 && planet['koi_insol'] < 1.11;
-  
-  // Criteria 3: Planetary radius (koi_prad) must be less than 1.6 times Earth's radius
-  // Planets that are too large might have too much gravity or be gas giants
-  // 1.6 times Earth's radius is the maximum size for a potentially rocky, habitable planet
-  const hasRightSize = planet['koi_prad'] < 1.6;
-  
-  // Planet is habitable only if it meets ALL three criteria
-  return isConfirmed && hasRightStellarFlux && hasRightSize;
-}
-
-// Function to load planets from CSV file into the database
-// This runs when the server starts up
-// It reads the NASA Kepler data CSV file, filters for habitable planets, and saves them to MongoDB
-async function loadPlanetsData() {
+    return getHabitabilityProfiles().some((profile) => matchesProfile(planet, profile));
+}
+
+// Function to turn a profile into a MongoDB filter object
+// This lets the database pick the planets that match a profile
+// Example: the conservative profile becomes
+//   { koi_disposition: { $in: ['CONFIRMED'] }, koi_prad: { $lt: 1.6 }, koi_insol: { $gt: 0.36, $lt: 1.11 } }
+// Parameters:
+//   - profile: A habitability profile (from getHabitabilityProfile)
+// Returns: A MongoDB filter object
+function getProfileFilter(profile) {
+    const filter = {
+        koi_disposition: { $in: profile.dispositions },
+    };
+
+    for (const rule of profile.rules) {
+        filter[rule.field] = filter[rule.field] || {};
+        if (rule.min !== undefined) {
+            filter[rule.field].$gt = rule.min;
+        }
+        if (rule.max !== undefined) {
+            filter[rule.field].$lt = rule.max;
+        }
+    }
+
+    return filter;
+}
+
+// Path to the Kepler CSV file that ships with the server
+// __dirname = current directory (server/src/models)
+// We go up two levels (..) to get to server/, then into data/ folder
+const DEFAULT_CSV_FILE_PATH = path.join(__dirname, '..', '..', 'data', 'kepler_data.csv');
+
+// Function to list the CSV columns a Kepler export must have
+// We need the planet's identity and disposition, plus every column a habitability rule looks at
+// Returns: An array of column names
+function getRequiredCsvColumns() {
+    const ruleFields = getHabitabilityProfiles()
+        .flatMap((profile) => profile.rules.map((rule) => rule.field));
+
+    return [...new Set(['kepid', 'kepoi_name', 'kepler_name', 'koi_disposition', ...ruleFields])];
+}
+
+// Function to check one CSV row for missing or invalid values
+// Parameters:
+//   - data: An object representing one row from the CSV file
+// Returns: The reason the row is rejected, or null if the row is valid
+function getRowRejection(data) {
+    if (!data.kepoi_name) {
+        return 'Missing kepoi_name';
+    }
+
+    if (!Number.isInteger(toNumber(data.kepid))) {
+        return 'Missing or invalid kepid';
+    }
+
+    // Empty cells are fine (no measurement), but text that isn't a number is not
+    for (const field of NUMERIC_PLANET_FIELDS) {
+        const value = data[field];
+        if (value !== undefined && value !== '' && isNaN(Number(value))) {
+            return `Invalid number in ${field}: "${value}"`;
+        }
+    }
+
+    return null;
+}
+
+// Function to read habitable planets from a stream of Kepler CSV data
+// This is the one csv-parse pipeline used for the bundled file and for uploaded files
+// Parameters:
+//   - input: A readable stream of CSV text (a file stream or an uploaded file)
+//   - callbacks: Optional functions to follow along while the file is read
+//       - onHeader: Called once the header row has been checked
+//       - onProgress: Called after every row with { rowsRead, accepted, skipped, rejected }
+//       - onRejection: Called with { line, kepoi_name, reason } for every rejected row
+// Returns: A Promise that resolves to { planets, progress, rejections }
+//   If the header is missing required columns, the Promise rejects with an error
+//   whose missingColumns property lists them
+//   It also rejects if the file has no header row or no planet rows (e.g., an empty upload),
+//   or if the input stream fails
+function readPlanets(input, { onHeader = () => {}, onProgress = () => {}, onRejection = () => {} } = {}) {
     // Return a Promise so we can use await when calling this function
-    return new Promise(async (resolve, reject) => {
-        // Array to store names of habitable planets as we find them
+    return new Promise((resolve, reject) => {
+        // Array to store habitable planets (with all their KOI data) as we find them
         const habitablePlanets = [];
 
-        // Get the path to the CSV file
-        // __dirname = current directory (server/src/models)
-        // We go up two levels (..) to get to server/, then into data/ folder
-        const csvFilePath = path.join(__dirname, '..', '..', 'data', 'kepler_data.csv');
-
-        // Create a read stream to read the CSV file
-        // Streams are used for large files - they read data in chunks instead of loading everything into memory
-        // This is more memory-efficient for large CSV files
-        fs.createReadStream(csvFilePath)
-            // Pipe the file stream through the CSV parser
-            // This converts the CSV text into JavaScript objects
-            .pipe(parse({
-                comment: '#',   // Lines starting with # are comments, ignore them
-                columns: true,  // Use the first row as column names (creates objects with named properties)
-            }))
+        // Rows with missing or invalid values, so the caller can report them
+        const rejections = [];
+
+        // Running totals of what happened to each row
+        const progress = {
+            rowsRead: 0,
+            accepted: 0,
+            skipped: 0,
+            rejected: 0,
+        };
+
+        // An empty file (or one with only # comments) has no header row, so the check below never runs
+        let headerRead = false;
+
+        // The CSV parser converts the CSV text into JavaScript objects
+        const parser = parse({
+            comment: '#',   // Lines starting with # are comments, ignore them
+            info: true,     // Also give us the line number of each row (for the rejection report)
+            // Use the first row as column names, after checking that none are missing
+            columns: (header) => {
+                const missingColumns = getRequiredCsvColumns()
+                    .filter((column) => !header.includes(column));
+
+                if (missingColumns.length > 0) {
+                    const error = new Error(`CSV header is missing required columns: ${missingColumns.join(', ')}`);
+                    error.missingColumns = missingColumns;
+                    throw error;
+                }
+
+                headerRead = true;
+                onHeader();
+                return header;
+            },
+        });
+
+        // A stream's 'error' event doesn't travel down the pipe, so pass it on to the parser
+        // (e.g., a missing file, or an upload that was cut off)
+        input.on('error', (err) => parser.destroy(err));
+
+        input
+            // Pipe the stream through the CSV parser
+            .pipe(parser)
             // Event: 'data' fires for each row in the CSV file
-            .on('data', (data) => {
-                // Store the raw data (useful for debugging)
-                results.push(data);
-                
-                // Check if this planet meets our habitable criteria
-                if (isHabitablePlanet(data)) {
-                    // Get the planet name
+            .on('data', ({ record: data, info }) => {
+                progress.rowsRead += 1;
+
+                const reason = getRowRejection(data);
+                if (reason) {
+                    progress.rejected += 1;
+                    const rejection = {
+                        line: info.lines,
+                        kepoi_name: data.kepoi_name || null,
+                        reason,
+                    };
+                    rejections.push(rejection);
+                    onRejection(rejection);
+                } else {
+                    // Convert the CSV row into a planet object with all the columns we keep
                     // kepler_name is more readable (e.g., "Kepler-442 b")
                     // kepoi_name is the internal ID (e.g., "K00001.01")
-                    // Use kepler_name if available, otherwise fall back to kepoi_name
-                    const planetName = data.kepler_name || data.kepoi_name;
-                    
-                    // Only add the planet if it has a name
-                    if (planetName) {
-                        habitablePlanets.push(planetName);
+                    const planet = toPlanet(data);
+
+                    // Check if this planet meets the criteria of at least one habitability profile
+                    if (isHabitablePlanet(planet)) {
+                        progress.accepted += 1;
+                        habitablePlanets.push(planet);
+                    } else {
+                        progress.skipped += 1;
                     }
                 }
+
+                onProgress(progress);
             })
-            // Event: 'error' fires if something goes wrong reading the file
+            // Event: 'error' fires if something goes wrong parsing the file
             .on('error', (err) => {
-                console.error('❌ Error reading CSV file:', err);
                 reject(err); // Reject the Promise with the error
             })
             // Event: 'end' fires when we've finished reading the entire file
-            .on('end', async () => {
-                try {
-                    // Step 1: Clear existing planets from database
-                    // This prevents duplicates if we run the server multiple times
-                    // deleteMany({}) with empty object means "delete all documents"
-                    await Planet.deleteMany({});
-                    
-                    // Step 2: Convert planet names to objects that match our schema
-                    // Our Planet schema expects objects with a keplerName property
-                    const planetsToSave = habitablePlanets.map(planetName => ({
-                        keplerName: planetName
-                    }));
-                    
-                    // Step 3: Save all habitable planets to the database
-                    // Only do this if we found at least one planet
-                    if (planetsToSave.length > 0) {
-                        // insertMany() saves multiple documents at once (faster than saving one by one)
-                        await Planet.insertMany(planetsToSave);
-                    }
-                    
-                    // Step 4: Count how many planets we saved and log it
-                    const countPlanetsFound = (await Planet.find({})).length;
-                    console.log(`✅ Loaded ${countPlanetsFound} habitable planets into database.`);
-                    
-                    // Resolve the Promise to indicate success
-                    resolve();
-                } catch (error) {
-                    // If something goes wrong saving to database, log it and reject
-                    console.error('❌ Error saving planets to database:', error);
-                    reject(error);
+            .on('end', () => {
+                if (!headerRead) {
+                    reject(new Error('The file is empty: it has no header row'));
+                } else if (progress.rowsRead === 0) {
+                    reject(new Error('The file has a header row but no planet rows'));
+                } else {
+                    resolve({ planets: habitablePlanets, progress, rejections });
+                }
+            });
+    });
+}
+
+// Function to save a new set of planets without emptying the collection first
+// Each planet is "upserted" (updated if it exists, inserted if it doesn't), matched on
+// kepid + kepoi_name, so GET /planets keeps working while the catalogue is being reloaded
+// and existing planets keep the same _id (launches reference planets by _id)
+// Parameters:
+//   - planets: An array of planet objects (from readPlanets)
+// Returns: { added, updated, removed, total } - how the catalogue changed
+async function savePlanets(planets) {
+    // Step 2 removes every planet that isn't in the new set, so an empty set would empty the catalogue
+    // (apart from planets a launch is heading to); a file without habitable planets is a mistake, not a reload
+    if (planets.length === 0) {
+        throw new Error('The file has no habitable planets. Nothing was saved.');
+    }
+
+    // Step 1: Upsert every planet in one bulkWrite() call (much faster than one query per planet)
+    // $set only changes the fields we have, and MongoDB doesn't count unchanged planets as modified
+    const result = await Planet.bulkWrite(planets.map((planet) => ({
+        updateOne: {
+            filter: {
+                kepid: planet.kepid,
+                kepoi_name: planet.kepoi_name,
+            },
+            update: { $set: planet },
+            upsert: true,
+        },
+    })));
+
+    const added = result.upsertedCount;
+    const updated = result.modifiedCount;
+
+    // Step 2: Remove planets that are no longer in the new data
+    // They are matched on kepid + kepoi_name like in step 1, so a planet whose KOI name now belongs
+    // to another star is removed too
+    // Planets that a launch is heading to are kept, so no launch ends up pointing at nothing
+    const referencedPlanetIds = await Launch.distinct('planet');
+    const { deletedCount: removed } = await Planet.deleteMany({
+        $nor: planets.map((planet) => ({ kepid: planet.kepid, kepoi_name: planet.kepoi_name })),
+        _id: { $nin: referencedPlanetIds },
+    });
+
+    const total = await Planet.countDocuments();
+
+    return { added, updated, removed, total };
+}
+
+// Function to load planets from a CSV file into the database
+// This runs when the server starts up, and can be run again at any time to re-ingest
+// a newer Kepler export (see src/scripts/load-planets.js)
+// It reads the NASA Kepler data CSV file, filters for habitable planets, and upserts them into MongoDB
+// Parameters:
+//   - csvFilePath: Path to the CSV file (defaults to server/data/kepler_data.csv)
+// Returns: { added, updated, removed, total } - how the catalogue changed
+async function loadPlanetsData(csvFilePath = DEFAULT_CSV_FILE_PATH) {
+    // Create a read stream to read the CSV file
+    // Streams are used for large files - they read data in chunks instead of loading everything into memory
+    // This is more memory-efficient for large CSV files
+    const fileStream = fs.createReadStream(csvFilePath);
+
+    let planets;
+    let rejections;
+    try {
+        ({ planets, rejections } = await readPlanets(fileStream));
+    } catch (error) {
+        console.error('❌ Error reading CSV file:', error);
+        throw error;
+    }
+
+    if (rejections.length > 0) {
+        console.warn(`⚠️  Rejected ${rejections.length} CSV rows with missing or invalid values.`);
+    }
+
+    try {
+        const counts = await savePlanets(planets);
+
+        console.log(`✅ Planet catalogue loaded: ${counts.added} added, ${counts.updated} updated, ${counts.removed} removed (${counts.total} planets matching at least one habitability profile).`);
+
+        return counts;
+    } catch (error) {
+        // If something goes wrong saving to database, log it and pass the error on
+        console.error('❌ Error saving planets to database:', error);
+        throw error;
+    }
+}
+
+// Function to import planets from an uploaded CSV file
+// This is used by the POST /planets/import endpoint
+// The upload is processed in the background as an import job: the Promise resolves
+// as soon as the header row has been checked, and the job object keeps being updated
+// with progress, rejected rows (as soon as they are read) and finally the added/updated/removed counts
+// Only one import can run at a time (see getRunningImportJob in imports.model.js)
+// Parameters:
+//   - input: A readable stream of the uploaded CSV file
+//   - fileName: The name of the uploaded file
+// Returns: A Promise that resolves to the import job, or rejects if the header is invalid
+function importPlanets(input, fileName) {
+    const job = createImportJob(fileName);
+
+    return new Promise((resolve, reject) => {
+        readPlanets(input, {
+            // The header is fine, so tell the client where to follow the job
+            onHeader: () => resolve(job),
+            onProgress: (progress) => Object.assign(job.progress, progress),
+            // Add rejected rows to the job right away, so the report can be followed while the file is read
+            onRejection: (rejection) => job.rejections.push(rejection),
+        })
+            .then(async ({ planets }) => {
+                // busboy marks an upload as truncated when it hit the size limit
+                // Saving part of a catalogue would remove every planet after the cut, so stop here
+                if (input.truncated) {
+                    throw new Error('Uploaded file is larger than the size limit. Nothing was saved.');
                 }
+
+                job.status = 'saving';
+                job.result = await savePlanets(planets);
+                job.status = 'completed';
+            })
+            .catch((error) => {
+                console.error('❌ Error importing planets:', error);
+                job.status = 'failed';
+                job.error = error.message;
+
+                // Only has an effect if the header check failed (the job wasn't handed out yet)
+                reject(error);
+            })
+            .finally(() => {
+                job.finishedAt = new Date();
             });
     });
 }
 
-// Function to get all planets from the database
-// This is used by the /planets API endpoint to return all habitable planets
+// Function to get planets from the database
+// This is used by the /planets API endpoint to return habitable planets
+// Parameters:
+//   - filter: A MongoDB filter object (e.g., { koi_prad: { $lte: 1.2 } }) - empty object means no extra filter
+//   - profile: The habitability profile the planets must match - defaults to the active profile
 // Returns: An array of planet objects
-async function getAllPlanets() {
+async function getAllPlanets(filter = {}, profile = getHabitabilityProfile()) {
+    // Combine the profile's criteria with the extra filter
+    // If both filter the same field, the conditions are merged (e.g., { $lt: 1.6, $lte: 1.2 })
+    const query = getProfileFilter(profile);
+    for (const [field, conditions] of Object.entries(filter)) {
+        query[field] = { ...query[field], ...conditions };
+    }
+
     // Use Mongoose's find() method to query the database
-    // First parameter {} means "find all documents" (no filter)
+    // First parameter is the filter - which planets to return
     // Second parameter is the projection - which fields to include/exclude
-    return await Planet.find({}, {
+    return await Planet.find(query, {
         '_id': 0,    // Exclude MongoDB's internal _id field (we don't need it)
         '__v': 0,    // Exclude Mongoose's version field (we don't need it)
     });
     // This returns an array like:
-    // [{ keplerName: "Kepler-442 b" }, { keplerName: "Kepler-62 f" }, ...]
+    // [{ keplerName: "Kepler-442 b", koi_prad: 1.3, koi_insol: 0.7, ... }, ...]
+}
+
+// Function to get one planet by name
+// This is used by the /planets/:name API endpoint to return a planet's full record
+// Parameters:
+//   - name: The Kepler name or KOI name of the planet (e.g., "Kepler-442 b" or "K04742.01")
+// Returns: The planet object if found, or null if not found
+async function getPlanetByName(name) {
+    return await Planet.findOne({
+        $or: [
+            { keplerName: name },
+            { kepoi_name: name },
+        ],
+    }, {
+        '_id': 0,
+        '__v': 0,
+    });
+}
+
+// Function to count the planets in the catalogue
+// This is used by the /readyz and /metrics endpoints
+// Returns: The number of planets in the database
+async function countPlanets() {
+    return await Planet.countDocuments();
 }
 
 module.exports = {
+    getHabitabilityProfile,
+    getHabitabilityProfiles,
+    getProfileFilter,
     loadPlanetsData,
+    importPlanets,
     getAllPlanets,
+    getPlanetByName,
+    countPlanets,
 }
-
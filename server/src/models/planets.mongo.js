@@ -3,14 +3,55 @@ const mongoose = require('mongoose');
 
 // Define the schema (structure) for planets in our database
 // This tells MongoDB what fields each planet document should have
+// Most fields keep the column names from the NASA Kepler CSV file (e.g., koi_prad),
+// so they can be looked up in the Exoplanet Archive documentation and filtered by the same name
 const planetSchema = new mongoose.Schema({
     // The name of the Kepler exoplanet (e.g., "Kepler-442 b")
     keplerName: {
         type: String,
         required: true, // This field must be provided when creating a planet
     },
+    // Kepler Input Catalog ID of the host star (e.g., 4138008)
+    kepid: Number,
+    // Kepler Object of Interest name (e.g., "K04742.01")
+    // Indexed because GET /planets/:name looks planets up by it
+    kepoi_name: {
+        type: String,
+        index: true,
+    },
+    // Exoplanet Archive disposition (e.g., "CONFIRMED")
+    koi_disposition: String,
+    // Disposition score between 0 and 1 (how confident the archive is in the disposition)
+    koi_score: Number,
+    // Orbital period [days] - how long one "year" lasts on the planet
+    koi_period: Number,
+    // Planetary radius [Earth radii] - 1.0 means the same size as Earth
+    koi_prad: Number,
+    // Equilibrium temperature [Kelvin] - rough surface temperature without an atmosphere
+    koi_teq: Number,
+    // Insolation flux [Earth flux] - how much energy the planet gets from its star (Earth = 1.0)
+    koi_insol: Number,
+    // Stellar effective temperature [Kelvin] - temperature of the host star (the Sun is about 5772 K)
+    koi_steff: Number,
+    // Stellar surface gravity [log10(cm/s**2)]
+    koi_slogg: Number,
+    // Stellar radius [Solar radii] - 1.0 means the same size as the Sun
+    koi_srad: Number,
+    // Right ascension [decimal degrees] - position of the star in the sky
+    ra: Number,
+    // Declination [decimal degrees] - position of the star in the sky
+    dec: Number,
+    // Kepler-band magnitude - how bright the star looks from Earth (smaller means brighter)
+    koi_kepmag: Number,
+    // Estimated distance to the star [light-years], worked out from koi_kepmag, koi_srad and koi_steff
+    // when the planet is loaded (see services/trajectory.js), or null if one of them is missing
+    distanceLightYears: Number,
 });
 
+// Reloading the catalogue matches planets on kepid + kepoi_name, so each pair may only be stored once
+// The unique index makes a second copy fail instead of being saved (e.g., two reloads at the same time)
+planetSchema.index({ kepid: 1, kepoi_name: 1 }, { unique: true });
+
 // Create a model called "Planet" based on the schema
 // This model will be used to interact with the "planets" collection in MongoDB
 // Mongoose automatically pluralizes the model name, so "Planet" becomes "planets" collection
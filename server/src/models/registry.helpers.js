@@ -0,0 +1,30 @@
+// Helpers shared by the registries (rockets, customers and pads)
+// Every registry keeps named documents that launches refer to by name, so they all compare names,
+// search them and send them to the API the same way
+
+// Names are compared without caring about upper/lower case ("falcon 9" is the same rocket as "Falcon 9")
+// A collation tells MongoDB how to compare strings; strength 2 ignores case but not accents
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// MongoDB's error code for a duplicate value in a unique index (here: a name that's taken)
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Function to turn a saved registry document into a plain object for API responses
+// Registry documents are looked up by id (e.g., PATCH /rockets/:id), so we send MongoDB's _id as "id"
+function toResponse(document) {
+    const { _id, __v, ...fields } = document.toObject();
+    return { id: String(_id), ...fields };
+}
+
+// Function to make text safe to use inside a regular expression
+// Without this, a search for "Falcon (9)" would treat the brackets as regex syntax
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+    NAME_COLLATION,         // Compare names without caring about upper/lower case
+    DUPLICATE_KEY_ERROR,    // The error code of a taken name
+    toResponse,             // Turn a registry document into an API response
+    escapeRegExp,           // Make search text safe for a regular expression
+};
@@ -0,0 +1,162 @@
+// Import mongoose to check rocket ids before looking them up
+const mongoose = require('mongoose');
+
+// Import the Rocket model (MongoDB schema)
+const Rocket = require('./rockets.mongo');
+
+// Import the helpers every registry shares (case-insensitive names, API responses, searching)
+const {
+    NAME_COLLATION,
+    DUPLICATE_KEY_ERROR,
+    toResponse,
+    escapeRegExp,
+} = require('./registry.helpers');
+
+// Import the Launch model (MongoDB schema), to keep launches in step with the rockets they fly on
+const Launch = require('./launches.mongo');
+
+// The rockets added when the registry is empty
+// Falcon 1, Falcon 9 and Falcon Heavy are the rockets of the historical SpaceX launches,
+// and Explorer IS1 is the rocket our own interstellar missions have always flown on
+const DEFAULT_ROCKETS = [
+    { name: 'Explorer IS1', manufacturer: 'NASA', stages: 3, payloadCapacityKg: 45000, active: true, reuseCount: 0 },
+    { name: 'Falcon 1', manufacturer: 'SpaceX', stages: 2, payloadCapacityKg: 670, active: false, reuseCount: 0 },
+    { name: 'Falcon 9', manufacturer: 'SpaceX', stages: 2, payloadCapacityKg: 22800, active: true, reuseCount: 0 },
+    { name: 'Falcon Heavy', manufacturer: 'SpaceX', stages: 2, payloadCapacityKg: 63800, active: true, reuseCount: 0 },
+];
+
+// Function to add the default rockets to an empty registry
+// This runs when the server starts up, and does nothing once there are rockets
+async function loadRocketsData() {
+    const count = await Rocket.countDocuments();
+    if (count > 0) {
+        console.log(`✅ Rocket registry already loaded (${count} rockets).`);
+        return;
+    }
+
+    await Rocket.insertMany(DEFAULT_ROCKETS);
+    console.log(`✅ Rocket registry loaded with ${DEFAULT_ROCKETS.length} rockets.`);
+}
+
+// Function to get rockets from the database
+// This is used by the GET /rockets API endpoint (and the rocket selector of the launch form)
+// Parameters:
+//   - options:
+//       - active: true or false to only get active or retired rockets, undefined for all
+//       - search: Text to look for in the name or manufacturer (e.g., "falcon"), ignoring case
+// Returns: An array of rockets, sorted by name
+async function getAllRockets({ active, search } = {}) {
+    const filter = {};
+    if (active !== undefined) {
+        filter.active = active;
+    }
+    if (search) {
+        const pattern = new RegExp(escapeRegExp(search), 'i');
+        filter.$or = [{ name: pattern }, { manufacturer: pattern }];
+    }
+
+    const rockets = await Rocket.find(filter).collation(NAME_COLLATION).sort({ name: 1 });
+    return rockets.map(toResponse);
+}
+
+// Function to get one rocket by id
+// Parameters:
+//   - id: The rocket's id (as sent in GET /rockets)
+// Returns: The rocket, or null if there's no rocket with this id
+async function getRocketById(id) {
+    // Anything that isn't a valid MongoDB id can't be a rocket
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+
+    const rocket = await Rocket.findById(id);
+    return rocket && toResponse(rocket);
+}
+
+// Function to find the active rocket with a name
+// This is used to make sure launches only fly on registered rockets that aren't retired
+// Parameters:
+//   - name: The rocket name sent by the client (e.g., "falcon 9"), any upper/lower case
+// Returns: The rocket document (with the registered spelling of the name), or null if not found
+async function findActiveRocket(name) {
+    return await Rocket.findOne({ name, active: true }).collation(NAME_COLLATION);
+}
+
+// Function to add a rocket to the registry
+// Parameters:
+//   - rocket: { name, manufacturer, stages, payloadCapacityKg, active, reuseCount }
+// Returns: { rocket } with the saved rocket, or { error } if the name is already taken
+async function addRocket(rocket) {
+    try {
+        const savedRocket = await Rocket.create(rocket);
+        return { rocket: toResponse(savedRocket) };
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY_ERROR) {
+            return { error: `A rocket named "${rocket.name}" already exists` };
+        }
+        throw error;
+    }
+}
+
+// Function to change a rocket
+// When the name changes, launches flying on the rocket get the new name too,
+// so the whole history uses one spelling
+// Parameters:
+//   - id: The rocket's id
+//   - changes: The fields to change (any of the fields of addRocket)
+// Returns: { rocket } with the updated rocket, { error } if the new name is taken, or null if not found
+async function updateRocket(id, changes) {
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+
+    let rocket;
+    try {
+        rocket = await Rocket.findByIdAndUpdate(id, { $set: changes }, { new: true, runValidators: true });
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY_ERROR) {
+            return { error: `A rocket named "${changes.name}" already exists` };
+        }
+        throw error;
+    }
+
+    if (!rocket) {
+        return null;
+    }
+
+    if (changes.name) {
+        await Launch.updateMany({ rocketId: rocket._id }, { rocket: rocket.name });
+    }
+
+    return { rocket: toResponse(rocket) };
+}
+
+// Function to remove a rocket from the registry
+// Rockets that launches fly on can't be removed (the launches would point at nothing);
+// retire them instead by setting active to false
+// Parameters:
+//   - id: The rocket's id
+// Returns: { rocket } with the removed rocket, { error } if launches use it, or null if not found
+async function deleteRocket(id) {
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+
+    const launchCount = await Launch.countDocuments({ rocketId: id });
+    if (launchCount > 0) {
+        return { error: `The rocket is used by ${launchCount} launches. Retire it instead (set active to false).` };
+    }
+
+    const rocket = await Rocket.findByIdAndDelete(id);
+    return rocket && { rocket: toResponse(rocket) };
+}
+
+module.exports = {
+    loadRocketsData,   // Add the default rockets to an empty registry
+    getAllRockets,     // Get rockets, optionally only active ones or matching a search
+    getRocketById,     // Get one rocket
+    findActiveRocket,  // Find the active rocket a launch flies on
+    addRocket,         // Register a new rocket
+    updateRocket,      // Change a rocket
+    deleteRocket,      // Remove a rocket no launch uses
+};
@@ -0,0 +1,56 @@
+// Import mongoose library to interact with MongoDB database
+const mongoose = require('mongoose');
+
+// Import the case-insensitive way registry names are compared ("falcon 9" is the same rocket as "Falcon 9")
+const { NAME_COLLATION } = require('./registry.helpers');
+
+// Define the schema (structure) for rockets in our database
+// Every launch flies on one of these registered rockets
+const rocketSchema = new mongoose.Schema({
+    // The rocket's name, as shown on launches (e.g., "Falcon 9")
+    name: {
+        type: String,
+        required: true,
+    },
+    // Who builds the rocket (e.g., "SpaceX")
+    manufacturer: {
+        type: String,
+        required: true,
+    },
+    // Number of stages (e.g., 2)
+    stages: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    // How much the rocket can carry to low Earth orbit, in kilograms
+    payloadCapacityKg: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    // Whether the rocket is still flying
+    // Retired rockets stay in the registry for past launches, but can't be picked for new ones
+    active: {
+        type: Boolean,
+        required: true,
+        default: true,
+    },
+    // How many times a booster of this rocket has been flown again after recovery
+    reuseCount: {
+        type: Number,
+        required: true,
+        default: 0,
+        min: 0,
+    },
+});
+
+// Two rockets can't have the same name, whatever the upper/lower case
+rocketSchema.index({ name: 1 }, { unique: true, collation: NAME_COLLATION });
+
+// Create a model called "Rocket" based on the schema
+// This model will be used to interact with the "rockets" collection in MongoDB
+const Rocket = mongoose.model('Rocket', rocketSchema);
+
+// Export the Rocket model so other files can use it
+module.exports = Rocket;
@@ -0,0 +1,55 @@
+// Import bcryptjs to hash passwords
+// Hashing turns a password into a value that can be checked but not turned back into the password
+const bcrypt = require('bcryptjs');
+
+// Import the User model (MongoDB schema) and the list of roles
+const User = require('./users.mongo');
+const { USER_ROLES } = User;
+
+// How much work bcrypt does per hash - higher is slower to crack (and slower to log in)
+const PASSWORD_SALT_ROUNDS = 10;
+
+// Function to create a new user account
+// Parameters:
+//   - username: The name used to log in
+//   - password: The plain-text password (only its hash is saved)
+//   - role: One of USER_ROLES (defaults to "viewer")
+// Returns: The new user as { username, role }
+async function createUser(username, password, role = 'viewer') {
+    const passwordHash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+    const user = await User.create({ username, passwordHash, role });
+
+    return {
+        username: user.username,
+        role: user.role,
+    };
+}
+
+// Function to check a username and password
+// This is used by the POST /auth/login endpoint
+// Parameters:
+//   - username: The name the user typed
+//   - password: The password the user typed
+// Returns: The user as { username, role } if the password is right, or null if not
+async function verifyCredentials(username, password) {
+    const user = await User.findOne({ username });
+    if (!user) {
+        return null;
+    }
+
+    const passwordMatches = await bcrypt.compare(password, user.passwordHash);
+    if (!passwordMatches) {
+        return null;
+    }
+
+    return {
+        username: user.username,
+        role: user.role,
+    };
+}
+
+module.exports = {
+    USER_ROLES,
+    createUser,
+    verifyCredentials,
+};
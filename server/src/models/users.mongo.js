@@ -0,0 +1,39 @@
+// Import mongoose library to interact with MongoDB database
+const mongoose = require('mongoose');
+
+// Roles a user can have, from least to most access
+// - viewer:          Can look at planets and launches
+// - planner:         Can also schedule new launches
+// - flight-director: Can also change launch statuses, abort launches and import planet data
+const USER_ROLES = ['viewer', 'planner', 'flight-director'];
+
+// Define the schema (structure) for users in our database
+const userSchema = new mongoose.Schema({
+    // The name used to log in (e.g., "jdoe")
+    username: {
+        type: String,
+        required: true,
+        unique: true,   // Two users can't have the same username
+        trim: true,
+    },
+    // A bcrypt hash of the password - we never store the password itself
+    passwordHash: {
+        type: String,
+        required: true,
+    },
+    // What the user is allowed to do (see USER_ROLES above)
+    role: {
+        type: String,
+        enum: USER_ROLES,
+        required: true,
+        default: 'viewer',
+    },
+});
+
+// Create a model called "User" based on the schema
+// This model will be used to interact with the "users" collection in MongoDB
+const User = mongoose.model('User', userSchema);
+
+// Export the User model (and the list of roles) so other files can use them
+module.exports = User;
+module.exports.USER_ROLES = USER_ROLES;
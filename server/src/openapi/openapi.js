@@ -0,0 +1,989 @@
+// OpenAPI 3 description of version 1 of the API
+// This is the machine-readable contract for every endpoint under /v1: the parameters and bodies
+// each one accepts, and the responses it sends. It is served at GET /v1/openapi.json, with an
+// interactive viewer at /v1/docs, and the contract tests in openapi.test.js check that the
+// controllers really send what it describes.
+//
+// Request bodies are generated from the same validation schemas the routes use
+// (see services/validation.js), so the documented rules can't drift from the checked ones.
+// Everything else is written out here: when you add or change an endpoint, update this file too.
+
+// Import the validation schemas for request bodies
+const { launchSchema, launchStatusSchema, reasonSchema } = require('../routes/launches/launches.schema');
+const { loginSchema } = require('../routes/auth/auth.schema');
+const { rocketSchema } = require('../routes/rockets/rockets.schema');
+const { customerSchema } = require('../routes/customers/customers.schema');
+const { padSchema } = require('../routes/pads/pads.schema');
+
+// Import the lists of allowed values, so the document always matches the models
+const { LAUNCH_STATUSES } = require('../models/launches.status');
+const { USER_ROLES } = require('../models/users.mongo');
+const { NUMERIC_PLANET_FIELDS } = require('../models/planets.fields');
+
+// Function to turn the rules of one field into a JSON Schema property
+// Parameters:
+//   - rules: The field's rules from a validation schema
+// Returns: A JSON Schema object
+function toJsonProperty(rules) {
+    const property = { description: rules.label };
+
+    if (rules.type === 'string') {
+        property.type = 'string';
+        if (rules.minLength !== undefined) property.minLength = rules.minLength;
+        if (rules.maxLength !== undefined) property.maxLength = rules.maxLength;
+        if (rules.enum) property.enum = rules.enum;
+    } else if (rules.type === 'date') {
+        // Any date JavaScript can read is accepted (e.g., "2030-01-04" or "January 4, 2030")
+        property.type = 'string';
+        property.description = `${rules.label}, between ${rules.min} and ${rules.max}`;
+    } else if (rules.type === 'integer') {
+        property.type = 'integer';
+        if (rules.min !== undefined) property.minimum = rules.min;
+        if (rules.max !== undefined) property.maximum = rules.max;
+    } else if (rules.type === 'boolean') {
+        property.type = 'boolean';
+    } else if (rules.type === 'array') {
+        property.type = 'array';
+        property.items = toJsonProperty(rules.items);
+        if (rules.maxItems !== undefined) property.maxItems = rules.maxItems;
+    } else if (rules.type === 'object') {
+        Object.assign(property, toJsonSchema(rules.fields));
+    }
+
+    return property;
+}
+
+// Function to turn one of our validation schemas into a JSON Schema for OpenAPI
+// Parameters:
+//   - schema: A validation schema (see services/validation.js)
+//   - partial: true when every field is optional (e.g., PATCH /launches/:id)
+// Returns: A JSON Schema object
+function toJsonSchema(schema, { partial = false } = {}) {
+    const properties = {};
+    const required = [];
+
+    for (const [field, rules] of Object.entries(schema)) {
+        properties[field] = toJsonProperty(rules);
+        if (rules.required && !partial) {
+            required.push(field);
+        }
+    }
+
+    return {
+        type: 'object',
+        properties,
+        ...(required.length > 0 ? { required } : {}),
+    };
+}
+
+// Shortcuts for the pieces most endpoints share
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+const nullable = (type) => ({ type: [type, 'null'] });
+
+// A successful response with a JSON body
+const jsonResponse = (description, schema) => ({ description, content: jsonContent(schema) });
+
+// An error response (see services/errors.js)
+const problemResponse = (description) => ({
+    description,
+    content: { 'application/problem+json': { schema: ref('Problem') } },
+});
+
+// The :id route parameter of the launch endpoints
+const flightNumberParameter = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'Flight number of the launch',
+    schema: { type: 'integer', minimum: 1 },
+};
+
+// The :id route parameter of the rocket endpoints
+const rocketIdParameter = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'Id of the rocket (from GET /rockets)',
+    schema: { type: 'string' },
+};
+
+// The customer id in routes like /customers/{id}
+const customerIdParameter = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'Id of the customer (from GET /customers)',
+    schema: { type: 'string' },
+};
+
+// The pad id in routes like /pads/{id}
+const padIdParameter = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'Id of the launch pad (from GET /pads)',
+    schema: { type: 'string' },
+};
+
+// Endpoints that need a login token, with the roles that may use them
+const requireRoles = (...roles) => ({
+    security: [{ bearerAuth: [] }],
+    'x-required-roles': roles,
+});
+
+// Errors every protected endpoint can send
+const authProblems = {
+    401: problemResponse('No login token, or the token is invalid or expired'),
+    403: problemResponse('The user\'s role isn\'t allowed'),
+};
+
+// Query parameters of GET /launches
+const launchQueryParameters = [
+    { name: 'page', in: 'query', description: 'Page number, starting at 1', schema: { type: 'integer', minimum: 1, default: 1 } },
+    { name: 'limit', in: 'query', description: 'Launches per page', schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 } },
+    { name: 'sort', in: 'query', description: 'Comma-separated fields, "-" for descending (e.g., -launchDate,flightNumber); launches with equal values are ordered by flightNumber', schema: { type: 'string' } },
+    { name: 'status', in: 'query', description: `Comma-separated statuses (${LAUNCH_STATUSES.join(', ')})`, schema: { type: 'string' } },
+    { name: 'upcoming', in: 'query', schema: { type: 'boolean' } },
+    { name: 'success', in: 'query', schema: { type: 'boolean' } },
+    { name: 'target', in: 'query', schema: { type: 'string' } },
+    { name: 'rocket', in: 'query', schema: { type: 'string' } },
+    { name: 'pad', in: 'query', schema: { type: 'string' } },
+    { name: 'launchDateFrom', in: 'query', schema: { type: 'string', format: 'date' } },
+    { name: 'launchDateTo', in: 'query', schema: { type: 'string', format: 'date' } },
+];
+
+// Query parameters that pick the cruise speed of trip estimates (GET /launches and GET /launches/{id})
+const cruiseSpeedParameters = [
+    { name: 'fractionOfC', in: 'query', description: 'Cruise speed as a fraction of the speed of light (e.g., 0.2)', schema: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 1 } },
+    { name: 'velocityKmS', in: 'query', description: 'Cruise speed in km/s (e.g., 17); can\'t be sent with fractionOfC', schema: { type: 'number', exclusiveMinimum: 0 } },
+];
+
+// Query parameters of GET /planets: a profile, and a _min and _max filter for every numeric KOI column
+const planetQueryParameters = [
+    { name: 'profile', in: 'query', description: 'Habitability profile (default: the active one)', schema: { type: 'string' } },
+    ...NUMERIC_PLANET_FIELDS.flatMap((field) => [
+        { name: `${field}_min`, in: 'query', schema: { type: 'number' } },
+        { name: `${field}_max`, in: 'query', schema: { type: 'number' } },
+    ]),
+];
+
+// Reusable schemas for request and response bodies
+const schemas = {
+    Problem: {
+        type: 'object',
+        description: 'An error, as problem details (RFC 7807)',
+        required: ['type', 'title', 'status', 'detail', 'code', 'requestId'],
+        properties: {
+            type: { type: 'string' },
+            title: { type: 'string' },
+            status: { type: 'integer' },
+            detail: { type: 'string' },
+            instance: { type: 'string' },
+            code: { type: 'string', description: 'Machine-readable error code (e.g., launch-not-found)' },
+            requestId: { type: 'string', description: 'Same as the X-Request-Id response header' },
+            errors: { type: 'array', items: ref('FieldError') },
+        },
+    },
+    FieldError: {
+        type: 'object',
+        required: ['field', 'message'],
+        properties: {
+            field: { type: 'string' },
+            message: { type: 'string' },
+        },
+    },
+    LoginRequest: toJsonSchema(loginSchema),
+    LoginResponse: {
+        type: 'object',
+        required: ['token', 'user'],
+        properties: {
+            token: { type: 'string', description: 'JWT to send as "Authorization: Bearer <token>"' },
+            user: ref('User'),
+        },
+    },
+    User: {
+        type: 'object',
+        required: ['username', 'role'],
+        properties: {
+            username: { type: 'string' },
+            role: { type: 'string', enum: USER_ROLES },
+        },
+    },
+    Planet: {
+        type: 'object',
+        required: ['keplerName'],
+        properties: {
+            keplerName: { type: 'string' },
+            kepoi_name: nullable('string'),
+            koi_disposition: nullable('string'),
+            ...Object.fromEntries(NUMERIC_PLANET_FIELDS.map((field) => [field, nullable('number')])),
+            distanceLightYears: { ...nullable('number'), description: 'Estimated distance to the star, from koi_kepmag, koi_srad and koi_steff' },
+        },
+    },
+    HabitabilityProfile: {
+        type: 'object',
+        required: ['name', 'dispositions', 'rules', 'active'],
+        properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            dispositions: { type: 'array', items: { type: 'string' } },
+            rules: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['field'],
+                    properties: {
+                        field: { type: 'string' },
+                        label: { type: 'string' },
+                        unit: { type: 'string' },
+                        min: { type: 'number' },
+                        max: { type: 'number' },
+                    },
+                },
+            },
+            active: { type: 'boolean' },
+        },
+    },
+    HabitabilityProfiles: {
+        type: 'object',
+        required: ['active', 'profiles'],
+        properties: {
+            active: { type: 'string' },
+            profiles: { type: 'array', items: ref('HabitabilityProfile') },
+        },
+    },
+    ImportJobStarted: {
+        type: 'object',
+        required: ['jobId', 'status', 'statusUrl'],
+        properties: {
+            jobId: { type: 'string' },
+            status: { type: 'string' },
+            progress: { type: 'object' },
+            statusUrl: { type: 'string' },
+        },
+    },
+    ImportJob: {
+        type: 'object',
+        required: ['id', 'status', 'progress'],
+        properties: {
+            id: { type: 'string' },
+            fileName: nullable('string'),
+            status: { type: 'string', enum: ['processing', 'saving', 'completed', 'failed'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            finishedAt: { type: ['string', 'null'], format: 'date-time' },
+            progress: {
+                type: 'object',
+                properties: {
+                    rowsRead: { type: 'integer' },
+                    accepted: { type: 'integer' },
+                    skipped: { type: 'integer' },
+                    rejected: { type: 'integer' },
+                },
+            },
+            rejections: { type: 'array', items: { type: 'object' } },
+            result: nullable('object'),
+            error: nullable('string'),
+        },
+    },
+    Launch: {
+        type: 'object',
+        required: ['flightNumber', 'launchDate', 'mission', 'rocket', 'status', 'upcoming', 'success'],
+        properties: {
+            flightNumber: { type: 'integer' },
+            launchDate: { type: 'string', format: 'date-time' },
+            mission: { type: 'string' },
+            rocket: { type: 'string', description: 'Name of the rocket' },
+            rocketId: { type: 'string', description: 'Id of the rocket (missing for historical launches on unregistered rockets)' },
+            pad: { type: 'string', description: 'Name of the launch pad (missing for launches without a pad)' },
+            padId: { type: 'string', description: 'Id of the launch pad' },
+            padWindowStart: { type: 'string', format: 'date-time', description: 'Start of the pad reservation' },
+            padWindowEnd: { type: 'string', format: 'date-time', description: 'End of the pad reservation (not included)' },
+            target: { type: 'string' },
+            planet: { type: 'string', description: 'Id of the target planet' },
+            customers: { type: 'array', items: { type: 'string' }, description: 'Names of the customers paying for the launch' },
+            payloads: { type: 'array', items: ref('Payload'), description: 'The payload manifest' },
+            status: { type: 'string', enum: LAUNCH_STATUSES },
+            upcoming: { type: 'boolean' },
+            success: { type: 'boolean' },
+        },
+    },
+    LaunchDetail: {
+        allOf: [ref('Launch')],
+        type: 'object',
+        required: ['trajectory'],
+        properties: {
+            trajectory: {
+                oneOf: [ref('Trajectory'), { type: 'null' }],
+                description: 'Trip estimate (null when the target is unknown or its star is missing a measurement)',
+            },
+        },
+    },
+    Trajectory: {
+        type: 'object',
+        required: ['target', 'ra', 'dec', 'distanceLightYears', 'distanceParsecs', 'fractionOfC', 'velocityKmS', 'travelYears', 'arrivalDate'],
+        properties: {
+            target: { type: 'string' },
+            ra: { ...nullable('number'), description: 'Right ascension of the star [decimal degrees]' },
+            dec: { ...nullable('number'), description: 'Declination of the star [decimal degrees]' },
+            distanceLightYears: { type: 'number', description: 'Estimated from the star\'s Kepler magnitude, radius and temperature' },
+            distanceParsecs: { type: 'number' },
+            fractionOfC: { type: 'number', description: 'Cruise speed as a fraction of the speed of light' },
+            velocityKmS: { type: 'number', description: 'Cruise speed in km/s' },
+            travelYears: { type: 'number', description: 'Years from launch to arrival at the cruise speed (Earth time)' },
+            // Not format: 'date-time', which only allows 4-digit years: most arrivals are after the year 9999,
+            // so they are sent as ISO 8601 extended years (e.g., "+014719-04-07T06:00:00.000Z")
+            arrivalDate: {
+                ...nullable('string'),
+                description: 'Launch date plus the travel time, as an ISO 8601 date with an extended year after 9999 '
+                    + '(null after the year 275760, the last date JavaScript can hold)',
+            },
+        },
+    },
+    Payload: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: { type: 'string' },
+            massKg: { type: 'number', description: 'Mass in kilograms (missing for some historical payloads)' },
+            orbit: { type: 'string', description: 'Orbit or destination (e.g., LEO, GTO or the target planet)' },
+            customer: { type: 'string', description: 'Name of the customer that owns the payload' },
+        },
+    },
+    LaunchPage: {
+        type: 'object',
+        required: ['total', 'page', 'limit', 'next', 'prev', 'launches'],
+        properties: {
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            next: { ...nullable('string'), description: 'Link to the next page' },
+            prev: { ...nullable('string'), description: 'Link to the previous page' },
+            launches: {
+                type: 'array',
+                items: {
+                    allOf: [ref('Launch')],
+                    type: 'object',
+                    properties: {
+                        trajectory: {
+                            oneOf: [ref('Trajectory'), { type: 'null' }],
+                            description: 'Trip estimate, only sent when fractionOfC or velocityKmS is '
+                                + '(null when the target is unknown or its star is missing a measurement)',
+                        },
+                    },
+                },
+            },
+        },
+    },
+    NewLaunch: toJsonSchema(launchSchema),
+    LaunchChanges: toJsonSchema(launchSchema, { partial: true }),
+    LaunchStatusChange: toJsonSchema(launchStatusSchema),
+    Reason: toJsonSchema(reasonSchema),
+    ValidationRules: {
+        type: 'object',
+        description: 'Validation rules for each field (see services/validation.js)',
+        additionalProperties: {
+            type: 'object',
+            required: ['type', 'label'],
+            properties: {
+                type: { type: 'string', enum: ['string', 'date', 'integer', 'boolean', 'array', 'object'] },
+                label: { type: 'string' },
+                required: { type: 'boolean' },
+                trim: { type: 'boolean' },
+                minLength: { type: 'integer' },
+                maxLength: { type: 'integer' },
+                enum: { type: 'array', items: { type: 'string' } },
+                min: { type: ['string', 'number'] },
+                max: { type: ['string', 'number'] },
+                items: { type: 'object', description: 'For arrays, the rules for every item' },
+                maxItems: { type: 'integer' },
+                fields: { type: 'object', description: 'For objects, the rules for each of their fields' },
+            },
+        },
+    },
+    Rocket: {
+        type: 'object',
+        required: ['id', 'name', 'manufacturer', 'stages', 'payloadCapacityKg', 'active', 'reuseCount'],
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            manufacturer: { type: 'string' },
+            stages: { type: 'integer' },
+            payloadCapacityKg: { type: 'integer', description: 'Payload to low Earth orbit, in kilograms' },
+            active: { type: 'boolean', description: 'false for retired rockets, which can\'t be picked for new launches' },
+            reuseCount: { type: 'integer', description: 'How many times a booster has flown again after recovery' },
+        },
+    },
+    NewRocket: toJsonSchema(rocketSchema),
+    RocketChanges: toJsonSchema(rocketSchema, { partial: true }),
+    Customer: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            contactEmail: { type: 'string' },
+        },
+    },
+    NewCustomer: toJsonSchema(customerSchema),
+    Pad: {
+        type: 'object',
+        required: ['id', 'name', 'site', 'active'],
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            site: { type: 'string', description: 'The launch site (range) the pad belongs to' },
+            active: { type: 'boolean', description: 'false for closed pads, which launches can\'t reserve' },
+        },
+    },
+    NewPad: toJsonSchema(padSchema),
+    PadChanges: toJsonSchema(padSchema, { partial: true }),
+    CustomerLaunchReport: {
+        type: 'object',
+        required: ['customer', 'summary', 'total', 'page', 'limit', 'next', 'prev', 'launches'],
+        properties: {
+            customer: ref('Customer'),
+            summary: {
+                type: 'object',
+                required: ['launches', 'payloads', 'payloadMassKg'],
+                properties: {
+                    launches: { type: 'integer', description: 'Launches the customer is on' },
+                    payloads: { type: 'integer', description: 'Payloads the customer owns on those launches' },
+                    payloadMassKg: { type: 'number', description: 'Total mass of those payloads' },
+                },
+            },
+            total: { type: 'integer' },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            next: { ...nullable('string'), description: 'Link to the next page' },
+            prev: { ...nullable('string'), description: 'Link to the previous page' },
+            launches: { type: 'array', items: ref('Launch') },
+        },
+    },
+    AbortRequest: {
+        type: 'object',
+        required: ['flightNumber', 'status', 'requestedBy', 'requestedAt', 'expiresAt'],
+        properties: {
+            flightNumber: { type: 'integer' },
+            status: { type: 'string', enum: ['pending', 'confirmed', 'cancelled', 'expired'] },
+            requestedBy: { type: 'string' },
+            reason: nullable('string'),
+            requestedAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            resolvedBy: nullable('string'),
+            resolvedAt: { type: ['string', 'null'], format: 'date-time' },
+        },
+    },
+    AuditEvent: {
+        type: 'object',
+        required: ['flightNumber', 'action', 'actor', 'timestamp'],
+        properties: {
+            flightNumber: { type: 'integer' },
+            action: { type: 'string', description: 'e.g., create, edit, reschedule, status, abort-request, abort' },
+            actor: { type: 'string' },
+            reason: nullable('string'),
+            timestamp: { type: 'string', format: 'date-time' },
+            before: { ...nullable('object'), description: 'The launch before the change' },
+            after: { ...nullable('object'), description: 'The launch after the change' },
+        },
+    },
+    LaunchHistory: {
+        type: 'object',
+        required: ['flightNumber', 'events'],
+        properties: {
+            flightNumber: { type: 'integer' },
+            events: { type: 'array', items: ref('AuditEvent') },
+        },
+    },
+};
+
+// Every endpoint, grouped by path
+// Paths use {name} for route parameters, where Express uses :name
+const paths = {
+    '/auth/login': {
+        post: {
+            tags: ['Auth'],
+            summary: 'Log in and get a token',
+            requestBody: { required: true, content: jsonContent(ref('LoginRequest')) },
+            responses: {
+                200: jsonResponse('Logged in', ref('LoginResponse')),
+                400: problemResponse('Missing username or password'),
+                401: problemResponse('Invalid username or password'),
+            },
+        },
+    },
+    '/auth/me': {
+        get: {
+            tags: ['Auth'],
+            summary: 'Find out who the login token belongs to',
+            security: [{ bearerAuth: [] }],
+            responses: {
+                200: jsonResponse('The logged-in user', ref('User')),
+                401: authProblems[401],
+            },
+        },
+    },
+    '/planets': {
+        get: {
+            tags: ['Planets'],
+            summary: 'List habitable planets',
+            parameters: planetQueryParameters,
+            responses: {
+                200: jsonResponse('Planets matching the profile and filters', { type: 'array', items: ref('Planet') }),
+                400: problemResponse('Unknown profile, or a range filter is not a number'),
+            },
+        },
+    },
+    '/planets/profiles': {
+        get: {
+            tags: ['Planets'],
+            summary: 'List the habitability criteria profiles',
+            responses: {
+                200: jsonResponse('All profiles and the name of the active one', ref('HabitabilityProfiles')),
+            },
+        },
+    },
+    '/planets/import': {
+        post: {
+            tags: ['Planets'],
+            summary: 'Upload a Kepler CSV export to reload the planet catalogue',
+            ...requireRoles('flight-director'),
+            requestBody: {
+                required: true,
+                content: {
+                    'multipart/form-data': {
+                        schema: {
+                            type: 'object',
+                            required: ['file'],
+                            properties: { file: { type: 'string', format: 'binary' } },
+                        },
+                    },
+                },
+            },
+            responses: {
+                202: jsonResponse('Import started', ref('ImportJobStarted')),
+                400: problemResponse('Not multipart, no file, or required columns missing'),
+                409: problemResponse('Another import is still running (its id is in jobId)'),
+                ...authProblems,
+            },
+        },
+    },
+    '/planets/import/{jobId}': {
+        get: {
+            tags: ['Planets'],
+            summary: 'Check on a planet import',
+            ...requireRoles('flight-director'),
+            parameters: [{ name: 'jobId', in: 'path', required: true, schema: { type: 'string' } }],
+            responses: {
+                200: jsonResponse('The import job', ref('ImportJob')),
+                404: problemResponse('Import job not found'),
+                ...authProblems,
+            },
+        },
+    },
+    '/planets/{name}': {
+        get: {
+            tags: ['Planets'],
+            summary: 'Get one planet\'s full record',
+            parameters: [{
+                name: 'name',
+                in: 'path',
+                required: true,
+                description: 'Kepler name or KOI name (e.g., Kepler-442 b or K04742.01)',
+                schema: { type: 'string' },
+            }],
+            responses: {
+                200: jsonResponse('The planet', ref('Planet')),
+                404: problemResponse('Planet not found'),
+            },
+        },
+    },
+    '/launches': {
+        get: {
+            tags: ['Launches'],
+            summary: 'List launches, with pagination, filters and sorting',
+            description: 'Send a cruise speed (fractionOfC or velocityKmS) to get each launch\'s trip estimate, '
+                + 'the same one GET /launches/{id} sends.',
+            parameters: [...launchQueryParameters, ...cruiseSpeedParameters],
+            responses: {
+                200: jsonResponse('One page of launches', ref('LaunchPage')),
+                400: problemResponse('Invalid page, limit, filter, sort value or cruise speed'),
+            },
+        },
+        post: {
+            tags: ['Launches'],
+            summary: 'Schedule a new launch',
+            ...requireRoles('planner', 'flight-director'),
+            requestBody: { required: true, content: jsonContent(ref('NewLaunch')) },
+            responses: {
+                201: jsonResponse('The new launch', ref('Launch')),
+                400: problemResponse('Invalid fields, the target is not a habitable planet, the rocket is not an active registered rocket, '
+                    + 'a customer is not registered, a payload owner is not a customer, the payloads are too heavy for the rocket, '
+                    + 'the pad is not an active registered pad, or the pad window does not contain the launch date'),
+                ...authProblems,
+                409: problemResponse('Another launch holds the pad during the window (the reservations are listed in conflicts), or another booking of the pad didn\'t finish in time (conflicts is empty)'),
+            },
+        },
+    },
+    '/launches/events': {
+        get: {
+            tags: ['Launches'],
+            summary: 'Live stream of launch changes (Server-Sent Events)',
+            description: 'Events: launch-created, launch-updated, launch-aborted, abort-request-updated, launch-countdown',
+            responses: {
+                200: {
+                    description: 'An event stream that stays open',
+                    content: { 'text/event-stream': { schema: { type: 'string' } } },
+                },
+            },
+        },
+    },
+    '/launches/abort-requests': {
+        get: {
+            tags: ['Abort requests'],
+            summary: 'List abort requests waiting for a second flight director',
+            responses: {
+                200: jsonResponse('Pending abort requests', { type: 'array', items: ref('AbortRequest') }),
+            },
+        },
+    },
+    '/launches/schema': {
+        get: {
+            tags: ['Launches'],
+            summary: 'Get the validation rules for a launch',
+            responses: {
+                200: jsonResponse('The rules for each launch field', ref('ValidationRules')),
+            },
+        },
+    },
+    '/launches/calendar.ics': {
+        get: {
+            tags: ['Launches'],
+            summary: 'Upcoming launches as an iCalendar (RFC 5545) feed, for calendar apps to subscribe to',
+            description: 'One event per upcoming launch, at its launch date. Go-for-launch launches are CONFIRMED, the others TENTATIVE.',
+            parameters: [
+                { name: 'target', in: 'query', description: 'Only launches to this planet (exact name)', schema: { type: 'string' } },
+                { name: 'rocket', in: 'query', description: 'Only launches on this rocket (exact name)', schema: { type: 'string' } },
+            ],
+            responses: {
+                200: {
+                    description: 'The calendar',
+                    content: { 'text/calendar': { schema: { type: 'string' } } },
+                },
+            },
+        },
+    },
+    '/launches/{id}': {
+        get: {
+            tags: ['Launches'],
+            summary: 'Get a launch with an estimate of its trip to the target planet',
+            description: 'The distance is a photometric estimate from the star\'s Kepler magnitude, radius and temperature. '
+                + 'The cruise speed is 10% of the speed of light unless fractionOfC or velocityKmS is sent.',
+            parameters: [
+                flightNumberParameter,
+                ...cruiseSpeedParameters,
+            ],
+            responses: {
+                200: jsonResponse('The launch and its trip estimate', ref('LaunchDetail')),
+                400: problemResponse('Invalid flight number or cruise speed'),
+                404: problemResponse('Launch not found'),
+            },
+        },
+        patch: {
+            tags: ['Launches'],
+            summary: 'Edit or reschedule an upcoming launch',
+            description: 'Changing launchDate needs a reason. A rescheduled launch keeps its pad, and its pad window moves with it.',
+            ...requireRoles('planner', 'flight-director'),
+            parameters: [flightNumberParameter],
+            requestBody: { required: true, content: jsonContent(ref('LaunchChanges')) },
+            responses: {
+                200: jsonResponse('The updated launch', ref('Launch')),
+                400: problemResponse('Nothing to update, invalid fields, unknown target, rocket, customer or pad, '
+                    + 'a payload owner is not a customer, payloads too heavy for the rocket, a pad window that does not '
+                    + 'contain the launch date, or a missing reason'),
+                ...authProblems,
+                404: problemResponse('Launch not found'),
+                409: problemResponse('The launch is no longer upcoming, or another launch holds the pad during the window'),
+            },
+        },
+        delete: {
+            tags: ['Abort requests'],
+            summary: 'Request an abort (a second flight director must confirm it)',
+            ...requireRoles('flight-director'),
+            parameters: [flightNumberParameter],
+            requestBody: { content: jsonContent(ref('Reason')) },
+            responses: {
+                202: jsonResponse('The pending abort request', ref('AbortRequest')),
+                400: problemResponse('Invalid flight number or reason'),
+                ...authProblems,
+                404: problemResponse('Launch not found'),
+                409: problemResponse('The launch can\'t be aborted, or an abort is already pending'),
+            },
+        },
+    },
+    '/launches/{id}/abort-request/confirm': {
+        post: {
+            tags: ['Abort requests'],
+            summary: 'Confirm another flight director\'s abort request, which aborts the launch',
+            ...requireRoles('flight-director'),
+            parameters: [flightNumberParameter],
+            requestBody: { content: jsonContent(ref('Reason')) },
+            responses: {
+                200: jsonResponse('The confirmed abort request', ref('AbortRequest')),
+                400: problemResponse('Invalid flight number or reason'),
+                ...authProblems,
+                403: problemResponse('Not a flight director, or the same one who requested the abort'),
+404: problemResponse('No pending abort request for this launch'),
+                409: problemResponse('The request was resolved just now, or the launch can no longer be aborted'),
+            },
+        },
+    },
+    '/launches/{id}/abort-request': {
+        delete: {
+            tags: ['Abort requests'],
+            summary: 'Cancel a pending abort request',
+            ...requireRoles('flight-director'),
+            parameters: [flightNumberParameter],
+            requestBody: { content: jsonContent(ref('Reason')) },
+            responses: {
+                200: jsonResponse('The cancelled abort request', ref('AbortRequest')),
+                400: problemResponse('Invalid flight number or reason'),
+                ...authProblems,
+                404: problemResponse('No pending abort request for this launch'),
+            },
+        },
+    },
+    '/launches/{id}/status': {
+        patch: {
+            tags: ['Launches'],
+            summary: 'Move a launch to a new lifecycle status',
+            ...requireRoles('flight-director'),
+            parameters: [flightNumberParameter],
+            requestBody: { required: true, content: jsonContent(ref('LaunchStatusChange')) },
+            responses: {
+                200: jsonResponse('The updated launch', ref('Launch')),
+                400: problemResponse('Unknown status, or "aborted" (use DELETE /launches/{id})'),
+                ...authProblems,
+                404: problemResponse('Launch not found'),
+                409: problemResponse('The transition isn\'t allowed'),
+            },
+        },
+    },
+    '/launches/{id}/history': {
+        get: {
+            tags: ['Launches'],
+            summary: 'Get the audit trail of a launch',
+            parameters: [flightNumberParameter],
+            responses: {
+                200: jsonResponse('Every change to the launch, oldest first', ref('LaunchHistory')),
+                400: problemResponse('Invalid flight number'),
+                404: problemResponse('Launch not found'),
+            },
+        },
+    },
+    '/rockets': {
+        get: {
+            tags: ['Rockets'],
+            summary: 'List registered rockets',
+            parameters: [
+                { name: 'active', in: 'query', description: 'true for rockets that can fly new launches, false for retired ones', schema: { type: 'boolean' } },
+                { name: 'search', in: 'query', description: 'Text to look for in the name or manufacturer', schema: { type: 'string' } },
+            ],
+            responses: {
+                200: jsonResponse('Rockets, sorted by name', { type: 'array', items: ref('Rocket') }),
+                400: problemResponse('active is not true or false'),
+            },
+        },
+        post: {
+            tags: ['Rockets'],
+            summary: 'Register a new rocket',
+            ...requireRoles('planner', 'flight-director'),
+            requestBody: { required: true, content: jsonContent(ref('NewRocket')) },
+            responses: {
+                201: jsonResponse('The new rocket', ref('Rocket')),
+                400: problemResponse('Invalid fields'),
+                ...authProblems,
+                409: problemResponse('A rocket with this name already exists'),
+            },
+        },
+    },
+    '/rockets/{id}': {
+        get: {
+            tags: ['Rockets'],
+            summary: 'Get one rocket',
+            parameters: [rocketIdParameter],
+            responses: {
+                200: jsonResponse('The rocket', ref('Rocket')),
+                404: problemResponse('Rocket not found'),
+            },
+        },
+        patch: {
+            tags: ['Rockets'],
+            summary: 'Change a rocket (e.g., retire it with { "active": false })',
+            description: 'Renaming a rocket renames it on every launch that flies on it.',
+            ...requireRoles('planner', 'flight-director'),
+            parameters: [rocketIdParameter],
+            requestBody: { required: true, content: jsonContent(ref('RocketChanges')) },
+            responses: {
+                200: jsonResponse('The updated rocket', ref('Rocket')),
+                400: problemResponse('Nothing to update, or invalid fields'),
+                ...authProblems,
+                404: problemResponse('Rocket not found'),
+                409: problemResponse('A rocket with the new name already exists'),
+            },
+        },
+        delete: {
+            tags: ['Rockets'],
+            summary: 'Remove a rocket that no launch flies on',
+            ...requireRoles('flight-director'),
+            parameters: [rocketIdParameter],
+            responses: {
+                200: jsonResponse('The removed rocket', ref('Rocket')),
+                ...authProblems,
+                404: problemResponse('Rocket not found'),
+                409: problemResponse('Launches fly on the rocket (retire it instead)'),
+            },
+        },
+    },
+    '/customers': {
+        get: {
+            tags: ['Customers'],
+            summary: 'List registered customers',
+            parameters: [
+                { name: 'search', in: 'query', description: 'Text to look for in the name', schema: { type: 'string' } },
+            ],
+            responses: {
+                200: jsonResponse('Customers, sorted by name', { type: 'array', items: ref('Customer') }),
+            },
+        },
+        post: {
+            tags: ['Customers'],
+            summary: 'Register a new customer',
+            ...requireRoles('planner', 'flight-director'),
+            requestBody: { required: true, content: jsonContent(ref('NewCustomer')) },
+            responses: {
+                201: jsonResponse('The new customer', ref('Customer')),
+                400: problemResponse('Invalid fields'),
+                ...authProblems,
+                409: problemResponse('A customer with this name already exists'),
+            },
+        },
+    },
+    '/customers/{id}': {
+        get: {
+            tags: ['Customers'],
+            summary: 'Get one customer',
+            parameters: [customerIdParameter],
+            responses: {
+                200: jsonResponse('The customer', ref('Customer')),
+                404: problemResponse('Customer not found'),
+            },
+        },
+    },
+    '/customers/{id}/launches': {
+        get: {
+            tags: ['Customers'],
+            summary: 'Report on the launches a customer is on, newest first',
+            parameters: [
+                customerIdParameter,
+                { name: 'page', in: 'query', description: 'Page number, starting at 1', schema: { type: 'integer', minimum: 1, default: 1 } },
+                { name: 'limit', in: 'query', description: 'Launches per page', schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 } },
+                {
+                    name: 'sort',
+                    in: 'query',
+                    description: 'Comma-separated fields, "-" for descending (flightNumber, launchDate, mission, status)',
+                    schema: { type: 'string', default: '-launchDate' },
+                },
+            ],
+            responses: {
+                200: jsonResponse('One page of the customer\'s launches, with a summary of their payloads', ref('CustomerLaunchReport')),
+                400: problemResponse('Invalid page, limit or sort value'),
+                404: problemResponse('Customer not found'),
+            },
+        },
+    },
+    '/pads': {
+        get: {
+            tags: ['Pads'],
+            summary: 'List registered launch pads',
+            parameters: [
+                { name: 'active', in: 'query', description: 'true for pads launches can reserve, false for closed ones', schema: { type: 'boolean' } },
+                { name: 'search', in: 'query', description: 'Text to look for in the name or site, ignoring upper/lower case', schema: { type: 'string' } },
+            ],
+            responses: {
+                200: jsonResponse('Pads, sorted by name', { type: 'array', items: ref('Pad') }),
+                400: problemResponse('active is not true or false'),
+            },
+        },
+        post: {
+            tags: ['Pads'],
+            summary: 'Register a new launch pad',
+            ...requireRoles('planner', 'flight-director'),
+            requestBody: { required: true, content: jsonContent(ref('NewPad')) },
+            responses: {
+                201: jsonResponse('The new pad', ref('Pad')),
+                400: problemResponse('Invalid fields'),
+                ...authProblems,
+                409: problemResponse('A pad with this name already exists'),
+            },
+        },
+    },
+    '/pads/{id}': {
+        get: {
+            tags: ['Pads'],
+            summary: 'Get one launch pad',
+            parameters: [padIdParameter],
+            responses: {
+                200: jsonResponse('The pad', ref('Pad')),
+                404: problemResponse('Pad not found'),
+            },
+        },
+        patch: {
+            tags: ['Pads'],
+            summary: 'Change a launch pad (e.g., close it with { "active": false })',
+            description: 'Renaming a pad renames it on every launch that reserves it.',
+            ...requireRoles('planner', 'flight-director'),
+            parameters: [padIdParameter],
+            requestBody: { required: true, content: jsonContent(ref('PadChanges')) },
+            responses: {
+                200: jsonResponse('The updated pad', ref('Pad')),
+                400: problemResponse('Nothing to update, or invalid fields'),
+                ...authProblems,
+                404: problemResponse('Pad not found'),
+                409: problemResponse('A pad with the new name already exists'),
+            },
+        },
+    },
+};
+
+// The complete document
+const openApiDocument = {
+    openapi: '3.1.0',
+    info: {
+        title: 'NASA Mission Control API',
+        version: '1.0.0',
+        description: 'Schedule and track interstellar launches to habitable Kepler exoplanets. '
+            + 'Errors are sent as application/problem+json.',
+    },
+    servers: [{ url: '/v1' }],
+    tags: [
+        { name: 'Auth' },
+        { name: 'Planets' },
+        { name: 'Launches' },
+        { name: 'Abort requests' },
+        { name: 'Rockets' },
+        { name: 'Customers' },
+        { name: 'Pads' },
+    ],
+    paths,
+    components: {
+        schemas,
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        },
+    },
+};
+
+module.exports = {
+    openApiDocument,
+};
@@ -0,0 +1,729 @@
+// Login tokens are signed with this secret; it must be set before the app checks any token
+process.env.JWT_SECRET = 'test-secret';
+
+// Contract tests: these check that the API really does what the OpenAPI document says
+// Every route must be documented, and real responses must match the documented status codes and schemas
+
+// Import supertest to make HTTP requests against our Express app without starting a real server
+const request = require('supertest');
+
+// Import mongoose so we can connect to the test database
+const mongoose = require('mongoose');
+
+// Import an in-memory MongoDB server
+// Each test run gets its own empty database, so tests never touch real data
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Import Ajv to check responses against the JSON Schemas in the document
+// The 2020 build understands the JSON Schema version OpenAPI 3.1 uses (e.g., type: ['string', 'null'])
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+
+// Import the Express app, the document and the routers it describes
+const app = require('../app');
+const { openApiDocument } = require('./openapi');
+const { V1_ROUTERS } = require('../routes/v1.router');
+const Planet = require('../models/planets.mongo');
+const Launch = require('../models/launches.mongo');
+const AbortRequest = require('../models/aborts.mongo');
+const Rocket = require('../models/rockets.mongo');
+const Customer = require('../models/customers.mongo');
+const Pad = require('../models/pads.mongo');
+const { createToken } = require('../services/auth');
+
+// Starting MongoDB (and downloading it on the first run) can take a while
+jest.setTimeout(60000);
+
+// Add the whole document to Ajv once, so schemas can point into it with $ref
+// strict: false lets Ajv skip OpenAPI-only keywords like "paths" and "x-required-roles"
+const ajv = new Ajv2020({ strict: false, allErrors: true });
+addFormats(ajv);
+ajv.addFormat('binary', true);
+ajv.addSchema(openApiDocument, 'openapi.json');
+
+// Function to list every route of the v1 routers, in the document's path style
+// Returns: An array of strings like "get /launches/{id}/history"
+function listRouterOperations() {
+    const operations = [];
+
+    for (const [mountPath, router] of Object.entries(V1_ROUTERS)) {
+        for (const layer of router.stack) {
+            // Layers without a route are middleware (e.g., router.use())
+            if (!layer.route) {
+                continue;
+            }
+
+            // Express writes route parameters as :name, OpenAPI as {name}
+            const routePath = layer.route.path === '/' ? '' : layer.route.path;
+            const path = `${mountPath}${routePath}`.replace(/:(\w+)/g, '{$1}');
+
+            for (const method of Object.keys(layer.route.methods)) {
+                operations.push(`${method} ${path}`);
+            }
+        }
+    }
+
+    return operations;
+}
+
+// Function to list every operation in the document
+// Returns: An array of strings like "get /launches/{id}/history"
+function listDocumentedOperations() {
+    return Object.entries(openApiDocument.paths).flatMap(([path, operations]) =>
+        Object.keys(operations).map((method) => `${method} ${path}`));
+}
+
+// Function to check a response against the document
+// Parameters:
+//   - response: A supertest response
+//   - method: The HTTP method of the request (e.g., 'get')
+//   - path: The documented path (e.g., '/launches/{id}')
+// Fails the test if the status code isn't documented for the operation,
+// or if the body doesn't match the documented schema
+function expectToMatchDocument(response, method, path) {
+    const operation = openApiDocument.paths[path]?.[method];
+    expect(operation).toBeDefined();
+
+    const documented = operation.responses[response.status];
+    if (!documented) {
+        throw new Error(`${method.toUpperCase()} ${path} sent ${response.status}, which isn't documented`);
+    }
+
+    // Find the schema for the content type that was sent (ignoring "; charset=utf-8")
+    const contentType = response.headers['content-type'].split(';')[0];
+    expect(Object.keys(documented.content)).toContain(contentType);
+
+    // Point Ajv at the schema inside the document (~1 is how JSON Pointer writes "/")
+    const pointer = ['paths', path, method, 'responses', response.status, 'content', contentType, 'schema']
+        .map((part) => String(part).replace(/~/g, '~0').replace(/\//g, '~1'))
+        .join('/');
+    const validate = ajv.compile({ $ref: `openapi.json#/${pointer}` });
+
+    // supertest only parses JSON bodies; text ones (like the calendar feed) are in response.text
+    const body = contentType.startsWith('text/') ? response.text : response.body;
+    if (!validate(body)) {
+        throw new Error(`${method.toUpperCase()} ${path} (${response.status}) doesn't match the document: `
+            + ajv.errorsText(validate.errors));
+    }
+}
+
+// Function to get the date a number of days from today, as "YYYY-MM-DD" (UTC)
+// New launches can't be scheduled before today, so the tests build their dates from the current date
+// Parameters:
+//   - days: How many days from today (e.g., 30)
+// Returns: The date (e.g., "2026-11-17")
+function daysFromNow(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+// A valid launch that the tests can submit
+const launchData = {
+    mission: 'Kepler Exploration X',
+    rocket: 'Explorer IS1',
+    target: 'Kepler-442 b',
+    launchDate: daysFromNow(30),
+};
+
+// Login tokens for users with each role
+// Tokens are checked by signature alone, so the users don't need to exist in the database
+const plannerToken = createToken({ username: 'planner-1', role: 'planner' });
+const directorToken = createToken({ username: 'director-1', role: 'flight-director' });
+const secondDirectorToken = createToken({ username: 'director-2', role: 'flight-director' });
+
+describe('OpenAPI document', () => {
+    test('It should be served at /v1/openapi.json', async () => {
+        const response = await request(app)
+            .get('/v1/openapi.json')
+            .expect('Content-Type', /json/)
+            .expect(200);
+
+        expect(response.body.openapi).toBe('3.1.0');
+        expect(response.body.servers).toEqual([{ url: '/v1' }]);
+    });
+
+    test('It should serve the interactive viewer at /v1/docs', async () => {
+        await request(app)
+            .get('/v1/docs/')
+            .expect('Content-Type', /html/)
+            .expect(200);
+    });
+
+    test('It should document every route, and only routes that exist', () => {
+        expect(listDocumentedOperations().sort()).toEqual(listRouterOperations().sort());
+    });
+
+    test('It should only contain schemas that compile', () => {
+        for (const name of Object.keys(openApiDocument.components.schemas)) {
+            expect(() => ajv.compile({ $ref: `openapi.json#/components/schemas/${name}` })).not.toThrow();
+        }
+    });
+
+    test('It should describe launch bodies with the same rules the routes check', () => {
+        const { NewLaunch } = openApiDocument.components.schemas;
+
+        expect(NewLaunch.required).toEqual(['mission', 'rocket', 'launchDate', 'target']);
+        expect(NewLaunch.properties.mission.maxLength).toBe(100);
+        expect(NewLaunch.properties.payloads.items.required).toEqual(['name', 'massKg', 'orbit', 'customer']);
+        expect(openApiDocument.components.schemas.LaunchChanges.required).toBeUndefined();
+    });
+});
+
+describe('Responses match the OpenAPI document', () => {
+    let mongoServer;
+
+    // Start the in-memory database and add a planet for the launches to target
+    beforeAll(async () => {
+        mongoServer = await MongoMemoryServer.create();
+        await mongoose.connect(mongoServer.getUri());
+
+        // Make sure the unique indexes exist before any launch or abort request is inserted
+        await Launch.init();
+        await AbortRequest.init();
+        await Rocket.init();
+
+        // The planet must meet the active (conservative) habitability profile
+        await Planet.create({
+            keplerName: launchData.target,
+            kepoi_name: 'K04742.01',
+            koi_disposition: 'CONFIRMED',
+            koi_prad: 1.34,
+            koi_insol: 0.7,
+            // The star's measurements, so GET /launches/{id} can estimate the trip
+            koi_kepmag: 14.976,
+            koi_srad: 0.595,
+            koi_steff: 4401,
+            ra: 285.36,
+            dec: 39.28,
+        });
+
+        // Launches can only fly on registered rockets
+        await Rocket.create({ name: launchData.rocket, manufacturer: 'NASA', stages: 3, payloadCapacityKg: 45000 });
+
+        // New launches get the default customers, which must be registered
+        await Customer.init();
+        await Customer.create([{ name: 'Zero to Mastery' }, { name: 'NASA' }]);
+
+        // Launches can reserve registered pads
+        await Pad.init();
+        await Pad.create({ name: 'LC-39A', site: 'Kennedy Space Center' });
+    });
+
+    // Stop the database when all tests are done
+    afterAll(async () => {
+        // If beforeAll failed (e.g., mongodb-memory-server couldn't download MongoDB), there is no
+        // server to stop; calling stop() on undefined would throw a TypeError and hide the real error
+        if (mongoServer) {
+            await mongoose.disconnect();
+            await mongoServer.stop();
+        }
+    });
+
+    // Function to schedule a launch for a test
+    // Returns: The supertest response
+    async function scheduleLaunch() {
+        return await request(app)
+            .post('/v1/launches')
+            .set('Authorization', `Bearer ${plannerToken}`)
+            .send(launchData)
+            .expect(201);
+    }
+
+    describe('Auth', () => {
+        test('POST /auth/login with unknown credentials', async () => {
+            const response = await request(app)
+                .post('/v1/auth/login')
+                .send({ username: 'nobody', password: 'wrong' });
+
+            expect(response.status).toBe(401);
+            expectToMatchDocument(response, 'post', '/auth/login');
+        });
+
+        test('POST /auth/login with missing fields', async () => {
+            const response = await request(app)
+                .post('/v1/auth/login')
+                .send({});
+
+            expect(response.status).toBe(400);
+            expectToMatchDocument(response, 'post', '/auth/login');
+        });
+
+        test('GET /auth/me', async () => {
+            const response = await request(app)
+                .get('/v1/auth/me')
+                .set('Authorization', `Bearer ${plannerToken}`);
+
+            expect(response.status).toBe(200);
+            expectToMatchDocument(response, 'get', '/auth/me');
+        });
+
+        test('GET /auth/me without a token', async () => {
+            const response = await request(app).get('/v1/auth/me');
+
+            expect(response.status).toBe(401);
+            expectToMatchDocument(response, 'get', '/auth/me');
+        });
+    });
+
+    describe('Planets', () => {
+        test('GET /planets', async () => {
+            const response = await request(app).get('/v1/planets?koi_prad_max=2');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(1);
+            expectToMatchDocument(response, 'get', '/planets');
+        });
+
+        test('GET /planets with an unknown profile', async () => {
+            const response = await request(app).get('/v1/planets?profile=nonsense');
+
+            expect(response.status).toBe(400);
+            expectToMatchDocument(response, 'get', '/planets');
+        });
+
+        test('GET /planets/profiles', async () => {
+            const response = await request(app).get('/v1/planets/profiles');
+
+            expect(response.status).toBe(200);
+            expectToMatchDocument(response, 'get', '/planets/profiles');
+        });
+
+        test('GET /planets/{name}', async () => {
+            const response = await request(app).get('/v1/planets/K04742.01');
+
+            expect(response.status).toBe(200);
+            expectToMatchDocument(response, 'get', '/planets/{name}');
+        });
+
+        test('GET /planets/{name} for an unknown planet', async () => {
+            const response = await request(app).get('/v1/planets/Nowhere');
+
+            expect(response.status).toBe(404);
+            expectToMatchDocument(response, 'get', '/planets/{name}');
+        });
+
+        test('POST /planets/import without a file', async () => {
+            const response = await request(app)
+                .post('/v1/planets/import')
+                .set('Authorization', `Bearer ${directorToken}`)
+                .send({});
+
+            expect(response.status).toBe(400);
+            expectToMatchDocument(response, 'post', '/planets/import');
+        });
+
+        test('POST /planets/import as a planner', async () => {
+            const response = await request(app)
+                .post('/v1/planets/import')
+                .set('Authorization', `Bearer ${plannerToken}`);
+
+            expect(response.status).toBe(403);
+            expectToMatchDocument(response, 'post', '/planets/import');
+        });
+
+        test('GET /planets/import/{jobId} for an unknown job', async () => {
+            const response = await request(app)
+                .get('/v1/planets/import/no-such-job')
+                .set('Authorization', `Bearer ${directorToken}`);
+
+            expect(response.status).toBe(404);
+            expectToMatchDocument(response, 'get', '/planets/import/{jobId}');
+        });
+
+        test('GET /planets/import/{jobId} as a planner', async () => {
+            const response = await request(app)
+                .get('/v1/planets/import/no-such-job')
+                .set('Authorization', `Bearer ${plannerToken}`);
+
+            expect(response.status).toBe(403);
+            expectToMatchDocument(response, 'get', '/planets/import/{jobId}');
+        });
+    });
+
+    describe('Launches', () => {
+        test('POST /launches', async () => {
+            const response = await scheduleLaunch();
+
+            expectToMatchDocument(response, 'post', '/launches');
+        });
+
+        test('POST /launches with invalid fields', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ mission: 'No date' });
+
+            expect(response.status).toBe(400);
+            expectToMatchDocument(response, 'post', '/launches');
+        });
+
+        test('POST /launches on a pad that is taken', async () => {
+            const padLaunch = { ...launchData, launchDate: daysFromNow(400), pad: 'LC-39A' };
+            const reserved = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(padLaunch);
+            expect(reserved.status).toBe(201);
+            expectToMatchDocument(reserved, 'post', '/launches');
+
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(padLaunch);
+
+            expect(response.status).toBe(409);
+            expectToMatchDocument(response, 'post', '/launches');
+        });
+
+        test('GET /launches', async () => {
+            const response = await request(app).get('/v1/launches?limit=1');
+
+            expect(response.status).toBe(200);
+            expectToMatchDocument(response, 'get', '/launches');
+        });
+
+        test('GET /launches with trip estimates', async () => {
+            await scheduleLaunch();
+
+            const response = await request(app).get('/v1/launches?limit=5&fractionOfC=0.2');
+
+            expect(response.status).toBe(200);
+            expect(response.body.launches.some((launch) => launch.trajectory)).toBe(true);
+            expectToMatchDocument(response, 'get', '/launches');
+        });
+
+        test('GET /launches with an invalid page', async () => {
+            const response = await request(app).get('/v1/launches?page=0');
+
+            expect(response.status).toBe(400);
+            expectToMatchDocument(response, 'get', '/launches');
+        });
+
+        test('GET /launches/schema', async () => {
+            const response = await request(app).get('/v1/launches/schema');
+
+            expect(response.status).toBe(200);
+            expectToMatchDocument(response, 'get', '/launches/schema');
+        });
+
+        test('PATCH /launches/{id}', async () => {
+            const { body: launch } = await scheduleLaunch();
+
+            const response = await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ mission: 'Renamed mission' });
+
+            expect(response.status).toBe(200);
+            expectToMatchDocument(response, 'patch', '/launches/{id}');
+        });
+
+        test('PATCH /launches/{id} for an unknown launch', async () => {
+            const response = await request(app)
+                .patch('/v1/launches/999999')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ mission: 'Renamed mission' });
+
+            expect(response.status).toBe(404);
+            expectToMatchDocument(response, 'patch', '/launches/{id}');
+        });
+
+        test('PATCH /launches/{id}/status', async () => {
+            const { body: launch } = await scheduleLaunch();
+
+            const response = await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}/status`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .send({ status: 'go-for-launch' });
+
+            expect(response.status).toBe(200);
+            expectToMatchDocument(response, 'patch', '/launches/{id}/status');
+        });
+
+        test('PATCH /launches/{id}/status with a transition that isn\'t allowed', async () => {
+            const { body: launch } = await scheduleLaunch();
+
+            const response = await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}/status`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .send({ status: 'succeeded' });
+
+            expect(response.status).toBe(409);
+            expectToMatchDocument(response, 'patch', '/launches/{id}/status');
+        });
+
+        test('GET /launches/calendar.ics', async () => {
+            await scheduleLaunch();
+
+            const response = await request(app).get('/v1/launches/calendar.ics?rocket=Explorer IS1');
+
+            expect(response.status).toBe(200);
+            expectToMatchDocument(response, 'get', '/launches/calendar.ics');
+        });
+
+        test('GET /launches/{id}', async () => {
+            const { body: launch } = await scheduleLaunch();
+
+            // At the default 10% of light speed, the arrival is long after the year 9999
+            const response = await request(app).get(`/v1/launches/${launch.flightNumber}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.trajectory).not.toBeNull();
+            expectToMatchDocument(response, 'get', '/launches/{id}');
+        });
+
+        test('GET /launches/{id} with an invalid cruise speed', async () => {
+            const { body: launch } = await scheduleLaunch();
+
+            const response = await request(app).get(`/v1/launches/${launch.flightNumber}?fractionOfC=2`);
+
+            expect(response.status).toBe(400);
+            expectToMatchDocument(response, 'get', '/launches/{id}');
+        });
+
+        test('GET /launches/{id} for an unknown launch', async () => {
+            const response = await request(app).get('/v1/launches/999999');
+
+            expect(response.status).toBe(404);
+            expectToMatchDocument(response, 'get', '/launches/{id}');
+        });
+
+        test('GET /launches/{id}/history', async () => {
+            const { body: launch } = await scheduleLaunch();
+
+            const response = await request(app).get(`/v1/launches/${launch.flightNumber}/history`);
+
+            expect(response.status).toBe(200);
+            expectToMatchDocument(response, 'get', '/launches/{id}/history');
+        });
+
+        test('GET /launches/{id}/history with an invalid flight number', async () => {
+            const response = await request(app).get('/v1/launches/abc/history');
+
+            expect(response.status).toBe(400);
+            expectToMatchDocument(response, 'get', '/launches/{id}/history');
+        });
+    });
+
+    describe('Abort requests', () => {
+        test('DELETE /launches/{id}, then confirm the abort', async () => {
+            const { body: launch } = await scheduleLaunch();
+
+            const requested = await request(app)
+                .delete(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .send({ reason: 'Fuel leak' });
+            expect(requested.status).toBe(202);
+            expectToMatchDocument(requested, 'delete', '/launches/{id}');
+
+            const pending = await request(app).get('/v1/launches/abort-requests');
+            expect(pending.status).toBe(200);
+            expectToMatchDocument(pending, 'get', '/launches/abort-requests');
+
+            const confirmed = await request(app)
+                .post(`/v1/launches/${launch.flightNumber}/abort-request/confirm`)
+                .set('Authorization', `Bearer ${secondDirectorToken}`);
+            expect(confirmed.status).toBe(200);
+            expectToMatchDocument(confirmed, 'post', '/launches/{id}/abort-request/confirm');
+        });
+
+        test('DELETE /launches/{id}, then cancel the abort', async () => {
+            const { body: launch } = await scheduleLaunch();
+
+            await request(app)
+                .delete(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .expect(202);
+
+            const cancelled = await request(app)
+                .delete(`/v1/launches/${launch.flightNumber}/abort-request`)
+                .set('Authorization', `Bearer ${secondDirectorToken}`);
+            expect(cancelled.status).toBe(200);
+            expectToMatchDocument(cancelled, 'delete', '/launches/{id}/abort-request');
+        });
+
+        test('DELETE /launches/{id}/abort-request with nothing pending', async () => {
+            const { body: launch } = await scheduleLaunch();
+
+            const response = await request(app)
+                .delete(`/v1/launches/${launch.flightNumber}/abort-request`)
+                .set('Authorization', `Bearer ${directorToken}`);
+
+            expect(response.status).toBe(404);
+            expectToMatchDocument(response, 'delete', '/launches/{id}/abort-request');
+        });
+    });
+
+    describe('Rockets', () => {
+        test('GET /rockets', async () => {
+            const response = await request(app).get('/v1/rockets?active=true');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(1);
+            expectToMatchDocument(response, 'get', '/rockets');
+        });
+
+        test('POST /rockets, then change and remove it', async () => {
+            const created = await request(app)
+                .post('/v1/rockets')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ name: 'Starship', manufacturer: 'SpaceX', stages: 2, payloadCapacityKg: 150000 });
+            expect(created.status).toBe(201);
+            expectToMatchDocument(created, 'post', '/rockets');
+
+            const found = await request(app).get(`/v1/rockets/${created.body.id}`);
+            expect(found.status).toBe(200);
+            expectToMatchDocument(found, 'get', '/rockets/{id}');
+
+            const updated = await request(app)
+                .patch(`/v1/rockets/${created.body.id}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ reuseCount: 3 });
+            expect(updated.status).toBe(200);
+            expectToMatchDocument(updated, 'patch', '/rockets/{id}');
+
+            const removed = await request(app)
+                .delete(`/v1/rockets/${created.body.id}`)
+                .set('Authorization', `Bearer ${directorToken}`);
+            expect(removed.status).toBe(200);
+            expectToMatchDocument(removed, 'delete', '/rockets/{id}');
+        });
+
+        test('POST /rockets with a name that is taken', async () => {
+            const response = await request(app)
+                .post('/v1/rockets')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ name: launchData.rocket, manufacturer: 'NASA', stages: 3, payloadCapacityKg: 45000 });
+
+            expect(response.status).toBe(409);
+            expectToMatchDocument(response, 'post', '/rockets');
+        });
+
+        test('DELETE /rockets/{id} for a rocket launches fly on', async () => {
+            await scheduleLaunch();
+            const rocket = await Rocket.findOne({ name: launchData.rocket });
+
+            const response = await request(app)
+                .delete(`/v1/rockets/${rocket._id}`)
+                .set('Authorization', `Bearer ${directorToken}`);
+
+            expect(response.status).toBe(409);
+            expectToMatchDocument(response, 'delete', '/rockets/{id}');
+        });
+
+        test('GET /rockets/{id} for an unknown rocket', async () => {
+            const response = await request(app).get('/v1/rockets/not-a-rocket');
+
+            expect(response.status).toBe(404);
+            expectToMatchDocument(response, 'get', '/rockets/{id}');
+        });
+    });
+
+    describe('Customers', () => {
+        test('GET /customers', async () => {
+            const response = await request(app).get('/v1/customers');
+
+            expect(response.status).toBe(200);
+            expectToMatchDocument(response, 'get', '/customers');
+        });
+
+        test('POST /customers, then get it and its launches', async () => {
+            const created = await request(app)
+                .post('/v1/customers')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ name: 'ESA', contactEmail: 'launches@esa.int' });
+            expect(created.status).toBe(201);
+            expectToMatchDocument(created, 'post', '/customers');
+
+            const found = await request(app).get(`/v1/customers/${created.body.id}`);
+            expect(found.status).toBe(200);
+            expectToMatchDocument(found, 'get', '/customers/{id}');
+
+            await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({
+                    ...launchData,
+                    customers: ['ESA'],
+                    payloads: [{ name: 'Relay Satellite', massKg: 1200, orbit: 'GTO', customer: 'ESA' }],
+                })
+                .expect(201);
+
+            const report = await request(app).get(`/v1/customers/${created.body.id}/launches`);
+            expect(report.status).toBe(200);
+            expectToMatchDocument(report, 'get', '/customers/{id}/launches');
+        });
+
+        test('POST /customers with a name that is taken', async () => {
+            const response = await request(app)
+                .post('/v1/customers')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ name: 'nasa' });
+
+            expect(response.status).toBe(409);
+            expectToMatchDocument(response, 'post', '/customers');
+        });
+
+        test('GET /customers/{id}/launches for an unknown customer', async () => {
+            const response = await request(app).get('/v1/customers/not-a-customer/launches');
+
+            expect(response.status).toBe(404);
+            expectToMatchDocument(response, 'get', '/customers/{id}/launches');
+        });
+    });
+
+    describe('Pads', () => {
+        test('GET /pads', async () => {
+            const response = await request(app).get('/v1/pads?active=true');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(1);
+            expectToMatchDocument(response, 'get', '/pads');
+        });
+
+        test('POST /pads, then get and change it', async () => {
+            const created = await request(app)
+                .post('/v1/pads')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ name: 'SLC-4E', site: 'Vandenberg Space Force Base' });
+            expect(created.status).toBe(201);
+            expectToMatchDocument(created, 'post', '/pads');
+
+            const found = await request(app).get(`/v1/pads/${created.body.id}`);
+            expect(found.status).toBe(200);
+            expectToMatchDocument(found, 'get', '/pads/{id}');
+
+            const updated = await request(app)
+                .patch(`/v1/pads/${created.body.id}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ active: false });
+            expect(updated.status).toBe(200);
+            expectToMatchDocument(updated, 'patch', '/pads/{id}');
+        });
+
+        test('POST /pads with a name that is taken', async () => {
+            const response = await request(app)
+                .post('/v1/pads')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ name: 'lc-39a', site: 'Kennedy Space Center' });
+
+            expect(response.status).toBe(409);
+            expectToMatchDocument(response, 'post', '/pads');
+        });
+
+        test('GET /pads/{id} for an unknown pad', async () => {
+            const response = await request(app).get('/v1/pads/not-a-pad');
+
+            expect(response.status).toBe(404);
+            expectToMatchDocument(response, 'get', '/pads/{id}');
+        });
+    });
+
+    test('API routes outside /v1 are not found', async () => {
+        // GET /launches would be a page of the React app, so use POST
+        await request(app)
+            .post('/launches')
+            .set('Authorization', `Bearer ${plannerToken}`)
+            .send(launchData)
+            .expect(404);
+    });
+});
@@ -0,0 +1,41 @@
+// Import functions to check passwords and create login tokens
+const { verifyCredentials } = require('../../models/users.model');
+const { createToken } = require('../../services/auth');
+
+// Import the error class for a failed login
+const { UnauthorizedError } = require('../../services/errors');
+
+// Controller function for POST /auth/login endpoint
+// This checks a username and password and, if they're right, sends back a login token
+// The client then sends the token in the Authorization header: "Authorization: Bearer <token>"
+// Parameters:
+//   - req: Request object (contains { username, password } in req.body, already checked against loginSchema)
+//   - res: Response object (used to send data back to client)
+// Database errors are passed on to the error middleware in app.js
+async function httpLogin(req, res) {
+    const { username, password } = req.body;
+
+    const user = await verifyCredentials(username, password);
+    if (!user) {
+        // Use the same message for an unknown user and a wrong password,
+        // so nobody can find out which usernames exist
+        throw new UnauthorizedError('Invalid username or password', { code: 'invalid-credentials' });
+    }
+
+    return res.status(200).json({
+        token: createToken(user),
+        user,
+    });
+}
+
+// Controller function for GET /auth/me endpoint
+// This tells the client who the current login token belongs to
+// The authenticate middleware has already checked the token and set req.user
+function httpGetCurrentUser(req, res) {
+    return res.status(200).json(req.user);
+}
+
+module.exports = {
+    httpLogin,
+    httpGetCurrentUser,
+};
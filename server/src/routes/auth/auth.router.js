@@ -0,0 +1,31 @@
+// Import Express to create routes
+const express = require('express');
+
+// Import the middleware that checks login tokens
+const { authenticate } = require('../../middleware/auth');
+
+// Import the request validation middleware and the schema for logging in
+const { validateRequest } = require('../../services/validation');
+const { loginSchema } = require('./auth.schema');
+
+// Import controller functions that handle the logic for logging in
+const {
+    httpLogin,
+    httpGetCurrentUser,
+} = require('./auth.controller');
+
+// Create a new Express router instance
+// This router will handle all routes related to authentication
+const authRouter = express.Router();
+
+// Define a POST route to log in
+// Example: POST http://localhost:8000/v1/auth/login (with { "username": "...", "password": "..." } in body)
+authRouter.post('/login', validateRequest({ body: loginSchema }), httpLogin);
+
+// Define a GET route to find out who is logged in
+// Example: GET http://localhost:8000/v1/auth/me (with "Authorization: Bearer <token>" header)
+authRouter.get('/me', authenticate, httpGetCurrentUser);
+
+// Export the router so it can be used in v1.router.js
+// In v1.router.js, this router is mounted at the /auth path (so the full path is /v1/auth)
+module.exports = authRouter;
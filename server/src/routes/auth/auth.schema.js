@@ -0,0 +1,13 @@
+// Validation schemas for the auth routes
+// See services/validation.js for the rules that can be used
+
+// POST /auth/login
+// Passwords are not trimmed: spaces at the ends are part of the password
+const loginSchema = {
+    username: { type: 'string', label: 'Username', required: true, maxLength: 100 },
+    password: { type: 'string', label: 'Password', required: true, maxLength: 200, trim: false },
+};
+
+module.exports = {
+    loginSchema,
+};
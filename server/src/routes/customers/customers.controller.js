@@ -0,0 +1,115 @@
+// Import functions from the customers model
+// These functions handle the database operations for the customer registry
+const {
+    getAllCustomers,       // Get customers, optionally matching a search
+    getCustomerById,       // Get one customer
+    addCustomer,           // Register a new customer
+    getCustomerSummary,    // Count a customer's launches and payloads
+} = require('../../models/customers.model');
+
+// Import the functions to read launches, for the customer's launch report
+const {
+    getAllLaunches,        // Get a page of launches from database
+    countLaunches,         // Count launches matching a filter
+} = require('../../models/launches.model');
+
+// Import helpers for reading pagination and sort options from the query string
+const { getPagination, parseSort, buildPageLink } = require('../../services/query');
+
+// Import the error classes
+// Controllers throw these and the error middleware in app.js sends them as problem+json responses
+const {
+    BadRequestError,
+    NotFoundError,
+    ConflictError,
+} = require('../../services/errors');
+
+// Fields that a customer's launches can be sorted by
+// Example: GET /customers/:id/launches?sort=launchDate
+const SORTABLE_FIELDS = ['flightNumber', 'launchDate', 'mission', 'status'];
+
+// Function to find a customer, or throw a 404 if there isn't one
+async function findCustomerOrFail(id) {
+    const customer = await getCustomerById(id);
+    if (!customer) {
+        throw new NotFoundError('Customer not found', { code: 'customer-not-found' });
+    }
+    return customer;
+}
+
+// Controller function for GET /customers endpoint
+// Query parameters (optional):
+//   - search: Text to look for in the name (e.g., ?search=nasa)
+async function httpGetAllCustomers(req, res) {
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : undefined;
+
+    const customers = await getAllCustomers({ search });
+    return res.status(200).json(customers);
+}
+
+// Controller function for GET /customers/:id endpoint
+async function httpGetCustomer(req, res) {
+    const customer = await findCustomerOrFail(req.params.id);
+    return res.status(200).json(customer);
+}
+
+// Controller function for POST /customers endpoint
+// The body has already been validated against customerSchema by the validateRequest middleware
+async function httpAddCustomer(req, res) {
+    const { customer, error } = await addCustomer(req.body);
+    if (error) {
+        // Status 409 means "Conflict" (the name is already taken)
+        throw new ConflictError(error, { code: 'customer-name-taken' });
+    }
+
+    // Status 201 means "Created" (new resource was successfully created)
+    return res.status(201).json(customer);
+}
+
+// Controller function for GET /customers/:id/launches endpoint
+// This is the customer's launch report: every launch the customer is on (newest first by default),
+// with the payload manifests, plus a summary of the payloads the customer owns
+// Supports pagination (?page=&limit=) and sorting (?sort=), like GET /launches
+// Example: GET /customers/665f.../launches?page=2&limit=20
+async function httpGetCustomerLaunches(req, res) {
+    const customer = await findCustomerOrFail(req.params.id);
+
+    const { page, limit, skip, error: paginationError } = getPagination(req.query);
+    if (paginationError) {
+        throw new BadRequestError(paginationError, { code: 'invalid-query' });
+    }
+
+    const { sort, error: sortError } = parseSort(req.query.sort, SORTABLE_FIELDS, { launchDate: -1 }, 'flightNumber');
+    if (sortError) {
+        throw new BadRequestError(sortError, { code: 'invalid-query' });
+    }
+
+    // Launches store their customers by name, so this finds every launch the customer is on
+    const filter = { customers: customer.name };
+
+    // The page of launches, the total and the summary are all read at the same time
+    const [launches, total, summary] = await Promise.all([
+        getAllLaunches(filter, { skip, limit, sort }),
+        countLaunches(filter),
+        getCustomerSummary(customer.name),
+    ]);
+
+    // The same envelope as GET /launches, plus the customer and their summary
+    return res.status(200).json({
+        customer,
+        summary,
+        total,
+        page,
+        limit,
+        next: skip + launches.length < total ? buildPageLink(req, page + 1) : null,
+        prev: page > 1 ? buildPageLink(req, page - 1) : null,
+        launches,
+    });
+}
+
+module.exports = {
+    httpGetAllCustomers,
+    httpGetCustomer,
+    httpAddCustomer,
+    httpGetCustomerLaunches,
+};
@@ -0,0 +1,45 @@
+// Import Express to create routes
+const express = require('express');
+
+// Import controller functions that handle the logic for the customer registry
+const {
+    httpGetAllCustomers,
+    httpGetCustomer,
+    httpAddCustomer,
+    httpGetCustomerLaunches,
+} = require('./customers.controller');
+
+// Import the middleware that checks login tokens and roles
+// Reading customers and their launches is open to everyone; adding customers needs a login with the right role
+const { authenticate, requireRole } = require('../../middleware/auth');
+
+// Import the request validation middleware and the schema for a customer
+const { validateRequest } = require('../../services/validation');
+const { customerSchema } = require('./customers.schema');
+
+// Create a new Express router instance
+// This router will handle all routes related to customers
+const customersRouter = express.Router();
+
+// Define a GET route to list the registered customers
+// Example: GET http://localhost:8000/v1/customers?search=nasa
+customersRouter.get('/', httpGetAllCustomers);
+
+// Define a GET route for a single customer
+// The :id is the customer's id from GET /customers
+// Example: GET http://localhost:8000/v1/customers/665f1c2e8b3a4d0012345678
+customersRouter.get('/:id', httpGetCustomer);
+
+// Define a GET route for a customer's launch report
+// Example: GET http://localhost:8000/v1/customers/665f1c2e8b3a4d0012345678/launches?page=1&limit=20
+customersRouter.get('/:id/launches', httpGetCustomerLaunches);
+
+// Define a POST route to register a new customer
+// Only planners and flight directors can add customers
+// Example: POST http://localhost:8000/v1/customers (with { "name": "ESA", "contactEmail": "launches@esa.int" } in body)
+customersRouter.post('/', authenticate, requireRole('planner', 'flight-director'),
+    validateRequest({ body: customerSchema }), httpAddCustomer);
+
+// Export the router so it can be used in v1.router.js
+// In v1.router.js, this router is mounted at the /customers path (so the full path is /v1/customers)
+module.exports = customersRouter;
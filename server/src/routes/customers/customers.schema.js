@@ -0,0 +1,12 @@
+// Validation schemas for the customers routes
+// See services/validation.js for the rules that can be used
+
+// The fields of a customer that clients can set (POST /customers)
+const customerSchema = {
+    name: { type: 'string', label: 'Customer name', required: true, maxLength: 100 },
+    contactEmail: { type: 'string', label: 'Contact email', maxLength: 254 },
+};
+
+module.exports = {
+    customerSchema,
+};
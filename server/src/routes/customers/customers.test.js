@@ -0,0 +1,180 @@
+// Login tokens are signed with this secret; it must be set before the app checks any token
+process.env.JWT_SECRET = 'test-secret';
+
+// Import supertest to make HTTP requests against our Express app without starting a real server
+const request = require('supertest');
+
+// Import mongoose so we can connect to the test database
+const mongoose = require('mongoose');
+
+// Import an in-memory MongoDB server
+// Each test run gets its own empty database, so tests never touch real data
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Import the Express app and the models we need to set up test data
+const app = require('../../app');
+const Customer = require('../../models/customers.mongo');
+const Launch = require('../../models/launches.mongo');
+const { createToken } = require('../../services/auth');
+const { loadCustomersData } = require('../../models/customers.model');
+
+// Starting MongoDB (and downloading it on the first run) can take a while
+jest.setTimeout(60000);
+
+// Login tokens for users with each role
+// Tokens are checked by signature alone, so the users don't need to exist in the database
+const plannerToken = createToken({ username: 'planner-1', role: 'planner' });
+const viewerToken = createToken({ username: 'viewer-1', role: 'viewer' });
+
+// Function to register a customer for a test
+// Returns: The saved customer from the response
+async function registerCustomer(customer) {
+    const response = await request(app)
+        .post('/v1/customers')
+        .set('Authorization', `Bearer ${plannerToken}`)
+        .send(customer)
+        .expect(201);
+    return response.body;
+}
+
+// Function to save a launch straight into the database
+// Parameters:
+//   - flightNumber: The launch's flight number
+//   - fields: Anything to change from the defaults (e.g., { customers: ['ESA'] })
+async function saveLaunch(flightNumber, fields) {
+    await Launch.create({
+        flightNumber,
+        mission: `Mission ${flightNumber}`,
+        rocket: 'Explorer IS1',
+        launchDate: new Date(Date.UTC(2030, 0, flightNumber)),
+        ...fields,
+    });
+}
+
+describe('Customers API', () => {
+    let mongoServer;
+
+    // Start the in-memory database
+    beforeAll(async () => {
+        mongoServer = await MongoMemoryServer.create();
+        await mongoose.connect(mongoServer.getUri());
+
+        // Make sure the unique name index exists before any customer is inserted
+        await Customer.init();
+    });
+
+    // Start every test with an empty registry
+    beforeEach(async () => {
+        await Customer.deleteMany({});
+        await Launch.deleteMany({});
+    });
+
+    // Stop the database when all tests are done
+    afterAll(async () => {
+        // Nothing to stop if beforeAll couldn't start the database (its error is the one to report)
+        if (mongoServer) {
+            await mongoose.disconnect();
+            await mongoServer.stop();
+        }
+    });
+
+    describe('POST /v1/customers', () => {
+        test('It should register a customer', async () => {
+            const customer = await registerCustomer({ name: 'ESA', contactEmail: 'launches@esa.int' });
+
+            expect(customer).toEqual({ id: expect.any(String), name: 'ESA', contactEmail: 'launches@esa.int' });
+        });
+
+        test('It should reject a name that is taken, whatever the upper/lower case', async () => {
+            await registerCustomer({ name: 'ESA' });
+
+            const response = await request(app)
+                .post('/v1/customers')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ name: 'esa' })
+                .expect(409);
+
+            expect(response.body.code).toBe('customer-name-taken');
+        });
+
+        test('It should not let viewers add customers', async () => {
+            await request(app)
+                .post('/v1/customers')
+                .set('Authorization', `Bearer ${viewerToken}`)
+                .send({ name: 'ESA' })
+                .expect(403);
+        });
+    });
+
+    describe('GET /v1/customers', () => {
+        test('It should list customers by name and search them', async () => {
+            await registerCustomer({ name: 'NASA' });
+            await registerCustomer({ name: 'ESA' });
+            await registerCustomer({ name: 'NASA (CRS)' });
+
+            const { body: all } = await request(app)
+                .get('/v1/customers')
+                .expect(200);
+            expect(all.map((customer) => customer.name)).toEqual(['ESA', 'NASA', 'NASA (CRS)']);
+
+            const { body: found } = await request(app)
+                .get('/v1/customers?search=(crs')
+                .expect(200);
+            expect(found.map((customer) => customer.name)).toEqual(['NASA (CRS)']);
+        });
+    });
+
+    describe('GET /v1/customers/:id/launches', () => {
+        test('It should report the launches and payloads of a customer, newest first', async () => {
+            const customer = await registerCustomer({ name: 'ESA' });
+            await saveLaunch(101, {
+                customers: ['ESA', 'NASA'],
+                payloads: [
+                    { name: 'Relay Satellite', massKg: 1200, orbit: 'GTO', customer: 'ESA' },
+                    { name: 'Lander', massKg: 3400, orbit: 'Kepler-442 b', customer: 'NASA' },
+                ],
+            });
+            await saveLaunch(102, {
+                customers: ['ESA'],
+                payloads: [{ name: 'Telescope', massKg: 800, orbit: 'L2', customer: 'ESA' }],
+            });
+            await saveLaunch(103, { customers: ['NASA'] });
+
+            const response = await request(app)
+                .get(`/v1/customers/${customer.id}/launches?limit=1`)
+                .expect(200);
+
+            expect(response.body).toMatchObject({
+                customer: { name: 'ESA' },
+                summary: { launches: 2, payloads: 2, payloadMassKg: 2000 },
+                total: 2,
+                page: 1,
+                prev: null,
+            });
+            expect(response.body.launches.map((launch) => launch.flightNumber)).toEqual([102]);
+            expect(response.body.next).toBe(`/v1/customers/${customer.id}/launches?limit=1&page=2`);
+        });
+
+        test('It should answer 404 for an unknown customer', async () => {
+            const response = await request(app)
+                .get(`/v1/customers/${new mongoose.Types.ObjectId()}/launches`)
+                .expect(404);
+
+            expect(response.body.code).toBe('customer-not-found');
+        });
+    });
+
+    describe('Loading customers', () => {
+        test('It should register the default customers and the customers named on launches', async () => {
+            await registerCustomer({ name: 'nasa' });
+            await saveLaunch(1, { customers: ['DARPA'] });
+
+            await loadCustomersData();
+
+            // NASA was already registered (as "nasa"), so it isn't added a second time
+            const names = (await Customer.find()).map((customer) => customer.name);
+            expect(names).toHaveLength(3);
+            expect(names).toEqual(expect.arrayContaining(['nasa', 'Zero to Mastery', 'DARPA']));
+        });
+    });
+});
@@ -0,0 +1,40 @@
+// Import the readiness check and the Prometheus metrics
+const { checkReadiness } = require('../../services/health');
+const { getMetrics } = require('../../services/metrics');
+
+// Controller function for GET /healthz endpoint (liveness)
+// If the process can answer this, it is alive; nothing else is checked,
+// so a slow database never gets a healthy server restarted
+function httpGetHealth(req, res) {
+    return res.status(200).json({
+        status: 'ok',
+        uptime: process.uptime(), // Seconds since the server started
+    });
+}
+
+// Controller function for GET /readyz endpoint (readiness)
+// Status 200 when the server can handle requests, 503 (Service Unavailable) while it can't,
+// e.g. before MongoDB is connected or the planets are loaded
+// The body lists each check, so you can see what is missing
+async function httpGetReadiness(req, res) {
+    const { ready, checks } = await checkReadiness();
+
+    return res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not-ready',
+        checks,
+    });
+}
+
+// Controller function for GET /metrics endpoint
+// Sends every metric in the Prometheus text format (see services/metrics.js)
+async function httpGetMetrics(req, res) {
+    const { contentType, body } = await getMetrics();
+
+    return res.status(200).type(contentType).send(body);
+}
+
+module.exports = {
+    httpGetHealth,
+    httpGetReadiness,
+    httpGetMetrics,
+};
@@ -0,0 +1,30 @@
+// Import Express to create routes
+const express = require('express');
+
+// Import controller functions that handle the health checks and metrics
+const {
+    httpGetHealth,
+    httpGetReadiness,
+    httpGetMetrics,
+} = require('./health.controller');
+
+// Create a new Express router instance
+// These routes are for orchestration and monitoring tools, not for the React app,
+// so they live at the root instead of under /v1 (their URLs must not change between API versions)
+const healthRouter = express.Router();
+
+// Define a GET route for the liveness check
+// Example: GET http://localhost:8000/healthz
+healthRouter.get('/healthz', httpGetHealth);
+
+// Define a GET route for the readiness check
+// Example: GET http://localhost:8000/readyz
+healthRouter.get('/readyz', httpGetReadiness);
+
+// Define a GET route for Prometheus to scrape
+// Example: GET http://localhost:8000/metrics
+healthRouter.get('/metrics', httpGetMetrics);
+
+// Export the router so it can be used in app.js
+// In app.js, this router is mounted at the root path
+module.exports = healthRouter;
@@ -0,0 +1,135 @@
+// Import supertest to make HTTP requests against our Express app without starting a real server
+const request = require('supertest');
+
+// Import mongoose so we can connect to the test database
+const mongoose = require('mongoose');
+
+// Import an in-memory MongoDB server
+// Each test run gets its own empty database, so tests never touch real data
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Import the Express app and the models we need to set up test data
+const app = require('../../app');
+const Planet = require('../../models/planets.mongo');
+const Launch = require('../../models/launches.mongo');
+
+// Starting MongoDB (and downloading it on the first run) can take a while
+jest.setTimeout(60000);
+
+describe('Health checks and metrics', () => {
+    describe('Without a database', () => {
+        test('GET /healthz should answer while MongoDB is down', async () => {
+            const response = await request(app)
+                .get('/healthz')
+                .expect('Content-Type', /json/)
+                .expect(200);
+
+            expect(response.body.status).toBe('ok');
+        });
+
+        test('GET /readyz should be 503 while MongoDB is down', async () => {
+            const response = await request(app)
+                .get('/readyz')
+                .expect(503);
+
+            expect(response.body).toEqual({
+                status: 'not-ready',
+                checks: { database: 'disconnected', planets: null },
+            });
+        });
+
+        test('GET /metrics should time requests per route pattern', async () => {
+            await request(app).get('/v1/launches/abc/history').expect(400);
+
+            const response = await request(app)
+                .get('/metrics')
+                .expect('Content-Type', /text\/plain/)
+                .expect(200);
+
+            expect(response.text).toContain('# TYPE http_request_duration_seconds histogram');
+            expect(response.text).toMatch(
+                /http_request_duration_seconds_count\{method="GET",route="\/v1\/launches\/:id\/history",status_code="400"\} 1/
+            );
+            expect(response.text).toContain('route="/healthz"');
+        });
+
+        test('GET /metrics should report the database as down, without launch counts', async () => {
+            const response = await request(app)
+                .get('/metrics')
+                .expect(200);
+
+            expect(response.text).toContain('nasa_database_up 0');
+            expect(response.text).not.toMatch(/^nasa_launches\{/m);
+        });
+    });
+
+    describe('With a database', () => {
+        let mongoServer;
+
+        // Start the in-memory database
+        beforeAll(async () => {
+            mongoServer = await MongoMemoryServer.create();
+            await mongoose.connect(mongoServer.getUri());
+        });
+
+        // Stop the database when all tests are done
+        afterAll(async () => {
+            // Nothing to stop if beforeAll couldn't start the database (its error is the one to report)
+            if (mongoServer) {
+                await mongoose.disconnect();
+                await mongoServer.stop();
+            }
+        });
+
+        test('GET /readyz should be 503 until the planets are loaded', async () => {
+            const response = await request(app)
+                .get('/readyz')
+                .expect(503);
+
+            expect(response.body.checks).toEqual({ database: 'connected', planets: 0 });
+        });
+
+        test('GET /readyz should be 200 once the planets are loaded', async () => {
+            await Planet.create({ keplerName: 'Kepler-442 b', koi_disposition: 'CONFIRMED' });
+
+            const response = await request(app)
+                .get('/readyz')
+                .expect(200);
+
+            expect(response.body).toEqual({
+                status: 'ready',
+                checks: { database: 'connected', planets: 1 },
+            });
+        });
+
+        test('GET /metrics should report launches by status and the catalogue size', async () => {
+            await Launch.create([
+                { flightNumber: 1, mission: 'A', rocket: 'R', launchDate: new Date(), status: 'scheduled' },
+                { flightNumber: 2, mission: 'B', rocket: 'R', launchDate: new Date(), status: 'scheduled' },
+                { flightNumber: 3, mission: 'C', rocket: 'R', launchDate: new Date(), status: 'succeeded' },
+            ]);
+
+            const response = await request(app)
+                .get('/metrics')
+                .expect(200);
+
+            expect(response.text).toContain('nasa_launches{status="scheduled"} 2');
+            expect(response.text).toContain('nasa_launches{status="succeeded"} 1');
+            expect(response.text).toContain('nasa_launches{status="aborted"} 0');
+            expect(response.text).toContain('nasa_planets 1');
+            expect(response.text).toContain('nasa_database_up 1');
+        });
+
+        test('GET /metrics should drop the counts once the database disconnects', async () => {
+            await mongoose.disconnect();
+
+            const response = await request(app)
+                .get('/metrics')
+                .expect(200);
+
+            expect(response.text).toContain('nasa_database_up 0');
+            expect(response.text).not.toMatch(/^nasa_launches\{/m);
+            expect(response.text).toContain('nasa_planets 0');
+        });
+    });
+});
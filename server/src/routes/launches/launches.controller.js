@@ -1,128 +1,796 @@
 // Import functions from the launches model
 // These functions handle the database operations (getting, creating, updating launches)
 const { 
-    getAllLaunches,        // Get all launches from database
+    getAllLaunches,        // Get a page of launches from database
+    countLaunches,         // Count launches matching a filter
     addNewLaunch,          // Create a new launch
     existsLaunchWithId,    // Check if a launch exists
-    abortLaunchById,       // Abort a launch
+    getLaunchWithPlanet,   // Get one launch and the planet it's heading to
+    getPlanetsForLaunches, // Get the planets a page of launches is heading to
+    findTargetPlanet,      // Find the planet a launch is heading to
+    updateLaunch,          // Edit or reschedule an upcoming launch
+    changeLaunchStatus,    // Move a launch to a new lifecycle status
 } = require('../../models/launches.model');
 
+// Import the functions to find a launch's rocket in the rocket registry
+const { findActiveRocket, getRocketById } = require('../../models/rockets.model');
+
+// Import the functions to check a launch's customers against the customer registry
+const { DEFAULT_CUSTOMERS, findCustomersByName } = require('../../models/customers.model');
+
+// Import the function to find the pad a launch reserves in the pad registry
+const { findActivePad } = require('../../models/pads.model');
+
+// Import the functions for two-person abort requests
+// A launch is only aborted once a second flight director confirms the request
+const {
+    getPendingAbortRequests,
+    getPendingAbortRequest,
+    requestLaunchAbort,
+    confirmLaunchAbort,
+    cancelLaunchAbort,
+} = require('../../models/aborts.model');
+
+// Import the function to read a launch's audit trail
+const { getLaunchAudits } = require('../../models/audits.model');
+
+// Import the functions to receive live launch updates and to keep track of open event streams
+const { subscribeToLaunchEvents, trackLaunchEventStream } = require('../../services/events');
+
+// Import the functions that estimate a launch's trip to its target planet
+const { parseCruiseSpeed, estimateTrajectory } = require('../../services/trajectory');
+
+// Import the function that writes launches as an iCalendar (.ics) feed
+const { buildCalendar } = require('../../services/icalendar');
+
+// Import the error classes
+// Controllers throw these and the error middleware in app.js sends them as problem+json responses
+// Unexpected errors (like the database being down) are passed on the same way, as a 500
+const {
+    BadRequestError,
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+} = require('../../services/errors');
+
+// How often to send a comment down an idle event stream, in milliseconds
+// Proxies and load balancers often close connections that stay silent for too long
+const EVENT_STREAM_HEARTBEAT_MS = 25000;
+
+// How long the browser should wait before reconnecting a dropped event stream, in milliseconds
+const EVENT_STREAM_RETRY_MS = 3000;
+
+// Import the list of launch lifecycle statuses
+const { LAUNCH_STATUSES } = require('../../models/launches.status');
+
+// Import the launch validation schema, so the React form can use the same rules
+const { launchSchema } = require('./launches.schema');
+
+// Import helpers for reading pagination, filter and sort options from the query string
+const {
+    getPagination,
+    parseBoolean,
+    parseSort,
+    buildPageLink,
+} = require('../../services/query');
+
+// Fields that clients are allowed to sort launches by
+// Example: GET /launches?sort=-launchDate
+const SORTABLE_FIELDS = ['flightNumber', 'launchDate', 'mission', 'rocket', 'pad', 'target', 'status'];
+
+// How long a pad is reserved for when the launch doesn't send a window: the whole (UTC) day of the launch
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Function to turn the query string filters into a MongoDB filter object
+// Supported filters: status, upcoming, success, target, rocket, pad, launchDateFrom, launchDateTo
+// Example: ?status=scheduled,scrubbed&rocket=Falcon 9&launchDateFrom=2010-01-01
+// Parameters:
+//   - query: The req.query object from Express
+// Returns: { filter } or { error } if a value is not valid
+function getLaunchesFilter(query) {
+    const filter = {};
+
+    // status can be one status or several separated by commas (e.g., "failed,aborted")
+    if (query.status !== undefined) {
+        const statuses = String(query.status).split(',');
+        const unknownStatus = statuses.find((status) => !LAUNCH_STATUSES.includes(status));
+        if (unknownStatus !== undefined) {
+            return { error: `Unknown status "${unknownStatus}". Allowed: ${LAUNCH_STATUSES.join(', ')}` };
+        }
+        filter.status = { $in: statuses };
+    }
+
+    // upcoming and success must be "true" or "false"
+    for (const field of ['upcoming', 'success']) {
+        const value = parseBoolean(query[field]);
+        if (value === null) {
+            return { error: `${field} must be true or false` };
+        }
+        if (value !== undefined) {
+            filter[field] = value;
+        }
+    }
+
+    // target, rocket and pad must match exactly (e.g., "Kepler-442 b", "Falcon 9", "LC-39A")
+    for (const field of ['target', 'rocket', 'pad']) {
+        if (query[field] !== undefined) {
+            filter[field] = String(query[field]);
+        }
+    }
+
+    // launchDateFrom and launchDateTo select a date range (both ends included)
+    if (query.launchDateFrom !== undefined || query.launchDateTo !== undefined) {
+        filter.launchDate = {};
+
+        if (query.launchDateFrom !== undefined) {
+            const from = new Date(query.launchDateFrom);
+            if (isNaN(from)) {
+                return { error: 'launchDateFrom must be a valid date' };
+            }
+            filter.launchDate.$gte = from;
+        }
+
+        if (query.launchDateTo !== undefined) {
+            const to = new Date(query.launchDateTo);
+            if (isNaN(to)) {
+                return { error: 'launchDateTo must be a valid date' };
+            }
+            filter.launchDate.$lte = to;
+        }
+    }
+
+    return { filter };
+}
+
+// Function to read who is making a change and why, for the launch audit trail
+// The actor is the logged-in user (set by the authenticate middleware) and the reason comes from the request body
+// Example: DELETE /launches/100 logged in as "jdoe" with body { "reason": "Fuel leak" }
+// Parameters:
+//   - req: The Express request object
+// Returns: { actor, reason }
+function getAuditInfo(req) {
+    return {
+        actor: req.user ? req.user.username : 'anonymous',
+        reason: req.body?.reason ? String(req.body.reason) : null,
+    };
+}
+
+// Function to look up a launch, or throw a 404 if it doesn't exist
+// Parameters:
+//   - launchId: The flight number from the URL (e.g., 100)
+// Returns: The launch
+async function findExistingLaunch(launchId) {
+    const launch = await existsLaunchWithId(launchId);
+    if (!launch) {
+        // Status 404 means "Not Found" (the resource doesn't exist)
+        throw new NotFoundError('Launch not found', { code: 'launch-not-found' });
+    }
+    return launch;
+}
+
 // Controller function for GET /launches endpoint
-// This handles requests to get all launches (both upcoming and past)
+// This handles requests to get launches (both upcoming and past)
+// Supports pagination (?page=&limit=), filters (?status=&upcoming=&success=&target=&rocket=&pad=
+// &launchDateFrom=&launchDateTo=) and sorting (?sort=)
+// With a cruise speed (?fractionOfC= or ?velocityKmS=), each launch comes with the estimate of its trip,
+// the same trajectory GET /launches/:id sends
 // Parameters:
 //   - req: Request object (contains info about the HTTP request)
 //   - res: Response object (used to send data back to the client)
 async function httpGetAllLaunches(req, res) {
-    // Get all launches from the database
-    // This is an async operation, so we use await
-    const launches = await getAllLaunches();
-    
-    // Send the launches back to the client as JSON
-    // Status 200 means "OK" (success)
-    // .json() converts the JavaScript array to JSON format
-    return res.status(200).json(launches);
+    // Read and validate the pagination, filter and sort options
+    // If any of them are invalid, send a 400 Bad Request with the reason
+    const { page, limit, skip, error: paginationError } = getPagination(req.query);
+    if (paginationError) {
+        throw new BadRequestError(paginationError, { code: 'invalid-query' });
+    }
+
+    const { filter, error: filterError } = getLaunchesFilter(req.query);
+    if (filterError) {
+        throw new BadRequestError(filterError, { code: 'invalid-query' });
+    }
+
+    const { sort, error: sortError } = parseSort(req.query.sort, SORTABLE_FIELDS, { flightNumber: 1 }, 'flightNumber');
+    if (sortError) {
+        throw new BadRequestError(sortError, { code: 'invalid-query' });
+    }
+
+    // Trip estimates are only worked out when the client asks for them by sending a cruise speed
+    const wantsTrajectories = req.query.fractionOfC !== undefined || req.query.velocityKmS !== undefined;
+    const { cruise, error: cruiseError } = parseCruiseSpeed(req.query);
+    if (cruiseError) {
+        throw new BadRequestError(cruiseError, { code: 'invalid-query' });
+    }
+
+    // Get one page of launches and the total number of matching launches
+    // Both queries run at the same time with Promise.all
+    const [launches, total] = await Promise.all([
+        getAllLaunches(filter, { skip, limit, sort }),
+        countLaunches(filter),
+    ]);
+
+    // trajectory is null when the target isn't in our planets collection
+    // or its star is missing a measurement the distance estimate needs
+    let results = launches;
+    if (wantsTrajectories) {
+        const planets = await getPlanetsForLaunches(launches);
+        results = launches.map((launch) => ({
+            ...launch.toObject(),
+            trajectory: estimateTrajectory(planets.get(launch.flightNumber) ?? null, launch.launchDate, cruise),
+        }));
+    }
+
+    // Send the launches back inside an "envelope" with pagination info
+    // next and prev are links to the neighbouring pages (or null if there isn't one)
+    return res.status(200).json({
+        total,
+        page,
+        limit,
+        next: skip + launches.length < total ? buildPageLink(req, page + 1) : null,
+        prev: page > 1 ? buildPageLink(req, page - 1) : null,
+        launches: results,
+    });
 }
 
-// Controller function for POST /launches endpoint
-// This handles requests to create a new launch
-// The frontend sends launch data in the request body
-async function httpAddNewLaunch(req, res) {
-    // Get the launch data from the request body
-    // When the frontend sends JSON data, Express parses it and puts it in req.body
-    const launch = req.body;
-
-    // Input validation - check that all required fields are present
-    // We need mission, rocket, launchDate, and target to create a launch
-    if (!launch.mission || !launch.rocket || !launch.launchDate || !launch.target) {
-        // If any field is missing, send an error response
-        // Status 400 means "Bad Request" (the client sent invalid data)
-        return res.status(400).json({
-            error: 'Missing required launch property'
-        });
+// Controller function for GET /launches/:id endpoint
+// This returns one launch with an estimate of its trip: how far away the target is,
+// how long the trip takes at the chosen cruise speed, and when the spacecraft arrives
+// The cruise speed is ?fractionOfC= (e.g., 0.2) or ?velocityKmS= (e.g., 17), 10% of light speed by default
+async function httpGetLaunch(req, res) {
+    const { cruise, error } = parseCruiseSpeed(req.query);
+    if (error) {
+        throw new BadRequestError(error, { code: 'invalid-query' });
+    }
+
+    const found = await getLaunchWithPlanet(req.params.id);
+    if (!found) {
+        throw new NotFoundError('Launch not found', { code: 'launch-not-found' });
+    }
+
+    // trajectory is null when the target isn't in our planets collection
+    // or its star is missing a measurement the distance estimate needs
+    const { launch, planet } = found;
+    return res.status(200).json({
+        ...launch,
+        trajectory: estimateTrajectory(planet, launch.launchDate, cruise),
+    });
+}
+
+// Function to turn a launch into an event for the launch calendar feed
+// Parameters:
+//   - launch: The launch
+//   - host: The server's host name, which makes the event's uid unique across calendars
+// Returns: An event for buildCalendar() (see services/icalendar.js)
+function toCalendarEvent(launch, host) {
+    const details = [
+        `Rocket: ${launch.rocket}`,
+        launch.target && `Destination: ${launch.target}`,
+        launch.pad && `Pad: ${launch.pad}`,
+        launch.customers?.length > 0 && `Customers: ${launch.customers.join(', ')}`,
+        `Status: ${launch.status}`,
+    ];
+
+    return {
+        // The flight number never changes, so calendar apps update the event when the launch is rescheduled
+        uid: `launch-${launch.flightNumber}@${host}`,
+        start: launch.launchDate,
+        summary: `Flight ${launch.flightNumber}: ${launch.mission}`,
+        description: details.filter(Boolean).join('\n'),
+        location: launch.pad,
+        // Only launches that are go for launch are certain; the others may still move
+        status: launch.status === 'go-for-launch' ? 'CONFIRMED' : 'TENTATIVE',
+    };
+}
+
+// Controller function for GET /launches/calendar.ics endpoint
+// This sends the upcoming launches as an iCalendar (RFC 5545) feed, so people can subscribe
+// to it from their calendar apps and see every launch on its date
+// ?target= and ?rocket= only include the launches to one planet or on one rocket (exact names, like GET /launches)
+// Example: GET /launches/calendar.ics?rocket=Falcon 9
+async function httpGetLaunchCalendar(req, res) {
+    const filter = { upcoming: true };
+    const nameParts = ['Upcoming launches'];
+
+    if (req.query.target !== undefined) {
+        filter.target = String(req.query.target);
+        nameParts.push(`to ${filter.target}`);
+    }
+    if (req.query.rocket !== undefined) {
+        filter.rocket = String(req.query.rocket);
+        nameParts.push(`on ${filter.rocket}`);
     }
 
-    // Convert the launch date from string to Date object
-    // The frontend sends dates as strings (e.g., "2024-12-31")
-    // MongoDB needs Date objects to store dates properly
-    launch.launchDate = new Date(launch.launchDate);
-    
-    // Validate that the date is actually valid
-    // If you pass an invalid date string to new Date(), it creates an "Invalid Date"
-    // isNaN() checks if the date is invalid (NaN = Not a Number)
-    if (isNaN(launch.launchDate)) {
-        // If the date is invalid, send an error response
-        return res.status(400).json({
-            error: 'Invalid launch date',
+    const launches = await getAllLaunches(filter, { sort: { launchDate: 1 } });
+    const calendar = buildCalendar({
+        name: nameParts.join(' '),
+        events: launches.map((launch) => toCalendarEvent(launch, req.hostname)),
+    });
+
+    // "inline" lets the browser hand the file to a calendar app instead of saving it
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="launches.ics"');
+    return res.status(200).send(calendar);
+}
+
+// Fields of a launch that clients can change with PATCH /launches/:id
+// Everything else (flight number, status, ...) is managed by the server
+// The request body has already been checked against launchSchema (see launches.schema.js),
+// which also removes any fields that aren't in the schema
+const LAUNCH_INPUT_FIELDS = [
+    'mission', 'rocket', 'launchDate', 'target', 'customers', 'payloads', 'pad', 'padWindowStart', 'padWindowEnd',
+];
+
+// Function to find the habitable planet a launch is heading to, or throw a 400 if there isn't one
+// The error has the same errors array as the schema validation, so clients can show it next to the field
+async function findTargetPlanetOrFail(target) {
+    const planet = await findTargetPlanet(target);
+    if (!planet) {
+        throw new ValidationError(
+            [{ field: 'target', message: 'Target must be the name of a habitable planet from GET /planets' }],
+            'Unknown launch target',
+            { code: 'unknown-target', value: target }
+        );
+    }
+    return planet;
+}
+
+// Function to find the registered rocket a launch flies on, or throw a 400 if there isn't one
+// Only active rockets can be picked; retired ones are kept for past launches
+async function findRocketOrFail(name) {
+    const rocket = await findActiveRocket(name);
+    if (!rocket) {
+        throw new ValidationError(
+            [{ field: 'rocket', message: 'Rocket must be the name of an active rocket from GET /rockets' }],
+            'Unknown rocket',
+            { code: 'unknown-rocket', value: name }
+        );
+    }
+    return rocket;
+}
+
+// Function to find the registered customers of a launch, or throw a 400 if any of them isn't registered
+// Parameters:
+//   - names: The customer names sent by the client, any upper/lower case
+// Returns: The registered spelling of every name (duplicates removed)
+async function findCustomersOrFail(names) {
+    const { names: customers, unknown } = await findCustomersByName(names);
+    if (unknown.length > 0) {
+        throw new ValidationError(
+            [{ field: 'customers', message: `Customers must be registered (see GET /customers). Unknown: ${unknown.join(', ')}` }],
+            'Unknown customer',
+            { code: 'unknown-customer', value: unknown }
+        );
+    }
+    return customers;
+}
+
+// Function to check that every payload belongs to one of the launch's customers, or throw a 400
+// Parameters:
+//   - payloads: The payload manifest
+//   - customers: The launch's customers (registered names)
+// Returns: The payloads, with each owner in the registered spelling
+function matchPayloadOwnersOrFail(payloads, customers) {
+    const customerNames = new Map(customers.map((name) => [name.toLowerCase(), name]));
+
+    const errors = [];
+    const matchedPayloads = payloads.map((payload, index) => {
+        const customer = customerNames.get(payload.customer?.toLowerCase());
+        if (!customer) {
+            errors.push({
+                field: `payloads[${index}].customer`,
+                message: `Payload ${index + 1}: Owner must be one of the launch's customers`,
+            });
+        }
+        return { ...payload, customer: customer || payload.customer };
+    });
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors, 'A payload belongs to someone who is not a customer of the launch', {
+            code: 'unknown-payload-owner',
         });
     }
+    return matchedPayloads;
+}
 
-    // Try to create the launch in the database
-    try {
-        // addNewLaunch() will:
-        //   1. Auto-assign a flight number
-        //   2. Set default customers
-        //   3. Mark as upcoming and successful
-        //   4. Save to database
-        const savedLaunch = await addNewLaunch(launch);
-        
-        // If successful, send the created launch back to the client
-        // Status 201 means "Created" (new resource was successfully created)
-        return res.status(201).json(savedLaunch);
-    } catch (error) {
-        // If something goes wrong (database error, etc.), catch it here
-        console.error('❌ Error adding launch:', error);
-        
-        // Send an error response to the client
-        // Status 500 means "Internal Server Error" (something went wrong on the server)
-        return res.status(500).json({
-            error: 'Failed to add launch'
+// Function to check that the rocket can carry all the payloads together, or throw a 400
+// Parameters:
+//   - payloads: The payload manifest
+//   - rocket: The rocket the launch flies on, or null if it isn't in the registry (then there's nothing to check)
+function checkPayloadMassOrFail(payloads, rocket) {
+    const totalMassKg = payloads.reduce((total, payload) => total + (payload.massKg || 0), 0);
+    if (rocket && totalMassKg > rocket.payloadCapacityKg) {
+        throw new ValidationError(
+            [{
+                field: 'payloads',
+                message: `The payloads weigh ${totalMassKg} kg, but ${rocket.name} can carry at most ${rocket.payloadCapacityKg} kg`,
+            }],
+            'The payloads are too heavy for the rocket',
+            { code: 'payload-too-heavy', totalMassKg, payloadCapacityKg: rocket.payloadCapacityKg }
+        );
+    }
+}
+
+// Function to find the registered pad a launch reserves, or throw a 400 if there isn't one
+// Only open pads can be reserved; closed ones are kept for past launches
+async function findPadOrFail(name) {
+    const pad = await findActivePad(name);
+    if (!pad) {
+        throw new ValidationError(
+            [{ field: 'pad', message: 'Launch pad must be the name of an active pad from GET /pads' }],
+            'Unknown launch pad',
+            { code: 'unknown-pad', value: name }
+        );
+    }
+    return pad;
+}
+
+// Function to check that a launch sending a pad window also reserves a pad, or throw a 400
+// Parameters:
+//   - fields: The launch fields sent by the client
+//   - hasPad: Whether the launch reserves a pad (sent now, or reserved before for PATCH)
+function checkPadWindowHasPadOrFail(fields, hasPad) {
+    if (!hasPad && (fields.padWindowStart || fields.padWindowEnd)) {
+        throw new ValidationError(
+            [{ field: 'pad', message: 'Launch pad is required to reserve a pad window' }],
+            'A pad window needs a launch pad',
+            { code: 'pad-required' }
+        );
+    }
+}
+
+// Function to work out the window a launch reserves its pad for, or throw a 400 if it doesn't fit the launch
+// Parameters:
+//   - launchDate: When the launch is
+//   - start, end: The window (either can be undefined: then the window starts or ends with the launch's day)
+// Returns: { padWindowStart, padWindowEnd }
+function getPadWindowOrFail(launchDate, start, end) {
+    const launchDay = new Date(Math.floor(launchDate.getTime() / ONE_DAY_MS) * ONE_DAY_MS);
+    const padWindowStart = start ?? launchDay;
+    const padWindowEnd = end ?? new Date(launchDay.getTime() + ONE_DAY_MS);
+
+    // The end isn't part of the window, so a launch on 2030-12-31 can hold the pad until 2031-01-01
+    const errors = [];
+    if (padWindowEnd <= padWindowStart) {
+        errors.push({ field: 'padWindowEnd', message: 'Pad reserved until must be after Pad reserved from' });
+    } else if (launchDate < padWindowStart) {
+        errors.push({ field: 'padWindowStart', message: 'Pad reserved from cannot be after the launch date' });
+    } else if (launchDate >= padWindowEnd) {
+        errors.push({ field: 'padWindowEnd', message: 'Pad reserved until must be after the launch date' });
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors, 'The pad window must contain the launch date', {
+            code: 'invalid-pad-window',
         });
     }
+    return { padWindowStart, padWindowEnd };
+}
+
+// Controller function for POST /launches endpoint
+// This handles requests to create a new launch
+// The body has already been validated against launchSchema by the validateRequest middleware,
+// so mission, rocket, launchDate (as a Date) and target are all there
+// customers and payloads are optional; without customers, the launch gets DEFAULT_CUSTOMERS
+// The pad is optional too; a launch that reserves one gets it for padWindowStart to padWindowEnd
+// (the launch day by default), as long as no other launch holds it then
+async function httpAddNewLaunch(req, res) {
+    // The reason only goes into the audit trail, not into the launch itself
+    const { reason, ...launch } = req.body;
+
+    // Make sure the target is one of the habitable planets in our database
+    // Launches to unknown planets are rejected with details about which field was wrong
+    const planet = await findTargetPlanetOrFail(launch.target);
+
+    // Make sure the rocket is registered and still flying (the same goes for unknown rockets)
+    const rocket = await findRocketOrFail(launch.rocket);
+
+    // Every customer must be registered, every payload must belong to one of them,
+    // and the rocket must be able to carry the payloads
+    launch.customers = await findCustomersOrFail(launch.customers ?? DEFAULT_CUSTOMERS);
+    launch.payloads = matchPayloadOwnersOrFail(launch.payloads ?? [], launch.customers);
+    checkPayloadMassOrFail(launch.payloads, rocket);
+
+    // The pad must be registered and open, and its window must contain the launch date
+    const pad = launch.pad ? await findPadOrFail(launch.pad) : undefined;
+    checkPadWindowHasPadOrFail(launch, Boolean(pad));
+    if (pad) {
+        Object.assign(launch, getPadWindowOrFail(launch.launchDate, launch.padWindowStart, launch.padWindowEnd));
+    }
+
+    // addNewLaunch() will:
+    //   1. Check that no other launch holds the pad during the window
+    //   2. Auto-assign a flight number
+    //   3. Mark as upcoming and successful
+    //   4. Link the launch to its target planet, its rocket and its pad
+    //   5. Save to database
+    const { launch: savedLaunch, error, conflicts } = await addNewLaunch(
+        launch, { planet, rocket, pad }, getAuditInfo(req)
+    );
+    if (error) {
+        // Status 409 means "Conflict" (the pad is taken); conflicts lists the reservations in the way,
+        // and errors points the launch form at the pad field
+        throw new ConflictError(error, { code: 'pad-conflict', conflicts, errors: [{ field: 'pad', message: error }] });
+    }
+
+    // If successful, send the created launch back to the client
+    // Status 201 means "Created" (new resource was successfully created)
+    return res.status(201).json(savedLaunch);
 }
 
 // Controller function for DELETE /launches/:id endpoint
 // This handles requests to abort (cancel) a launch
+// The launch is not aborted straight away: this creates an abort request,
+// which a different flight director must confirm before it expires
 // The :id in the URL is the flight number (e.g., DELETE /launches/100)
 async function httpAbortLaunch(req, res) {
     // Get the flight number from the URL parameters
-    // req.params.id gets the :id part from the URL
-    // Convert it to a number because URLs are strings by default
-    const launchId = Number(req.params.id);
+    // req.params.id has already been turned into a number by the validateRequest middleware
+    const launchId = req.params.id;
 
     // Step 1: Check if the launch exists before trying to abort it
-    // This prevents errors if someone tries to abort a launch that doesn't exist
-    const existsLaunch = await existsLaunchWithId(launchId);
-    if (!existsLaunch) {
-        // If launch doesn't exist, send an error response
-        // Status 404 means "Not Found" (the resource doesn't exist)
-        return res.status(404).json({
-            error: 'Launch not found',
-        }); 
-    }
-
-    // Step 2: Try to abort the launch
-    // abortLaunchById() marks the launch as not upcoming and unsuccessful
-    const aborted = await abortLaunchById(launchId);
-    
-    // Step 3: Check if the abort was successful
-    // abortLaunchById() returns true if it worked, false if it didn't
-    if (!aborted) {
-        // If abort failed (shouldn't happen if launch exists, but just in case)
-        return res.status(400).json({
-            error: 'Launch not aborted'
+    await findExistingLaunch(launchId);
+
+    // Step 2: Ask for the abort
+    // This fails if the launch can't be aborted any more, or already has a pending request
+    const { abortRequest, error } = await requestLaunchAbort(launchId, getAuditInfo(req));
+    if (error) {
+        // Status 409 means "Conflict" (the request doesn't fit the launch's current state)
+        throw new ConflictError(error, { code: 'abort-not-possible' });
+    }
+
+    // Step 3: Send the pending request back
+    // Status 202 means "Accepted" (the abort will only happen once it's confirmed)
+    return res.status(202).json(abortRequest);
+}
+
+// Controller function for PATCH /launches/:id endpoint
+// This handles requests to edit a launch that hasn't happened yet
+// (e.g., the launch date slipped, or it moved to a different rocket)
+// The body can contain any of mission, rocket, launchDate, target, customers, payloads, pad,
+// padWindowStart and padWindowEnd, checked the same way as POST /launches
+// Changing the launch date needs a reason, which is kept in the launch's audit trail
+// Example: PATCH /launches/100 with body { "launchDate": "2031-02-01", "reason": "Weather" }
+async function httpUpdateLaunch(req, res) {
+    const launchId = req.params.id;
+
+    // The body has already been validated against launchSchema (with every field optional)
+    const { reason, ...changes } = req.body;
+    if (Object.keys(changes).length === 0) {
+        throw new BadRequestError(`Nothing to update. Send at least one of: ${LAUNCH_INPUT_FIELDS.join(', ')}`, {
+            code: 'nothing-to-update',
+        });
+    }
+
+    const audit = getAuditInfo(req);
+    const existingLaunch = await findExistingLaunch(launchId);
+
+    // Moving the launch date needs a reason (e.g., "Weather"), so the audit trail explains the slip
+    const isReschedule = changes.launchDate
+        && changes.launchDate.getTime() !== new Date(existingLaunch.launchDate).getTime();
+    if (isReschedule && !audit.reason) {
+        throw new ValidationError(
+            [{ field: 'reason', message: 'Reason is required when the launch date changes' }],
+            'A reason is required to reschedule a launch',
+            { code: 'reason-required' }
+        );
+    }
+
+    // A new target must be a habitable planet, and a new rocket an active registered one,
+    // just like for a new launch
+    const planet = changes.target ? await findTargetPlanetOrFail(changes.target) : undefined;
+    const rocket = changes.rocket ? await findRocketOrFail(changes.rocket) : undefined;
+
+    // The customers and the payload manifest must still fit together, and fit on the rocket,
+    // whichever of them changes (unchanged ones are taken from the launch)
+    if (changes.customers) {
+        changes.customers = await findCustomersOrFail(changes.customers);
+    }
+    const payloads = changes.payloads ?? existingLaunch.payloads.map((payload) => payload.toObject());
+    if (changes.customers || changes.payloads) {
+        const matchedPayloads = matchPayloadOwnersOrFail(payloads, changes.customers ?? existingLaunch.customers);
+        if (changes.payloads) {
+            changes.payloads = matchedPayloads;
+        }
+    }
+    if (rocket || changes.payloads) {
+        checkPayloadMassOrFail(payloads, rocket ?? await getRocketById(existingLaunch.rocketId));
+    }
+
+    // A new pad must be registered and open, and the pad window must still contain the launch date
+    // A rescheduled launch takes its window with it: same length, same time before the launch
+    const pad = changes.pad ? await findPadOrFail(changes.pad) : undefined;
+    const hasPad = Boolean(pad || existingLaunch.padId);
+    const windowChanged = Boolean(changes.padWindowStart || changes.padWindowEnd);
+    checkPadWindowHasPadOrFail(changes, hasPad);
+    if (hasPad && (pad || windowChanged || changes.launchDate)) {
+        const launchDate = changes.launchDate ?? existingLaunch.launchDate;
+        let start = changes.padWindowStart ?? existingLaunch.padWindowStart;
+        let end = changes.padWindowEnd ?? existingLaunch.padWindowEnd;
+        if (!windowChanged && changes.launchDate && start && end) {
+            const shift = launchDate.getTime() - existingLaunch.launchDate.getTime();
+            start = new Date(start.getTime() + shift);
+            end = new Date(end.getTime() + shift);
+        }
+        Object.assign(changes, getPadWindowOrFail(launchDate, start, end));
+    }
+
+    // updateLaunch() checks the pad is free during the window, and only changes launches that are still upcoming
+    const { launch, error, conflicts } = await updateLaunch(launchId, changes, { planet, rocket, pad }, audit);
+    if (conflicts) {
+        throw new ConflictError(error, { code: 'pad-conflict', conflicts, errors: [{ field: 'pad', message: error }] });
+    }
+    if (error) {
+        // Status 409 means "Conflict" (the request doesn't fit the launch's current state)
+        throw new ConflictError(error, {
+            code: 'launch-not-upcoming',
+            launchStatus: existingLaunch.status,
         });
     }
 
-    // Step 4: Send success response
-    // Status 200 means "OK" (success)
+    return res.status(200).json(launch);
+}
+
+// Controller function for GET /launches/events endpoint
+// This keeps the connection open and pushes launch changes to the browser as they happen,
+// using Server-Sent Events (https://developer.mozilla.org/docs/Web/API/Server-sent_events)
+// Each event looks like:
+//   event: launch-created
+//   data: {"flightNumber":101,"mission":"Kepler Exploration X",...}
+function httpStreamLaunchEvents(req, res) {
+    // Tell the browser this is an event stream that must not be cached
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+
+    // Tell the browser how long to wait before reconnecting if the connection drops
+    res.write(`retry: ${EVENT_STREAM_RETRY_MS}\n\n`);
+
+    // Forward every launch event to this browser
+    const unsubscribe = subscribeToLaunchEvents(({ type, data }) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+
+    // Lines starting with ":" are comments, which browsers ignore - they just keep the connection alive
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+    }, EVENT_STREAM_HEARTBEAT_MS);
+
+    // Function to stop writing to this browser
+    const stop = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    // Remember the stream, so the server can end it when it shuts down
+    const untrack = trackLaunchEventStream(res, stop);
+
+    // Stop sending events once the browser disconnects (tab closed, page reloaded, ...)
+    req.on('close', () => {
+        stop();
+        untrack();
+    });
+}
+
+// Controller function for GET /launches/schema endpoint
+// This sends the validation rules for a launch (required fields, lengths, date limits),
+// so the launch form in the browser checks exactly what the server checks
+function httpGetLaunchSchema(req, res) {
+    return res.status(200).json(launchSchema);
+}
+
+// Controller function for GET /launches/abort-requests endpoint
+// This lists every abort request that is waiting for a second flight director
+async function httpGetAbortRequests(req, res) {
+    const abortRequests = await getPendingAbortRequests();
+    return res.status(200).json(abortRequests);
+}
+
+// Controller function for POST /launches/:id/abort-request/confirm endpoint
+// This confirms a pending abort request, which aborts the launch
+// The flight director who asked for the abort can't confirm it themselves
+async function httpConfirmAbort(req, res) {
+    const launchId = req.params.id;
+
+    const abortRequest = await getPendingAbortRequest(launchId);
+    if (!abortRequest) {
+        throw new NotFoundError('No pending abort request for this launch', { code: 'abort-request-not-found' });
+    }
+
+    if (abortRequest.requestedBy === req.user.username) {
+        // Status 403 means "Forbidden" (we know who you are, but you can't do this)
+        throw new ForbiddenError('An abort must be confirmed by a different flight director', {
+            code: 'same-flight-director',
+        });
+    }
+
+    // confirmLaunchAbort() fails if the request expired, was cancelled or confirmed
+    // by someone else just now, or the launch can no longer be aborted
+    const { abortRequest: confirmedRequest, error } = await confirmLaunchAbort(launchId, getAuditInfo(req));
+    if (error) {
+        throw new ConflictError(error, { code: 'abort-not-possible' });
+    }
+
+    return res.status(200).json(confirmedRequest);
+}
+
+// Controller function for DELETE /launches/:id/abort-request endpoint
+// This calls off a pending abort request, so the launch goes ahead
+async function httpCancelAbort(req, res) {
+    const launchId = req.params.id;
+
+    const abortRequest = await cancelLaunchAbort(launchId, getAuditInfo(req));
+    if (!abortRequest) {
+        throw new NotFoundError('No pending abort request for this launch', { code: 'abort-request-not-found' });
+    }
+
+    return res.status(200).json(abortRequest);
+}
+
+// Controller function for PATCH /launches/:id/status endpoint
+// This handles requests to move a launch through its lifecycle
+// Example: PATCH /launches/100/status with body { "status": "go-for-launch" }
+async function httpUpdateLaunchStatus(req, res) {
+    const launchId = req.params.id;
+
+    // The status has already been checked against LAUNCH_STATUSES by launchStatusSchema
+    const { status } = req.body;
+
+    // Aborting needs a second flight director, so it can't be done by changing the status directly
+    if (status === 'aborted') {
+        throw new ValidationError(
+            [{ field: 'status', message: 'Status can\'t be set to aborted directly' }],
+            'Use DELETE /launches/:id to request an abort; a second flight director must confirm it',
+            { code: 'abort-needs-confirmation' }
+        );
+    }
+
+    const existingLaunch = await findExistingLaunch(launchId);
+
+    // changeLaunchStatus() checks the transition against the state machine
+    const { launch, error, allowed } = await changeLaunchStatus(launchId, status, getAuditInfo(req));
+    if (error) {
+        // Status 409 means "Conflict" (the request doesn't fit the launch's current state)
+        throw new ConflictError(error, {
+            code: 'invalid-status-transition',
+            from: existingLaunch.status,
+            to: status,
+            allowed,
+        });
+    }
+
+    return res.status(200).json(launch);
+}
+
+// Controller function for GET /launches/:id/history endpoint
+// This returns the audit trail of a launch: every create, abort and status change,
+// with who made it, when, why, and the launch before and after the change
+async function httpGetLaunchHistory(req, res) {
+    const launchId = req.params.id;
+
+    await findExistingLaunch(launchId);
+    const events = await getLaunchAudits(launchId);
+
     return res.status(200).json({
-        ok: true  // Simple success indicator
+        flightNumber: launchId,
+        events,
     });
 }
 
 module.exports = {
     httpGetAllLaunches,
+    httpGetLaunch,
+    httpGetLaunchCalendar,
     httpAddNewLaunch,
+    httpUpdateLaunch,
+    httpStreamLaunchEvents,
+    httpGetLaunchSchema,
     httpAbortLaunch,
+    httpGetAbortRequests,
+    httpConfirmAbort,
+    httpCancelAbort,
+    httpUpdateLaunchStatus,
+    httpGetLaunchHistory,
 }
-
@@ -5,30 +5,110 @@ const express = require('express');
 // Controllers contain the business logic, routers just define the routes
 const {
     httpGetAllLaunches,
+    httpGetLaunch,
+    httpGetLaunchCalendar,
     httpAddNewLaunch,
+    httpUpdateLaunch,
+    httpStreamLaunchEvents,
+    httpGetLaunchSchema,
     httpAbortLaunch,
+    httpGetAbortRequests,
+    httpConfirmAbort,
+    httpCancelAbort,
+    httpUpdateLaunchStatus,
+    httpGetLaunchHistory,
 } = require('./launches.controller');
 
+// Import the middleware that checks login tokens and roles
+// Reading launches is open to everyone; changing them needs a login with the right role
+const { authenticate, requireRole } = require('../../middleware/auth');
+
+// Import the request validation middleware and the schemas for these routes
+// Invalid requests are answered with a 400 listing every field that is wrong, before the controller runs
+const { validateRequest } = require('../../services/validation');
+const {
+    flightNumberParams,
+    launchSchema,
+    launchStatusSchema,
+    reasonSchema,
+} = require('./launches.schema');
+
 // Create a new Express router instance
 // This router will handle all routes related to launches
 const launchesRouter = express.Router();
 
 // Define a GET route to retrieve all launches
 // When someone makes a GET request to /launches, this route handles it
-// Example: GET http://localhost:8000/launches
+// Example: GET http://localhost:8000/v1/launches
 launchesRouter.get('/', httpGetAllLaunches);
 
+// Define a GET route that streams launch changes live (Server-Sent Events)
+// The connection stays open and an event is sent whenever a launch is created, updated or aborted
+// Example: GET http://localhost:8000/v1/launches/events
+launchesRouter.get('/events', httpStreamLaunchEvents);
+
+// Define a GET route to list the abort requests waiting for confirmation
+// This must come before the /:id routes, otherwise "abort-requests" would be treated as a flight number
+// Example: GET http://localhost:8000/v1/launches/abort-requests
+launchesRouter.get('/abort-requests', httpGetAbortRequests);
+
+// Define a GET route to retrieve the validation rules for a launch
+// The launch form uses these so it checks the same things as the server
+// Example: GET http://localhost:8000/v1/launches/schema
+launchesRouter.get('/schema', httpGetLaunchSchema);
+
+// Define a GET route to subscribe to the upcoming launches from a calendar app (an iCalendar feed)
+// Example: GET http://localhost:8000/v1/launches/calendar.ics?target=Kepler-442 b
+launchesRouter.get('/calendar.ics', httpGetLaunchCalendar);
+
+// Define a GET route to retrieve one launch with an estimate of its trip to the target planet
+// This comes after /events, /abort-requests, /schema and /calendar.ics, so those aren't read as flight numbers
+// Example: GET http://localhost:8000/v1/launches/100?fractionOfC=0.2
+launchesRouter.get('/:id', validateRequest({ params: flightNumberParams }), httpGetLaunch);
+
+// Define a GET route to retrieve the audit trail of one launch
+// Example: GET http://localhost:8000/v1/launches/100/history
+launchesRouter.get('/:id/history', validateRequest({ params: flightNumberParams }), httpGetLaunchHistory);
+
 // Define a POST route to add a new launch
 // When the frontend submits the launch form, it sends a POST request here
-// Example: POST http://localhost:8000/launches (with launch data in body)
-launchesRouter.post('/', httpAddNewLaunch);
+// Only planners and flight directors can schedule launches
+// Example: POST http://localhost:8000/v1/launches (with launch data in body)
+launchesRouter.post('/', authenticate, requireRole('planner', 'flight-director'),
+    validateRequest({ body: launchSchema }), httpAddNewLaunch);
+
+// Define a PATCH route to edit or reschedule a launch that hasn't happened yet
+// Only planners and flight directors can change launches
+// Example: PATCH http://localhost:8000/v1/launches/100 (with { "launchDate": "2031-02-01", "reason": "Weather" } in body)
+launchesRouter.patch('/:id', authenticate, requireRole('planner', 'flight-director'),
+    validateRequest({ params: flightNumberParams, body: launchSchema, partial: true }), httpUpdateLaunch);
 
-// Define a DELETE route to abort a launch
+// Define a DELETE route to request that a launch is aborted
 // The :id is a route parameter that captures the launch ID from the URL
-// Example: DELETE http://localhost:8000/launches/100 (aborts launch #100)
-launchesRouter.delete('/:id', httpAbortLaunch);
+// Only flight directors can abort launches, and it takes two of them:
+// this only creates an abort request, which a different flight director must confirm
+// Example: DELETE http://localhost:8000/v1/launches/100 (requests an abort of launch #100)
+launchesRouter.delete('/:id', authenticate, requireRole('flight-director'),
+    validateRequest({ params: flightNumberParams, body: reasonSchema }), httpAbortLaunch);
+
+// Define a POST route to confirm a pending abort request (this aborts the launch)
+// Example: POST http://localhost:8000/v1/launches/100/abort-request/confirm
+launchesRouter.post('/:id/abort-request/confirm', authenticate, requireRole('flight-director'),
+    validateRequest({ params: flightNumberParams, body: reasonSchema }), httpConfirmAbort);
+
+// Define a DELETE route to call off a pending abort request
+// Example: DELETE http://localhost:8000/v1/launches/100/abort-request
+launchesRouter.delete('/:id/abort-request', authenticate, requireRole('flight-director'),
+    validateRequest({ params: flightNumberParams, body: reasonSchema }), httpCancelAbort);
+
+// Define a PATCH route to move a launch to a new lifecycle status
+// Only transitions allowed by the state machine in launches.status.js are accepted
+// Only flight directors can change a launch's status
+// Example: PATCH http://localhost:8000/v1/launches/100/status (with { "status": "go-for-launch" } in body)
+launchesRouter.patch('/:id/status', authenticate, requireRole('flight-director'),
+    validateRequest({ params: flightNumberParams, body: launchStatusSchema }), httpUpdateLaunchStatus);
 
-// Export the router so it can be used in app.js
-// In app.js, this router will be mounted at the /launches path
+// Export the router so it can be used in v1.router.js
+// In v1.router.js, this router is mounted at the /launches path (so the full path is /v1/launches)
 module.exports = launchesRouter;
 
@@ -0,0 +1,70 @@
+// Validation schemas for the launches routes
+// See services/validation.js for the rules that can be used
+
+// Import the list of launch lifecycle statuses
+const { LAUNCH_STATUSES } = require('../../models/launches.status');
+
+// The latest date a launch can be scheduled for
+const LATEST_LAUNCH_DATE = '2040-12-31';
+
+// The flight number in routes like /launches/:id
+const flightNumberParams = {
+    id: { type: 'integer', label: 'Flight number', required: true, min: 1 },
+};
+
+// An optional reason for a change, kept in the launch's audit trail
+const reasonRule = { type: 'string', label: 'Reason', maxLength: 500 };
+
+// One payload in a launch's manifest
+// The customer must be one of the launch's customers (checked in launches.controller.js)
+const payloadSchema = {
+    name: { type: 'string', label: 'Payload name', required: true, maxLength: 100 },
+    massKg: { type: 'integer', label: 'Mass (kg)', required: true, min: 0, max: 1000000 },
+    orbit: { type: 'string', label: 'Orbit or destination', required: true, maxLength: 100 },
+    customer: { type: 'string', label: 'Owner', required: true, maxLength: 100 },
+};
+
+// The fields of a launch that clients can set (POST /launches, and PATCH /launches/:id with partial)
+// The React launch form downloads this schema from GET /launches/schema
+const launchSchema = {
+    mission: { type: 'string', label: 'Mission name', required: true, maxLength: 100 },
+    rocket: { type: 'string', label: 'Rocket type', required: true, maxLength: 100 },
+    launchDate: { type: 'date', label: 'Launch date', required: true, min: 'today', max: LATEST_LAUNCH_DATE },
+    target: { type: 'string', label: 'Destination exoplanet', required: true, maxLength: 100 },
+    customers: {
+        type: 'array',
+        label: 'Customers',
+        maxItems: 10,
+        items: { type: 'string', label: 'Customer', maxLength: 100 },
+    },
+    payloads: {
+        type: 'array',
+        label: 'Payloads',
+        maxItems: 20,
+        items: { type: 'object', label: 'Payload', fields: payloadSchema },
+    },
+    // The pad is optional; without a window it's reserved for the launch day
+    // The window must contain the launch date (checked in launches.controller.js)
+    pad: { type: 'string', label: 'Launch pad', maxLength: 100 },
+    padWindowStart: { type: 'date', label: 'Pad reserved from', min: 'today', max: LATEST_LAUNCH_DATE },
+    padWindowEnd: { type: 'date', label: 'Pad reserved until', min: 'today' },
+    reason: reasonRule,
+};
+
+// PATCH /launches/:id/status
+const launchStatusSchema = {
+    status: { type: 'string', label: 'Status', required: true, enum: LAUNCH_STATUSES },
+    reason: reasonRule,
+};
+
+// DELETE /launches/:id and DELETE /launches/:id/abort-request
+const reasonSchema = {
+    reason: reasonRule,
+};
+
+module.exports = {
+    flightNumberParams,
+    launchSchema,
+    launchStatusSchema,
+    reasonSchema,
+};
@@ -0,0 +1,1403 @@
+// Login tokens are signed with this secret; it must be set before the app checks any token
+process.env.JWT_SECRET = 'test-secret';
+
+// Import Node.js built-in http module to run a stand-in for the SpaceX API
+const http = require('http');
+
+// Import supertest to make HTTP requests against our Express app without starting a real server
+const request = require('supertest');
+
+// Import mongoose so we can connect to the test database
+const mongoose = require('mongoose');
+
+// Import an in-memory MongoDB server
+// Each test run gets its own empty database, so tests never touch real data
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Import the Express app and the models we need to set up test data
+const app = require('../../app');
+const Launch = require('../../models/launches.mongo');
+const Planet = require('../../models/planets.mongo');
+const AbortRequest = require('../../models/aborts.mongo');
+const Rocket = require('../../models/rockets.mongo');
+const Customer = require('../../models/customers.mongo');
+const Pad = require('../../models/pads.mongo');
+const { createToken } = require('../../services/auth');
+const { subscribeToLaunchEvents, endLaunchEventStreams } = require('../../services/events');
+const { checkLaunchWindows, parseCountdownMarks } = require('../../services/scheduler');
+const { loadLaunchesData } = require('../../models/launches.model');
+
+// Starting MongoDB (and downloading it on the first run) can take a while
+jest.setTimeout(60000);
+
+// Function to abort a launch the way flight directors do it:
+// one of them requests the abort and a second one confirms it
+async function abortLaunch(flightNumber, reason) {
+    await request(app)
+        .delete(`/v1/launches/${flightNumber}`)
+        .set('Authorization', `Bearer ${directorToken}`)
+        .send({ reason })
+        .expect(202);
+
+    await request(app)
+        .post(`/v1/launches/${flightNumber}/abort-request/confirm`)
+        .set('Authorization', `Bearer ${secondDirectorToken}`)
+        .expect(200);
+}
+
+// Function to get the date a number of days from today, as "YYYY-MM-DD" (UTC)
+// New launches can't be scheduled before today, so the tests build their dates from the current date
+// Parameters:
+//   - days: How many days from today (e.g., 30)
+// Returns: The date (e.g., "2026-11-17")
+function daysFromNow(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+// A valid launch that the tests can submit
+const launchData = {
+    mission: 'USS Enterprise',
+    rocket: 'NCC 1701-D',
+    target: 'Kepler-442 b',
+    launchDate: daysFromNow(30),
+};
+
+// Login tokens for users with each role
+// Tokens are checked by signature alone, so the users don't need to exist in the database
+const plannerToken = createToken({ username: 'planner-1', role: 'planner' });
+const directorToken = createToken({ username: 'director-1', role: 'flight-director' });
+const secondDirectorToken = createToken({ username: 'director-2', role: 'flight-director' });
+const viewerToken = createToken({ username: 'viewer-1', role: 'viewer' });
+
+describe('Launches API', () => {
+    let mongoServer;
+
+    // Start the in-memory database and add a planet for the launches to target
+    beforeAll(async () => {
+        mongoServer = await MongoMemoryServer.create();
+        await mongoose.connect(mongoServer.getUri());
+
+        // Make sure the unique indexes exist before any launch or abort request is inserted
+        await Launch.init();
+        await AbortRequest.init();
+        await Rocket.init();
+        await Customer.init();
+        await Pad.init();
+
+        // The planet must meet the active (conservative) habitability profile
+        await Planet.create({
+            keplerName: launchData.target,
+            koi_disposition: 'CONFIRMED',
+            koi_prad: 1.34,
+            koi_insol: 0.7,
+            // The star's measurements, so GET /launches/:id can estimate the trip
+            koi_kepmag: 14.976,
+            koi_srad: 0.595,
+            koi_steff: 4401,
+            ra: 285.36,
+            dec: 39.28,
+        });
+
+        // Launches can only fly on active rockets from the registry
+        await Rocket.create([
+            { name: launchData.rocket, manufacturer: 'Starfleet', stages: 1, payloadCapacityKg: 100000 },
+            { name: 'NCC 1701-E', manufacturer: 'Starfleet', stages: 1, payloadCapacityKg: 120000 },
+            { name: 'NX-01', manufacturer: 'Starfleet', stages: 1, payloadCapacityKg: 50000, active: false },
+        ]);
+
+        // Launches can only list registered customers (new launches get Zero to Mastery and NASA by default)
+        await Customer.create([{ name: 'Zero to Mastery' }, { name: 'NASA' }, { name: 'ESA' }]);
+
+        // Launches can reserve open pads from the registry
+        await Pad.create([
+            { name: 'LC-39A', site: 'Kennedy Space Center' },
+            { name: 'SLC-40', site: 'Cape Canaveral Space Force Station' },
+            { name: 'LC-39B', site: 'Kennedy Space Center', active: false },
+        ]);
+    });
+
+    // Stop the database when all tests are done
+    afterAll(async () => {
+        // Nothing to stop if beforeAll couldn't start the database (its error is the one to report)
+        if (mongoServer) {
+            await mongoose.disconnect();
+            await mongoServer.stop();
+        }
+    });
+
+    describe('POST /v1/launches', () => {
+        test('It should respond with 201 created', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect('Content-Type', /json/)
+                .expect(201);
+
+            expect(response.body).toMatchObject({
+                mission: launchData.mission,
+                rocket: launchData.rocket,
+                target: launchData.target,
+                status: 'scheduled',
+                upcoming: true,
+            });
+        });
+
+        test('It should reject a target that is not a habitable planet', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, target: 'Earth' })
+                .expect('Content-Type', /json/)
+                .expect(400);
+
+            expect(response.body).toMatchObject({
+                status: 400,
+                code: 'unknown-target',
+                detail: 'Unknown launch target',
+                errors: [{ field: 'target' }],
+            });
+        });
+
+        test('It should reject a rocket that is not in the registry', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, rocket: 'Millennium Falcon' })
+                .expect(400);
+
+            expect(response.body).toMatchObject({
+                code: 'unknown-rocket',
+                errors: [{ field: 'rocket' }],
+            });
+        });
+
+        test('It should reject a retired rocket', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, rocket: 'NX-01' })
+                .expect(400);
+
+            expect(response.body.code).toBe('unknown-rocket');
+        });
+
+        test('It should link the rocket and use the registry\'s spelling of its name', async () => {
+            const rocket = await Rocket.findOne({ name: launchData.rocket });
+
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, rocket: launchData.rocket.toLowerCase() })
+                .expect(201);
+
+            expect(response.body.rocket).toBe(launchData.rocket);
+            expect(response.body.rocketId).toBe(String(rocket._id));
+        });
+
+        test('It should ignore fields that clients are not allowed to set', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, flightNumber: 1, success: false, status: 'succeeded' })
+                .expect(201);
+
+            expect(response.body.flightNumber).not.toBe(1);
+            expect(response.body.success).toBe(true);
+            expect(response.body.status).toBe('scheduled');
+        });
+
+        test('It should give launches without customers the default customers', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+
+            expect(response.body.customers).toEqual(['Zero to Mastery', 'NASA']);
+            expect(response.body.payloads).toEqual([]);
+        });
+
+        test('It should save the customers and payload manifest with their registered names', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({
+                    ...launchData,
+                    customers: ['esa', 'NASA'],
+                    payloads: [
+                        { name: 'Relay Satellite', massKg: 1200, orbit: 'GTO', customer: 'ESA' },
+                        { name: 'Lander', massKg: 3400, orbit: launchData.target, customer: 'nasa' },
+                    ],
+                })
+                .expect(201);
+
+            expect(response.body.customers).toEqual(['ESA', 'NASA']);
+            expect(response.body.payloads.map((payload) => payload.customer)).toEqual(['ESA', 'NASA']);
+        });
+
+        test('It should reject customers that are not registered', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, customers: ['NASA', 'Someone else'] })
+                .expect(400);
+
+            expect(response.body.code).toBe('unknown-customer');
+            expect(response.body.value).toEqual(['Someone else']);
+        });
+
+        test('It should reject payloads that belong to someone who is not a customer of the launch', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({
+                    ...launchData,
+                    customers: ['NASA'],
+                    payloads: [{ name: 'Relay Satellite', massKg: 1200, orbit: 'GTO', customer: 'ESA' }],
+                })
+                .expect(400);
+
+            expect(response.body.code).toBe('unknown-payload-owner');
+            expect(response.body.errors[0].field).toBe('payloads[0].customer');
+        });
+
+        test('It should reject payloads that are too heavy for the rocket', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({
+                    ...launchData,
+                    payloads: [
+                        { name: 'Habitat', massKg: 60000, orbit: launchData.target, customer: 'NASA' },
+                        { name: 'Supplies', massKg: 50000, orbit: launchData.target, customer: 'NASA' },
+                    ],
+                })
+                .expect(400);
+
+            expect(response.body).toMatchObject({
+                code: 'payload-too-heavy',
+                totalMassKg: 110000,
+                payloadCapacityKg: 100000,
+            });
+        });
+
+        test('It should point at the invalid fields of each payload', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({
+                    ...launchData,
+                    payloads: [
+                        { name: 'Relay Satellite', massKg: 1200, orbit: 'GTO', customer: 'NASA' },
+                        { name: 'Lander', massKg: -5, customer: 'NASA' },
+                    ],
+                })
+                .expect(400);
+
+            expect(response.body.errors).toEqual([
+                { field: 'payloads[1].massKg', message: 'Payload 2: Mass (kg) must be at least 0' },
+                { field: 'payloads[1].orbit', message: 'Payload 2: Orbit or destination is required' },
+            ]);
+        });
+
+        test('It should list every invalid field', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, mission: 'x'.repeat(101), rocket: 42, launchDate: '2001-01-01' })
+                .expect('Content-Type', /application\/problem\+json/)
+                .expect(400);
+
+            expect(response.body.code).toBe('validation-failed');
+            expect(response.body.errors.map((error) => error.field)).toEqual(['mission', 'rocket', 'launchDate']);
+        });
+
+        test('It should reject launch dates after 2040', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, launchDate: '2041-01-01' })
+                .expect(400);
+
+            expect(response.body.errors).toEqual([
+                { field: 'launchDate', message: 'Launch date cannot be after 2040-12-31' },
+            ]);
+        });
+
+        test('It should give parallel submissions unique flight numbers', async () => {
+            const launchesBefore = await Launch.countDocuments();
+            const parallelRequests = 25;
+
+            // Fire all submissions at the same time, like many users clicking "Launch" at once
+            const responses = await Promise.all(
+                Array.from({ length: parallelRequests }, (_, i) => request(app)
+                    .post('/v1/launches')
+                    .set('Authorization', `Bearer ${plannerToken}`)
+                    .send({ ...launchData, mission: `Parallel mission ${i}` }))
+            );
+
+            responses.forEach((response) => expect(response.status).toBe(201));
+
+            // Every response got a different flight number...
+            const flightNumbers = responses.map((response) => response.body.flightNumber);
+            expect(new Set(flightNumbers).size).toBe(parallelRequests);
+
+            // ...and no launch was overwritten in the database
+            expect(await Launch.countDocuments()).toBe(launchesBefore + parallelRequests);
+        });
+    });
+
+    describe('GET /v1/launches', () => {
+        test('It should page through launches with the same sort value without repeating or skipping any', async () => {
+            // Five launches on the same rocket, in a date range no other test uses
+            const flightNumbers = [];
+            for (const day of [700, 701, 702, 703, 704]) {
+                const { body: launch } = await request(app)
+                    .post('/v1/launches')
+                    .set('Authorization', `Bearer ${plannerToken}`)
+                    .send({ ...launchData, launchDate: daysFromNow(day) })
+                    .expect(201);
+                flightNumbers.push(launch.flightNumber);
+            }
+
+            const paged = [];
+            for (const page of [1, 2, 3]) {
+                const { body } = await request(app)
+                    .get(`/v1/launches?launchDateFrom=${daysFromNow(700)}&launchDateTo=${daysFromNow(704)}&sort=-rocket&limit=2&page=${page}`)
+                    .expect(200);
+                paged.push(...body.launches.map((launch) => launch.flightNumber));
+            }
+
+            // Every launch has the same rocket, so they come in flight number order
+            expect(paged).toEqual(flightNumbers);
+        });
+
+        test('It should estimate each launch\'s trip at the chosen cruise speed', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, launchDate: daysFromNow(710) })
+                .expect(201);
+
+            // A historical launch without a target, in the same date range
+            await Launch.create({
+                flightNumber: 2,
+                mission: 'DemoSat',
+                rocket: 'Falcon 1',
+                launchDate: new Date(daysFromNow(711)),
+                status: 'failed',
+                upcoming: false,
+                success: false,
+            });
+
+            const query = `launchDateFrom=${daysFromNow(710)}&launchDateTo=${daysFromNow(711)}`;
+            const { body } = await request(app)
+                .get(`/v1/launches?${query}&fractionOfC=0.5`)
+                .expect(200);
+
+            // The same estimate GET /launches/:id sends
+            const { body: detail } = await request(app)
+                .get(`/v1/launches/${launch.flightNumber}?fractionOfC=0.5`)
+                .expect(200);
+            expect(body.launches.map((found) => found.flightNumber)).toEqual([2, launch.flightNumber]);
+            expect(body.launches[0].trajectory).toBeNull();
+            expect(body.launches[1].trajectory).toEqual(detail.trajectory);
+            expect(body.launches[1].trajectory.travelYears).toBe(2515.4);
+
+            // The cruise speed is kept in the page links
+            const { body: firstPage } = await request(app)
+                .get(`/v1/launches?${query}&fractionOfC=0.5&limit=1`)
+                .expect(200);
+            expect(firstPage.next).toContain('fractionOfC=0.5');
+
+            // Without a cruise speed, the launches come without estimates
+            const { body: plain } = await request(app)
+                .get(`/v1/launches?${query}`)
+                .expect(200);
+            expect(plain.launches.every((found) => !('trajectory' in found))).toBe(true);
+
+            const invalid = await request(app)
+                .get(`/v1/launches?${query}&fractionOfC=2`)
+                .expect(400);
+            expect(invalid.body.code).toBe('invalid-query');
+
+            await Launch.deleteMany({ flightNumber: 2 });
+        });
+    });
+
+    describe('PATCH /v1/launches/:id', () => {
+        test('It should reschedule an upcoming launch and record the reason', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+
+            // Moving the date without a reason is rejected
+            const newDate = daysFromNow(60);
+            await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ launchDate: newDate })
+                .expect(400);
+
+            const response = await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ launchDate: newDate, rocket: 'NCC 1701-E', reason: 'Weather' })
+                .expect(200);
+
+            expect(response.body).toMatchObject({
+                flightNumber: launch.flightNumber,
+                rocket: 'NCC 1701-E',
+                status: 'scheduled',
+            });
+            expect(new Date(response.body.launchDate)).toEqual(new Date(newDate));
+
+            const { body: history } = await request(app)
+                .get(`/v1/launches/${launch.flightNumber}/history`)
+                .expect(200);
+            expect(history.events[1]).toMatchObject({
+                action: 'reschedule',
+                actor: 'planner-1',
+                reason: 'Weather',
+            });
+        });
+
+        test('It should change the payload manifest, as long as it still fits the customers and the rocket', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({
+                    ...launchData,
+                    payloads: [{ name: 'Lander', massKg: 3400, orbit: launchData.target, customer: 'NASA' }],
+                })
+                .expect(201);
+
+            // NASA owns a payload, so it can't be dropped from the customers
+            const dropped = await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ customers: ['ESA'] })
+                .expect(400);
+            expect(dropped.body.code).toBe('unknown-payload-owner');
+
+            // The heavier lander doesn't fit on the current rocket
+            await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ payloads: [{ name: 'Lander', massKg: 110000, orbit: launchData.target, customer: 'NASA' }] })
+                .expect(400);
+
+            // ...but it does on a bigger one
+            const response = await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({
+                    rocket: 'NCC 1701-E',
+                    payloads: [{ name: 'Lander', massKg: 110000, orbit: launchData.target, customer: 'NASA' }],
+                })
+                .expect(200);
+            expect(response.body.payloads[0].massKg).toBe(110000);
+        });
+
+        test('It should reject an unknown target', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+
+            await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ target: 'Earth' })
+                .expect(400);
+        });
+
+        test('It should not edit a launch that is no longer upcoming', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+
+            await abortLaunch(launch.flightNumber);
+
+            await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ mission: 'Too late' })
+                .expect(409);
+        });
+    });
+
+    describe('Launch pads', () => {
+        // Each test uses its own dates, so reservations from other tests don't get in the way
+
+        test('It should reserve the pad for the launch day and reject overlapping reservations', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, launchDate: daysFromNow(400), pad: 'lc-39a' })
+                .expect(201);
+
+            expect(launch).toMatchObject({
+                pad: 'LC-39A',
+                padWindowStart: `${daysFromNow(400)}T00:00:00.000Z`,
+                padWindowEnd: `${daysFromNow(401)}T00:00:00.000Z`,
+            });
+
+            // The same pad on the same day is taken
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({
+                    ...launchData,
+                    launchDate: `${daysFromNow(401)}T06:00:00Z`,
+                    pad: 'LC-39A',
+                    padWindowStart: `${daysFromNow(399)}T18:00:00Z`,
+                })
+                .expect(409);
+
+            expect(response.body).toMatchObject({
+                code: 'pad-conflict',
+                conflicts: [{ flightNumber: launch.flightNumber, mission: launchData.mission, pad: 'LC-39A' }],
+                errors: [{ field: 'pad' }],
+            });
+            expect(response.body.detail).toContain(`flight ${launch.flightNumber}`);
+
+            // Another pad on the same day, or the same pad on the next day, is free
+            await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, launchDate: daysFromNow(400), pad: 'SLC-40' })
+                .expect(201);
+            await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, launchDate: daysFromNow(401), pad: 'LC-39A' })
+                .expect(201);
+        });
+
+        test('It should reject unknown or closed pads and windows that miss the launch date', async () => {
+            const unknown = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, launchDate: daysFromNow(420), pad: 'LC-39B' })
+                .expect(400);
+            expect(unknown.body).toMatchObject({ code: 'unknown-pad', errors: [{ field: 'pad' }] });
+
+            const missed = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({
+                    ...launchData,
+                    launchDate: daysFromNow(420),
+                    pad: 'LC-39A',
+                    padWindowStart: daysFromNow(418),
+                    padWindowEnd: daysFromNow(420),
+                })
+                .expect(400);
+            expect(missed.body).toMatchObject({ code: 'invalid-pad-window', errors: [{ field: 'padWindowEnd' }] });
+
+            const withoutPad = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, launchDate: daysFromNow(420), padWindowStart: daysFromNow(418) })
+                .expect(400);
+            expect(withoutPad.body.code).toBe('pad-required');
+        });
+
+        test('It should move the pad window with a rescheduled launch, unless the pad is taken then', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({
+                    ...launchData,
+                    launchDate: daysFromNow(450),
+                    pad: 'LC-39A',
+                    padWindowStart: daysFromNow(448),
+                    padWindowEnd: daysFromNow(451),
+                })
+                .expect(201);
+
+            const { body: blocker } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, launchDate: daysFromNow(460), pad: 'LC-39A' })
+                .expect(201);
+
+            // Moving the launch 10 days later would move its window over the other launch's day
+            const response = await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ launchDate: daysFromNow(460), reason: 'Range maintenance' })
+                .expect(409);
+            expect(response.body).toMatchObject({
+                code: 'pad-conflict',
+                conflicts: [{ flightNumber: blocker.flightNumber }],
+            });
+
+            // Moving it 1 day later is fine, and the window keeps its length
+            const { body: rescheduled } = await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ launchDate: daysFromNow(451), reason: 'Range maintenance' })
+                .expect(200);
+            expect(rescheduled).toMatchObject({
+                padWindowStart: `${daysFromNow(449)}T00:00:00.000Z`,
+                padWindowEnd: `${daysFromNow(452)}T00:00:00.000Z`,
+            });
+
+            // Once the other launch is aborted, it gives its pad back
+            await abortLaunch(blocker.flightNumber);
+            await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ launchDate: daysFromNow(460), reason: 'Range maintenance' })
+                .expect(200);
+        });
+
+        test('It should let only one of several simultaneous bookings reserve the pad', async () => {
+            // All five requests check the pad at the same time; the pad lock makes them take turns
+            const responses = await Promise.all([1, 2, 3, 4, 5].map((attempt) => request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, mission: `Rush ${attempt}`, launchDate: daysFromNow(500), pad: 'SLC-4E' })));
+
+            const statuses = responses.map((response) => response.status).sort();
+            expect(statuses).toEqual([201, 409, 409, 409, 409]);
+            expect(await Launch.countDocuments({ pad: 'SLC-4E', launchDate: new Date(daysFromNow(500)) })).toBe(1);
+
+            // The lock is given back once the bookings are done
+            const pad = await Pad.findOne({ name: 'SLC-4E' }).select('+lockToken +lockExpiresAt');
+            expect(pad.lockToken).toBeUndefined();
+            expect(pad.lockExpiresAt).toBeUndefined();
+        });
+
+        test('It should let only one of two simultaneous reschedules onto the same day through', async () => {
+            const [first, second] = await Promise.all([daysFromNow(510), daysFromNow(512)].map(async (launchDate) => {
+                const { body } = await request(app)
+                    .post('/v1/launches')
+                    .set('Authorization', `Bearer ${plannerToken}`)
+                    .send({ ...launchData, launchDate, pad: 'SLC-4E' })
+                    .expect(201);
+                return body;
+            }));
+
+            const responses = await Promise.all([first, second].map((launch) => request(app)
+                .patch(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ launchDate: daysFromNow(520), reason: 'Weather' })));
+
+            const statuses = responses.map((response) => response.status).sort();
+            expect(statuses).toEqual([200, 409]);
+            expect(await Launch.countDocuments({ pad: 'SLC-4E', launchDate: new Date(daysFromNow(520)) })).toBe(1);
+        });
+
+        test('It should take over a pad lock that ran out', async () => {
+            // As if a server had crashed while booking the pad
+            await Pad.updateOne(
+                { name: 'SLC-40' },
+                { lockToken: 'crashed-booking', lockExpiresAt: new Date(Date.now() - 1000) }
+            );
+
+            await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, launchDate: daysFromNow(530), pad: 'SLC-40' })
+                .expect(201);
+        });
+
+        test('It should filter launches by pad', async () => {
+            await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, launchDate: daysFromNow(480), pad: 'SLC-40' })
+                .expect(201);
+
+            const response = await request(app)
+                .get('/v1/launches?pad=SLC-40')
+                .expect(200);
+
+            expect(response.body.launches.length).toBeGreaterThan(0);
+            expect(response.body.launches.every((launch) => launch.pad === 'SLC-40')).toBe(true);
+        });
+    });
+
+    describe('Authorization', () => {
+        test('It should require a login token to create a launch', async () => {
+            await request(app)
+                .post('/v1/launches')
+                .send(launchData)
+                .expect(401);
+        });
+
+        test('It should not let a viewer create a launch', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${viewerToken}`)
+                .send(launchData)
+                .expect(403);
+
+            expect(response.body.requiredRoles).toEqual(['planner', 'flight-director']);
+        });
+
+        test('It should not let a planner abort a launch', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+
+            await request(app)
+                .delete(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('PATCH /v1/launches/:id/status', () => {
+        test('It should follow allowed lifecycle transitions', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+
+            const response = await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}/status`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .send({ status: 'go-for-launch' })
+                .expect(200);
+
+            expect(response.body).toMatchObject({
+                status: 'go-for-launch',
+                upcoming: true,
+            });
+        });
+
+        test('It should reject transitions out of a final status with 409', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+
+            await abortLaunch(launch.flightNumber);
+
+            const response = await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}/status`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .send({ status: 'launched' })
+                .expect(409);
+
+            expect(response.body).toMatchObject({
+                from: 'aborted',
+                to: 'launched',
+                allowed: [],
+            });
+        });
+    });
+
+    describe('Abort requests', () => {
+        // Helper to create a fresh launch for each test
+        async function createLaunch() {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+            return launch;
+        }
+
+        test('It should not abort a launch until a second flight director confirms', async () => {
+            const launch = await createLaunch();
+
+            const response = await request(app)
+                .delete(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .expect(202);
+
+            expect(response.body).toMatchObject({
+                flightNumber: launch.flightNumber,
+                status: 'pending',
+                requestedBy: 'director-1',
+            });
+            expect((await Launch.findOne({ flightNumber: launch.flightNumber })).status).toBe('scheduled');
+
+            // The same flight director can't confirm their own request
+            await request(app)
+                .post(`/v1/launches/${launch.flightNumber}/abort-request/confirm`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .expect(403);
+
+            const { body: pending } = await request(app)
+                .get('/v1/launches/abort-requests')
+                .expect(200);
+            expect(pending.map((abortRequest) => abortRequest.flightNumber)).toContain(launch.flightNumber);
+
+            await request(app)
+                .post(`/v1/launches/${launch.flightNumber}/abort-request/confirm`)
+                .set('Authorization', `Bearer ${secondDirectorToken}`)
+                .expect(200);
+
+            expect((await Launch.findOne({ flightNumber: launch.flightNumber })).status).toBe('aborted');
+        });
+
+        test('It should reject a second request while one is pending', async () => {
+            const launch = await createLaunch();
+
+            await request(app)
+                .delete(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .expect(202);
+
+            await request(app)
+                .delete(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${secondDirectorToken}`)
+                .expect(409);
+        });
+
+        test('It should not confirm a cancelled request', async () => {
+            const launch = await createLaunch();
+
+            await request(app)
+                .delete(`/v1/launches/${launch.flightNumber}`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .expect(202);
+
+            await request(app)
+                .delete(`/v1/launches/${launch.flightNumber}/abort-request`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .expect(200);
+
+            await request(app)
+                .post(`/v1/launches/${launch.flightNumber}/abort-request/confirm`)
+                .set('Authorization', `Bearer ${secondDirectorToken}`)
+                .expect(404);
+
+            expect((await Launch.findOne({ flightNumber: launch.flightNumber })).status).toBe('scheduled');
+        });
+
+        test('It should not confirm an expired request', async () => {
+            const launch = await createLaunch();
+
+            // Give the request a very short confirmation window
+            process.env.ABORT_CONFIRMATION_SECONDS = '0.05';
+            try {
+                await request(app)
+                    .delete(`/v1/launches/${launch.flightNumber}`)
+                    .set('Authorization', `Bearer ${directorToken}`)
+                    .expect(202);
+            } finally {
+                delete process.env.ABORT_CONFIRMATION_SECONDS;
+            }
+
+            await new Promise((resolve) => setTimeout(resolve, 100));
+
+            await request(app)
+                .post(`/v1/launches/${launch.flightNumber}/abort-request/confirm`)
+                .set('Authorization', `Bearer ${secondDirectorToken}`)
+                .expect(404);
+        });
+
+        test('It should not abort through the status endpoint', async () => {
+            const launch = await createLaunch();
+
+            await request(app)
+                .patch(`/v1/launches/${launch.flightNumber}/status`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .send({ status: 'aborted' })
+                .expect(400);
+        });
+    });
+
+    describe('Live updates', () => {
+        test('It should publish created and aborted launch events', async () => {
+            const events = [];
+            const unsubscribe = subscribeToLaunchEvents((event) => events.push(event));
+
+            try {
+                const { body: launch } = await request(app)
+                    .post('/v1/launches')
+                    .set('Authorization', `Bearer ${plannerToken}`)
+                    .send(launchData)
+                    .expect(201);
+
+                await abortLaunch(launch.flightNumber);
+
+                const launchEvents = events.filter((event) => event.data.flightNumber === launch.flightNumber);
+                expect(launchEvents.map((event) => event.type)).toEqual([
+                    'launch-created',
+                    'abort-request-updated',
+                    'launch-aborted',
+                    'abort-request-updated',
+                ]);
+                expect(launchEvents[2].data).toMatchObject({ status: 'aborted', upcoming: false });
+            } finally {
+                unsubscribe();
+            }
+        });
+    });
+
+    describe('Launch scheduler', () => {
+        test('It should move launches whose date has passed to pending-outcome', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+
+            // Pretend the launch date was a minute ago
+            const now = new Date();
+            await Launch.updateOne(
+                { flightNumber: launch.flightNumber },
+                { launchDate: new Date(now.getTime() - 60 * 1000) }
+            );
+
+            await checkLaunchWindows(now, now, []);
+
+            const updatedLaunch = await Launch.findOne({ flightNumber: launch.flightNumber });
+            expect(updatedLaunch).toMatchObject({
+                status: 'pending-outcome',
+                upcoming: false,
+            });
+        });
+
+        test('It should announce T-minus marks', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+
+            // The launch is 10 minutes away, give or take the last 15 seconds
+            const now = new Date();
+            await Launch.updateOne(
+                { flightNumber: launch.flightNumber },
+                { launchDate: new Date(now.getTime() + 10 * 60 * 1000 - 5000) }
+            );
+
+            const events = [];
+            const unsubscribe = subscribeToLaunchEvents((event) => events.push(event));
+            try {
+                await checkLaunchWindows(new Date(now.getTime() - 15000), now, parseCountdownMarks('1h,10m'));
+            } finally {
+                unsubscribe();
+            }
+
+            expect(events).toContainEqual({
+                type: 'launch-countdown',
+                data: expect.objectContaining({ flightNumber: launch.flightNumber, mark: 'T-10m' }),
+            });
+        });
+    });
+
+    describe('Error responses', () => {
+        test('It should send problem+json with a code and the request id', async () => {
+            const response = await request(app)
+                .get('/v1/launches/999999/history')
+                .expect('Content-Type', /application\/problem\+json/)
+                .expect(404);
+
+            expect(response.body).toMatchObject({
+                title: 'Not Found',
+                status: 404,
+                detail: 'Launch not found',
+                code: 'launch-not-found',
+                instance: '/v1/launches/999999/history',
+                requestId: response.headers['x-request-id'],
+            });
+        });
+
+        test('It should keep a request id sent by the client', async () => {
+            const response = await request(app)
+                .get('/v1/launches/999999/history')
+                .set('X-Request-Id', 'trace-123')
+                .expect(404);
+
+            expect(response.headers['x-request-id']).toBe('trace-123');
+            expect(response.body.requestId).toBe('trace-123');
+        });
+
+        test('It should reject a body that is not valid JSON', async () => {
+            const response = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .set('Content-Type', 'application/json')
+                .send('{ "mission": ')
+                .expect(400);
+
+            expect(response.body.code).toBe('invalid-json');
+        });
+
+        test('It should answer unknown routes with a 404 problem', async () => {
+            const response = await request(app)
+                .get('/v1/no-such-route')
+                .expect(404);
+
+            expect(response.body.code).toBe('route-not-found');
+        });
+    });
+
+    describe('GET /v1/launches/calendar.ics', () => {
+        // Function to read the events of a calendar feed
+        // Folded lines are joined back together first (a CRLF followed by a space continues the line)
+        // Returns: An array of events, each an object of its properties (e.g., { UID, SUMMARY, ... })
+        function readEvents(text) {
+            return text.replace(/\r\n /g, '')
+                .split('BEGIN:VEVENT\r\n')
+                .slice(1)
+                .map((event) => Object.fromEntries(event.split('\r\n')
+                    .filter((line) => line.includes(':'))
+                    .map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1)])));
+        }
+
+        test('It should publish the upcoming launches as an iCalendar feed', async () => {
+            const { body: tentative } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, mission: 'Calendar, part 1; tentative', pad: 'LC-39A', launchDate: daysFromNow(600) })
+                .expect(201);
+            const { body: confirmed } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, mission: 'Calendar part 2', launchDate: daysFromNow(601) })
+                .expect(201);
+            await request(app)
+                .patch(`/v1/launches/${confirmed.flightNumber}/status`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .send({ status: 'go-for-launch' })
+                .expect(200);
+            const { body: aborted } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, mission: 'Calendar part 3', launchDate: daysFromNow(602) })
+                .expect(201);
+            await abortLaunch(aborted.flightNumber, 'Not needed');
+
+            const response = await request(app)
+                .get('/v1/launches/calendar.ics')
+                .expect('Content-Type', /^text\/calendar/)
+                .expect(200);
+
+            // Every line ends with CRLF and is at most 75 bytes long
+            expect(response.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+            expect(response.text).toMatch(/\r\nEND:VCALENDAR\r\n$/);
+            for (const line of response.text.split('\r\n')) {
+                expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+            }
+
+            const events = readEvents(response.text);
+            const byFlight = (launch) => events.find((event) => event.UID.startsWith(`launch-${launch.flightNumber}@`));
+
+            expect(byFlight(tentative)).toMatchObject({
+                DTSTART: `${daysFromNow(600).replace(/-/g, '')}T000000Z`,
+                SUMMARY: `Flight ${tentative.flightNumber}: Calendar\\, part 1\\; tentative`,
+                LOCATION: 'LC-39A',
+                STATUS: 'TENTATIVE',
+            });
+            expect(byFlight(tentative).DESCRIPTION).toContain('Destination: Kepler-442 b\\nPad: LC-39A');
+            expect(byFlight(confirmed).STATUS).toBe('CONFIRMED');
+
+            // Aborted launches aren't upcoming any more, so they leave the calendar
+            expect(byFlight(aborted)).toBeUndefined();
+        });
+
+        test('It should only include launches on the requested rocket or to the requested target', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, rocket: 'NCC 1701-E', mission: 'Calendar on another rocket' })
+                .expect(201);
+
+            const { text: onRocket } = await request(app)
+                .get('/v1/launches/calendar.ics?rocket=NCC 1701-E')
+                .expect(200);
+            const rocketEvents = readEvents(onRocket);
+            expect(onRocket).toContain('X-WR-CALNAME:Upcoming launches on NCC 1701-E');
+            expect(rocketEvents.map((event) => event.UID)).toContainEqual(expect.stringMatching(`^launch-${launch.flightNumber}@`));
+            expect(rocketEvents.every((event) => event.DESCRIPTION.startsWith('Rocket: NCC 1701-E'))).toBe(true);
+
+            const { text: elsewhere } = await request(app)
+                .get('/v1/launches/calendar.ics?target=Kepler-62 f')
+                .expect(200);
+            expect(readEvents(elsewhere)).toEqual([]);
+        });
+    });
+
+    describe('GET /v1/launches/:id', () => {
+        test('It should estimate the trip at 10% of light speed by default', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+
+            const response = await request(app)
+                .get(`/v1/launches/${launch.flightNumber}`)
+                .expect(200);
+
+            expect(response.body).toMatchObject({ flightNumber: launch.flightNumber, mission: launchData.mission });
+            expect(response.body.trajectory).toMatchObject({
+                target: 'Kepler-442 b',
+                ra: 285.36,
+                dec: 39.28,
+                distanceLightYears: 1257.7,
+                distanceParsecs: 385.6,
+                fractionOfC: 0.1,
+                travelYears: 12577,
+            });
+
+            // The arrival date is the launch date plus the travel time (in years of 365.25 days)
+            const travelMs = new Date(response.body.trajectory.arrivalDate) - new Date(launch.launchDate);
+            expect(travelMs / (365.25 * 24 * 60 * 60 * 1000)).toBeCloseTo(12577, 3);
+        });
+
+        test('It should use the chosen cruise speed', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+
+            const { body: fast } = await request(app)
+                .get(`/v1/launches/${launch.flightNumber}?fractionOfC=0.5`)
+                .expect(200);
+            expect(fast.trajectory.travelYears).toBe(2515.4);
+
+            // At Voyager 1's speed the trip takes 22 million years, too long for a date to hold the arrival
+            const { body: slow } = await request(app)
+                .get(`/v1/launches/${launch.flightNumber}?velocityKmS=17`)
+                .expect(200);
+            expect(slow.trajectory).toMatchObject({ velocityKmS: 17, arrivalDate: null });
+            expect(slow.trajectory.travelYears).toBeCloseTo(22179351.4, 1);
+        });
+
+        test('It should reject an invalid cruise speed', async () => {
+            for (const query of ['fractionOfC=1', 'fractionOfC=fast', 'velocityKmS=0', 'fractionOfC=0.1&velocityKmS=17']) {
+                const response = await request(app)
+                    .get(`/v1/launches/100?${query}`)
+                    .expect(400);
+                expect(response.body.code).toBe('invalid-query');
+            }
+        });
+
+        test('It should send no trajectory for launches without a known target', async () => {
+            await Launch.create({
+                flightNumber: 1,
+                mission: 'FalconSat',
+                rocket: 'Falcon 1',
+                launchDate: new Date('2006-03-24'),
+                status: 'failed',
+                upcoming: false,
+                success: false,
+            });
+
+            const response = await request(app)
+                .get('/v1/launches/1')
+                .expect(200);
+
+            expect(response.body.trajectory).toBeNull();
+        });
+
+        test('It should answer 404 for an unknown launch', async () => {
+            const response = await request(app)
+                .get('/v1/launches/999999')
+                .expect(404);
+
+            expect(response.body.code).toBe('launch-not-found');
+        });
+    });
+
+    describe('GET /v1/launches/:id/history', () => {
+        test('It should record create and abort with actor, reason and snapshots', async () => {
+            const { body: launch } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+
+            await abortLaunch(launch.flightNumber, 'Fuel leak');
+
+            const response = await request(app)
+                .get(`/v1/launches/${launch.flightNumber}/history`)
+                .expect(200);
+
+            expect(response.body.events).toHaveLength(3);
+            expect(response.body.events[0]).toMatchObject({
+                action: 'create',
+                actor: 'planner-1',
+                before: null,
+                after: { status: 'scheduled' },
+            });
+            expect(response.body.events[1]).toMatchObject({
+                action: 'abort-request',
+                actor: 'director-1',
+                reason: 'Fuel leak',
+                before: { status: 'scheduled' },
+                after: { status: 'scheduled' },
+            });
+            expect(response.body.events[2]).toMatchObject({
+                action: 'abort',
+                actor: 'director-2',
+                reason: 'Fuel leak',
+                before: { status: 'scheduled' },
+                after: { status: 'aborted' },
+            });
+        });
+    });
+
+    describe('SpaceX import', () => {
+        // A stand-in for the SpaceX API on this machine (see SPACEX_API_URL)
+        // It answers POST /launches/query with the pages in fixturePages, or with failStatus if it's set
+        let fixtureServer;
+        let fixturePages = [];
+        let failStatus = null;
+        let queries = [];
+
+        // Function to make one launch the way the SpaceX API sends it
+        function spaceXLaunch(id, flightNumber, name) {
+            return {
+                id,
+                flight_number: flightNumber,
+                name,
+                date_local: '2008-09-28T13:15:00-12:00',
+                upcoming: false,
+                success: true,
+                rocket: { name: 'Falcon 1' },
+                payloads: [{ name: `${name} payload`, mass_kg: 165, orbit: 'LEO', customers: ['SpaceX'] }],
+            };
+        }
+
+        beforeAll(async () => {
+            fixtureServer = http.createServer(async (req, res) => {
+                let body = '';
+                for await (const chunk of req) {
+                    body += chunk;
+                }
+                const { options } = JSON.parse(body);
+                queries.push(options);
+
+                if (failStatus) {
+                    res.writeHead(failStatus).end();
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    docs: fixturePages[options.page - 1] || [],
+                    hasNextPage: options.page < fixturePages.length,
+                }));
+            });
+            await new Promise((resolve) => fixtureServer.listen(0, '127.0.0.1', resolve));
+            process.env.SPACEX_API_URL = `http://127.0.0.1:${fixtureServer.address().port}`;
+        });
+
+        beforeEach(() => {
+            queries = [];
+            failStatus = null;
+        });
+
+        afterAll(async () => {
+            delete process.env.SPACEX_API_URL;
+            await new Promise((resolve) => fixtureServer.close(resolve));
+        });
+
+        test('It should skip a database that the old import (FalconSat at flight 1) already filled', async () => {
+            // Save FalconSat the way the old import did: with SpaceX's flight number and no SpaceX id
+            await Launch.deleteMany({ flightNumber: 1 });
+            await Launch.create({
+                flightNumber: 1,
+                mission: 'FalconSat',
+                rocket: 'Falcon 1',
+                launchDate: new Date('2006-03-24'),
+                status: 'failed',
+                upcoming: false,
+                success: false,
+            });
+
+            await loadLaunchesData();
+
+            expect(queries).toEqual([]);
+            await Launch.deleteMany({ flightNumber: 1, mission: 'FalconSat' });
+        });
+
+        test('It should add SpaceX launches without replacing launches that have the same flight number', async () => {
+            const { body: ours } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...launchData, mission: 'Our own launch' })
+                .expect(201);
+
+            // The last SpaceX launch has the same flight number as our launch
+            fixturePages = [
+                [spaceXLaunch('spacex-1', 1, 'FalconSat'), spaceXLaunch('spacex-2', 2, 'DemoSat')],
+                [spaceXLaunch('spacex-3', ours.flightNumber, 'RatSat')],
+            ];
+
+            await loadLaunchesData();
+
+            expect(queries.map((options) => options.page)).toEqual([1, 2]);
+            expect((await Launch.findOne({ flightNumber: ours.flightNumber })).mission).toBe('Our own launch');
+
+            // The SpaceX launches get the next flight numbers, in the order SpaceX flew them
+            const imported = await Launch.find({ spacexId: { $exists: true } }).sort({ flightNumber: 1 });
+            expect(imported.map((launch) => launch.mission)).toEqual(['FalconSat', 'DemoSat', 'RatSat']);
+            expect(imported[0].flightNumber).toBeGreaterThan(ours.flightNumber);
+            expect(imported[0]).toMatchObject({
+                spacexId: 'spacex-1',
+                rocket: 'Falcon 1',
+                customers: ['SpaceX'],
+                status: 'succeeded',
+            });
+
+            // Our next launch carries on after the imported ones
+            const { body: next } = await request(app)
+                .post('/v1/launches')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send(launchData)
+                .expect(201);
+            expect(next.flightNumber).toBeGreaterThan(imported[2].flightNumber);
+
+            // Once imported, the launches aren't downloaded again
+            await loadLaunchesData();
+            expect(queries).toHaveLength(2);
+            expect(await Launch.countDocuments({ spacexId: { $exists: true } })).toBe(3);
+        });
+
+        test('It should fail when the SpaceX API answers with an error', async () => {
+            await Launch.deleteMany({ spacexId: { $exists: true } });
+            failStatus = 503;
+
+            await expect(loadLaunchesData()).rejects.toThrow('SpaceX API request failed with status 503');
+        });
+    });
+});
+
+// The event stream doesn't read the database, so these tests run without one
+describe('Live update streams', () => {
+    test('It should end open streams so the server can shut down', async () => {
+        // Run the app on a real port, the way server.js does (any free port)
+        const server = http.createServer(app);
+        await new Promise((resolve) => server.listen(0, resolve));
+
+        // Connect a subscriber and wait for the first message (the reconnect delay)
+        const response = await new Promise((resolve, reject) => {
+            http.get(`http://localhost:${server.address().port}/v1/launches/events`, resolve)
+                .on('error', reject);
+        });
+        await new Promise((resolve) => response.once('data', resolve));
+        const streamEnded = new Promise((resolve) => response.on('end', resolve));
+
+        // The same steps as gracefulShutdown() in server.js:
+        // server.close() only calls back once every connection has been closed
+        endLaunchEventStreams();
+        await new Promise((resolve, reject) => {
+            server.close((error) => (error ? reject(error) : resolve()));
+        });
+        await streamEnded;
+    }, 5000);
+});
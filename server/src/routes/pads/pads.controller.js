@@ -0,0 +1,90 @@
+// Import functions from the pads model
+// These functions handle the database operations for the pad registry
+const {
+    getAllPads,    // Get pads, optionally only open ones or matching a search
+    getPadById,    // Get one pad
+    addPad,        // Register a new pad
+    updatePad,     // Change or close a pad
+} = require('../../models/pads.model');
+
+// Import the helper for reading true/false query parameters
+const { parseBoolean } = require('../../services/query');
+
+// Import the error classes
+// Controllers throw these and the error middleware in app.js sends them as problem+json responses
+const {
+    BadRequestError,
+    NotFoundError,
+    ConflictError,
+} = require('../../services/errors');
+
+// Import the pad schema, to list the fields that can be changed
+const { padSchema } = require('./pads.schema');
+
+// Controller function for GET /pads endpoint
+// Query parameters (both optional):
+//   - active: "true" for pads that launches can reserve, "false" for closed ones
+//   - search: Text to look for in the name or site (e.g., ?search=kennedy)
+// Example: GET /pads?active=true
+async function httpGetAllPads(req, res) {
+    const active = parseBoolean(req.query.active);
+    if (active === null) {
+        throw new BadRequestError('active must be true or false', { code: 'invalid-query' });
+    }
+
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : undefined;
+
+    const pads = await getAllPads({ active, search });
+    return res.status(200).json(pads);
+}
+
+// Controller function for GET /pads/:id endpoint
+async function httpGetPad(req, res) {
+    const pad = await getPadById(req.params.id);
+    if (!pad) {
+        throw new NotFoundError('Launch pad not found', { code: 'pad-not-found' });
+    }
+    return res.status(200).json(pad);
+}
+
+// Controller function for POST /pads endpoint
+// The body has already been validated against padSchema by the validateRequest middleware
+async function httpAddPad(req, res) {
+    const { pad, error } = await addPad(req.body);
+    if (error) {
+        // Status 409 means "Conflict" (the name is already taken)
+        throw new ConflictError(error, { code: 'pad-name-taken' });
+    }
+
+    // Status 201 means "Created" (new resource was successfully created)
+    return res.status(201).json(pad);
+}
+
+// Controller function for PATCH /pads/:id endpoint
+// The body can contain any of the fields of POST /pads
+// Renaming a pad renames it on every launch that reserves it too
+// Example: PATCH /pads/665f... with body { "active": false } closes a pad
+async function httpUpdatePad(req, res) {
+    if (Object.keys(req.body).length === 0) {
+        throw new BadRequestError(`Nothing to update. Send at least one of: ${Object.keys(padSchema).join(', ')}`, {
+            code: 'nothing-to-update',
+        });
+    }
+
+    const result = await updatePad(req.params.id, req.body);
+    if (!result) {
+        throw new NotFoundError('Launch pad not found', { code: 'pad-not-found' });
+    }
+    if (result.error) {
+        throw new ConflictError(result.error, { code: 'pad-name-taken' });
+    }
+
+    return res.status(200).json(result.pad);
+}
+
+module.exports = {
+    httpGetAllPads,
+    httpGetPad,
+    httpAddPad,
+    httpUpdatePad,
+};
@@ -0,0 +1,46 @@
+// Import Express to create routes
+const express = require('express');
+
+// Import controller functions that handle the logic for the pad registry
+const {
+    httpGetAllPads,
+    httpGetPad,
+    httpAddPad,
+    httpUpdatePad,
+} = require('./pads.controller');
+
+// Import the middleware that checks login tokens and roles
+// Reading the registry is open to everyone; changing it needs a login with the right role
+const { authenticate, requireRole } = require('../../middleware/auth');
+
+// Import the request validation middleware and the schema for a pad
+const { validateRequest } = require('../../services/validation');
+const { padSchema } = require('./pads.schema');
+
+// Create a new Express router instance
+// This router will handle all routes related to launch pads
+const padsRouter = express.Router();
+
+// Define a GET route to list the registered pads
+// Example: GET http://localhost:8000/v1/pads?active=true
+padsRouter.get('/', httpGetAllPads);
+
+// Define a GET route for a single pad
+// The :id is the pad's id from GET /pads
+// Example: GET http://localhost:8000/v1/pads/665f1c2e8b3a4d0012345678
+padsRouter.get('/:id', httpGetPad);
+
+// Define a POST route to register a new pad
+// Only planners and flight directors can change the registry
+// Example: POST http://localhost:8000/v1/pads (with { "name": "LC-39B", "site": "Kennedy Space Center" } in body)
+padsRouter.post('/', authenticate, requireRole('planner', 'flight-director'),
+    validateRequest({ body: padSchema }), httpAddPad);
+
+// Define a PATCH route to change a pad (e.g., close it with { "active": false })
+// Example: PATCH http://localhost:8000/v1/pads/665f1c2e8b3a4d0012345678
+padsRouter.patch('/:id', authenticate, requireRole('planner', 'flight-director'),
+    validateRequest({ body: padSchema, partial: true }), httpUpdatePad);
+
+// Export the router so it can be used in v1.router.js
+// In v1.router.js, this router is mounted at the /pads path (so the full path is /v1/pads)
+module.exports = padsRouter;
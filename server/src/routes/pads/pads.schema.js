@@ -0,0 +1,13 @@
+// Validation schemas for the pads routes
+// See services/validation.js for the rules that can be used
+
+// The fields of a launch pad that clients can set (POST /pads, and PATCH /pads/:id with partial)
+const padSchema = {
+    name: { type: 'string', label: 'Pad name', required: true, maxLength: 100 },
+    site: { type: 'string', label: 'Launch site', required: true, maxLength: 100 },
+    active: { type: 'boolean', label: 'Active' },
+};
+
+module.exports = {
+    padSchema,
+};
@@ -0,0 +1,188 @@
+// Login tokens are signed with this secret; it must be set before the app checks any token
+process.env.JWT_SECRET = 'test-secret';
+
+// Import supertest to make HTTP requests against our Express app without starting a real server
+const request = require('supertest');
+
+// Import mongoose so we can connect to the test database
+const mongoose = require('mongoose');
+
+// Import an in-memory MongoDB server
+// Each test run gets its own empty database, so tests never touch real data
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Import the Express app and the models we need to set up test data
+const app = require('../../app');
+const Pad = require('../../models/pads.mongo');
+const Launch = require('../../models/launches.mongo');
+const { createToken } = require('../../services/auth');
+const { loadPadsData } = require('../../models/pads.model');
+
+// Starting MongoDB (and downloading it on the first run) can take a while
+jest.setTimeout(60000);
+
+// A valid pad that the tests can register
+const padData = {
+    name: 'LC-39B',
+    site: 'Kennedy Space Center',
+};
+
+// Login tokens for users with each role
+// Tokens are checked by signature alone, so the users don't need to exist in the database
+const plannerToken = createToken({ username: 'planner-1', role: 'planner' });
+const viewerToken = createToken({ username: 'viewer-1', role: 'viewer' });
+
+// Function to register a pad for a test
+// Returns: The saved pad from the response
+async function registerPad(pad) {
+    const response = await request(app)
+        .post('/v1/pads')
+        .set('Authorization', `Bearer ${plannerToken}`)
+        .send(pad)
+        .expect(201);
+    return response.body;
+}
+
+describe('Pads API', () => {
+    let mongoServer;
+
+    // Start the in-memory database
+    beforeAll(async () => {
+        mongoServer = await MongoMemoryServer.create();
+        await mongoose.connect(mongoServer.getUri());
+
+        // Make sure the unique name index exists before any pad is inserted
+        await Pad.init();
+    });
+
+    // Start every test with an empty registry
+    beforeEach(async () => {
+        await Pad.deleteMany({});
+        await Launch.deleteMany({});
+    });
+
+    // Stop the database when all tests are done
+    afterAll(async () => {
+        // Nothing to stop if beforeAll couldn't start the database (its error is the one to report)
+        if (mongoServer) {
+            await mongoose.disconnect();
+            await mongoServer.stop();
+        }
+    });
+
+    describe('POST /v1/pads', () => {
+        test('It should register an open pad', async () => {
+            const pad = await registerPad(padData);
+
+            expect(pad).toMatchObject({ ...padData, active: true });
+            expect(pad.id).toEqual(expect.any(String));
+        });
+
+        test('It should reject a name that is taken, whatever the upper/lower case', async () => {
+            await registerPad(padData);
+
+            const response = await request(app)
+                .post('/v1/pads')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...padData, name: 'lc-39b' })
+                .expect(409);
+
+            expect(response.body.code).toBe('pad-name-taken');
+        });
+
+        test('It should list every invalid field', async () => {
+            const response = await request(app)
+                .post('/v1/pads')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ name: 'Broken', active: 'maybe' })
+                .expect(400);
+
+            expect(response.body.errors.map((error) => error.field)).toEqual(['site', 'active']);
+        });
+
+        test('It should not let viewers change the registry', async () => {
+            await request(app)
+                .post('/v1/pads')
+                .set('Authorization', `Bearer ${viewerToken}`)
+                .send(padData)
+                .expect(403);
+        });
+    });
+
+    describe('GET /v1/pads', () => {
+        test('It should filter by active flag and search the name and site', async () => {
+            await registerPad(padData);
+            await registerPad({ name: 'LC-39A', site: 'Kennedy Space Center', active: false });
+            await registerPad({ name: 'SLC-4E', site: 'Vandenberg Space Force Base' });
+
+            const { body: open } = await request(app)
+                .get('/v1/pads?active=true')
+                .expect(200);
+            expect(open.map((pad) => pad.name)).toEqual(['LC-39B', 'SLC-4E']);
+
+            const { body: found } = await request(app)
+                .get('/v1/pads?search=kennedy')
+                .expect(200);
+            expect(found.map((pad) => pad.name)).toEqual(['LC-39A', 'LC-39B']);
+        });
+
+        test('It should answer 404 for an unknown pad', async () => {
+            const response = await request(app)
+                .get(`/v1/pads/${new mongoose.Types.ObjectId()}`)
+                .expect(404);
+
+            expect(response.body.code).toBe('pad-not-found');
+        });
+    });
+
+    describe('PATCH /v1/pads/:id', () => {
+        test('It should close a pad', async () => {
+            const pad = await registerPad(padData);
+
+            const response = await request(app)
+                .patch(`/v1/pads/${pad.id}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ active: false })
+                .expect(200);
+
+            expect(response.body.active).toBe(false);
+        });
+
+        test('It should rename the pad on the launches that reserve it', async () => {
+            const pad = await registerPad(padData);
+            await Launch.create({
+                flightNumber: 100,
+                mission: 'Mars Cargo',
+                rocket: 'Explorer IS1',
+                launchDate: new Date('2030-01-01'),
+                pad: pad.name,
+                padId: pad.id,
+                padWindowStart: new Date('2030-01-01'),
+                padWindowEnd: new Date('2030-01-02'),
+            });
+
+            await request(app)
+                .patch(`/v1/pads/${pad.id}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ name: 'LC-39B (rebuilt)' })
+                .expect(200);
+
+            const launch = await Launch.findOne({ flightNumber: 100 });
+            expect(launch.pad).toBe('LC-39B (rebuilt)');
+        });
+    });
+
+    describe('Default pads', () => {
+        test('It should only add the default pads to an empty registry', async () => {
+            await loadPadsData();
+            const { body: pads } = await request(app)
+                .get('/v1/pads')
+                .expect(200);
+            expect(pads.map((pad) => pad.name)).toEqual(['LC-39A', 'SLC-40', 'SLC-4E']);
+
+            await Pad.deleteMany({ name: 'SLC-40' });
+            await loadPadsData();
+            expect(await Pad.countDocuments()).toBe(2);
+        });
+    });
+});
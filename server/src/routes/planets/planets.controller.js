@@ -1,28 +1,248 @@
-// Import the getAllPlanets function from the planets model
-// This function fetches planets from the MongoDB database
-const { getAllPlanets } = require('../../models/planets.model');
+// Import busboy to read multipart/form-data uploads as a stream
+// (the CSV file is parsed while it is still being uploaded, instead of being stored first)
+const busboy = require('busboy');
+
+// Import functions from the planets model
+// These functions fetch planets from the MongoDB database
+const {
+    getHabitabilityProfile, // Get one habitability criteria profile
+    getHabitabilityProfiles,// List all habitability criteria profiles
+    getAllPlanets,          // Get planets (optionally filtered) from database
+    getPlanetByName,        // Get one planet's full record
+    importPlanets,          // Import planets from an uploaded CSV file
+} = require('../../models/planets.model');
+
+// Import the KOI columns that can be filtered with _min/_max
+const { NUMERIC_PLANET_FIELDS } = require('../../models/planets.fields');
+
+// Import the functions to look up planet import jobs
+const { getImportJob, getRunningImportJob } = require('../../models/imports.model');
+
+// Import the error classes
+// Controllers throw these and the error middleware in app.js sends them as problem+json responses
+const { BadRequestError, NotFoundError, ConflictError } = require('../../services/errors');
+
+// Largest CSV file we accept through POST /planets/import (100 MB)
+// The full Kepler cumulative table is around 10 MB, so this leaves plenty of room
+const MAX_IMPORT_FILE_SIZE = 100 * 1024 * 1024;
+
+// Function to turn the query string into a MongoDB filter object
+// Every numeric KOI column can be filtered with a minimum and/or maximum value
+// Example: ?koi_prad_min=0.8&koi_prad_max=1.2&koi_teq_max=300
+// Parameters:
+//   - query: The req.query object from Express
+// Returns: { filter } or { error } if a value is not a number
+function getPlanetsFilter(query) {
+    const filter = {};
+
+    for (const field of NUMERIC_PLANET_FIELDS) {
+        // $gte = greater than or equal, $lte = less than or equal
+        const bounds = [
+            [`${field}_min`, '$gte'],
+            [`${field}_max`, '$lte'],
+        ];
+
+        for (const [param, operator] of bounds) {
+            if (query[param] === undefined) {
+                continue;
+            }
+
+            const value = Number(query[param]);
+            if (query[param] === '' || isNaN(value)) {
+                return { error: `${param} must be a number` };
+            }
+
+            filter[field] = filter[field] || {};
+            filter[field][operator] = value;
+        }
+    }
+
+    return { filter };
+}
 
 // Controller function to handle GET requests for all planets
 // This is called when someone visits /planets endpoint
+// By default it returns planets that match the active habitability profile
+// ?profile= picks a different profile (e.g., ?profile=optimistic)
+// Optional range filters can be added to the query string (e.g., ?koi_insol_min=0.5)
 async function httpGetAllPlanets(req, res) {
-    try {
-        // Get all planets from the database
-        // This is now an async operation since we're querying MongoDB
-        const planets = await getAllPlanets();
-        
-        // Send back a successful response (200 OK) with the planets data in JSON format
-        return res.status(200).json(planets);
-    } catch (error) {
-        // If something goes wrong (database error, etc.), send an error response
-        console.error('Error fetching planets:', error);
-        return res.status(500).json({
-            error: 'Failed to fetch planets'
+    // Look up the requested profile (or the active one if none was requested)
+    const profile = getHabitabilityProfile(req.query.profile);
+    if (!profile) {
+        throw new BadRequestError(`Unknown habitability profile "${req.query.profile}"`, {
+            code: 'unknown-profile',
         });
     }
+
+    // Read and validate the range filters
+    const { filter, error } = getPlanetsFilter(req.query);
+    if (error) {
+        throw new BadRequestError(error, { code: 'invalid-query' });
+    }
+
+    // Get the matching planets from the database
+    // This is now an async operation since we're querying MongoDB
+    // If something goes wrong (database error, etc.), the error middleware sends a 500 response
+    const planets = await getAllPlanets(filter, profile);
+
+    // Send back a successful response (200 OK) with the planets data in JSON format
+    return res.status(200).json(planets);
+}
+
+// Controller function to handle GET requests for the habitability profiles
+// This is called when someone visits /planets/profiles
+// The client uses it to show the active criteria on the Launch page
+function httpGetHabitabilityProfiles(req, res) {
+    const profiles = getHabitabilityProfiles();
+
+    return res.status(200).json({
+        active: profiles.find((profile) => profile.active).name,
+        profiles,
+    });
 }
 
-// Export the function so it can be used in the router
+// Controller function to handle GET requests for a single planet
+// This is called when someone visits /planets/:name (e.g., /planets/Kepler-442%20b)
+// It returns every stored KOI column for the planet
+async function httpGetPlanet(req, res) {
+    // req.params.name is already URL-decoded by Express ("Kepler-442%20b" becomes "Kepler-442 b")
+    const planet = await getPlanetByName(req.params.name);
+
+    // If no planet has this name, send a 404 Not Found
+    if (!planet) {
+        throw new NotFoundError('Planet not found', { code: 'planet-not-found' });
+    }
+
+    return res.status(200).json(planet);
+}
+
+// Controller function to handle POST requests that upload a new Kepler CSV file
+// This is called when someone posts a multipart/form-data form to /planets/import
+// with the CSV in a field named "file"
+// The file goes through the same CSV pipeline as the bundled data/kepler_data.csv
+// Responds with 202 Accepted and a job id as soon as the header row has been checked;
+// the rest of the file is processed in the background (see GET /planets/import/:jobId)
+// The upload is read with events instead of await, so errors are passed to next() instead of thrown
+function httpImportPlanets(req, res, next) {
+    // busboy only understands multipart/form-data requests
+    if (!req.is('multipart/form-data')) {
+        throw new BadRequestError('Upload the CSV file as multipart/form-data in a field named "file"', {
+            code: 'not-multipart',
+        });
+    }
+
+    const uploads = busboy({
+        headers: req.headers,
+        limits: {
+            files: 1,                         // Only one CSV file per request
+            fileSize: MAX_IMPORT_FILE_SIZE,
+        },
+    });
+
+    // Only one response can be sent, but several events below could try to send one
+    let responded = false;
+    const respond = (status, body) => {
+        if (!responded) {
+            responded = true;
+            res.status(status).json(body);
+        }
+    };
+    const fail = (error) => {
+        if (!responded) {
+            responded = true;
+            next(error);
+        }
+    };
+
+    // Whether a file arrived in the "file" field
+    // The form can be read to the end before the import has checked the file (e.g., an empty file)
+    let fileReceived = false;
+
+    // Event: 'file' fires for every file field in the form
+    uploads.on('file', (fieldName, file, info) => {
+        // Ignore (but still read) files in any other field
+        if (fieldName !== 'file') {
+            file.resume();
+            return;
+        }
+
+        fileReceived = true;
+
+        // Only one import at a time: each one removes the planets that aren't in its own file
+        // (nothing is awaited between this check and importPlanets() creating the job, so two
+        // uploads can't both get through)
+        const runningJob = getRunningImportJob();
+        if (runningJob) {
+            file.resume();
+            // Status 409 means "Conflict" (the catalogue is busy with another import)
+            fail(new ConflictError('Another planet import is still running. Try again once it has finished.', {
+                code: 'import-in-progress',
+                jobId: runningJob.id,
+            }));
+            return;
+        }
+
+        file.on('limit', () => {
+            console.error(`❌ Planet import ${info.filename} is larger than ${MAX_IMPORT_FILE_SIZE} bytes`);
+        });
+
+        importPlanets(file, info.filename)
+            .then((job) => {
+                // 202 Accepted means "we've started working on it"
+                respond(202, {
+                    jobId: job.id,
+                    status: job.status,
+                    progress: job.progress,
+                    statusUrl: `${req.baseUrl}/import/${job.id}`,
+                });
+            })
+            .catch((error) => {
+                // Keep reading the upload so the request can finish, then report the problem
+                file.resume();
+                fail(new BadRequestError(`Invalid CSV file: ${error.message}`, {
+                    code: 'invalid-csv',
+                    missingColumns: error.missingColumns || [],
+                }));
+            });
+    });
+
+    // Event: 'close' fires once the whole request has been read
+    // If a file was sent, the import responds once it has checked the file
+    uploads.on('close', () => {
+        if (fileReceived) {
+            return;
+        }
+        fail(new BadRequestError('No CSV file uploaded. Send it in a form field named "file"', {
+            code: 'missing-file',
+        }));
+    });
+
+    uploads.on('error', (error) => {
+        console.error('❌ Error reading planet upload:', error);
+        fail(new BadRequestError('Could not read the uploaded form data', { code: 'invalid-form-data' }));
+    });
+
+    req.pipe(uploads);
+}
+
+// Controller function to handle GET requests for a planet import job
+// This is called when someone visits /planets/import/:jobId
+// It returns the job's status, progress and per-row rejection report
+function httpGetImportJob(req, res) {
+    const job = getImportJob(req.params.jobId);
+
+    if (!job) {
+        throw new NotFoundError('Import job not found', { code: 'import-job-not-found' });
+    }
+
+    return res.status(200).json(job);
+}
+
+// Export the functions so they can be used in the router
 module.exports = {
     httpGetAllPlanets,
+    httpGetHabitabilityProfiles,
+    httpGetPlanet,
+    httpImportPlanets,
+    httpGetImportJob,
 }
-
@@ -1,9 +1,18 @@
 // Import Express to create routes
 const express = require('express');
 
-// Import the controller function that handles the logic for getting all planets
+// Import the controller functions that handle the logic for getting planets
 // Controllers contain the business logic, routers just define the routes
-const { httpGetAllPlanets } = require('./planets.controller');
+const {
+    httpGetAllPlanets,
+    httpGetHabitabilityProfiles,
+    httpGetPlanet,
+    httpImportPlanets,
+    httpGetImportJob,
+} = require('./planets.controller');
+
+// Import the middleware that checks login tokens and roles
+const { authenticate, requireRole } = require('../../middleware/auth');
 
 // Create a new Express router instance
 // Routers are like mini-apps that handle a group of related routes
@@ -15,7 +24,28 @@ const planetsRouter = express.Router();
 // The httpGetAllPlanets function will be called to process the request
 planetsRouter.get('/', httpGetAllPlanets);
 
-// Export the router so it can be used in app.js
-// In app.js, this router will be mounted at the /planets path
+// Define a GET route to list the habitability criteria profiles
+// This must come before /:name, otherwise "profiles" would be treated as a planet name
+// Example: GET http://localhost:8000/v1/planets/profiles
+planetsRouter.get('/profiles', httpGetHabitabilityProfiles);
+
+// Define a POST route to upload a new Kepler CSV export
+// The file is sent as multipart/form-data in a field named "file"
+// Only flight directors can replace the planet catalogue
+// Example: curl -H "Authorization: Bearer <token>" -F "file=@kepler_export.csv" http://localhost:8000/v1/planets/import
+planetsRouter.post('/import', authenticate, requireRole('flight-director'), httpImportPlanets);
+
+// Define a GET route to check on an upload started with POST /planets/import
+// Only flight directors can see import jobs (the report lists rows from the uploaded file)
+// Example: curl -H "Authorization: Bearer <token>" http://localhost:8000/v1/planets/import/3f0c9a4e-...
+planetsRouter.get('/import/:jobId', authenticate, requireRole('flight-director'), httpGetImportJob);
+
+// Define a GET route for a single planet
+// The :name is a route parameter that captures the planet name from the URL
+// Example: GET http://localhost:8000/v1/planets/Kepler-442%20b
+planetsRouter.get('/:name', httpGetPlanet);
+
+// Export the router so it can be used in v1.router.js
+// In v1.router.js, this router is mounted at the /planets path (so the full path is /v1/planets)
 module.exports = planetsRouter;
 
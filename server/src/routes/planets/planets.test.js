@@ -0,0 +1,392 @@
+// Login tokens are signed with this secret; it must be set before the app checks any token
+process.env.JWT_SECRET = 'test-secret';
+
+// Import fs, os and path (built into Node.js) to write CSV files for reloading the catalogue
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Import PassThrough (built into Node.js) to feed an import a file that is still being written
+const { PassThrough } = require('stream');
+
+// Import supertest to make HTTP requests against our Express app without starting a real server
+const request = require('supertest');
+
+// Import mongoose so we can connect to the test database
+const mongoose = require('mongoose');
+
+// Import an in-memory MongoDB server
+// Each test run gets its own empty database, so tests never touch real data
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Import the Express app and the models we need to set up test data
+const app = require('../../app');
+const Planet = require('../../models/planets.mongo');
+const Launch = require('../../models/launches.mongo');
+const { loadPlanetsData, importPlanets } = require('../../models/planets.model');
+const { createToken } = require('../../services/auth');
+
+// Starting MongoDB (and downloading it on the first run) can take a while
+jest.setTimeout(60000);
+
+// The columns a Kepler export must have (see getRequiredCsvColumns in planets.model.js)
+const CSV_HEADER = 'kepid,kepoi_name,kepler_name,koi_disposition,koi_prad,koi_insol';
+
+// Only flight directors can import planets
+const directorToken = createToken({ username: 'director-1', role: 'flight-director' });
+
+// Function to upload a CSV file to POST /planets/import
+// Parameters:
+//   - text: The contents of the file
+// Returns: The supertest response
+async function uploadCsv(text) {
+    return await request(app)
+        .post('/v1/planets/import')
+        .set('Authorization', `Bearer ${directorToken}`)
+        .attach('file', Buffer.from(text), 'kepler_export.csv');
+}
+
+// Function to wait until an import job has finished
+// Returns: The finished job from GET /planets/import/:jobId
+async function waitForJob(jobId) {
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+        const { body: job } = await request(app)
+            .get(`/v1/planets/import/${jobId}`)
+            .set('Authorization', `Bearer ${directorToken}`)
+            .expect(200);
+        if (job.status === 'completed' || job.status === 'failed') {
+            return job;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Import job ${jobId} did not finish`);
+}
+
+describe('Planets API', () => {
+    let mongoServer;
+
+    // Start the in-memory database
+    beforeAll(async () => {
+        mongoServer = await MongoMemoryServer.create();
+        await mongoose.connect(mongoServer.getUri());
+
+        // Make sure the unique kepid + kepoi_name index exists before any planet is saved
+        await Planet.init();
+    });
+
+    // Start every test with one planet in the catalogue
+    beforeEach(async () => {
+        await Planet.deleteMany({});
+        await Planet.create({
+            keplerName: 'Kepler-442 b',
+            kepid: 4138008,
+            kepoi_name: 'K01686.01',
+            koi_disposition: 'CONFIRMED',
+            koi_prad: 1.34,
+            koi_insol: 0.7,
+        });
+    });
+
+    // Stop the database when all tests are done
+    afterAll(async () => {
+        // Skipped if the database never started, so beforeAll's error is the one reported
+        if (mongoServer) {
+            await mongoose.disconnect();
+            await mongoServer.stop();
+        }
+    });
+
+    describe('GET /v1/planets', () => {
+        // Two more habitable planets, with equilibrium temperatures (Kepler-442 b has none)
+        beforeEach(async () => {
+            await Planet.create([
+                {
+                    keplerName: 'Kepler-62 f',
+                    kepid: 9002278,
+                    kepoi_name: 'K00701.04',
+                    koi_disposition: 'CONFIRMED',
+                    koi_prad: 1.41,
+                    koi_insol: 0.41,
+                    koi_teq: 208,
+                },
+                {
+                    keplerName: 'Kepler-1229 b',
+                    kepid: 10027323,
+                    kepoi_name: 'K02418.01',
+                    koi_disposition: 'CONFIRMED',
+                    koi_prad: 1.4,
+                    koi_insol: 0.49,
+                    koi_teq: 213,
+                },
+            ]);
+        });
+
+        // Function to get the names of the planets a query returns
+        // Parameters:
+        //   - query: The query string (e.g., "?koi_prad_max=1.4")
+        // Returns: The sorted Kepler names
+        async function getPlanetNames(query) {
+            const response = await request(app)
+                .get(`/v1/planets${query}`)
+                .expect(200);
+            return response.body.map((planet) => planet.keplerName).sort();
+        }
+
+        test('It should return every habitable planet without filters', async () => {
+            expect(await getPlanetNames('')).toEqual(['Kepler-1229 b', 'Kepler-442 b', 'Kepler-62 f']);
+        });
+
+        test('It should filter on numeric columns, including both ends of the range', async () => {
+            expect(await getPlanetNames('?koi_prad_max=1.4')).toEqual(['Kepler-1229 b', 'Kepler-442 b']);
+            expect(await getPlanetNames('?koi_prad_min=1.4')).toEqual(['Kepler-1229 b', 'Kepler-62 f']);
+            expect(await getPlanetNames('?koi_insol_min=0.45&koi_insol_max=0.7')).toEqual(['Kepler-1229 b', 'Kepler-442 b']);
+
+            // Planets without a measurement don't match a filter on that column
+            expect(await getPlanetNames('?koi_teq_max=210')).toEqual(['Kepler-62 f']);
+            expect(await getPlanetNames('?koi_teq_min=200&koi_prad_max=1.4')).toEqual(['Kepler-1229 b']);
+        });
+
+        test('It should reject a range value that is not a number', async () => {
+            for (const value of ['abc', '']) {
+                const response = await request(app)
+                    .get(`/v1/planets?koi_prad_min=${value}`)
+                    .expect(400);
+
+                expect(response.body).toMatchObject({
+                    code: 'invalid-query',
+                    detail: 'koi_prad_min must be a number',
+                });
+            }
+        });
+    });
+
+    describe('GET /v1/planets/:name', () => {
+        test('It should return a planet by its Kepler name or KOI name', async () => {
+            for (const name of ['Kepler-442 b', 'K01686.01']) {
+                const response = await request(app)
+                    .get(`/v1/planets/${encodeURIComponent(name)}`)
+                    .expect(200);
+
+                expect(response.body).toMatchObject({
+                    keplerName: 'Kepler-442 b',
+                    kepid: 4138008,
+                    kepoi_name: 'K01686.01',
+                    koi_prad: 1.34,
+                    koi_insol: 0.7,
+                });
+                expect(response.body._id).toBeUndefined();
+            }
+        });
+
+        test('It should respond with 404 for an unknown planet', async () => {
+            const response = await request(app)
+                .get('/v1/planets/Kepler-999%20z')
+                .expect(404);
+
+            expect(response.body).toMatchObject({ code: 'planet-not-found' });
+        });
+    });
+
+    describe('Reloading the catalogue', () => {
+        // CSV files are written to a temporary folder, as loadPlanetsData() reads them from disk
+        let csvFolder;
+
+        beforeAll(() => {
+            csvFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'planets-test-'));
+        });
+
+        afterAll(() => {
+            fs.rmSync(csvFolder, { recursive: true, force: true });
+        });
+
+        afterEach(async () => {
+            await Launch.deleteMany({});
+        });
+
+        // Function to write a CSV file with the given planet rows and reload the catalogue from it
+        // Returns: { added, updated, removed, total } from loadPlanetsData()
+        async function reloadWith(rows) {
+            const csvFile = path.join(csvFolder, 'kepler_data.csv');
+            fs.writeFileSync(csvFile, [CSV_HEADER, ...rows].join('\n'));
+            return await loadPlanetsData(csvFile);
+        }
+
+        // Kepler-442 b with a slightly different radius than the one in the catalogue, and two new planets
+        const KEPLER_442_B = '4138008,K01686.01,Kepler-442 b,CONFIRMED,1.35,0.7';
+        const KEPLER_62_F = '9002278,K00701.04,Kepler-62 f,CONFIRMED,1.41,0.41';
+        const KEPLER_1229_B = '10027323,K02418.01,Kepler-1229 b,CONFIRMED,1.4,0.49';
+
+        test('It should report what was added, updated and removed, and change nothing on a second reload', async () => {
+            const first = await reloadWith([KEPLER_442_B, KEPLER_62_F, KEPLER_1229_B]);
+            expect(first).toEqual({ added: 2, updated: 1, removed: 0, total: 3 });
+            const kepler442b = await Planet.findOne({ kepoi_name: 'K01686.01' });
+            expect(kepler442b.koi_prad).toBe(1.35);
+
+            const second = await reloadWith([KEPLER_442_B, KEPLER_62_F, KEPLER_1229_B]);
+            expect(second).toEqual({ added: 0, updated: 0, removed: 0, total: 3 });
+
+            // The planets keep their _id, so launches keep pointing at them
+            expect((await Planet.findOne({ kepoi_name: 'K01686.01' }))._id).toEqual(kepler442b._id);
+        });
+
+        test('It should remove planets that left the data, unless a launch is heading to them', async () => {
+            await reloadWith([KEPLER_442_B, KEPLER_62_F, KEPLER_1229_B]);
+
+            const kepler62f = await Planet.findOne({ kepoi_name: 'K00701.04' });
+            await Launch.create({
+                flightNumber: 100,
+                mission: 'Kepler Exploration X',
+                rocket: 'Explorer IS1',
+                launchDate: new Date('2030-12-27'),
+                target: 'Kepler-62 f',
+                planet: kepler62f._id,
+                status: 'scheduled',
+                upcoming: true,
+                success: true,
+            });
+
+            const counts = await reloadWith([KEPLER_442_B]);
+            expect(counts).toEqual({ added: 0, updated: 0, removed: 1, total: 2 });
+            expect(await Planet.exists({ kepoi_name: 'K00701.04' })).toBeTruthy();
+            expect(await Planet.exists({ kepoi_name: 'K02418.01' })).toBeNull();
+        });
+
+        test('It should match planets on kepid and KOI name together', async () => {
+            // A stale planet with the same KOI name as Kepler-442 b, on another star
+            await Planet.create({ keplerName: 'Stale planet', kepid: 1, kepoi_name: 'K01686.01' });
+
+            const counts = await reloadWith([KEPLER_442_B]);
+            expect(counts).toEqual({ added: 0, updated: 1, removed: 1, total: 1 });
+            expect(await Planet.exists({ kepid: 1 })).toBeNull();
+
+            // The same pair can't be stored twice
+            await expect(Planet.create({ keplerName: 'Copy', kepid: 4138008, kepoi_name: 'K01686.01' }))
+                .rejects.toThrow(/duplicate key/);
+        });
+    });
+
+    describe('POST /v1/planets/import', () => {
+        test('It should import a valid file and report the counts and rejected rows', async () => {
+            const response = await uploadCsv([
+                CSV_HEADER,
+                '4138008,K01686.01,Kepler-442 b,CONFIRMED,1.35,0.7',
+                '9002278,K00701.04,Kepler-62 f,CONFIRMED,1.41,0.41',
+                '10027323,K02418.01,Kepler-1229 b,CONFIRMED,n/a,0.49',
+                '757450,K00889.01,Kepler-75 b,CONFIRMED,10.08,121.5',
+            ].join('\n'));
+            expect(response.status).toBe(202);
+            expect(response.body.statusUrl).toBe(`/v1/planets/import/${response.body.jobId}`);
+
+            const job = await waitForJob(response.body.jobId);
+            expect(job).toMatchObject({
+                status: 'completed',
+                fileName: 'kepler_export.csv',
+                // Kepler-75 b is a gas giant, so it is skipped rather than rejected
+                progress: { rowsRead: 4, accepted: 2, skipped: 1, rejected: 1 },
+                rejections: [
+                    { line: 4, kepoi_name: 'K02418.01', reason: 'Invalid number in koi_prad: "n/a"' },
+                ],
+                result: { added: 1, updated: 1, removed: 0, total: 2 },
+                error: null,
+            });
+
+            const kepler442b = await Planet.findOne({ kepoi_name: 'K01686.01' });
+            expect(kepler442b.koi_prad).toBe(1.35);
+            expect(await Planet.exists({ kepoi_name: 'K00701.04' })).toBeTruthy();
+        });
+
+        test('It should reject a second import while one is running, and report rejected rows as they are read', async () => {
+            // An import whose file is still arriving
+            const upload = new PassThrough();
+            const running = importPlanets(upload, 'slow_upload.csv');
+            upload.write(`${CSV_HEADER}\n10027323,K02418.01,Kepler-1229 b,CONFIRMED,n/a,0.49\n`);
+            const runningJob = await running;
+
+            const response = await uploadCsv(`${CSV_HEADER}\n9002278,K00701.04,Kepler-62 f,CONFIRMED,1.41,0.41\n`);
+            expect(response.status).toBe(409);
+            expect(response.body).toMatchObject({ code: 'import-in-progress', jobId: runningJob.id });
+
+            // Wait for the parser to reach the bad row, then check that the job already lists it
+            for (let attempt = 0; attempt < 100 && runningJob.progress.rowsRead === 0; attempt += 1) {
+                await new Promise((resolve) => setTimeout(resolve, 20));
+            }
+            const { body: inProgress } = await request(app)
+                .get(`/v1/planets/import/${runningJob.id}`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .expect(200);
+            expect(inProgress).toMatchObject({
+                status: 'processing',
+                rejections: [{ line: 2, kepoi_name: 'K02418.01' }],
+            });
+
+            upload.end('4138008,K01686.01,Kepler-442 b,CONFIRMED,1.35,0.7\n');
+            const job = await waitForJob(runningJob.id);
+            expect(job).toMatchObject({
+                status: 'completed',
+                progress: { rowsRead: 2, accepted: 1, skipped: 0, rejected: 1 },
+                result: { added: 0, updated: 1, removed: 0, total: 1 },
+            });
+
+            // The catalogue is free again
+            const next = await uploadCsv(`${CSV_HEADER}\n4138008,K01686.01,Kepler-442 b,CONFIRMED,1.34,0.7\n`);
+            expect(next.status).toBe(202);
+            expect(await waitForJob(next.body.jobId)).toMatchObject({ status: 'completed' });
+        });
+
+        test('It should reject an empty file and keep the catalogue', async () => {
+            for (const text of ['', '# Only comments\n# in this file\n']) {
+                const response = await uploadCsv(text);
+
+                expect(response.status).toBe(400);
+                expect(response.body).toMatchObject({
+                    code: 'invalid-csv',
+                    detail: 'Invalid CSV file: The file is empty: it has no header row',
+                });
+            }
+
+            expect(await Planet.countDocuments()).toBe(1);
+        });
+
+        test('It should fail the job for a file without planet rows and keep the catalogue', async () => {
+            const response = await uploadCsv(`${CSV_HEADER}\n`);
+            expect(response.status).toBe(202);
+
+            const job = await waitForJob(response.body.jobId);
+            expect(job).toMatchObject({
+                status: 'failed',
+                error: 'The file has a header row but no planet rows',
+                result: null,
+            });
+            expect(await Planet.countDocuments()).toBe(1);
+        });
+
+        test('It should fail the job for a file without habitable planets and keep the catalogue', async () => {
+            // A gas giant: no habitability profile accepts it
+            const response = await uploadCsv(`${CSV_HEADER}\n757450,K00889.01,Kepler-75 b,CONFIRMED,10.08,121.5\n`);
+            expect(response.status).toBe(202);
+
+            const job = await waitForJob(response.body.jobId);
+            expect(job).toMatchObject({
+                status: 'failed',
+                error: 'The file has no habitable planets. Nothing was saved.',
+            });
+            expect(await Planet.countDocuments()).toBe(1);
+        });
+    });
+
+    describe('GET /v1/planets/import/:jobId', () => {
+        test('It should only show import jobs to flight directors', async () => {
+            const response = await uploadCsv(`${CSV_HEADER}\n4138008,K01686.01,Kepler-442 b,CONFIRMED,1.35,0.7\n`);
+            const jobUrl = `/v1/planets/import/${response.body.jobId}`;
+            await waitForJob(response.body.jobId);
+
+            await request(app).get(jobUrl).expect(401);
+
+            const plannerToken = createToken({ username: 'planner-1', role: 'planner' });
+            await request(app)
+                .get(jobUrl)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .expect(403);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+// Import functions from the rockets model
+// These functions handle the database operations for the rocket registry
+const {
+    getAllRockets,     // Get rockets, optionally only active ones or matching a search
+    getRocketById,     // Get one rocket
+    addRocket,         // Register a new rocket
+    updateRocket,      // Change a rocket
+    deleteRocket,      // Remove a rocket no launch uses
+} = require('../../models/rockets.model');
+
+// Import the helper for reading true/false query parameters
+const { parseBoolean } = require('../../services/query');
+
+// Import the error classes
+// Controllers throw these and the error middleware in app.js sends them as problem+json responses
+const {
+    BadRequestError,
+    NotFoundError,
+    ConflictError,
+} = require('../../services/errors');
+
+// Import the rocket schema, to list the fields that can be changed
+const { rocketSchema } = require('./rockets.schema');
+
+// Function to find a rocket, or throw a 404 if there isn't one
+async function findRocketOrFail(id) {
+    const rocket = await getRocketById(id);
+    if (!rocket) {
+        throw new NotFoundError('Rocket not found', { code: 'rocket-not-found' });
+    }
+    return rocket;
+}
+
+// Controller function for GET /rockets endpoint
+// Query parameters (both optional):
+//   - active: "true" for rockets that can be picked for new launches, "false" for retired ones
+//   - search: Text to look for in the name or manufacturer (e.g., ?search=falcon)
+// Example: GET /rockets?active=true&search=falcon
+async function httpGetAllRockets(req, res) {
+    const active = parseBoolean(req.query.active);
+    if (active === null) {
+        throw new BadRequestError('active must be true or false', { code: 'invalid-query' });
+    }
+
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : undefined;
+
+    const rockets = await getAllRockets({ active, search });
+    return res.status(200).json(rockets);
+}
+
+// Controller function for GET /rockets/:id endpoint
+async function httpGetRocket(req, res) {
+    const rocket = await findRocketOrFail(req.params.id);
+    return res.status(200).json(rocket);
+}
+
+// Controller function for POST /rockets endpoint
+// The body has already been validated against rocketSchema by the validateRequest middleware
+async function httpAddRocket(req, res) {
+    const { rocket, error } = await addRocket(req.body);
+    if (error) {
+        // Status 409 means "Conflict" (the name is already taken)
+        throw new ConflictError(error, { code: 'rocket-name-taken' });
+    }
+
+    // Status 201 means "Created" (new resource was successfully created)
+    return res.status(201).json(rocket);
+}
+
+// Controller function for PATCH /rockets/:id endpoint
+// The body can contain any of the fields of POST /rockets
+// Renaming a rocket renames it on every launch that flies on it too
+// Example: PATCH /rockets/665f... with body { "active": false } retires a rocket
+async function httpUpdateRocket(req, res) {
+    if (Object.keys(req.body).length === 0) {
+        throw new BadRequestError(`Nothing to update. Send at least one of: ${Object.keys(rocketSchema).join(', ')}`, {
+            code: 'nothing-to-update',
+        });
+    }
+
+    const result = await updateRocket(req.params.id, req.body);
+    if (!result) {
+        throw new NotFoundError('Rocket not found', { code: 'rocket-not-found' });
+    }
+    if (result.error) {
+        throw new ConflictError(result.error, { code: 'rocket-name-taken' });
+    }
+
+    return res.status(200).json(result.rocket);
+}
+
+// Controller function for DELETE /rockets/:id endpoint
+// Only rockets that no launch flies on can be removed; retire the others with PATCH instead
+async function httpDeleteRocket(req, res) {
+    const result = await deleteRocket(req.params.id);
+    if (!result) {
+        throw new NotFoundError('Rocket not found', { code: 'rocket-not-found' });
+    }
+    if (result.error) {
+        throw new ConflictError(result.error, { code: 'rocket-in-use' });
+    }
+
+    // Send the removed rocket back, like DELETE /launches/:id sends the launch's abort request
+    return res.status(200).json(result.rocket);
+}
+
+module.exports = {
+    httpGetAllRockets,
+    httpGetRocket,
+    httpAddRocket,
+    httpUpdateRocket,
+    httpDeleteRocket,
+};
@@ -0,0 +1,52 @@
+// Import Express to create routes
+const express = require('express');
+
+// Import controller functions that handle the logic for the rocket registry
+const {
+    httpGetAllRockets,
+    httpGetRocket,
+    httpAddRocket,
+    httpUpdateRocket,
+    httpDeleteRocket,
+} = require('./rockets.controller');
+
+// Import the middleware that checks login tokens and roles
+// Reading the registry is open to everyone; changing it needs a login with the right role
+const { authenticate, requireRole } = require('../../middleware/auth');
+
+// Import the request validation middleware and the schema for a rocket
+const { validateRequest } = require('../../services/validation');
+const { rocketSchema } = require('./rockets.schema');
+
+// Create a new Express router instance
+// This router will handle all routes related to rockets
+const rocketsRouter = express.Router();
+
+// Define a GET route to list the registered rockets
+// Example: GET http://localhost:8000/v1/rockets?active=true&search=falcon
+rocketsRouter.get('/', httpGetAllRockets);
+
+// Define a GET route for a single rocket
+// The :id is the rocket's id from GET /rockets
+// Example: GET http://localhost:8000/v1/rockets/665f1c2e8b3a4d0012345678
+rocketsRouter.get('/:id', httpGetRocket);
+
+// Define a POST route to register a new rocket
+// Only planners and flight directors can change the registry
+// Example: POST http://localhost:8000/v1/rockets (with { "name": "Starship", "manufacturer": "SpaceX", ... } in body)
+rocketsRouter.post('/', authenticate, requireRole('planner', 'flight-director'),
+    validateRequest({ body: rocketSchema }), httpAddRocket);
+
+// Define a PATCH route to change a rocket (e.g., retire it with { "active": false })
+// Example: PATCH http://localhost:8000/v1/rockets/665f1c2e8b3a4d0012345678
+rocketsRouter.patch('/:id', authenticate, requireRole('planner', 'flight-director'),
+    validateRequest({ body: rocketSchema, partial: true }), httpUpdateRocket);
+
+// Define a DELETE route to remove a rocket that no launch flies on
+// Only flight directors can remove rockets
+// Example: DELETE http://localhost:8000/v1/rockets/665f1c2e8b3a4d0012345678
+rocketsRouter.delete('/:id', authenticate, requireRole('flight-director'), httpDeleteRocket);
+
+// Export the router so it can be used in v1.router.js
+// In v1.router.js, this router is mounted at the /rockets path (so the full path is /v1/rockets)
+module.exports = rocketsRouter;
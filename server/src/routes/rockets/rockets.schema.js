@@ -0,0 +1,16 @@
+// Validation schemas for the rockets routes
+// See services/validation.js for the rules that can be used
+
+// The fields of a rocket that clients can set (POST /rockets, and PATCH /rockets/:id with partial)
+const rocketSchema = {
+    name: { type: 'string', label: 'Rocket name', required: true, maxLength: 100 },
+    manufacturer: { type: 'string', label: 'Manufacturer', required: true, maxLength: 100 },
+    stages: { type: 'integer', label: 'Stages', required: true, min: 1, max: 10 },
+    payloadCapacityKg: { type: 'integer', label: 'Payload capacity (kg)', required: true, min: 0, max: 1000000 },
+    active: { type: 'boolean', label: 'Active' },
+    reuseCount: { type: 'integer', label: 'Reuse count', min: 0 },
+};
+
+module.exports = {
+    rocketSchema,
+};
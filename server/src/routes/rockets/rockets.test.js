@@ -0,0 +1,249 @@
+// Login tokens are signed with this secret; it must be set before the app checks any token
+process.env.JWT_SECRET = 'test-secret';
+
+// Import supertest to make HTTP requests against our Express app without starting a real server
+const request = require('supertest');
+
+// Import mongoose so we can connect to the test database
+const mongoose = require('mongoose');
+
+// Import an in-memory MongoDB server
+// Each test run gets its own empty database, so tests never touch real data
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Import the Express app and the models we need to set up test data
+const app = require('../../app');
+const Rocket = require('../../models/rockets.mongo');
+const Launch = require('../../models/launches.mongo');
+const { createToken } = require('../../services/auth');
+const { linkLaunchRockets } = require('../../models/launches.model');
+
+// Starting MongoDB (and downloading it on the first run) can take a while
+jest.setTimeout(60000);
+
+// A valid rocket that the tests can register
+const rocketData = {
+    name: 'Starship',
+    manufacturer: 'SpaceX',
+    stages: 2,
+    payloadCapacityKg: 150000,
+};
+
+// Login tokens for users with each role
+// Tokens are checked by signature alone, so the users don't need to exist in the database
+const plannerToken = createToken({ username: 'planner-1', role: 'planner' });
+const directorToken = createToken({ username: 'director-1', role: 'flight-director' });
+const viewerToken = createToken({ username: 'viewer-1', role: 'viewer' });
+
+// Function to register a rocket for a test
+// Returns: The saved rocket from the response
+async function registerRocket(rocket) {
+    const response = await request(app)
+        .post('/v1/rockets')
+        .set('Authorization', `Bearer ${plannerToken}`)
+        .send(rocket)
+        .expect(201);
+    return response.body;
+}
+
+describe('Rockets API', () => {
+    let mongoServer;
+
+    // Start the in-memory database
+    beforeAll(async () => {
+        mongoServer = await MongoMemoryServer.create();
+        await mongoose.connect(mongoServer.getUri());
+
+        // Make sure the unique name index exists before any rocket is inserted
+        await Rocket.init();
+    });
+
+    // Start every test with an empty registry
+    beforeEach(async () => {
+        await Rocket.deleteMany({});
+        await Launch.deleteMany({});
+    });
+
+    // Stop the database when all tests are done
+    afterAll(async () => {
+        // Nothing to stop if beforeAll couldn't start the database (its error is the one to report)
+        if (mongoServer) {
+            await mongoose.disconnect();
+            await mongoServer.stop();
+        }
+    });
+
+    describe('POST /v1/rockets', () => {
+        test('It should register a rocket with default values', async () => {
+            const rocket = await registerRocket(rocketData);
+
+            expect(rocket).toMatchObject({
+                ...rocketData,
+                active: true,
+                reuseCount: 0,
+            });
+            expect(rocket.id).toEqual(expect.any(String));
+        });
+
+        test('It should reject a name that is taken, whatever the upper/lower case', async () => {
+            await registerRocket(rocketData);
+
+            const response = await request(app)
+                .post('/v1/rockets')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ ...rocketData, name: 'STARSHIP' })
+                .expect(409);
+
+            expect(response.body.code).toBe('rocket-name-taken');
+        });
+
+        test('It should list every invalid field', async () => {
+            const response = await request(app)
+                .post('/v1/rockets')
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ name: 'Broken', stages: 0, payloadCapacityKg: 'lots', active: 'maybe' })
+                .expect(400);
+
+            expect(response.body.errors.map((error) => error.field))
+                .toEqual(['manufacturer', 'stages', 'payloadCapacityKg', 'active']);
+        });
+
+        test('It should not let viewers change the registry', async () => {
+            await request(app)
+                .post('/v1/rockets')
+                .set('Authorization', `Bearer ${viewerToken}`)
+                .send(rocketData)
+                .expect(403);
+        });
+    });
+
+    describe('GET /v1/rockets', () => {
+        test('It should filter by active flag and search the name and manufacturer', async () => {
+            await registerRocket(rocketData);
+            await registerRocket({ ...rocketData, name: 'Falcon 1', payloadCapacityKg: 670, active: false });
+            await registerRocket({ name: 'Explorer IS1', manufacturer: 'NASA', stages: 3, payloadCapacityKg: 45000 });
+
+            const { body: active } = await request(app)
+                .get('/v1/rockets?active=true')
+                .expect(200);
+            expect(active.map((rocket) => rocket.name)).toEqual(['Explorer IS1', 'Starship']);
+
+            const { body: found } = await request(app)
+                .get('/v1/rockets?search=spacex')
+                .expect(200);
+            expect(found.map((rocket) => rocket.name)).toEqual(['Falcon 1', 'Starship']);
+        });
+
+        test('It should reject an active filter that is not true or false', async () => {
+            const response = await request(app)
+                .get('/v1/rockets?active=yes')
+                .expect(400);
+
+            expect(response.body.code).toBe('invalid-query');
+        });
+    });
+
+    describe('PATCH /v1/rockets/:id', () => {
+        test('It should retire a rocket', async () => {
+            const rocket = await registerRocket(rocketData);
+
+            const response = await request(app)
+                .patch(`/v1/rockets/${rocket.id}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ active: false, reuseCount: 4 })
+                .expect(200);
+
+            expect(response.body).toMatchObject({ active: false, reuseCount: 4 });
+        });
+
+        test('It should rename the rocket on the launches that fly on it', async () => {
+            const rocket = await registerRocket(rocketData);
+            await Launch.create({
+                flightNumber: 100,
+                mission: 'Mars Cargo',
+                rocket: rocket.name,
+                rocketId: rocket.id,
+                launchDate: new Date('2030-01-01'),
+            });
+
+            await request(app)
+                .patch(`/v1/rockets/${rocket.id}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ name: 'Starship V3' })
+                .expect(200);
+
+            const launch = await Launch.findOne({ flightNumber: 100 });
+            expect(launch.rocket).toBe('Starship V3');
+        });
+
+        test('It should answer 404 for an unknown rocket', async () => {
+            const response = await request(app)
+                .patch(`/v1/rockets/${new mongoose.Types.ObjectId()}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .send({ active: false })
+                .expect(404);
+
+            expect(response.body.code).toBe('rocket-not-found');
+        });
+    });
+
+    describe('DELETE /v1/rockets/:id', () => {
+        test('It should remove a rocket no launch flies on', async () => {
+            const rocket = await registerRocket(rocketData);
+
+            await request(app)
+                .delete(`/v1/rockets/${rocket.id}`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .expect(200);
+
+            await request(app)
+                .get(`/v1/rockets/${rocket.id}`)
+                .expect(404);
+        });
+
+        test('It should keep a rocket that launches fly on', async () => {
+            const rocket = await registerRocket(rocketData);
+            await Launch.create({
+                flightNumber: 100,
+                mission: 'Mars Cargo',
+                rocket: rocket.name,
+                rocketId: rocket.id,
+                launchDate: new Date('2030-01-01'),
+            });
+
+            const response = await request(app)
+                .delete(`/v1/rockets/${rocket.id}`)
+                .set('Authorization', `Bearer ${directorToken}`)
+                .expect(409);
+
+            expect(response.body.code).toBe('rocket-in-use');
+        });
+
+        test('It should only let flight directors remove rockets', async () => {
+            const rocket = await registerRocket(rocketData);
+
+            await request(app)
+                .delete(`/v1/rockets/${rocket.id}`)
+                .set('Authorization', `Bearer ${plannerToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('Linking older launches', () => {
+        test('It should link launches to the rocket with the same name', async () => {
+            const rocket = await registerRocket({ ...rocketData, name: 'Falcon 9' });
+            await Launch.create({
+                flightNumber: 5,
+                mission: 'COTS 1',
+                rocket: 'falcon 9',
+                launchDate: new Date('2010-12-08'),
+            });
+
+            await linkLaunchRockets();
+
+            const launch = await Launch.findOne({ flightNumber: 5 });
+            expect(String(launch.rocketId)).toBe(rocket.id);
+            expect(launch.rocket).toBe('Falcon 9');
+        });
+    });
+});
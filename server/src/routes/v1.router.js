@@ -0,0 +1,58 @@
+// Import Express to create routes
+const express = require('express');
+
+// Import swagger-ui-express, which serves an interactive viewer for an OpenAPI document
+// The viewer lists every endpoint and lets you try them out from the browser
+const swaggerUi = require('swagger-ui-express');
+
+// Import the OpenAPI document that describes this version of the API
+const { openApiDocument } = require('../openapi/openapi');
+
+// Import the routers for each group of endpoints
+const authRouter = require('./auth/auth.router');
+const planetsRouter = require('./planets/planets.router');
+const launchesRouter = require('./launches/launches.router');
+const rocketsRouter = require('./rockets/rockets.router');
+const customersRouter = require('./customers/customers.router');
+const padsRouter = require('./pads/pads.router');
+
+// The routers that make up version 1 of the API, keyed by the path they are mounted at
+// The contract tests in openapi.test.js use this to check that every route is in the OpenAPI document
+const V1_ROUTERS = {
+    '/auth': authRouter,
+    '/planets': planetsRouter,
+    '/launches': launchesRouter,
+    '/rockets': rocketsRouter,
+    '/customers': customersRouter,
+    '/pads': padsRouter,
+};
+
+// Create a new Express router instance
+// This router groups every endpoint of version 1 of the API
+// In app.js it is mounted at /v1, so GET /launches becomes GET /v1/launches
+// A future version 2 can get its own router next to this one, without breaking v1 clients
+const v1Router = express.Router();
+
+// Mount each group of endpoints
+// Example: POST /v1/auth/login is handled by authRouter, GET /v1/launches by launchesRouter,
+// GET /v1/rockets by rocketsRouter, GET /v1/customers by customersRouter, GET /v1/pads by padsRouter
+for (const [mountPath, router] of Object.entries(V1_ROUTERS)) {
+    v1Router.use(mountPath, router);
+}
+
+// Define a GET route for the machine-readable OpenAPI document
+// Tools can use it to generate API clients or check requests
+// Example: GET http://localhost:8000/v1/openapi.json
+v1Router.get('/openapi.json', (req, res) => {
+    return res.status(200).json(openApiDocument);
+});
+
+// Serve the interactive API viewer
+// swaggerUi.serve sends the viewer's JavaScript and CSS, swaggerUi.setup() sends the page itself
+// Example: open http://localhost:8000/v1/docs in a browser
+v1Router.use('/docs', swaggerUi.serve, swaggerUi.setup(openApiDocument));
+
+// Export the router so it can be used in app.js
+// V1_ROUTERS is exported too, for the contract tests
+module.exports = v1Router;
+module.exports.V1_ROUTERS = V1_ROUTERS;
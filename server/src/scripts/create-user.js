@@ -0,0 +1,49 @@
+// Command-line script to create a user who can log in to the API
+// There is no sign-up page: an administrator creates accounts with this script
+//
+// Usage (from the server directory):
+//   npm run create-user -- <username> <password> [role]
+//
+// Roles: viewer (default), planner, flight-director
+
+// Load environment variables from .env file (we need MONGO_URL)
+require('dotenv').config();
+
+// Import mongoose library to connect to MongoDB database
+const mongoose = require('mongoose');
+
+// Import the function that creates users and the list of valid roles
+const { createUser, USER_ROLES } = require('../models/users.model');
+
+async function main() {
+    const MONGO_URL = process.env.MONGO_URL;
+    if (!MONGO_URL) {
+        console.error('ERROR: MONGO_URL environment variable is not set!');
+        process.exit(1);
+    }
+
+    const [username, password, role = 'viewer'] = process.argv.slice(2);
+    if (!username || !password) {
+        console.error('Usage: npm run create-user -- <username> <password> [role]');
+        process.exit(1);
+    }
+    if (!USER_ROLES.includes(role)) {
+        console.error(`ERROR: Unknown role "${role}". Use one of: ${USER_ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    try {
+        console.log('🔄 Connecting to MongoDB...');
+        await mongoose.connect(MONGO_URL);
+
+        const user = await createUser(username, password, role);
+        console.log(`✅ Created user ${user.username} with role ${user.role}`);
+    } catch (error) {
+        console.error('❌ Failed to create user:', error.code === 11000 ? 'username already exists' : error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main();
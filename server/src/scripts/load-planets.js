@@ -0,0 +1,46 @@
+// Command-line script to re-ingest a Kepler CSV export into the planets collection
+// The running server doesn't need to be restarted: planets are upserted in place,
+// so GET /planets keeps returning data while the new export is being loaded
+//
+// Usage (from the server directory):
+//   npm run load-planets                          # reload the bundled data/kepler_data.csv
+//   npm run load-planets -- path/to/export.csv    # load a newer export from the Exoplanet Archive
+
+// Load environment variables from .env file (we need MONGO_URL)
+require('dotenv').config();
+
+// Import path module to resolve the CSV path the user typed
+const path = require('path');
+
+// Import mongoose library to connect to MongoDB database
+const mongoose = require('mongoose');
+
+// Import function to load planets data from a CSV file
+const { loadPlanetsData } = require('../models/planets.model');
+
+async function main() {
+    const MONGO_URL = process.env.MONGO_URL;
+    if (!MONGO_URL) {
+        console.error('ERROR: MONGO_URL environment variable is not set!');
+        process.exit(1);
+    }
+
+    // The CSV path is the first argument after the script name (optional)
+    // Relative paths are resolved from the directory the command was run in
+    const csvFilePath = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+
+    try {
+        console.log('🔄 Connecting to MongoDB...');
+        await mongoose.connect(MONGO_URL);
+
+        console.log(`🔄 Loading planets from ${csvFilePath || 'the bundled Kepler data'}...`);
+        await loadPlanetsData(csvFilePath);
+    } catch (error) {
+        console.error('❌ Failed to load planets:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main();
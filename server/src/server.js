@@ -15,6 +15,31 @@ const app = require('./app');
 // Import function to load planets data from CSV file
 const { loadPlanetsData } = require('./models/planets.model');
 
+// Import functions to load historical SpaceX launches and give older launches a status
+const {
+    loadLaunchesData,
+    backfillLaunchStatuses,
+    linkLaunchRockets,
+} = require('./models/launches.model');
+
+// Import function to add the default rockets to an empty rocket registry
+const { loadRocketsData } = require('./models/rockets.model');
+
+// Import function to add the default launch pads to an empty pad registry
+const { loadPadsData } = require('./models/pads.model');
+
+// Import function to register the default customers and the customers named on launches
+const { loadCustomersData } = require('./models/customers.model');
+
+// Import the launch scheduler (T-minus announcements and moving overdue launches on)
+const {
+    startLaunchScheduler,
+    stopLaunchScheduler,
+} = require('./services/scheduler');
+
+// Import the function that ends the open GET /launches/events streams
+const { endLaunchEventStreams } = require('./services/events');
+
 // Get port number from environment variable, or use 8000 as default
 // In production, you would set PORT=8000 (or your desired port) in your .env file
 // This makes it easy to change ports without modifying code
@@ -35,6 +60,15 @@ if (!MONGO_URL) {
     process.exit(1); // Exit the program if MongoDB URL is missing
 }
 
+// Check if the secret for signing login tokens is provided
+// Without it, nobody could log in (and a guessable default would let anyone forge a token)
+if (!process.env.JWT_SECRET) {
+    console.error('ERROR: JWT_SECRET environment variable is not set!');
+    console.error('Please add a long random string to your .env file.');
+    console.error('Example: JWT_SECRET=change-me-to-a-long-random-string');
+    process.exit(1);
+}
+
 // Create an HTTP server using our Express app
 // This server will handle all incoming HTTP requests
 const server = http.createServer(app);
@@ -68,7 +102,36 @@ async function startServer() {
         console.log('🔄 Loading planets data...');
         await loadPlanetsData();
 
-        // Step 3: Start listening for HTTP requests
+        // Add the default rockets (Explorer IS1 and the SpaceX rockets) if the registry is empty
+        await loadRocketsData();
+
+        // Add the default launch pads (LC-39A, SLC-40 and SLC-4E) if the registry is empty
+        await loadPadsData();
+
+        // Step 3: Load historical SpaceX launches into the database
+        // This is skipped if the launches have already been imported
+        // The history is nice to have, but the server works without it: if the SpaceX API can't be
+        // reached, we log why and carry on (if nothing was imported, it's tried again on the next start)
+        console.log('🔄 Loading SpaceX launch data...');
+        try {
+            await loadLaunchesData();
+        } catch (error) {
+            console.error('⚠️ Could not load SpaceX launch data, starting without it:', error.message);
+        }
+
+        // Give launches saved before lifecycle statuses existed a status,
+        // and link launches saved before the rocket registry existed to their rocket
+        await backfillLaunchStatuses();
+        await linkLaunchRockets();
+
+        // Register the default customers, and the customers of the SpaceX launches
+        await loadCustomersData();
+
+        // Step 4: Start the launch scheduler
+        // It announces T-minus marks and moves launches whose date has passed out of Upcoming
+        startLaunchScheduler();
+
+        // Step 5: Start listening for HTTP requests
         // Once this runs, the server is live and can accept requests
         server.listen(PORT, () => {
             console.log(`🚀 Server is running on port ${PORT}...`);
@@ -103,6 +166,13 @@ function gracefulShutdown(signal) {
     // Mark that we're shutting down
     isShuttingDown = true;
     console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
+
+    // Stop the launch scheduler so it doesn't touch the database while it's closing
+    stopLaunchScheduler();
+
+    // End the live update streams: they never finish by themselves,
+    // so server.close() below would wait for them until the safety timeout
+    endLaunchEventStreams();
     
     // Step 1: Stop accepting new HTTP connections
     // This prevents new requests from coming in while we're shutting down
@@ -0,0 +1,57 @@
+// Helper functions for creating and checking login tokens
+// We use JSON Web Tokens (JWT): the server signs { username, role } with a secret key,
+// the client sends the token back in the Authorization header, and the server checks the signature
+// The secret key comes from JWT_SECRET in your .env file - keep it private!
+
+// Import jsonwebtoken to sign and verify tokens
+const jwt = require('jsonwebtoken');
+
+// How long a token stays valid after logging in (e.g., "8h", "30m", "7d")
+// Set JWT_EXPIRES_IN in your .env file to change it
+const DEFAULT_TOKEN_LIFETIME = '8h';
+
+// Function to read the secret key used to sign tokens
+// It's read when needed (not when the file loads) so tests can set it first
+function getSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('JWT_SECRET environment variable is not set');
+    }
+    return secret;
+}
+
+// Function to create a login token for a user
+// Parameters:
+//   - user: An object with username and role
+// Returns: The signed token (a long string)
+function createToken(user) {
+    return jwt.sign(
+        { role: user.role },
+        getSecret(),
+        {
+            subject: user.username,
+            expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_TOKEN_LIFETIME,
+        }
+    );
+}
+
+// Function to check a login token
+// Parameters:
+//   - token: The token sent by the client
+// Returns: The user as { username, role }, or null if the token is invalid or expired
+function verifyToken(token) {
+    try {
+        const payload = jwt.verify(token, getSecret());
+        return {
+            username: payload.sub,
+            role: payload.role,
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    createToken,
+    verifyToken,
+};
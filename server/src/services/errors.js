@@ -0,0 +1,94 @@
+// Error classes for API responses
+// Instead of building an error response by hand in every controller, controllers (and middleware)
+// throw one of these errors and the error middleware in middleware/errors.js turns it into a
+// problem+json response (RFC 7807, https://www.rfc-editor.org/rfc/rfc7807):
+//
+//   throw new NotFoundError('Launch not found', { code: 'launch-not-found' });
+//
+// becomes a 404 response with this body:
+//
+//   {
+//       "type": "urn:problem:launch-not-found",
+//       "title": "Not Found",
+//       "status": 404,
+//       "detail": "Launch not found",
+//       "instance": "/launches/999",
+//       "code": "launch-not-found",
+//       "requestId": "4f6c2e9a-..."
+//   }
+//
+// Express 5 passes errors thrown in route handlers (and rejected promises from async handlers)
+// to the error middleware, so controllers don't need their own try/catch blocks.
+
+// Import the standard HTTP status texts (e.g., 404 -> "Not Found")
+const { STATUS_CODES } = require('http');
+
+// Base class for every error that should be sent to the client as-is
+// Parameters:
+//   - status: The HTTP status code (e.g., 404)
+//   - code: A short machine-readable code the client can check (e.g., 'launch-not-found')
+//   - detail: A human-readable explanation of this problem
+//   - extensions: Extra fields added to the response (e.g., { field: 'target' })
+class ApiError extends Error {
+    constructor(status, code, detail, extensions = {}) {
+        super(detail);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.title = STATUS_CODES[status];
+        this.extensions = extensions;
+    }
+}
+
+// 400 - The request is malformed (e.g., an invalid query string)
+class BadRequestError extends ApiError {
+    constructor(detail, { code = 'bad-request', ...extensions } = {}) {
+        super(400, code, detail, extensions);
+    }
+}
+
+// 400 - One or more fields are invalid
+// errors is an array of { field, message }, one for each problem
+class ValidationError extends ApiError {
+    constructor(errors, detail = 'One or more fields are invalid', { code = 'validation-failed', ...extensions } = {}) {
+        super(400, code, detail, { ...extensions, errors });
+    }
+}
+
+// 401 - We don't know who you are (no login token, or it's invalid)
+class UnauthorizedError extends ApiError {
+    constructor(detail, { code = 'unauthorized', ...extensions } = {}) {
+        super(401, code, detail, extensions);
+    }
+}
+
+// 403 - We know who you are, but you can't do this
+class ForbiddenError extends ApiError {
+    constructor(detail, { code = 'forbidden', ...extensions } = {}) {
+        super(403, code, detail, extensions);
+    }
+}
+
+// 404 - The resource doesn't exist
+class NotFoundError extends ApiError {
+    constructor(detail, { code = 'not-found', ...extensions } = {}) {
+        super(404, code, detail, extensions);
+    }
+}
+
+// 409 - The request doesn't fit the resource's current state
+class ConflictError extends ApiError {
+    constructor(detail, { code = 'conflict', ...extensions } = {}) {
+        super(409, code, detail, extensions);
+    }
+}
+
+module.exports = {
+    ApiError,
+    BadRequestError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+};
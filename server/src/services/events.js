@@ -0,0 +1,73 @@
+// A tiny publish/subscribe hub for live launch updates
+// Models publish an event whenever a launch changes, and every open
+// GET /launches/events connection (Server-Sent Events) forwards it to its browser
+//
+// Event types:
+// - launch-created:        A new launch was scheduled (data: the launch)
+// - launch-updated:        A launch's status changed (data: the launch)
+// - launch-aborted:        A launch was aborted (data: the launch)
+// - abort-request-updated: An abort request was made, confirmed, cancelled (data: the request)
+// - launch-countdown:      A launch reached a T-minus mark (data: { flightNumber, mark, launchDate, mission })
+
+// Import EventEmitter (built into Node.js) to pass events to every subscriber
+const { EventEmitter } = require('events');
+
+const launchEvents = new EventEmitter();
+
+// Every open browser tab is one listener, so don't warn when there are more than 10
+launchEvents.setMaxListeners(0);
+
+// The open GET /launches/events responses, so they can be ended when the server shuts down
+// An event stream never finishes by itself, so the HTTP server would wait for it forever
+const openStreams = new Set();
+
+// Function to send an event to everyone who is subscribed
+// Parameters:
+//   - type: The event type (e.g., "launch-created")
+//   - data: The launch or abort request the event is about
+function publishLaunchEvent(type, data) {
+    // Plain objects only: send the same JSON the REST endpoints send
+    const payload = data && typeof data.toObject === 'function' ? data.toObject() : { ...data };
+    delete payload._id;
+    delete payload.__v;
+
+    launchEvents.emit('event', { type, data: payload });
+}
+
+// Function to start receiving events
+// Parameters:
+//   - listener: Function called with { type, data } for every event
+// Returns: A function that stops receiving events
+function subscribeToLaunchEvents(listener) {
+    launchEvents.on('event', listener);
+    return () => launchEvents.off('event', listener);
+}
+
+// Function to remember an open event stream until it closes
+// Parameters:
+//   - res: The Express response the events are written to
+//   - stop: Function that stops writing to the response (clears its heartbeat and unsubscribes)
+// Returns: A function that forgets the stream again (call it when the browser disconnects)
+function trackLaunchEventStream(res, stop) {
+    const stream = { res, stop };
+    openStreams.add(stream);
+    return () => openStreams.delete(stream);
+}
+
+// Function to end every open event stream
+// This is called when the server shuts down, before it stops accepting connections
+// Browsers reconnect on their own once the server is back
+function endLaunchEventStreams() {
+    for (const { res, stop } of openStreams) {
+        stop();
+        res.end();
+    }
+    openStreams.clear();
+}
+
+module.exports = {
+    publishLaunchEvent,
+    subscribeToLaunchEvents,
+    trackLaunchEventStream,
+    endLaunchEventStreams,
+};
@@ -0,0 +1,33 @@
+// Health checks for orchestration (Kubernetes, Docker, load balancers, ...)
+// - Liveness (/healthz): Is the process running and answering? If not, restart it
+// - Readiness (/readyz): Can it serve real requests? If not, stop sending it traffic for now
+
+// Import the database connection check shared with the metrics
+const { isDatabaseConnected } = require('./metrics');
+
+// Import the function that counts the planet catalogue
+const { countPlanets } = require('../models/planets.model');
+
+// Function to check whether the server is ready for traffic
+// It is ready when MongoDB is connected and the planet catalogue has been loaded
+// (without planets, nobody can schedule a launch)
+// Returns: { ready, checks: { database, planets } }
+async function checkReadiness() {
+    if (!isDatabaseConnected()) {
+        return {
+            ready: false,
+            checks: { database: 'disconnected', planets: null },
+        };
+    }
+
+    const planets = await countPlanets();
+
+    return {
+        ready: planets > 0,
+        checks: { database: 'connected', planets },
+    };
+}
+
+module.exports = {
+    checkReadiness,
+};
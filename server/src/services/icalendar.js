@@ -0,0 +1,110 @@
+// Builds iCalendar files (RFC 5545), the format calendar apps like Google Calendar, Outlook and
+// Apple Calendar can subscribe to
+// A calendar is plain text: one "NAME:value" property per line, with events between
+// BEGIN:VEVENT and END:VEVENT. The format has a few rules of its own, which this file takes care of:
+// - Lines end with CRLF (\r\n), not just \n
+// - Lines longer than 75 bytes are "folded": split, with each extra piece starting with a space
+// - Commas, semicolons, backslashes and line breaks in text are escaped with a backslash
+// - Times are written like 20301231T153000Z (the Z means UTC)
+
+// Identifies the program that made the calendar (required by RFC 5545)
+const PRODUCT_ID = '-//NASA Mission Control//Launch Calendar//EN';
+
+// The longest a line can be, in bytes (not counting the CRLF)
+const MAX_LINE_BYTES = 75;
+
+// Function to escape text for a TEXT property (e.g., SUMMARY or DESCRIPTION)
+// Example: 'Crew 1, "Endeavour"; leg 2' becomes 'Crew 1\, "Endeavour"\; leg 2'
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Function to write a moment in time as a UTC date-time
+// Example: 2030-12-31T15:30:00.000Z becomes "20301231T153000Z"
+function formatDateTime(date) {
+    return new Date(date).toISOString()
+        .replace(/\.\d{3}/, '')
+        .replace(/[-:]/g, '');
+}
+
+// Function to fold a line that is longer than 75 bytes
+// The pieces are never split in the middle of a character (e.g., "é" takes 2 bytes)
+// Returns: The line, with CRLF and a space before every extra piece
+function foldLine(line) {
+    const pieces = [];
+    let piece = '';
+    let pieceBytes = 0;
+
+    for (const character of line) {
+        const bytes = Buffer.byteLength(character);
+        if (pieceBytes + bytes > MAX_LINE_BYTES) {
+            pieces.push(piece);
+            // Every extra piece starts with a space, which counts towards its 75 bytes
+            piece = ' ';
+            pieceBytes = 1;
+        }
+        piece += character;
+        pieceBytes += bytes;
+    }
+    pieces.push(piece);
+
+    return pieces.join('\r\n');
+}
+
+// Function to build a calendar file
+// Parameters:
+//   - calendar:
+//       - name: The calendar's name, shown by calendar apps when subscribing
+//       - events: An array of events, each with:
+//           - uid: An id that stays the same when the event changes, so apps update it instead of adding a copy
+//           - start: When the event happens (a Date)
+//           - summary: The event's title
+//           - description, location: Optional text
+//           - status: Optional TENTATIVE, CONFIRMED or CANCELLED
+//   - now: When the calendar was made (sent as every event's DTSTAMP)
+// Returns: The calendar as text, ready to send with Content-Type text/calendar
+function buildCalendar({ name, events }, now = new Date()) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        // Not part of RFC 5545, but the name most calendar apps show for a subscription
+        `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatDateTime(now)}`,
+            // Without DTEND, the event is a moment in time rather than a time range
+            `DTSTART:${formatDateTime(event.start)}`,
+            `SUMMARY:${escapeText(event.summary)}`,
+        );
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        if (event.location) {
+            lines.push(`LOCATION:${escapeText(event.location)}`);
+        }
+        if (event.status) {
+            lines.push(`STATUS:${event.status}`);
+        }
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+
+    // Every line ends with CRLF, including the last one
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar,
+};
@@ -0,0 +1,117 @@
+// Prometheus metrics for the /metrics endpoint
+// Prometheus scrapes GET /metrics every few seconds and stores the numbers over time,
+// so dashboards and alerts can show how fast the API answers and what is in the database
+//
+// Metrics:
+// - http_request_duration_seconds: How long each request took, per method, route and status code (histogram)
+// - nasa_database_up:              1 while MongoDB is connected, 0 while it isn't
+// - nasa_launches:                 Launches in each lifecycle status (e.g., nasa_launches{status="scheduled"} 3)
+// - nasa_planets:                  Planets in the catalogue
+//   (while the database is down, nasa_launches has no values and nasa_planets is 0)
+// - Node.js process metrics (memory, CPU, event loop lag, ...) from prom-client's defaults
+
+// Import prom-client, the Prometheus client library for Node.js
+const client = require('prom-client');
+
+// Import mongoose to check the database connection before counting anything
+const mongoose = require('mongoose');
+
+// Import the functions that count launches and planets
+const { countLaunchesByStatus } = require('../models/launches.model');
+const { countPlanets } = require('../models/planets.model');
+
+// Our own registry of metrics, instead of prom-client's global one
+// This keeps the metrics of this app separate from anything else that uses prom-client
+const registry = new client.Registry();
+
+// Node.js process metrics (collected when /metrics is scraped, not on a timer)
+client.collectDefaultMetrics({ register: registry });
+
+// Function to tell whether the database can be queried right now
+// While MongoDB is disconnected, queries wait (up to 10 seconds) instead of failing,
+// and /metrics must answer quickly, so we skip the database metrics instead
+function isDatabaseConnected() {
+    return mongoose.connection.readyState === mongoose.ConnectionStates.connected;
+}
+
+// Histogram of request durations
+// A histogram counts requests in "buckets" (e.g., how many took at most 0.1 seconds),
+// which lets Prometheus work out percentiles like "95% of requests took under 200ms"
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duration of HTTP requests in seconds',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry],
+});
+
+// Gauge of whether the database can be queried
+// Without it, a scrape during an outage couldn't tell "no launches" from "couldn't count them"
+new client.Gauge({
+    name: 'nasa_database_up',
+    help: 'Whether MongoDB is connected (1) or not (0)',
+    registers: [registry],
+    collect() {
+        this.set(isDatabaseConnected() ? 1 : 0);
+    },
+});
+
+// Gauge of launches in each lifecycle status
+// A gauge is a number that can go up and down; collect() runs on every scrape
+new client.Gauge({
+    name: 'nasa_launches',
+    help: 'Number of launches in each lifecycle status',
+    labelNames: ['status'],
+    registers: [registry],
+    async collect() {
+        // A gauge keeps its last values, so clear them: otherwise every scrape during
+        // an outage would report the counts from before it as if they were current
+        if (!isDatabaseConnected()) {
+            this.reset();
+            return;
+        }
+
+        const counts = await countLaunchesByStatus();
+        for (const [status, count] of Object.entries(counts)) {
+            this.set({ status }, count);
+        }
+    },
+});
+
+// Gauge of the planet catalogue size
+new client.Gauge({
+    name: 'nasa_planets',
+    help: 'Number of planets in the catalogue',
+    registers: [registry],
+    async collect() {
+        if (!isDatabaseConnected()) {
+            this.reset();
+            return;
+        }
+
+        this.set(await countPlanets());
+    },
+});
+
+// Function to record how long one request took
+// Parameters:
+//   - labels: { method, route, status_code }
+//   - seconds: The duration of the request
+function observeRequestDuration(labels, seconds) {
+    httpRequestDuration.observe(labels, seconds);
+}
+
+// Function to get every metric in the Prometheus text format
+// Returns: A promise for { contentType, body }
+async function getMetrics() {
+    return {
+        contentType: registry.contentType,
+        body: await registry.metrics(),
+    };
+}
+
+module.exports = {
+    isDatabaseConnected,
+    observeRequestDuration,
+    getMetrics,
+};
@@ -0,0 +1,125 @@
+// Helper functions for reading pagination, filter and sort options from a URL query string
+// These are shared by any controller that returns a list of documents
+// Example: GET /launches?page=2&limit=20&sort=-launchDate
+
+// Page size used when the client doesn't send a limit
+const DEFAULT_PAGE_LIMIT = 50;
+
+// Largest page size a client is allowed to ask for
+// This stops one request from pulling the whole collection at once
+const MAX_PAGE_LIMIT = 500;
+
+// Function to turn ?page= and ?limit= into values MongoDB understands
+// Parameters:
+//   - query: The req.query object from Express
+// Returns: { page, limit, skip } or { error } if the values are not valid
+function getPagination(query) {
+    // Query string values are always strings, so convert them to numbers
+    // If the client didn't send a value, use the defaults
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? DEFAULT_PAGE_LIMIT : Number(query.limit);
+
+    // Pages start at 1 and must be whole numbers
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'page must be a positive whole number' };
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+        return { error: `limit must be a whole number between 1 and ${MAX_PAGE_LIMIT}` };
+    }
+
+    // skip = how many documents come before this page
+    // Example: page 3 with limit 20 skips the first 40 documents
+    const skip = (page - 1) * limit;
+
+    return { page, limit, skip };
+}
+
+// Function to read a true/false value from the query string
+// Parameters:
+//   - value: The raw query string value (e.g., "true", "false", or undefined)
+// Returns: true, false, undefined (not sent), or null (not a valid boolean)
+function parseBoolean(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    if (value === 'true') {
+        return true;
+    }
+
+    if (value === 'false') {
+        return false;
+    }
+
+    return null;
+}
+
+// Function to turn ?sort= into a MongoDB sort object
+// Fields are separated by commas, and a leading "-" means descending order
+// Example: "-launchDate,flightNumber" becomes { launchDate: -1, flightNumber: 1 }
+// The tiebreaker (a field no two documents share) is always added last, unless the client
+// already sorts by it: documents with the same value (e.g., the same rocket) would otherwise
+// come back in any order, and could show up on two pages or on none
+// Example: "rocket" with tiebreaker "flightNumber" becomes { rocket: 1, flightNumber: 1 }
+// Parameters:
+//   - value: The raw query string value
+//   - allowedFields: Field names the client is allowed to sort by
+//   - defaultSort: Sort object to use when the client didn't send one
+//   - tiebreaker: The unique field that orders documents with equal values (e.g., "flightNumber")
+// Returns: { sort } or { error } if a field is not allowed
+function parseSort(value, allowedFields, defaultSort, tiebreaker) {
+    if (value === undefined || value === '') {
+        return { sort: withTiebreaker(defaultSort, tiebreaker) };
+    }
+
+    const sort = {};
+
+    for (const part of String(value).split(',')) {
+        const descending = part.startsWith('-');
+        const field = descending ? part.slice(1) : part;
+
+        if (!allowedFields.includes(field)) {
+            return { error: `Cannot sort by "${field}". Allowed fields: ${allowedFields.join(', ')}` };
+        }
+
+        sort[field] = descending ? -1 : 1;
+    }
+
+    return { sort: withTiebreaker(sort, tiebreaker) };
+}
+
+// Function to add the tiebreaker to the end of a sort object (see parseSort)
+// Returns: A new sort object; the one passed in is left as it is
+function withTiebreaker(sort, tiebreaker) {
+    if (!tiebreaker || tiebreaker in sort) {
+        return sort;
+    }
+    return { ...sort, [tiebreaker]: 1 };
+}
+
+// Function to build a link to another page of the same list
+// All other query parameters (filters, sort, limit) are kept as they are
+// Parameters:
+//   - req: The Express request object
+//   - page: The page number the link should point to
+// Returns: A relative URL like "/launches?upcoming=true&page=2"
+function buildPageLink(req, page) {
+    const params = new URLSearchParams(req.query);
+    params.set('page', String(page));
+
+    // req.baseUrl is where the router is mounted (e.g., "/launches")
+    // req.path is the path inside the router (e.g., "/")
+    const path = `${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+
+    return `${path}?${params.toString()}`;
+}
+
+module.exports = {
+    DEFAULT_PAGE_LIMIT,
+    MAX_PAGE_LIMIT,
+    getPagination,
+    parseBoolean,
+    parseSort,
+    buildPageLink,
+};
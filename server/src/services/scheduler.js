@@ -0,0 +1,151 @@
+// The launch scheduler: a timer that runs every few seconds while the server is up
+// It does two jobs:
+// 1. Announces T-minus marks: when a launch is 24 hours, 1 hour, 10 minutes, ... away,
+//    a "launch-countdown" event is pushed to everyone watching GET /launches/events
+// 2. Moves overdue launches on: once a scheduled or go-for-launch launch's date has passed,
+//    it becomes "pending-outcome" (so it leaves the Upcoming page) until someone records what happened
+
+// Import the launch functions the scheduler needs
+const {
+    getCountdownLaunches,
+    changeLaunchStatus,
+} = require('../models/launches.model');
+
+// Import the function that pushes live updates to everyone watching the launches
+const { publishLaunchEvent } = require('./events');
+
+// How often the scheduler checks the launches, in seconds
+// Set LAUNCH_SCHEDULER_INTERVAL_SECONDS in your .env file to change it
+const DEFAULT_INTERVAL_SECONDS = 15;
+
+// The T-minus marks to announce, as a comma separated list of durations
+// Set LAUNCH_COUNTDOWN_MARKS in your .env file to change them (e.g., "7d,24h,1h,10m")
+const DEFAULT_COUNTDOWN_MARKS = '24h,1h,10m,1m';
+
+// How many milliseconds each duration unit stands for
+const UNIT_MS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+};
+
+// Function to read the T-minus marks from a string like "24h,1h,10m"
+// Parameters:
+//   - value: The comma separated list of durations
+// Returns: An array of marks like [{ label: "T-24h", ms: 86400000 }, ...], furthest first
+function parseCountdownMarks(value) {
+    return value.split(',')
+        .map((mark) => mark.trim())
+        .filter(Boolean)
+        .map((mark) => {
+            const match = /^(\d+)([smhd])$/.exec(mark);
+            if (!match) {
+                throw new Error(`Invalid launch countdown mark "${mark}". Use a number and s, m, h or d (e.g., "10m")`);
+            }
+            return {
+                label: `T-${mark}`,
+                ms: Number(match[1]) * UNIT_MS[match[2]],
+            };
+        })
+        .sort((a, b) => b.ms - a.ms);
+}
+
+// Function to check the launches for everything that happened between two moments
+// The scheduler calls this on every tick with the time of the previous tick
+// Parameters:
+//   - since: The time of the previous check
+//   - now: The current time
+//   - marks: The T-minus marks to announce (from parseCountdownMarks)
+async function checkLaunchWindows(since, now, marks) {
+    // Step 1: Announce every T-minus mark passed since the last check
+    // A launch passes its 10 minute mark when (launchDate - 10 minutes) falls between since and now
+    for (const mark of marks) {
+        const launches = await getCountdownLaunches(
+            new Date(since.getTime() + mark.ms),
+            new Date(now.getTime() + mark.ms)
+        );
+
+        launches.forEach((launch) => {
+            publishLaunchEvent('launch-countdown', {
+                flightNumber: launch.flightNumber,
+                mark: mark.label,
+                launchDate: launch.launchDate,
+                mission: launch.mission,
+            });
+        });
+    }
+
+    // Step 2: Move every launch whose date has passed to "pending-outcome"
+    // This also catches launches that became overdue while the server was down
+    const overdueLaunches = await getCountdownLaunches(null, now);
+    for (const launch of overdueLaunches) {
+        const { error } = await changeLaunchStatus(launch.flightNumber, 'pending-outcome', {
+            action: 'launch-window-passed',
+            actor: 'scheduler',
+            reason: 'Launch date passed without a recorded outcome',
+        });
+
+        // Someone may have changed the launch at the same moment - it's fine to skip it
+        if (error) {
+            console.warn(`⚠️  Scheduler could not update launch ${launch.flightNumber}: ${error}`);
+        }
+    }
+}
+
+// The running timer (null when the scheduler isn't running)
+let schedulerTimer = null;
+
+// Function to start the launch scheduler
+// This is called by server.js once the server is running
+// Calling it again while it's already running does nothing
+function startLaunchScheduler() {
+    if (schedulerTimer) {
+        return;
+    }
+
+    const intervalSeconds = Number(process.env.LAUNCH_SCHEDULER_INTERVAL_SECONDS) || DEFAULT_INTERVAL_SECONDS;
+    const marks = parseCountdownMarks(process.env.LAUNCH_COUNTDOWN_MARKS || DEFAULT_COUNTDOWN_MARKS);
+
+    let lastCheck = new Date();
+    let isChecking = false;
+
+    const tick = async () => {
+        // Skip this tick if the previous check is still running (e.g., a slow database)
+        if (isChecking) {
+            return;
+        }
+        isChecking = true;
+
+        const now = new Date();
+        try {
+            await checkLaunchWindows(lastCheck, now, marks);
+            lastCheck = now;
+        } catch (error) {
+            // Keep lastCheck as it was, so the next tick covers this time range again
+            console.error('❌ Launch scheduler error:', error);
+        } finally {
+            isChecking = false;
+        }
+    };
+
+    schedulerTimer = setInterval(tick, intervalSeconds * 1000);
+
+    // Check right away, so launches that became overdue while the server was down move on now
+    tick();
+
+    console.log(`⏱️  Launch scheduler running every ${intervalSeconds}s (marks: ${marks.map((mark) => mark.label).join(', ')})`);
+}
+
+// Function to stop the launch scheduler (used during shutdown)
+function stopLaunchScheduler() {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+}
+
+module.exports = {
+    parseCountdownMarks,
+    checkLaunchWindows,
+    startLaunchScheduler,
+    stopLaunchScheduler,
+};
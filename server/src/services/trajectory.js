@@ -0,0 +1,127 @@
+// Distance and travel-time estimates for launches to Kepler exoplanets
+//
+// The Kepler data has no measured distance for most stars, so we estimate one from how bright
+// the star looks compared to how bright it really is (a "photometric distance"):
+// 1. The star's real brightness (luminosity) comes from its radius and temperature:
+//    L = R² × (T / 5772 K)⁴, in Suns (a star twice the Sun's size at the same temperature is 4 times brighter)
+// 2. Its absolute magnitude (how bright it would look from 10 parsecs away) is M = 4.74 - 2.5 × log10(L)
+// 3. Comparing that with the Kepler magnitude (how bright it looks from here) gives the distance:
+//    d = 10^((m - M + 5) / 5) parsecs
+// This ignores dust between us and the star and the difference between the Kepler band and
+// total brightness, so treat the result as an estimate (Kepler-442 comes out at about 1,260
+// light-years; the measured value is about 1,200).
+//
+// The travel time assumes the spacecraft cruises at one speed the whole way (no speeding up or
+// slowing down) and is measured by clocks on Earth.
+
+// The Sun's surface temperature [Kelvin] and absolute bolometric magnitude
+const SUN_TEMPERATURE_K = 5772;
+const SUN_ABSOLUTE_MAGNITUDE = 4.74;
+
+// Unit conversions
+const LIGHT_YEARS_PER_PARSEC = 3.26156;
+const SPEED_OF_LIGHT_KM_S = 299792.458;
+
+// A light-year is the distance light travels in a Julian year of 365.25 days
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// The latest moment a JavaScript Date can hold (in the year 275760)
+// Slow cruises to far planets arrive after that, so they get no arrival date
+const MAX_DATE_MS = 8.64e15;
+
+// Cruise speed used when the client doesn't choose one: 10% of the speed of light
+const DEFAULT_FRACTION_OF_C = 0.1;
+
+// Function to round a number to a few decimals (e.g., 1151.4372 with 1 decimal is 1151.4)
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+// Function to estimate how far away a planet's star is
+// Parameters:
+//   - planet: A planet with koi_kepmag, koi_srad and koi_steff (from the Kepler data)
+// Returns: { parsecs, lightYears }, or null if a measurement is missing
+function estimateDistance(planet) {
+    const { koi_kepmag: magnitude, koi_srad: radius, koi_steff: temperature } = planet;
+
+    // A missing (null) or impossible measurement means we can't tell how far away the star is
+    if (![magnitude, radius, temperature].every(Number.isFinite) || radius <= 0 || temperature <= 0) {
+        return null;
+    }
+
+    const luminosity = radius ** 2 * (temperature / SUN_TEMPERATURE_K) ** 4;
+    const absoluteMagnitude = SUN_ABSOLUTE_MAGNITUDE - 2.5 * Math.log10(luminosity);
+    const parsecs = 10 ** ((magnitude - absoluteMagnitude + 5) / 5);
+
+    return {
+        parsecs: round(parsecs, 1),
+        lightYears: round(parsecs * LIGHT_YEARS_PER_PARSEC, 1),
+    };
+}
+
+// Function to read the cruise speed from the query string
+// Clients send either ?fractionOfC= (e.g., 0.2 for 20% of the speed of light)
+// or ?velocityKmS= (e.g., 17 for Voyager 1's speed in km/s), never both
+// Parameters:
+//   - query: The req.query object from Express
+// Returns: { cruise } with { fractionOfC, velocityKmS }, or { error } if a value is not valid
+function parseCruiseSpeed(query) {
+    const { fractionOfC, velocityKmS } = query;
+
+    if (fractionOfC !== undefined && velocityKmS !== undefined) {
+        return { error: 'Send either fractionOfC or velocityKmS, not both' };
+    }
+
+    if (velocityKmS !== undefined) {
+        const velocity = Number(velocityKmS);
+        if (velocityKmS === '' || !(velocity > 0 && velocity < SPEED_OF_LIGHT_KM_S)) {
+            return { error: `velocityKmS must be a number above 0 and below ${SPEED_OF_LIGHT_KM_S}` };
+        }
+        return { cruise: { fractionOfC: velocity / SPEED_OF_LIGHT_KM_S, velocityKmS: velocity } };
+    }
+
+    const fraction = fractionOfC === undefined ? DEFAULT_FRACTION_OF_C : Number(fractionOfC);
+    if (fractionOfC === '' || !(fraction > 0 && fraction < 1)) {
+        return { error: 'fractionOfC must be a number above 0 and below 1' };
+    }
+    return { cruise: { fractionOfC: fraction, velocityKmS: fraction * SPEED_OF_LIGHT_KM_S } };
+}
+
+// Function to estimate a launch's trip to its target planet
+// Parameters:
+//   - planet: The target planet (with its Kepler measurements), or null for launches without one
+//   - launchDate: The launch date (the trip starts then)
+//   - cruise: The cruise speed, { fractionOfC, velocityKmS } (from parseCruiseSpeed)
+// Returns: The estimate (see below), or null if the planet is missing or its distance can't be estimated
+function estimateTrajectory(planet, launchDate, cruise) {
+    const distance = planet && estimateDistance(planet);
+    if (!distance) {
+        return null;
+    }
+
+    // At a fraction of light speed, the trip takes (distance in light-years / fraction) years
+    // Example: 1,200 light-years at 0.1c takes 12,000 years
+    const travelYears = distance.lightYears / cruise.fractionOfC;
+    const arrivalMs = new Date(launchDate).getTime() + travelYears * MS_PER_YEAR;
+
+    return {
+        target: planet.keplerName,
+        // Where the star is in the sky [decimal degrees]
+        ra: planet.ra ?? null,
+        dec: planet.dec ?? null,
+        distanceLightYears: distance.lightYears,
+        distanceParsecs: distance.parsecs,
+        fractionOfC: cruise.fractionOfC,
+        velocityKmS: round(cruise.velocityKmS, 3),
+        travelYears: round(travelYears, 1),
+        arrivalDate: arrivalMs <= MAX_DATE_MS ? new Date(arrivalMs) : null,
+    };
+}
+
+module.exports = {
+    DEFAULT_FRACTION_OF_C,
+    estimateDistance,
+    parseCruiseSpeed,
+    estimateTrajectory,
+};
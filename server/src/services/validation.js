@@ -0,0 +1,235 @@
+// Declarative request validation
+// Instead of checking every field by hand in each controller, a route describes the fields it
+// accepts in a schema, and the validateRequest middleware checks the request against it.
+//
+// A schema is a plain object with one rule set per field, for example:
+//   {
+//       mission: { type: 'string', label: 'Mission name', required: true, maxLength: 100 },
+//       launchDate: { type: 'date', label: 'Launch date', required: true, min: 'today', max: '2040-12-31' },
+//   }
+//
+// Supported rules:
+//   - type:      'string', 'date', 'integer', 'boolean', 'array' or 'object'
+//   - label:     Human-friendly field name used in error messages
+//   - required:  The field must be present and not empty
+//   - trim:      Remove spaces around strings (default: true)
+//   - minLength, maxLength: Length limits for strings
+//   - enum:      List of allowed values
+//   - min, max:  Limits for integers, or for dates ('today' or a YYYY-MM-DD date, both included)
+//   - items:     For arrays, the rules every item must follow (e.g., { type: 'string', label: 'Customer' })
+//   - maxItems:  For arrays, the most items allowed
+//   - fields:    For objects, a schema for the object's own fields (like the one above)
+//
+// Errors inside arrays and objects name the exact place, e.g. "payloads[1].massKg"
+//
+// Schemas are plain JSON on purpose: GET /launches/schema sends the launch schema to the
+// React app, so the launch form checks the same rules before anything is sent.
+
+// Import the error class for invalid fields
+const { ValidationError } = require('./errors');
+
+// Function to turn a date rule ('today' or 'YYYY-MM-DD') into the first or last moment of that day
+// Parameters:
+//   - value: The rule value
+//   - endOfDay: true for max (the whole day is allowed), false for min
+function getDateLimit(value, endOfDay) {
+    const day = value === 'today'
+        ? new Date(new Date().toISOString().split('T')[0])
+        : new Date(value);
+    return endOfDay ? new Date(day.getTime() + 24 * 60 * 60 * 1000 - 1) : day;
+}
+
+// Function to check one field against its rules
+// Parameters:
+//   - field: Where the value is (e.g., "mission" or "payloads[0]"), used for errors inside arrays and objects
+//   - rules: The field's rules from the schema
+//   - raw: The value sent by the client (never undefined or empty here)
+// Returns: { value } with the cleaned-up value, { message } if it's not valid,
+//   or { errors } if something inside an array or object is not valid
+function validateField(field, rules, raw) {
+    const label = rules.label;
+
+    if (rules.type === 'string') {
+        if (typeof raw !== 'string') {
+            return { message: `${label} must be text` };
+        }
+        const value = rules.trim === false ? raw : raw.trim();
+        if (rules.minLength !== undefined && value.length < rules.minLength) {
+            return { message: `${label} must be at least ${rules.minLength} characters` };
+        }
+        if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+            return { message: `${label} must be at most ${rules.maxLength} characters` };
+        }
+        if (rules.enum && !rules.enum.includes(value)) {
+            return { message: `${label} must be one of: ${rules.enum.join(', ')}` };
+        }
+        return { value };
+    }
+
+    if (rules.type === 'date') {
+        const value = typeof raw === 'string' || typeof raw === 'number' ? new Date(raw) : new Date(NaN);
+        if (isNaN(value)) {
+            return { message: `${label} must be a valid date` };
+        }
+        if (rules.min !== undefined && value < getDateLimit(rules.min, false)) {
+            return { message: `${label} cannot be before ${rules.min}` };
+        }
+        if (rules.max !== undefined && value > getDateLimit(rules.max, true)) {
+            return { message: `${label} cannot be after ${rules.max}` };
+        }
+        return { value };
+    }
+
+    if (rules.type === 'integer') {
+        // Route parameters always arrive as strings, so "100" is accepted as 100
+        const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+        if (!Number.isInteger(value)) {
+            return { message: `${label} must be a whole number` };
+        }
+        if (rules.min !== undefined && value < rules.min) {
+            return { message: `${label} must be at least ${rules.min}` };
+        }
+        if (rules.max !== undefined && value > rules.max) {
+            return { message: `${label} must be at most ${rules.max}` };
+        }
+        return { value };
+    }
+
+    if (rules.type === 'boolean') {
+        // Query strings and form fields can only send text, so "true" and "false" are accepted too
+        if (raw === true || raw === 'true') {
+            return { value: true };
+        }
+        if (raw === false || raw === 'false') {
+            return { value: false };
+        }
+        return { message: `${label} must be true or false` };
+    }
+
+    if (rules.type === 'array') {
+        if (!Array.isArray(raw)) {
+            return { message: `${label} must be a list` };
+        }
+        if (rules.maxItems !== undefined && raw.length > rules.maxItems) {
+            return { message: `${label} can have at most ${rules.maxItems} items` };
+        }
+
+        // Check every item, numbering them from 1 in messages (e.g., "Payload 2: Mass is required")
+        const value = [];
+        const errors = [];
+        raw.forEach((item, index) => {
+            const itemRules = { ...rules.items, label: `${rules.items.label} ${index + 1}`, required: true };
+            const result = checkValue(`${field}[${index}]`, itemRules, item);
+            errors.push(...result.errors);
+            value.push(result.value);
+        });
+        return errors.length > 0 ? { errors } : { value };
+    }
+
+    if (rules.type === 'object') {
+        if (typeof raw !== 'object' || Array.isArray(raw)) {
+            return { message: `${label} must be an object` };
+        }
+
+        const result = validate(rules.fields, raw);
+        if (result.errors.length > 0) {
+            return {
+                errors: result.errors.map((error) => ({
+                    field: `${field}.${error.field}`,
+                    message: `${label}: ${error.message}`,
+                })),
+            };
+        }
+        return { value: result.value };
+    }
+
+    throw new Error(`Unknown schema type "${rules.type}"`);
+}
+
+// Function to check one value, which may be missing or empty
+// Parameters:
+//   - field, rules, raw: As for validateField
+//   - partial: true when editing (see validate below)
+// Returns: { value, errors } - value is undefined when the value is missing, empty or invalid
+function checkValue(field, rules, raw, partial = false) {
+    const isEmpty = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+    if (isEmpty) {
+        // Missing fields are fine when editing, but a required field can't be emptied
+        const isMissing = raw === undefined;
+        if (rules.required && !(partial && isMissing)) {
+            return { errors: [{ field, message: `${rules.label} is required` }] };
+        }
+        return { errors: [] };
+    }
+
+    const result = validateField(field, rules, raw);
+    if (result.message) {
+        return { errors: [{ field, message: result.message }] };
+    }
+    return { value: result.value, errors: result.errors || [] };
+}
+
+// Function to check an object (like a request body) against a schema
+// Parameters:
+//   - schema: The schema (see the top of this file)
+//   - input: The object to check
+//   - partial: true when editing, so required fields may be left out (but not emptied)
+// Returns: { value, errors }
+//   - value: Only the fields in the schema, cleaned up (trimmed strings, Date objects, numbers)
+//   - errors: An array of { field, message }, empty if everything is valid
+function validate(schema, input, { partial = false } = {}) {
+    const source = input && typeof input === 'object' ? input : {};
+    const value = {};
+    const errors = [];
+
+    for (const [field, rules] of Object.entries(schema)) {
+        const result = checkValue(field, rules, source[field], partial);
+        errors.push(...result.errors);
+        if (result.value !== undefined) {
+            value[field] = result.value;
+        }
+    }
+
+    // Fields that aren't in the schema are left out of value, so clients can't set them
+    return { value, errors };
+}
+
+// Function that creates middleware to validate a request before the controller runs
+// Invalid requests get a 400 response listing every problem; valid requests continue with
+// req.body and req.params replaced by the cleaned-up values
+// Parameters:
+//   - params: Schema for the route parameters (e.g., :id), optional
+//   - body: Schema for the request body, optional
+//   - partial: true when editing (see validate above)
+// Example:
+//   launchesRouter.post('/', validateRequest({ body: launchSchema }), httpAddNewLaunch);
+function validateRequest({ params, body, partial = false }) {
+    return (req, res, next) => {
+        const errors = [];
+
+        if (params) {
+            const result = validate(params, req.params);
+            errors.push(...result.errors);
+            Object.assign(req.params, result.value);
+        }
+
+        if (body) {
+            const result = validate(body, req.body, { partial });
+            errors.push(...result.errors);
+            req.body = result.value;
+        }
+
+        if (errors.length > 0) {
+            // Status 400 means "Bad Request" (the client sent invalid data)
+            return next(new ValidationError(errors));
+        }
+
+        return next();
+    };
+}
+
+module.exports = {
+    validate,
+    validateRequest,
+};